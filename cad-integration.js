@@ -13,24 +13,67 @@ var S={file:null,text:null,crs:'EPSG:32636',overlayLayer:null,overlaySource:null
 function showModal(id){var el=document.getElementById(id);if(el){el.style.display='flex';}}
 function hideModal(id){var el=document.getElementById(id);if(el){el.style.display='none';}}
 
-function regProj(){if(typeof proj4==='undefined')return;Object.keys(UCRS).forEach(function(k){try{proj4.defs(k,UCRS[k]);}catch(e){}});if(window.ol&&ol.proj&&ol.proj.proj4&&ol.proj.proj4.register)ol.proj.proj4.register(proj4);}
+/* Arc 1960 grids take their TOWGS84 from the shared DatumTransform service when it is loaded */
+function regProj(){if(typeof proj4==='undefined')return;Object.keys(UCRS).forEach(function(k){if(window.DatumTransform&&DatumTransform.isArc1960(k))return;try{proj4.defs(k,UCRS[k]);}catch(e){}});if(window.DatumTransform)DatumTransform.register();else if(window.ol&&ol.proj&&ol.proj.proj4&&ol.proj.proj4.register)ol.proj.proj4.register(proj4);}
 
-function parseDXF(txt){var feats=[],lines=txt.split(/\r?\n/),i=0;
-function nx(){return(lines[i++]||'').trim();}
-while(i<lines.length-1){var c=parseInt(nx(),10),v=nx();if(c===0){if(v==='LINE')pushLine(lines,i,feats);else if(v==='LWPOLYLINE')pushLW(lines,i,feats);else if(v==='POLYLINE')pushPL(lines,i,feats);}}return feats;}
-function pushLine(l,s,out){var o={};for(var j=s;j<s+24&&j<l.length;j+=2){var c=parseInt((l[j]||'').trim(),10),v=parseFloat((l[j+1]||'').trim());if(c===10)o.x1=v;else if(c===20)o.y1=v;else if(c===11)o.x2=v;else if(c===21)o.y2=v;else if(c===0)break;}if(o.x1!=null)out.push({type:'LineString',coordinates:[[o.x1,o.y1],[o.x2,o.y2]]});}
-function pushLW(l,s,out){var pts=[],x=null,closed=false;for(var j=s;j<s+4000&&j<l.length;j+=2){var c=parseInt((l[j]||'').trim(),10),v=parseFloat((l[j+1]||'').trim());if(c===70)closed=!!(v&1);else if(c===10)x=v;else if(c===20&&x!=null){pts.push([x,v]);x=null;}else if(c===0)break;}if(pts.length<2)return;if(closed&&pts.length>=3)out.push({type:'Polygon',coordinates:[[].concat(pts,[pts[0]])]});else out.push({type:'LineString',coordinates:pts});}
-function pushPL(l,s,out){var pts=[],x=null;for(var j=s;j<s+8000&&j<l.length;j+=2){var c=parseInt((l[j]||'').trim(),10),v=parseFloat((l[j+1]||'').trim());if(c===10)x=v;else if(c===20&&x!=null){pts.push([x,v]);x=null;}else if(c===0&&(l[j+1]||'').trim()==='SEQEND')break;}if(pts.length>=2)out.push({type:'LineString',coordinates:pts});}
+/* ---- DXF parser: tables (layer colours), blocks and entities ----
+ * Returns GeoJSON geometries in drawing units, each carrying .properties
+ * { layer, color (ACI), colorHex, entity, text?, height?, rotation?, block?, attributes? }.
+ * ARC/CIRCLE and LWPOLYLINE bulges are densified; TEXT/MTEXT and INSERT become Points. */
+var ACI={1:'#ff0000',2:'#ffff00',3:'#00ff00',4:'#00ffff',5:'#0000ff',6:'#ff00ff',7:'#ffffff',8:'#808080',9:'#c0c0c0'};
+var ARC_STEP_DEG=5,MAX_BLOCK_DEPTH=4;
+function dxfPairs(txt){var l=txt.split(/\r?\n/),p=[];for(var i=0;i+1<l.length;i+=2){var c=parseInt(l[i].trim(),10);if(!isNaN(c))p.push([c,l[i+1].trim()]);}return p;}
+function dxfEntities(pairs){var ents=[],cur=null;pairs.forEach(function(p){if(p[0]===0){cur={type:p[1],codes:[]};ents.push(cur);}else if(cur)cur.codes.push(p);});return ents;}
+function gv(e,code,def){for(var k=0;k<e.codes.length;k++)if(e.codes[k][0]===code)return e.codes[k][1];return def;}
+function gn(e,code,def){var v=gv(e,code,null);return v===null?def:parseFloat(v);}
+function mtextPlain(s){return s.replace(/\\P/g,'\n').replace(/\\[A-Za-z][^;\\{}]*;/g,'').replace(/\\[~]/g,' ').replace(/[{}]/g,'').replace(/%%[cC]/g,'Ø').replace(/%%[dD]/g,'°').replace(/%%[pP]/g,'±');}
+function arcPts(cx,cy,r,a0,a1){if(a1<=a0)a1+=360;var n=Math.max(2,Math.ceil((a1-a0)/ARC_STEP_DEG)),pts=[];for(var k=0;k<=n;k++){var a=(a0+(a1-a0)*k/n)*Math.PI/180;pts.push([cx+r*Math.cos(a),cy+r*Math.sin(a)]);}return pts;}
+function bulgePts(p0,p1,b){var d=Math.hypot(p1[0]-p0[0],p1[1]-p0[1]);if(!b||d===0)return[p1];var th=4*Math.atan(b),h=d/(2*Math.tan(th/2)),ux=(p1[0]-p0[0])/d,uy=(p1[1]-p0[1])/d,cx=(p0[0]+p1[0])/2-uy*h,cy=(p0[1]+p1[1])/2+ux*h,r=Math.hypot(p0[0]-cx,p0[1]-cy),a0=Math.atan2(p0[1]-cy,p0[0]-cx),n=Math.max(2,Math.ceil(Math.abs(th)*180/Math.PI/ARC_STEP_DEG)),out=[];for(var k=1;k<n;k++){var a=a0+th*k/n;out.push([cx+r*Math.cos(a),cy+r*Math.sin(a)]);}out.push(p1);return out;}
+
+function parseDXF(txt){
+  var ents=dxfEntities(dxfPairs(txt)),layers={},blocks={},top=[],section=null,block=null;
+  for(var i=0;i<ents.length;i++){var e=ents[i];
+    if(e.type==='SECTION'){section=gv(e,2,'');continue;}
+    if(e.type==='ENDSEC'){section=null;continue;}
+    if(section==='TABLES'&&e.type==='LAYER'){var ln=gv(e,2,null);if(ln!==null)layers[ln]=Math.abs(gn(e,62,7));continue;}
+    if(section==='BLOCKS'){if(e.type==='BLOCK'){block={name:gv(e,2,''),base:[gn(e,10,0),gn(e,20,0)],ents:[]};blocks[block.name]=block;}else if(e.type==='ENDBLK')block=null;else if(block)block.ents.push(e);continue;}
+    if(section==='ENTITIES'||section===null)top.push(e);
+  }
+  var feats=[];emitEntities(top,feats,{layers:layers,blocks:blocks},null,0);return feats;
+}
+/* xf: INSERT context {tp (block -> drawing coords), rot, layer, color, name}; null at top level */
+function insertTransform(base,ip,sx,sy,rot,outer){var c=Math.cos(rot),s=Math.sin(rot);return function(p){var x=(p[0]-base[0])*sx,y=(p[1]-base[1])*sy;return outer([ip[0]+x*c-y*s,ip[1]+x*s+y*c]);};}
+function emitEntities(ents,out,ctx,xf,depth){
+  function tp(p){return xf?xf.tp(p):p;}
+  function props(e,extra){var layer=gv(e,8,'0');if(xf&&layer==='0')layer=xf.layer;var col=gn(e,62,256);if(col===256)col=ctx.layers[layer]!=null?ctx.layers[layer]:7;else if(col===0&&xf)col=xf.color;var p={layer:layer,color:col,colorHex:ACI[col]||null,entity:e.type};if(xf)p.block=xf.name;for(var k in extra)p[k]=extra[k];return p;}
+  function push(type,coords,e,extra){out.push({type:type,coordinates:coords,properties:props(e,extra)});}
+  function line(pts,closed,e){pts=pts.map(tp);if(pts.length<2)return;if(closed&&pts.length>=3)push('Polygon',[pts.concat([pts[0]])],e);else push('LineString',pts,e);}
+  for(var i=0;i<ents.length;i++){var e=ents[i],t=e.type;
+    if(t==='LINE')line([[gn(e,10,0),gn(e,20,0)],[gn(e,11,0),gn(e,21,0)]],false,e);
+    else if(t==='LWPOLYLINE'){var pts=[],bul=[],x=null,closed=!!(gn(e,70,0)&1);e.codes.forEach(function(p){var v=parseFloat(p[1]);if(p[0]===10)x=v;else if(p[0]===20&&x!=null){pts.push([x,v]);bul.push(0);x=null;}else if(p[0]===42&&bul.length)bul[bul.length-1]=v;});
+      var dense=pts.length?[pts[0]]:[];for(var k=0;k<pts.length;k++){var nxt=k+1<pts.length?pts[k+1]:(closed?pts[0]:null);if(!nxt)break;dense=dense.concat(bulgePts(pts[k],nxt,bul[k]));}if(closed&&dense.length>1)dense.pop();line(dense,closed,e);}
+    else if(t==='POLYLINE'){var vp=[];for(var j=i+1;j<ents.length&&ents[j].type==='VERTEX';j++)vp.push([gn(ents[j],10,0),gn(ents[j],20,0)]);if(ents[j]&&ents[j].type==='SEQEND')j++;line(vp,!!(gn(e,70,0)&1),e);i=j-1;}
+    else if(t==='ARC'){line(arcPts(gn(e,10,0),gn(e,20,0),gn(e,40,0),gn(e,50,0),gn(e,51,360)),false,e);}
+    else if(t==='CIRCLE'){var cp=arcPts(gn(e,10,0),gn(e,20,0),gn(e,40,0),0,360);cp.pop();line(cp,true,e);}
+    else if(t==='TEXT'||t==='MTEXT'){var txt=t==='MTEXT'?mtextPlain(e.codes.filter(function(p){return p[0]===3||p[0]===1;}).map(function(p){return p[1];}).join('')):gv(e,1,'');var aligned=t==='TEXT'&&(gn(e,72,0)||gn(e,73,0));var at=aligned?[gn(e,11,0),gn(e,21,0)]:[gn(e,10,0),gn(e,20,0)];if(txt)push('Point',tp(at),e,{text:txt,height:gn(e,40,0),rotation:gn(e,50,0)+(xf?xf.rot*180/Math.PI:0)});}
+    else if(t==='INSERT'){var name=gv(e,2,''),attrs={},k2=i+1;if(gn(e,66,0)===1){for(;k2<ents.length&&ents[k2].type==='ATTRIB';k2++)attrs[gv(ents[k2],2,'')]=gv(ents[k2],1,'');if(ents[k2]&&ents[k2].type==='SEQEND')k2++;i=k2-1;}
+      var ip=[gn(e,10,0),gn(e,20,0)],lp=props(e,{});push('Point',tp(ip),e,{block:name,attributes:attrs,text:attrs.PLOT||attrs.PLOT_NO||attrs.NAME||attrs.ID||''});
+      var def=ctx.blocks[name];if(def&&depth<MAX_BLOCK_DEPTH){var rot=gn(e,50,0)*Math.PI/180;emitEntities(def.ents,out,ctx,{tp:insertTransform(def.base,ip,gn(e,41,1),gn(e,42,1),rot,tp),rot:rot+(xf?xf.rot:0),layer:lp.layer,color:lp.color,name:name},depth+1);}}
+  }
+}
 
 function projCoord(xy,crs){if(crs==='EPSG:3857')return xy;return proj4(crs,'EPSG:3857',xy);}
-function projGeom(g,crs){if(g.type==='LineString')return{type:'LineString',coordinates:g.coordinates.map(function(c){return projCoord(c,crs);})};if(g.type==='Polygon')return{type:'Polygon',coordinates:g.coordinates.map(function(r){return r.map(function(c){return projCoord(c,crs);});})};return null;}
-function buildLayer(feats){var fmt=new ol.format.GeoJSON(),src=new ol.source.Vector({features:fmt.readFeatures({type:'FeatureCollection',features:feats})});var lyr=new ol.layer.Vector({source:src,style:new ol.style.Style({stroke:new ol.style.Stroke({color:'#00e5ff',width:1.5}),fill:new ol.style.Fill({color:'rgba(0,229,255,0.03)'})}),zIndex:999});lyr.set('id','dxf-overlay');return{layer:lyr,source:src};}
+function projGeom(g,crs){if(g.type==='Point')return{type:'Point',coordinates:projCoord(g.coordinates,crs)};if(g.type==='LineString')return{type:'LineString',coordinates:g.coordinates.map(function(c){return projCoord(c,crs);})};if(g.type==='Polygon')return{type:'Polygon',coordinates:g.coordinates.map(function(r){return r.map(function(c){return projCoord(c,crs);});})};return null;}
+/* Lines keep their DXF colour (white/black ACI 7 falls back to cyan); TEXT and block attributes render as labels */
+var DXF_LINE_STYLE=new ol.style.Style({stroke:new ol.style.Stroke({color:'#00e5ff',width:1.5}),fill:new ol.style.Fill({color:'rgba(0,229,255,0.03)'})});
+function dxfStyle(f){var hex=f.get('colorHex'),t=f.get('text');if(f.getGeometry().getType()==='Point'){return new ol.style.Style({image:f.get('entity')==='INSERT'?new ol.style.Circle({radius:3,fill:new ol.style.Fill({color:hex&&hex!=='#ffffff'?hex:'#00e5ff'})}):undefined,text:t?new ol.style.Text({text:String(t),font:'12px sans-serif',rotation:-(f.get('rotation')||0)*Math.PI/180,offsetY:f.get('entity')==='INSERT'?-10:0,fill:new ol.style.Fill({color:'#fde68a'}),stroke:new ol.style.Stroke({color:'#0f172a',width:3})}):undefined});}if(!hex||hex==='#ffffff')return DXF_LINE_STYLE;return new ol.style.Style({stroke:new ol.style.Stroke({color:hex,width:1.5}),fill:new ol.style.Fill({color:'rgba(0,229,255,0.03)'})});}
+function buildLayer(feats){var fmt=new ol.format.GeoJSON(),src=new ol.source.Vector({features:fmt.readFeatures({type:'FeatureCollection',features:feats})});var lyr=new ol.layer.Vector({source:src,style:dxfStyle,zIndex:999});lyr.set('id','dxf-overlay');return{layer:lyr,source:src};}
 
 function removeDXF(){var m=window.map;if(!m)return;if(S.overlayLayer){m.removeLayer(S.overlayLayer);S.overlayLayer=null;S.overlaySource=null;}if(S.tracedLayer){m.removeLayer(S.tracedLayer);S.tracedLayer=null;S.tracedSource=null;}if(S.snapInteraction){m.removeInteraction(S.snapInteraction);S.snapInteraction=null;}if(S.drawInteraction){m.removeInteraction(S.drawInteraction);S.drawInteraction=null;}S.tracedFeatures=[];var b=document.getElementById('dxfOverlayBadge');if(b)b.classList.remove('is-visible');var t=document.getElementById('dxf-digitize-toolbar');if(t)t.style.display='none';setFn('No file selected');setStatus('','');}
 function setStatus(msg,type){['dxf-panel-status','dxf-digitize-status'].forEach(function(id){var el=document.getElementById(id);if(!el)return;el.textContent=msg;el.style.color=type==='error'?'#f87171':type==='success'?'#4ade80':'#94a3b8';});}
 function setFn(t){var el=document.getElementById('dxf-panel-filename');if(el)el.textContent=t;}
 
-function renderDXF(text,crs,name){var m=window.map;if(!m)return;removeDXF();var raw;try{raw=parseDXF(text);}catch(e){setStatus('Parse error: '+e.message,'error');return;}if(!raw.length){setStatus('No geometry found in DXF.','error');return;}var feats=[];raw.forEach(function(g){try{var p=projGeom(g,crs);if(p)feats.push({type:'Feature',geometry:p,properties:{}});}catch(e){}});if(!feats.length){setStatus('Projection failed. Check CRS.','error');return;}var res=buildLayer(feats);S.overlayLayer=res.layer;S.overlaySource=res.source;m.addLayer(res.layer);var ext=res.source.getExtent();if(ext&&isFinite(ext[0])){var w=ext[2]-ext[0],h=ext[3]-ext[1],pad=Math.max(w,h)*0.12;m.getView().fit([ext[0]-pad,ext[1]-pad,ext[2]+pad,ext[3]+pad],{duration:600,maxZoom:20});}var snap=new ol.interaction.Snap({source:res.source,pixelTolerance:16});S.snapInteraction=snap;m.addInteraction(snap);var badge=document.getElementById('dxfOverlayBadge');if(badge){document.getElementById('dxfOverlayBadgeText').textContent=(name||'DXF')+' \u2014 '+feats.length+' entities';badge.classList.add('is-visible');}var tb=document.getElementById('dxf-digitize-toolbar');if(tb)tb.style.display='block';var ip=document.getElementById('dxf-panel-inspect-btn');if(ip)ip.style.display='block';setFn(name||'drawing.dxf');setStatus('\u2713 '+feats.length+' entities on map.','success');}
+function renderDXF(text,crs,name){var m=window.map;if(!m)return;removeDXF();var raw;try{raw=parseDXF(text);}catch(e){setStatus('Parse error: '+e.message,'error');return;}if(!raw.length){setStatus('No geometry found in DXF.','error');return;}var feats=[];raw.forEach(function(g){try{var p=projGeom(g,crs);if(p)feats.push({type:'Feature',geometry:p,properties:g.properties||{}});}catch(e){}});if(!feats.length){setStatus('Projection failed. Check CRS.','error');return;}var res=buildLayer(feats);S.overlayLayer=res.layer;S.overlaySource=res.source;m.addLayer(res.layer);var ext=res.source.getExtent();if(ext&&isFinite(ext[0])){var w=ext[2]-ext[0],h=ext[3]-ext[1],pad=Math.max(w,h)*0.12;m.getView().fit([ext[0]-pad,ext[1]-pad,ext[2]+pad,ext[3]+pad],{duration:600,maxZoom:20});}var snap=new ol.interaction.Snap({source:res.source,pixelTolerance:16});S.snapInteraction=snap;m.addInteraction(snap);var badge=document.getElementById('dxfOverlayBadge');if(badge){document.getElementById('dxfOverlayBadgeText').textContent=(name||'DXF')+' \u2014 '+feats.length+' entities';badge.classList.add('is-visible');}var tb=document.getElementById('dxf-digitize-toolbar');if(tb)tb.style.display='block';var ip=document.getElementById('dxf-panel-inspect-btn');if(ip)ip.style.display='block';setFn(name||'drawing.dxf');setStatus('\u2713 '+feats.length+' entities on map.','success');}
 
 /* ---- CAD Inspector ----
    Strategy A (DXF): Read file text, parse with our DXF parser, render on a Canvas2D
@@ -128,7 +171,7 @@ function renderOnCanvas(panel,geoms,name,loading,statusEl,msgEl){
   // Compute bounding box
   var minX=Infinity,minY=Infinity,maxX=-Infinity,maxY=-Infinity;
   geoms.forEach(function(g){
-    var coords=g.type==='Polygon'?g.coordinates[0]:g.coordinates;
+    var coords=g.type==='Polygon'?g.coordinates[0]:g.type==='Point'?[g.coordinates]:g.coordinates;
     coords.forEach(function(c){
       if(c[0]<minX)minX=c[0];if(c[0]>maxX)maxX=c[0];
       if(c[1]<minY)minY=c[1];if(c[1]>maxY)maxY=c[1];
@@ -169,12 +212,20 @@ function renderOnCanvas(panel,geoms,name,loading,statusEl,msgEl){
     ctx.stroke();
     // Entities
     geoms.forEach(function(g){
+      var gp=g.properties||{},hex=gp.colorHex&&gp.colorHex!=='#ffffff'?gp.colorHex:'#00e5ff';
+      if(g.type==='Point'){
+        if(!gp.text)return;
+        // Text is drawn upright in screen space at its insertion point
+        ctx.save();ctx.translate(g.coordinates[0],g.coordinates[1]);ctx.scale(1/scale,-1/scale);ctx.rotate(-(gp.rotation||0)*Math.PI/180);
+        ctx.font=Math.max(10,Math.min(28,(gp.height||0)*scale))+'px monospace';ctx.fillStyle='#fde68a';ctx.fillText(String(gp.text).split('\n')[0],0,0);ctx.restore();
+        return;
+      }
       var coords=g.type==='Polygon'?g.coordinates[0]:g.coordinates;
       if(coords.length<2)return;
       ctx.beginPath();ctx.moveTo(coords[0][0],coords[0][1]);
       for(var i=1;i<coords.length;i++)ctx.lineTo(coords[i][0],coords[i][1]);
       if(g.type==='Polygon'){ctx.closePath();ctx.fillStyle='rgba(0,229,255,0.06)';ctx.fill();}
-      ctx.strokeStyle='#00e5ff';ctx.lineWidth=1.5/scale;ctx.stroke();
+      ctx.strokeStyle=hex;ctx.lineWidth=1.5/scale;ctx.stroke();
     });
     // Info
     ctx.setTransform(1,0,0,1,0,0);
@@ -266,6 +317,13 @@ async function saveTraced(layerName){
   try{
     var sb=window.supabase;if(!sb)throw new Error('Supabase not available');
     var sess=await sb.auth.getSession();var token=(sess.data.session||{}).access_token||window.supabaseKey||'';var key=window.supabaseKey||'';
+
+    // --- Topology checks before anything is written ---
+    if(window.GeometryValidator){
+      setStatus('Validating geometry\u2026','');
+      var report=await GeometryValidator.validate(parcels,{sb:sb,userId:sess.data.session?sess.data.session.user.id:null});
+      if(!(await GeometryValidator.confirm(report))){setStatus('Save cancelled after geometry validation.','error');return;}
+    }
     
     // --- Subdivision Geographic Auto-Detection ---
     let parentParcelId = null;
@@ -699,6 +699,41 @@
         } catch (e) { console.warn('[Cesium3D] Basemap switch:', e); }
     }
 
+    // ── LOCAL TILESETS (imported MBTiles / PMTiles) ───────────────────────────
+    async function loadLocalBasemaps() {
+        const first = document.querySelector('input[name="cesium3dBasemap"]');
+        const section = first && first.closest('.cesium3d-panel-section');
+        if (!section || !window.LocalTiles) return;
+        let tilesets = [];
+        try { tilesets = await LocalTiles.list(); } catch (e) { console.warn('[Cesium3D] Local tilesets:', e); }
+
+        Object.keys(BASEMAPS).filter(k => k.startsWith('local:')).forEach(k => delete BASEMAPS[k]);
+        section.querySelectorAll('.cesium3d-basemap-option[data-local]').forEach(el => el.remove());
+        tilesets.forEach(entry => {
+            const key = 'local:' + entry.id;
+            BASEMAPS[key] = () => LocalTiles.createCesiumProvider(entry);
+            const label = document.createElement('label');
+            label.className = 'cesium3d-basemap-option';
+            label.dataset.local = '1';
+            const radio = document.createElement('input');
+            radio.type = 'radio'; radio.name = 'cesium3dBasemap'; radio.value = key;
+            radio.checked = currentBasemapKey === key;
+            radio.addEventListener('change', () => {
+                if (dtmEnabled) setDtmMode(false);
+                switchBasemap(key);
+            });
+            label.append(radio, ' ' + entry.name + ' (local)');
+            section.appendChild(label);
+        });
+
+        if (currentBasemapKey.startsWith('local:') && !BASEMAPS[currentBasemapKey]) {
+            const fallback = section.querySelector('input[value="esri-satellite"]');
+            if (fallback) fallback.checked = true;
+            switchBasemap('esri-satellite');
+        }
+    }
+    window.addEventListener('gspnet-local-tiles', () => { if (viewer) loadLocalBasemaps(); });
+
     // ── DTM / CONTOUR SETTERS ─────────────────────────────────────────────────
     function setDtmMode(enabled) {
         dtmEnabled = enabled;
@@ -1360,6 +1395,7 @@
                 switchBasemap(r.value);
             });
         });
+        loadLocalBasemaps();
 
         // DTM + Contours
         const dtmCb = document.getElementById('cesium3dDtmToggle');
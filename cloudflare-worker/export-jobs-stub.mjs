@@ -0,0 +1,85 @@
+/**
+ * Local stand-in for the export job runner: same writers, no Supabase or R2.
+ * Reads polygon_features-shaped rows from a GeoJSON FeatureCollection (feature
+ * properties as columns) and writes the export under ./export-out/.
+ *
+ *   node export-jobs-stub.mjs parcels.geojson "Block 12" shp EPSG:32636
+ *
+ * stubExportIo() is also what export-jobs.test.mjs runs jobs against.
+ */
+
+import { readFile, mkdir, writeFile } from 'node:fs/promises';
+import { dirname, resolve } from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { validateExportJob, runExportJob } from './export-jobs.js';
+
+/**
+ * io over an in-memory FeatureCollection. Pages are pageSize rows; uploads
+ * keep their parts and are written by onComplete(key, bytes, parts) when the
+ * upload completes.
+ */
+export function stubExportIo(collection, job, { pageSize = 1000, onComplete, log = () => {} } = {}) {
+    return {
+        async *fetchPages(name) {
+            const rows = collection.features
+                .filter((f) => !f.properties || f.properties.layer_name == null || f.properties.layer_name === name)
+                .filter((f) => !(f.properties && f.properties.is_archived))
+                .map((f) => Object.assign({ layer_name: name }, f.properties, { geometry: f.geometry }));
+            for (let i = 0; i < rows.length; i += pageSize) yield rows.slice(i, i + pageSize);
+        },
+        async createUpload(key) {
+            const parts = [];
+            return {
+                async uploadPart(bytes) {
+                    parts.push(bytes.slice());
+                },
+                async complete() {
+                    const bytes = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+                    let at = 0;
+                    parts.forEach((p) => { bytes.set(p, at); at += p.length; });
+                    if (onComplete) await onComplete(key, bytes, parts);
+                },
+                async abort() {
+                    parts.length = 0;
+                }
+            };
+        },
+        async updateJob(patch) {
+            Object.assign(job, patch);
+            log('[export_jobs]', JSON.stringify(patch));
+        },
+        downloadUrl(key) {
+            return 'file://' + key;
+        }
+    };
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const [input, layerName, format = 'geojson', crs = 'EPSG:4326', outDir = 'export-out'] = process.argv.slice(2);
+    if (!input || !layerName) {
+        console.error('usage: node export-jobs-stub.mjs <features.geojson> <layer_name> [geojson|shp|dxf] [EPSG:xxxx] [outDir]');
+        process.exit(1);
+    }
+
+    const job = { id: randomUUID(), user_id: 'local', layer_name: layerName, format, crs, status: 'queued' };
+    const invalid = validateExportJob(job);
+    if (invalid) {
+        console.error(invalid);
+        process.exit(1);
+    }
+
+    const collection = JSON.parse(await readFile(input, 'utf8'));
+    const io = stubExportIo(collection, job, {
+        log: console.log,
+        async onComplete(key, bytes) {
+            const path = resolve(outDir, key);
+            await mkdir(dirname(path), { recursive: true });
+            await writeFile(path, bytes);
+        }
+    });
+    io.downloadUrl = (key) => 'file://' + resolve(outDir, key);
+
+    await runExportJob(job, io);
+    process.exit(job.status === 'done' ? 0 : 1);
+}
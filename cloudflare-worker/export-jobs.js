@@ -0,0 +1,639 @@
+/**
+ * GSP.NET — Server-side export jobs
+ * Builds whole-layer GeoJSON / Shapefile / DXF exports of polygon_features
+ * and streams them into R2. POST /export-jobs (or a due export_schedules
+ * row, picked up by the cron trigger) creates an export_jobs row and puts
+ * its id on the export queue; the queue consumer runs the job and the
+ * Extractor panel polls the row for the download link.
+ *
+ * runExportJob() takes an `io` object (fetchPages, createUpload, updateJob,
+ * downloadUrl) so the same writers run in the worker (workerExportIo) and
+ * locally against a GeoJSON file (export-jobs-stub.mjs).
+ *
+ * Nothing holds the whole layer: features are read a page at a time and the
+ * output goes out in PART_SIZE multipart parts. Shapefiles need the record
+ * sizes and extent before the first byte, so their layer is read three
+ * times (sizes, .shp, .dbf); a layer edited in between fails the job
+ * rather than producing a mismatched .shp/.dbf pair.
+ */
+
+export const EXPORT_JOB_FORMATS = {
+    geojson: { ext: 'geojson', mime: 'application/geo+json' },
+    shp: { ext: 'zip', mime: 'application/zip' },
+    dxf: { ext: 'dxf', mime: 'application/dxf' }
+};
+
+// How often a schedule repeats
+export const EXPORT_SCHEDULE_INTERVALS = {
+    daily: 24 * 60 * 60 * 1000,
+    weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+// A running job that hasn't written a heartbeat for this long was killed
+export const EXPORT_JOB_STALE_MS = 10 * 60 * 1000;
+
+// R2 multipart: every part but the last must be the same size, at least 5 MiB
+export const PART_SIZE = 8 * 1024 * 1024;
+
+const PAGE_SIZE = 1000;
+const HEARTBEAT_MS = 30 * 1000;
+const FEATURE_COLUMNS = 'unique_id,client,district,layer_name,area_hectares,geometry';
+
+// WGS 84 grids only: Arc 1960 needs the datum set chosen in the browser.
+const WGS84_GEOGCS = 'GEOGCS["WGS 84",DATUM["WGS_1984",SPHEROID["WGS 84",6378137,298.257223563]],PRIMEM["Greenwich",0],UNIT["degree",0.0174532925199433]]';
+const utmPrj = (zone, south) => 'PROJCS["WGS 84 / UTM zone ' + zone + (south ? 'S' : 'N') + '",' + WGS84_GEOGCS +
+    ',PROJECTION["Transverse_Mercator"],PARAMETER["latitude_of_origin",0],PARAMETER["central_meridian",' + (zone * 6 - 183) +
+    '],PARAMETER["scale_factor",0.9996],PARAMETER["false_easting",500000],PARAMETER["false_northing",' + (south ? 10000000 : 0) +
+    '],UNIT["metre",1],AXIS["Easting",EAST],AXIS["Northing",NORTH]]';
+
+const JOB_CRS = {
+    'EPSG:4326': { prj: 'GEOGCS["WGS 84",DATUM["WGS_1984",SPHEROID["WGS 84",6378137,298.257223563]],PRIMEM["Greenwich",0],UNIT["degree",0.0174532925199433],AUTHORITY["EPSG","4326"]]', project: (c) => c },
+    'EPSG:3857': { metric: true, prj: 'PROJCS["WGS 84 / Pseudo-Mercator",' + WGS84_GEOGCS + ',PROJECTION["Mercator_1SP"],PARAMETER["central_meridian",0],PARAMETER["scale_factor",1],PARAMETER["false_easting",0],PARAMETER["false_northing",0],UNIT["metre",1],AXIS["X",EAST],AXIS["Y",NORTH]]', project: webMercator },
+    'EPSG:32635': { metric: true, prj: utmPrj(35, false), project: (c) => utm(c, 35, false) },
+    'EPSG:32636': { metric: true, prj: utmPrj(36, false), project: (c) => utm(c, 36, false) },
+    'EPSG:32735': { metric: true, prj: utmPrj(35, true), project: (c) => utm(c, 35, true) },
+    'EPSG:32736': { metric: true, prj: utmPrj(36, true), project: (c) => utm(c, 36, true) }
+};
+
+/**
+ * @param {Object} body - { layer_name, format, crs, repeat }
+ * @returns {string|null} error message, or null when the job can run
+ */
+export function validateExportJob(body) {
+    if (!body || typeof body.layer_name !== 'string' || !body.layer_name.trim()) return 'layer_name required';
+    if (!EXPORT_JOB_FORMATS[body.format]) return 'format must be one of ' + Object.keys(EXPORT_JOB_FORMATS).join(', ');
+    const crs = JOB_CRS[body.crs || 'EPSG:4326'];
+    if (!crs) return 'Server exports support ' + Object.keys(JOB_CRS).join(', ') + '; export Arc 1960 grids from the map.';
+    if (body.format === 'dxf' && !crs.metric) return 'DXF exports need a projected (metre) CRS';
+    if (body.repeat && !EXPORT_SCHEDULE_INTERVALS[body.repeat]) return 'repeat must be one of ' + Object.keys(EXPORT_SCHEDULE_INTERVALS).join(', ');
+    return null;
+}
+
+/**
+ * Runs one job to completion, recording progress on the job row.
+ * Never throws: failures are written to the row as status 'failed' and the
+ * partial upload is aborted.
+ * @param {Object} [options] - { partSize } (tests use small parts)
+ */
+export async function runExportJob(job, io, options = {}) {
+    let upload = null;
+    try {
+        const started = new Date().toISOString();
+        await io.updateJob({ status: 'running', started_at: started, heartbeat_at: started, error: null });
+        const crsCode = job.crs || 'EPSG:4326';
+        const crs = JOB_CRS[crsCode];
+        const base = safeFileName(job.layer_name) + '_' + crsCode.replace(':', '');
+        const format = EXPORT_JOB_FORMATS[job.format];
+
+        // Each call starts a fresh read of the layer; heartbeats ride on the page loop
+        let lastBeat = Date.now();
+        const features = async function* () {
+            for await (const rows of io.fetchPages(job.layer_name)) {
+                if (Date.now() - lastBeat > HEARTBEAT_MS) {
+                    lastBeat = Date.now();
+                    await io.updateJob({ heartbeat_at: new Date().toISOString() });
+                }
+                for (const row of rows) {
+                    const f = rowToFeature(row);
+                    if (!f) continue;
+                    f.rings = f.polygons.map((poly) => poly.map((ring) => ring.map(crs.project)));
+                    yield f;
+                }
+            }
+        };
+
+        const key = 'exports/' + job.user_id + '/' + job.id + '/' + base + '.' + format.ext;
+        upload = await io.createUpload(key, format.mime);
+        const out = partWriter(upload, options.partSize || PART_SIZE);
+        let count;
+        if (job.format === 'geojson') count = await writeGeoJson(features, out, crsCode);
+        else if (job.format === 'shp') count = await writeShapefileZip(features, out, crs.prj, base);
+        else count = await writeDxf(features, out, job.layer_name);
+        if (!count) throw new Error('Layer "' + job.layer_name + '" has no live polygons');
+        await out.close();
+        upload = null;
+
+        await io.updateJob({
+            status: 'done',
+            feature_count: count,
+            r2_key: key,
+            download_url: io.downloadUrl(key),
+            finished_at: new Date().toISOString()
+        });
+    } catch (err) {
+        console.error('[Export Job]', job.id, err);
+        if (upload) await upload.abort().catch(() => {});
+        await io.updateJob({ status: 'failed', error: err.message || String(err), finished_at: new Date().toISOString() }).catch(() => {});
+    }
+}
+
+/**
+ * io for the deployed worker: reads polygon_features through PostgREST with
+ * the service role key, writes to the CASE_FILES bucket with a multipart
+ * upload and links through the worker's /download/ route.
+ */
+export function workerExportIo(env, job, origin) {
+    const rest = env.SUPABASE_URL + '/rest/v1/';
+    const headers = {
+        apikey: env.SUPABASE_SERVICE_ROLE_KEY,
+        Authorization: 'Bearer ' + env.SUPABASE_SERVICE_ROLE_KEY,
+        'Content-Type': 'application/json'
+    };
+    return {
+        async *fetchPages(layerName) {
+            for (let offset = 0; ; offset += PAGE_SIZE) {
+                const res = await fetch(rest + 'polygon_features?select=' + FEATURE_COLUMNS +
+                    '&layer_name=eq.' + encodeURIComponent(layerName) +
+                    '&is_archived=not.is.true&order=unique_id&limit=' + PAGE_SIZE + '&offset=' + offset, { headers });
+                if (!res.ok) throw new Error('polygon_features query failed: ' + res.status + ' ' + await res.text());
+                const page = await res.json();
+                yield page;
+                if (page.length < PAGE_SIZE) return;
+            }
+        },
+        async createUpload(key, contentType) {
+            const upload = await env.CASE_FILES.createMultipartUpload(key, { httpMetadata: { contentType } });
+            const parts = [];
+            return {
+                async uploadPart(bytes) {
+                    parts.push(await upload.uploadPart(parts.length + 1, bytes));
+                },
+                complete: () => upload.complete(parts),
+                abort: () => upload.abort()
+            };
+        },
+        async updateJob(patch) {
+            const res = await fetch(rest + 'export_jobs?id=eq.' + job.id, { method: 'PATCH', headers, body: JSON.stringify(patch) });
+            if (!res.ok) throw new Error('export_jobs update failed: ' + res.status);
+        },
+        downloadUrl(key) {
+            return origin + '/download/' + encodeURIComponent(key);
+        }
+    };
+}
+
+/**
+ * Buffers writes into fixed-size parts for upload.uploadPart(); close()
+ * sends the short last part and completes the upload.
+ */
+function partWriter(upload, partSize) {
+    const enc = new TextEncoder();
+    let buf = new Uint8Array(partSize);
+    let used = 0;
+    return {
+        async write(chunk) {
+            const bytes = typeof chunk === 'string' ? enc.encode(chunk) : chunk;
+            let pos = 0;
+            while (pos < bytes.length) {
+                const n = Math.min(partSize - used, bytes.length - pos);
+                buf.set(bytes.subarray(pos, pos + n), used);
+                used += n;
+                pos += n;
+                if (used === partSize) {
+                    await upload.uploadPart(buf);
+                    buf = new Uint8Array(partSize);
+                    used = 0;
+                }
+            }
+        },
+        async close() {
+            if (used) await upload.uploadPart(buf.slice(0, used));
+            await upload.complete();
+        }
+    };
+}
+
+function layerChanged() {
+    return new Error('The layer changed while it was being exported; run the export again.');
+}
+
+// ─── GEOMETRY ────────────────────────────────────────────────────────────────
+
+// polygon_features row → { props, polygons: [[ring[[lon, lat]]]] }
+function rowToFeature(row) {
+    const geom = parseGeometry(row.geometry);
+    if (!geom) return null;
+    const polygons = geom.type === 'Polygon' ? [geom.coordinates] : geom.type === 'MultiPolygon' ? geom.coordinates : [];
+    if (!polygons.length) return null;
+    return {
+        props: {
+            unique_id: row.unique_id ?? null,
+            layer_name: row.layer_name ?? null,
+            client: row.client ?? null,
+            district: row.district ?? null,
+            area_ha: row.area_hectares == null ? null : Number(row.area_hectares)
+        },
+        polygons
+    };
+}
+
+// PostgREST returns geometry columns as GeoJSON on PostGIS 3, EWKB hex before
+function parseGeometry(value) {
+    if (!value) return null;
+    if (typeof value === 'object') return value;
+    if (/^[0-9a-f]+$/i.test(value)) return readWkb(value);
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return null;
+    }
+}
+
+function readWkb(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    const view = new DataView(bytes.buffer);
+    let pos = 0;
+    const read = () => {
+        const le = view.getUint8(pos) === 1;
+        pos += 1;
+        const raw = view.getUint32(pos, le);
+        pos += 4;
+        const iso = Math.floor((raw & 0x0fffffff) / 1000); // ISO WKB: 1 Z, 2 M, 3 ZM
+        const hasZ = (raw & 0x80000000) !== 0 || iso === 1 || iso === 3;
+        const hasM = (raw & 0x40000000) !== 0 || iso === 2 || iso === 3;
+        if (raw & 0x20000000) pos += 4; // EWKB SRID
+        const type = (raw & 0x0fffffff) % 1000;
+        const dims = 2 + (hasZ ? 1 : 0) + (hasM ? 1 : 0);
+        const u32 = () => { const v = view.getUint32(pos, le); pos += 4; return v; };
+        const point = () => {
+            const c = [view.getFloat64(pos, le), view.getFloat64(pos + 8, le)];
+            pos += dims * 8;
+            return c;
+        };
+        const points = () => Array.from({ length: u32() }, point);
+        const rings = () => Array.from({ length: u32() }, points);
+        if (type === 1) return { type: 'Point', coordinates: point() };
+        if (type === 2) return { type: 'LineString', coordinates: points() };
+        if (type === 3) return { type: 'Polygon', coordinates: rings() };
+        if (type === 6) return { type: 'MultiPolygon', coordinates: Array.from({ length: u32() }, () => read().coordinates) };
+        if (type === 4 || type === 5) return { type: type === 4 ? 'MultiPoint' : 'MultiLineString', coordinates: Array.from({ length: u32() }, () => read().coordinates) };
+        throw new Error('Unsupported WKB geometry type ' + type);
+    };
+    return read();
+}
+
+function webMercator(c) {
+    const lat = Math.max(-85.06, Math.min(85.06, c[1]));
+    return [c[0] * 20037508.342789244 / 180, Math.log(Math.tan((90 + lat) * Math.PI / 360)) * 6378137];
+}
+
+// WGS 84 Transverse Mercator forward (Snyder 8-9), mm-level inside the zone
+function utm(c, zone, south) {
+    const a = 6378137;
+    const f = 1 / 298.257223563;
+    const k0 = 0.9996;
+    const e2 = f * (2 - f);
+    const ep2 = e2 / (1 - e2);
+    const phi = c[1] * Math.PI / 180;
+    const dLam = (c[0] - (zone * 6 - 183)) * Math.PI / 180;
+    const sin = Math.sin(phi);
+    const cos = Math.cos(phi);
+    const N = a / Math.sqrt(1 - e2 * sin * sin);
+    const T = Math.tan(phi) ** 2;
+    const C = ep2 * cos * cos;
+    const A = cos * dLam;
+    const M = a * ((1 - e2 / 4 - 3 * e2 ** 2 / 64 - 5 * e2 ** 3 / 256) * phi -
+        (3 * e2 / 8 + 3 * e2 ** 2 / 32 + 45 * e2 ** 3 / 1024) * Math.sin(2 * phi) +
+        (15 * e2 ** 2 / 256 + 45 * e2 ** 3 / 1024) * Math.sin(4 * phi) -
+        (35 * e2 ** 3 / 3072) * Math.sin(6 * phi));
+    const x = k0 * N * (A + (1 - T + C) * A ** 3 / 6 + (5 - 18 * T + T * T + 72 * C - 58 * ep2) * A ** 5 / 120) + 500000;
+    const y = k0 * (M + N * Math.tan(phi) * (A * A / 2 + (5 - T + 9 * C + 4 * C * C) * A ** 4 / 24 +
+        (61 - 58 * T + T * T + 600 * C - 330 * ep2) * A ** 6 / 720));
+    return [x, south ? y + 10000000 : y];
+}
+
+function signedArea(ring) {
+    let s = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) s += (ring[i][0] - ring[j][0]) * (ring[i][1] + ring[j][1]);
+    return s / 2; // > 0 clockwise
+}
+
+function safeFileName(name) {
+    return String(name).trim().replace(/[^A-Za-z0-9_-]+/g, '_').replace(/^_+|_+$/g, '') || 'layer';
+}
+
+// ─── GEOJSON ─────────────────────────────────────────────────────────────────
+
+async function writeGeoJson(features, out, crs) {
+    // RFC 7946 is WGS 84 only; GIS readers still honour the legacy member for grids
+    const crsMember = crs !== 'EPSG:4326'
+        ? '"crs":' + JSON.stringify({ type: 'name', properties: { name: 'urn:ogc:def:crs:' + crs.replace(':', '::') } }) + ','
+        : '';
+    await out.write('{"type":"FeatureCollection",' + crsMember + '"features":[');
+    let count = 0;
+    for await (const f of features()) {
+        await out.write((count ? ',' : '') + JSON.stringify({
+            type: 'Feature',
+            properties: f.props,
+            geometry: f.rings.length === 1
+                ? { type: 'Polygon', coordinates: f.rings[0] }
+                : { type: 'MultiPolygon', coordinates: f.rings }
+        }));
+        count++;
+    }
+    await out.write(']}');
+    return count;
+}
+
+// ─── SHAPEFILE ───────────────────────────────────────────────────────────────
+
+const DBF_FIELDS = [
+    { name: 'UNIQUE_ID', key: 'unique_id', type: 'C', size: 50 },
+    { name: 'LAYER', key: 'layer_name', type: 'C', size: 80 },
+    { name: 'CLIENT', key: 'client', type: 'C', size: 80 },
+    { name: 'DISTRICT', key: 'district', type: 'C', size: 50 },
+    { name: 'AREA_HA', key: 'area_ha', type: 'N', size: 16, decimals: 4 }
+];
+const DBF_HEADER_LEN = 32 + 32 * DBF_FIELDS.length + 1;
+const DBF_RECORD_LEN = 1 + DBF_FIELDS.reduce((n, f) => n + f.size, 0);
+
+// Shapefile rings: outer clockwise, holes counter-clockwise
+function shapeOf(f) {
+    const parts = [];
+    f.rings.forEach((poly) => poly.forEach((ring, i) => {
+        const cw = signedArea(ring) > 0;
+        parts.push((i === 0) === cw ? ring : ring.slice().reverse());
+    }));
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    parts.forEach((part) => part.forEach((c) => {
+        if (c[0] < bbox[0]) bbox[0] = c[0];
+        if (c[1] < bbox[1]) bbox[1] = c[1];
+        if (c[0] > bbox[2]) bbox[2] = c[0];
+        if (c[1] > bbox[3]) bbox[3] = c[1];
+    }));
+    const points = parts.reduce((n, p) => n + p.length, 0);
+    return { parts, bbox, points, contentBytes: 44 + 4 * parts.length + 16 * points };
+}
+
+function shapeFileHeader(byteLength, bbox) {
+    const v = new DataView(new ArrayBuffer(100));
+    v.setInt32(0, 9994);
+    v.setInt32(24, byteLength / 2);
+    v.setInt32(28, 1000, true);
+    v.setInt32(32, 5, true); // Polygon
+    bbox.forEach((n, k) => v.setFloat64(36 + k * 8, n, true));
+    return new Uint8Array(v.buffer);
+}
+
+function shapeRecord(s, index) {
+    const v = new DataView(new ArrayBuffer(8 + s.contentBytes));
+    v.setInt32(0, index + 1);
+    v.setInt32(4, s.contentBytes / 2);
+    v.setInt32(8, 5, true);
+    s.bbox.forEach((n, k) => v.setFloat64(12 + k * 8, n, true));
+    v.setInt32(44, s.parts.length, true);
+    v.setInt32(48, s.points, true);
+    let p = 52;
+    let start = 0;
+    s.parts.forEach((part) => { v.setInt32(p, start, true); p += 4; start += part.length; });
+    s.parts.forEach((part) => part.forEach((c) => {
+        v.setFloat64(p, c[0], true);
+        v.setFloat64(p + 8, c[1], true);
+        p += 16;
+    }));
+    return new Uint8Array(v.buffer);
+}
+
+async function writeShapefileZip(features, out, prj, base) {
+    // Pass 1: record sizes and the layer extent for the .shp/.shx headers
+    const sizes = [];
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    for await (const f of features()) {
+        const s = shapeOf(f);
+        sizes.push(s.contentBytes);
+        bbox[0] = Math.min(bbox[0], s.bbox[0]);
+        bbox[1] = Math.min(bbox[1], s.bbox[1]);
+        bbox[2] = Math.max(bbox[2], s.bbox[2]);
+        bbox[3] = Math.max(bbox[3], s.bbox[3]);
+    }
+    const count = sizes.length;
+    if (!count) return 0;
+
+    const zip = zipWriter(out);
+    const enc = new TextEncoder();
+
+    // Pass 2: .shp
+    await zip.begin(base + '.shp');
+    await zip.write(shapeFileHeader(100 + sizes.reduce((n, b) => n + 8 + b, 0), bbox));
+    let i = 0;
+    for await (const f of features()) {
+        const s = shapeOf(f);
+        if (i >= count || s.contentBytes !== sizes[i]) throw layerChanged();
+        await zip.write(shapeRecord(s, i++));
+    }
+    if (i !== count) throw layerChanged();
+    await zip.end();
+
+    // .shx straight from the recorded sizes
+    await zip.begin(base + '.shx');
+    await zip.write(shapeFileHeader(100 + 8 * count, bbox));
+    let offset = 100;
+    for (let from = 0; from < count; from += 8192) {
+        const n = Math.min(8192, count - from);
+        const v = new DataView(new ArrayBuffer(8 * n));
+        for (let k = 0; k < n; k++) {
+            v.setInt32(k * 8, offset / 2);
+            v.setInt32(k * 8 + 4, sizes[from + k] / 2);
+            offset += 8 + sizes[from + k];
+        }
+        await zip.write(new Uint8Array(v.buffer));
+    }
+    await zip.end();
+
+    // Pass 3: .dbf
+    await zip.begin(base + '.dbf');
+    await zip.write(dbfHeader(count));
+    i = 0;
+    for await (const f of features()) {
+        if (i++ >= count) throw layerChanged();
+        await zip.write(dbfRecord(f, enc));
+    }
+    if (i !== count) throw layerChanged();
+    await zip.write(new Uint8Array([0x1a]));
+    await zip.end();
+
+    await zip.file(base + '.prj', enc.encode(prj));
+    await zip.file(base + '.cpg', enc.encode('UTF-8'));
+    await zip.finish();
+    return count;
+}
+
+function dbfHeader(count) {
+    const enc = new TextEncoder();
+    const out = new Uint8Array(DBF_HEADER_LEN);
+    const view = new DataView(out.buffer);
+    const now = new Date();
+    out[0] = 0x03;
+    out[1] = now.getUTCFullYear() - 1900;
+    out[2] = now.getUTCMonth() + 1;
+    out[3] = now.getUTCDate();
+    view.setUint32(4, count, true);
+    view.setUint16(8, DBF_HEADER_LEN, true);
+    view.setUint16(10, DBF_RECORD_LEN, true);
+    DBF_FIELDS.forEach((f, i) => {
+        const at = 32 + i * 32;
+        out.set(enc.encode(f.name), at);
+        out[at + 11] = f.type.charCodeAt(0);
+        out[at + 16] = f.size;
+        out[at + 17] = f.decimals || 0;
+    });
+    out[DBF_HEADER_LEN - 1] = 0x0d;
+    return out;
+}
+
+function dbfRecord(feature, enc) {
+    const out = new Uint8Array(DBF_RECORD_LEN).fill(0x20);
+    let at = 1;
+    DBF_FIELDS.forEach((f) => {
+        const v = feature.props[f.key];
+        let text = v == null || (f.type === 'N' && !isFinite(v)) ? '' : f.type === 'N' ? Number(v).toFixed(f.decimals) : String(v);
+        let bytes = enc.encode(text);
+        while (bytes.length > f.size) bytes = enc.encode(text = text.slice(0, -1));
+        out.set(bytes, f.type === 'N' ? at + f.size - bytes.length : at); // numbers right-aligned
+        at += f.size;
+    });
+    return out;
+}
+
+// ─── DXF (R12) ───────────────────────────────────────────────────────────────
+
+const dxfLayerName = (v) => String(v || 'PARCELS').toUpperCase().replace(/[^A-Z0-9_-]+/g, '_').slice(0, 31) || 'PARCELS';
+
+async function writeDxf(features, out, layerName) {
+    // Every feature of a job comes from the one layer
+    const layer = dxfLayerName(layerName);
+    const layers = [layer, 'LABELS'];
+    let lines = [];
+    const g = (code, value) => lines.push(String(code), String(value));
+    const xyz = (x, y) => { g(10, x.toFixed(4)); g(20, y.toFixed(4)); g(30, 0); };
+    const flush = async () => {
+        await out.write(lines.join('\r\n') + '\r\n');
+        lines = [];
+    };
+
+    g(0, 'SECTION'); g(2, 'HEADER'); g(9, '$ACADVER'); g(1, 'AC1009'); g(0, 'ENDSEC');
+    g(0, 'SECTION'); g(2, 'TABLES'); g(0, 'TABLE'); g(2, 'LAYER'); g(70, layers.length);
+    layers.forEach((name, i) => { g(0, 'LAYER'); g(2, name); g(70, 0); g(62, name === 'LABELS' ? 7 : (i % 6) + 1); g(6, 'CONTINUOUS'); });
+    g(0, 'ENDTAB'); g(0, 'ENDSEC');
+    g(0, 'SECTION'); g(2, 'ENTITIES');
+    await flush();
+
+    let count = 0;
+    for await (const f of features()) {
+        f.rings.forEach((poly) => poly.forEach((ring) => {
+            const pts = ring.length > 1 && ring[0][0] === ring[ring.length - 1][0] && ring[0][1] === ring[ring.length - 1][1] ? ring.slice(0, -1) : ring;
+            g(0, 'POLYLINE'); g(8, layer); g(66, 1); g(70, 1); xyz(0, 0);
+            pts.forEach((c) => { g(0, 'VERTEX'); g(8, layer); xyz(c[0], c[1]); });
+            g(0, 'SEQEND'); g(8, layer);
+        }));
+        if (f.props.unique_id != null) {
+            const outer = f.rings[0][0];
+            const xs = outer.map((c) => c[0]);
+            const ys = outer.map((c) => c[1]);
+            g(0, 'TEXT'); g(8, 'LABELS');
+            xyz((Math.min(...xs) + Math.max(...xs)) / 2, (Math.min(...ys) + Math.max(...ys)) / 2);
+            g(40, 1.5); g(1, String(f.props.unique_id)); g(72, 1); g(73, 2);
+            g(11, ((Math.min(...xs) + Math.max(...xs)) / 2).toFixed(4)); g(21, ((Math.min(...ys) + Math.max(...ys)) / 2).toFixed(4)); g(31, 0);
+        }
+        count++;
+        await flush();
+    }
+    g(0, 'ENDSEC'); g(0, 'EOF');
+    await flush();
+    return count;
+}
+
+// ─── ZIP (stored, streamed) ──────────────────────────────────────────────────
+
+const CRC_TABLE = (() => {
+    const t = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        t[n] = c >>> 0;
+    }
+    return t;
+})();
+
+// Running CRC-32: start from 0xffffffff, finish with ^ 0xffffffff
+function crc32Update(c, bytes) {
+    for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+    return c;
+}
+
+/**
+ * Writes a stored (no deflate) zip member by member. Sizes and CRCs aren't
+ * known until a member ends, so they follow its data in a data descriptor
+ * (general purpose flag bit 3). Members and the archive stay under 4 GB.
+ */
+function zipWriter(out) {
+    const enc = new TextEncoder();
+    const entries = [];
+    let offset = 0;
+    let current = null;
+    const emit = async (bytes) => {
+        await out.write(bytes);
+        offset += bytes.length;
+    };
+    const api = {
+        async begin(name) {
+            current = { name: enc.encode(name), offset, crc: 0xffffffff, size: 0 };
+            const h = new Uint8Array(30 + current.name.length);
+            const v = new DataView(h.buffer);
+            v.setUint32(0, 0x04034b50, true);
+            v.setUint16(4, 20, true);
+            v.setUint16(6, 0x0008, true);
+            v.setUint16(26, current.name.length, true);
+            h.set(current.name, 30);
+            await emit(h);
+        },
+        async write(bytes) {
+            current.crc = crc32Update(current.crc, bytes);
+            current.size += bytes.length;
+            await emit(bytes);
+        },
+        async end() {
+            current.crc = (current.crc ^ 0xffffffff) >>> 0;
+            const d = new DataView(new ArrayBuffer(16));
+            d.setUint32(0, 0x08074b50, true);
+            d.setUint32(4, current.crc, true);
+            d.setUint32(8, current.size, true);
+            d.setUint32(12, current.size, true);
+            await emit(new Uint8Array(d.buffer));
+            entries.push(current);
+            current = null;
+        },
+        async file(name, bytes) {
+            await api.begin(name);
+            await api.write(bytes);
+            await api.end();
+        },
+        async finish() {
+            const centralStart = offset;
+            for (const e of entries) {
+                const c = new Uint8Array(46 + e.name.length);
+                const v = new DataView(c.buffer);
+                v.setUint32(0, 0x02014b50, true);
+                v.setUint16(4, 20, true);
+                v.setUint16(6, 20, true);
+                v.setUint16(8, 0x0008, true);
+                v.setUint32(16, e.crc, true);
+                v.setUint32(20, e.size, true);
+                v.setUint32(24, e.size, true);
+                v.setUint16(28, e.name.length, true);
+                v.setUint32(42, e.offset, true);
+                c.set(e.name, 46);
+                await emit(c);
+            }
+            const end = new DataView(new ArrayBuffer(22));
+            end.setUint32(0, 0x06054b50, true);
+            end.setUint16(8, entries.length, true);
+            end.setUint16(10, entries.length, true);
+            end.setUint32(12, offset - centralStart, true);
+            end.setUint32(16, centralStart, true);
+            await emit(new Uint8Array(end.buffer));
+        }
+    };
+    return api;
+}
@@ -0,0 +1,147 @@
+/**
+ * Export job writers against the stub io (no Supabase or R2).
+ *
+ *   node --test export-jobs.test.mjs
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { runExportJob, validateExportJob } from './export-jobs.js';
+import { stubExportIo } from './export-jobs-stub.mjs';
+
+function parcels(n, layerName = 'Block 12') {
+    const features = [];
+    for (let i = 0; i < n; i++) {
+        const x = 32.5 + (i % 100) * 0.001;
+        const y = 0.3 + Math.floor(i / 100) * 0.001;
+        features.push({
+            type: 'Feature',
+            properties: { unique_id: 'P' + String(i).padStart(5, '0'), layer_name: layerName, client: 'Client ' + i, area_hectares: 0.8 },
+            geometry: { type: 'Polygon', coordinates: [[[x, y], [x + 0.0008, y], [x + 0.0008, y + 0.0008], [x, y + 0.0008], [x, y]]] }
+        });
+    }
+    return { type: 'FeatureCollection', features };
+}
+
+async function run(collection, fields, { partSize, pageSize, io: override } = {}) {
+    const job = { id: 'job-1', user_id: 'u1', layer_name: 'Block 12', crs: 'EPSG:4326', status: 'queued', ...fields };
+    const result = { job, patches: [] };
+    const io = stubExportIo(collection, job, {
+        pageSize,
+        onComplete(key, bytes, parts) {
+            Object.assign(result, { key, bytes, parts });
+        }
+    });
+    const updateJob = io.updateJob;
+    io.updateJob = async (patch) => {
+        result.patches.push(patch);
+        await updateJob(patch);
+    };
+    if (override) override(io, result);
+    await runExportJob(job, io, { partSize });
+    return result;
+}
+
+// Stored zip → { name: bytes }, read through the central directory
+function unzip(bytes) {
+    const v = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const end = bytes.length - 22;
+    assert.equal(v.getUint32(end, true), 0x06054b50);
+    const files = {};
+    let p = v.getUint32(end + 16, true);
+    for (let i = 0; i < v.getUint16(end + 10, true); i++) {
+        assert.equal(v.getUint32(p, true), 0x02014b50);
+        const size = v.getUint32(p + 24, true);
+        const nameLen = v.getUint16(p + 28, true);
+        const local = v.getUint32(p + 42, true);
+        const name = new TextDecoder().decode(bytes.subarray(p + 46, p + 46 + nameLen));
+        const data = local + 30 + v.getUint16(local + 26, true);
+        files[name] = bytes.subarray(data, data + size);
+        p += 46 + nameLen;
+    }
+    return files;
+}
+
+test('validateExportJob rejects unknown repeats and geographic DXF', () => {
+    assert.equal(validateExportJob({ layer_name: 'A', format: 'shp', crs: 'EPSG:32636', repeat: 'weekly' }), null);
+    assert.match(validateExportJob({ layer_name: 'A', format: 'shp', repeat: 'hourly' }), /repeat/);
+    assert.match(validateExportJob({ layer_name: 'A', format: 'dxf', crs: 'EPSG:4326' }), /projected/);
+});
+
+test('GeoJSON is streamed in equal multipart parts', async () => {
+    const partSize = 64 * 1024;
+    const r = await run(parcels(1500), { format: 'geojson' }, { partSize, pageSize: 200 });
+    assert.equal(r.job.status, 'done', r.job.error);
+    assert.equal(r.job.feature_count, 1500);
+    assert.ok(r.parts.length > 2);
+    r.parts.slice(0, -1).forEach((p) => assert.equal(p.length, partSize));
+    const out = JSON.parse(new TextDecoder().decode(r.bytes));
+    assert.equal(out.features.length, 1500);
+    assert.equal(out.features[1499].properties.unique_id, 'P01499');
+    assert.equal(out.crs, undefined);
+});
+
+test('Shapefile zip members agree with each other', async () => {
+    const r = await run(parcels(250), { format: 'shp', crs: 'EPSG:32636' }, { partSize: 4096, pageSize: 100 });
+    assert.equal(r.job.status, 'done', r.job.error);
+    const files = unzip(r.bytes);
+    const names = Object.keys(files).map((n) => n.split('.').pop()).sort();
+    assert.deepEqual(names, ['cpg', 'dbf', 'prj', 'shp', 'shx']);
+    const shp = files['Block_12_EPSG32636.shp'];
+    const shx = files['Block_12_EPSG32636.shx'];
+    const dbf = files['Block_12_EPSG32636.dbf'];
+    const sv = new DataView(shp.buffer, shp.byteOffset, shp.byteLength);
+    const xv = new DataView(shx.buffer, shx.byteOffset, shx.byteLength);
+    assert.equal(sv.getInt32(24) * 2, shp.length);
+    assert.equal(xv.getInt32(24) * 2, shx.length);
+    assert.equal(shx.length, 100 + 8 * 250);
+    // Last .shx entry points at the last .shp record
+    const lastOffset = xv.getInt32(100 + 249 * 8) * 2;
+    const lastLength = xv.getInt32(104 + 249 * 8) * 2;
+    assert.equal(sv.getInt32(lastOffset), 250);
+    assert.equal(lastOffset + 8 + lastLength, shp.length);
+    const dv = new DataView(dbf.buffer, dbf.byteOffset, dbf.byteLength);
+    assert.equal(dv.getUint32(4, true), 250);
+    assert.equal(dbf.length, dv.getUint16(8, true) + 250 * dv.getUint16(10, true) + 1);
+});
+
+test('a layer edited between Shapefile passes fails the job and aborts the upload', async () => {
+    let aborted = false;
+    const collection = parcels(20);
+    const r = await run(collection, { format: 'shp', crs: 'EPSG:32636' }, {
+        io(io) {
+            const fetchPages = io.fetchPages;
+            let reads = 0;
+            io.fetchPages = (name) => {
+                if (++reads === 2) collection.features.pop();
+                return fetchPages(name);
+            };
+            const createUpload = io.createUpload;
+            io.createUpload = async (key) => {
+                const upload = await createUpload(key);
+                return { ...upload, abort: async () => { aborted = true; } };
+            };
+        }
+    });
+    assert.equal(r.job.status, 'failed');
+    assert.match(r.job.error, /changed while it was being exported/);
+    assert.ok(aborted);
+    assert.equal(r.bytes, undefined);
+});
+
+test('an empty layer fails instead of uploading an empty file', async () => {
+    const r = await run(parcels(3, 'Other'), { format: 'dxf', crs: 'EPSG:32636' });
+    assert.equal(r.job.status, 'failed');
+    assert.match(r.job.error, /no live polygons/);
+    assert.equal(r.bytes, undefined);
+});
+
+test('DXF puts every polygon on the job layer', async () => {
+    const r = await run(parcels(5), { format: 'dxf', crs: 'EPSG:32636' });
+    assert.equal(r.job.status, 'done', r.job.error);
+    const text = new TextDecoder().decode(r.bytes);
+    assert.equal(text.match(/\r\nPOLYLINE\r\n8\r\nBLOCK_12\r\n/g).length, 5);
+    assert.ok(text.endsWith('EOF\r\n'));
+    assert.equal(r.patches[0].status, 'running');
+    assert.ok(r.patches[0].heartbeat_at);
+});
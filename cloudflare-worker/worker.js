@@ -5,10 +5,18 @@
  *   GET  /download/:key → Pre-signs R2 GET URL for a file
  *   GET  /ws/:caseId    → Upgrades to WebSocket (Durable Object room)
  *   POST /ai            → Proxies prompt to Workers AI (llama-3-8b-instruct)
+ *   POST /export-jobs   → Queues a whole-layer GeoJSON/Shapefile/DXF export into R2
+ *   queue export-jobs   → Runs queued exports (one job per message)
+ *   cron (15 min)       → Fails stalled exports and queues due export schedules
  *
  * Deploy with: npx wrangler deploy  (from /cloudflare-worker directory)
  */
 
+import {
+    validateExportJob, runExportJob, workerExportIo,
+    EXPORT_SCHEDULE_INTERVALS, EXPORT_JOB_STALE_MS
+} from './export-jobs.js';
+
 const ALLOWED_ORIGINS = [
     'https://kiggundu-muhamama.github.io',
     'https://geospatialnetworkug.xyz',
@@ -35,6 +43,88 @@ function json(data, status = 200, origin = '*') {
     });
 }
 
+// Resolves the Supabase user behind the caller's access token
+async function supabaseUser(request, env) {
+    const auth = request.headers.get('Authorization') || '';
+    if (!auth.startsWith('Bearer ')) return null;
+    const res = await fetch(`${env.SUPABASE_URL}/auth/v1/user`, {
+        headers: { Authorization: auth, apikey: env.SUPABASE_SERVICE_ROLE_KEY }
+    });
+    return res.ok ? res.json() : null;
+}
+
+// ─── EXPORT JOBS ─────────────────────────────────────────────────────────────
+// Job and schedule rows are written with the service role key; users only
+// read their own rows (and stop their own schedules) through RLS.
+
+async function supabaseRest(env, path, init = {}) {
+    const res = await fetch(`${env.SUPABASE_URL}/rest/v1/${path}`, {
+        ...init,
+        headers: {
+            apikey: env.SUPABASE_SERVICE_ROLE_KEY,
+            Authorization: `Bearer ${env.SUPABASE_SERVICE_ROLE_KEY}`,
+            'Content-Type': 'application/json',
+            Prefer: 'return=representation'
+        }
+    });
+    if (!res.ok) throw new Error(`${path.split('?')[0]}: ${res.status} ${await res.text()}`);
+    return res.json();
+}
+
+async function queueExportJob(env, fields, origin) {
+    const [job] = await supabaseRest(env, 'export_jobs', { method: 'POST', body: JSON.stringify(fields) });
+    await env.EXPORT_QUEUE.send({ job_id: job.id, origin });
+    return job;
+}
+
+// queued → running only once, so a redelivered message can't run a job twice
+async function claimExportJob(env, jobId) {
+    const now = new Date().toISOString();
+    const [job] = await supabaseRest(env, `export_jobs?id=eq.${jobId}&status=eq.queued`, {
+        method: 'PATCH',
+        body: JSON.stringify({ status: 'running', started_at: now, heartbeat_at: now })
+    });
+    return job || null;
+}
+
+async function sweepExportJobs(env) {
+    const now = Date.now();
+    const stale = new Date(now - EXPORT_JOB_STALE_MS).toISOString();
+    await supabaseRest(env, `export_jobs?status=eq.running&or=(heartbeat_at.lt.${stale},and(heartbeat_at.is.null,created_at.lt.${stale}))`, {
+        method: 'PATCH',
+        body: JSON.stringify({ status: 'failed', error: 'The export stopped responding; run it again.', finished_at: new Date(now).toISOString() })
+    });
+    // A queued row this old lost its queue message
+    const lost = new Date(now - 6 * EXPORT_JOB_STALE_MS).toISOString();
+    await supabaseRest(env, `export_jobs?status=eq.queued&created_at=lt.${lost}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ status: 'failed', error: 'The export never started; run it again.', finished_at: new Date(now).toISOString() })
+    });
+
+    const due = await supabaseRest(env, `export_schedules?enabled=is.true&next_run_at=lte.${new Date(now).toISOString()}&limit=50`);
+    for (const schedule of due) {
+        const interval = EXPORT_SCHEDULE_INTERVALS[schedule.repeat];
+        let next = Date.parse(schedule.next_run_at);
+        while (next <= now) next += interval;
+        // Advance first: a failed enqueue skips one run rather than repeating every sweep
+        await supabaseRest(env, `export_schedules?id=eq.${schedule.id}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ next_run_at: new Date(next).toISOString() })
+        });
+        const job = await queueExportJob(env, {
+            user_id: schedule.user_id,
+            layer_name: schedule.layer_name,
+            format: schedule.format,
+            crs: schedule.crs,
+            schedule_id: schedule.id
+        }, env.WORKER_ORIGIN);
+        await supabaseRest(env, `export_schedules?id=eq.${schedule.id}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ last_job_id: job.id })
+        });
+    }
+}
+
 // ─── MAIN WORKER ─────────────────────────────────────────────────────────────
 export default {
     async fetch(request, env, ctx) {
@@ -113,12 +203,77 @@ ${caseContext ? `\n\nCurrent Case:\n${caseContext}` : ''}`;
                 }, 200, origin);
             }
 
+            // ── 5. Whole-layer export jobs ───────────────────────────────────
+            // The job row is returned straight away; the export queue consumer
+            // runs it and the panel polls export_jobs for the download link.
+            // `repeat` also creates a schedule that the cron re-queues.
+            if (path === '/export-jobs' && request.method === 'POST') {
+                if (!env.SUPABASE_URL || !env.SUPABASE_SERVICE_ROLE_KEY || !env.EXPORT_QUEUE) {
+                    return json({ error: 'Export jobs are not configured on this worker' }, 503, origin);
+                }
+                const user = await supabaseUser(request, env);
+                if (!user || !user.id) return json({ error: 'Sign in required' }, 401, origin);
+
+                const body = await request.json();
+                const invalid = validateExportJob(body);
+                if (invalid) return json({ error: invalid }, 400, origin);
+
+                const fields = {
+                    user_id: user.id,
+                    layer_name: body.layer_name.trim(),
+                    format: body.format,
+                    crs: body.crs || 'EPSG:4326'
+                };
+                try {
+                    let schedule = null;
+                    if (body.repeat) {
+                        [schedule] = await supabaseRest(env, 'export_schedules', {
+                            method: 'POST',
+                            body: JSON.stringify({
+                                ...fields,
+                                repeat: body.repeat,
+                                next_run_at: new Date(Date.now() + EXPORT_SCHEDULE_INTERVALS[body.repeat]).toISOString()
+                            })
+                        });
+                    }
+                    const job = await queueExportJob(env, { ...fields, schedule_id: schedule ? schedule.id : null }, url.origin);
+                    if (schedule) {
+                        await supabaseRest(env, `export_schedules?id=eq.${schedule.id}`, {
+                            method: 'PATCH',
+                            body: JSON.stringify({ last_job_id: job.id })
+                        });
+                    }
+                    return json({ job, schedule }, 202, origin);
+                } catch (err) {
+                    return json({ error: 'Could not create export job: ' + err.message }, 502, origin);
+                }
+            }
+
             return json({ error: 'Not found', path }, 404, origin);
 
         } catch (err) {
             console.error('[Worker Error]', err);
             return json({ error: err.message || 'Internal error' }, 500, origin);
         }
+    },
+
+    // Export queue consumer (max_batch_size = 1 in wrangler.toml)
+    async queue(batch, env) {
+        for (const message of batch.messages) {
+            try {
+                const job = await claimExportJob(env, message.body.job_id);
+                if (job) await runExportJob(job, workerExportIo(env, job, message.body.origin || env.WORKER_ORIGIN));
+                message.ack();
+            } catch (err) {
+                console.error('[Export Queue]', message.body.job_id, err);
+                message.retry();
+            }
+        }
+    },
+
+    async scheduled(event, env, ctx) {
+        if (!env.SUPABASE_URL || !env.SUPABASE_SERVICE_ROLE_KEY) return;
+        ctx.waitUntil(sweepExportJobs(env).catch((err) => console.error('[Export Cron]', err)));
     }
 };
 
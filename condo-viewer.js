@@ -19,9 +19,17 @@ var CondoCoordUtils = {
 
     /**
      * Convert coordinates from source CRS to WGS84 (EPSG:4326)
-     * Uses proj4 if available, otherwise assumes UTM Zone 36N approximation
+     * Uses the shared DatumTransform service (proj4 or its own UTM + Helmert math),
+     * then plain proj4, otherwise assumes UTM Zone 36N approximation
      */
     toWGS84(easting, northing, sourceCRS) {
+        if (typeof DatumTransform !== 'undefined') {
+            try {
+                return DatumTransform.gridToWgs84(easting, northing, sourceCRS);
+            } catch (e) {
+                console.warn('[Condo] DatumTransform conversion failed:', e);
+            }
+        }
         if (typeof proj4 !== 'undefined') {
             try {
                 const srcDef = this.projDefs[sourceCRS] || sourceCRS;
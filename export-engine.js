@@ -1,19 +1,82 @@
 /**
  * GIS Export Engine — Extractor tool
- * Raster (PNG/JPG + world files), vector (DXF/GeoJSON/KML), survey CSV deliverables
+ * Raster (PNG/JPG + world files, GeoTIFF), vector (DXF/GeoJSON/KML/KMZ/Shapefile/GeoPackage), PDF print layouts,
+ * survey CSV deliverables
  */
 (function (global) {
     'use strict';
 
-    const MAX_EXPORT_M = 1000;
+    // Rasters are rendered in RENDER_TILE_PX tiles. PNG/JPG are stitched into
+    // sheets of at most MAX_CANVAS_PX, each with its own world file; GeoTIFF
+    // tiles are encoded as they render, so only one tile is ever held decoded.
+    const AUTO_CROP_M = 1000;
+    const MAX_CANVAS_PX = 8192;
+    const MAX_TILED_PX = { low: 8192, medium: 16384, high: 32768 };
+    const MIN_PIXEL_M = 0.1; // finer than the best basemap imagery adds nothing
+    const RENDER_TILE_PX = 2048;
+    const LARGE_RASTER_TILES = 16;
+    const ZIP_INLINE_MAX_BYTES = 256 * 1024 * 1024;
+    const INSET_CONTEXT = 6; // inset locator spans this many map-frame widths
+    const PLOT_KEYS = ['PlotNumber', 'Plot Number', 'plot_number', 'PLOT NO', 'Plot_No', 'nlis_id', 'NLIS_ID'];
+    // Attributes that name a beacon point
+    const STATION_KEYS = ['stn', 'STN', 'station', 'Station', 'beacon', 'Beacon', 'beacon_id', 'BEACON_ID', 'point_id', 'name', 'Name'];
+    const KMZ_PHOTO_MAX_BYTES = 100 * 1024 * 1024; // Google Earth struggles with larger KMZs
+    const KMZ_QUERY_CHUNK = 100;
     const SESSION_KEY = 'gspnet_gis_export_prefs';
+    const PRESETS_KEY = 'gspnet_gis_export_presets'; // signed-out fallback for export_presets
+    const EXPORT_JOBS_URL = 'https://gspnet-cases.kiggundumuhamad.workers.dev'; // cloudflare-worker/, /export-jobs
+    const SERVER_JOB_CRS = ['EPSG:4326', 'EPSG:3857', 'EPSG:32635', 'EPSG:32636', 'EPSG:32735', 'EPSG:32736'];
+    const JOB_POLL_MS = 5000;
+    const JOB_POLL_LIMIT = 360; // 30 minutes
+    const TOGGLE_INPUTS = {
+        gisExportRasterLabels: 'rasterLabels',
+        gisExportRasterGrid: 'rasterGrid',
+        gisExportRasterTransparent: 'rasterTransparent',
+        gisExportDxfSimplify: 'dxfSimplify',
+        gisExportDxfLabels: 'dxfLabels',
+        gisExportDxfLegacy: 'dxfLegacyR12',
+        gisExportCornerCsv: 'surveyCornerCsv',
+        gisExportJrjCsv: 'surveyJrjCsv'
+    };
+    const LAYOUT_FIELDS = {
+        gisExportLayoutPaper: 'paper',
+        gisExportLayoutOrientation: 'orientation',
+        gisExportLayoutTitle: 'title',
+        gisExportLayoutSurveyor: 'surveyor',
+        gisExportLayoutClient: 'client',
+        gisExportLayoutReference: 'reference',
+        gisExportLayoutLegend: 'legend',
+        gisExportLayoutInset: 'inset',
+        gisExportLayoutNorth: 'northArrow',
+        gisExportLayoutGrid: 'grid'
+    };
+    const COORD_LIST_FIELDS = {
+        gisExportCoordOutput: 'output',
+        gisExportCoordAxis: 'axisOrder',
+        gisExportCoordColumns: 'columns',
+        gisExportCoordPrefix: 'stationPrefix',
+        gisExportCoordStart: 'startAt',
+        gisExportCoordDecimals: 'decimals',
+        gisExportCoordNumbering: 'numbering',
+        gisExportCoordCode: 'code',
+        gisExportCoordHeader: 'header',
+        gisExportCoordAttributes: 'attributes',
+        gisExportCoordClosing: 'closing'
+    };
+    // State captured by a named preset, alongside the layout, coordinate list and visible layers
+    const PRESET_STATE_KEYS = ['format', 'exportCrs', 'resolution', 'tiffCompression', 'layoutTemplateId', 'layoutAtlas', 'coordListTemplateId'].concat(Object.values(TOGGLE_INPUTS));
 
     const EXPORT_FORMATS = {
         png: { id: 'png', label: 'PNG + PGW + PRJ', icon: 'fa-file-image', group: 'raster', ext: 'png', mime: 'image/png' },
         jpg: { id: 'jpg', label: 'JPG + JGW + PRJ', icon: 'fa-file-image', group: 'raster', ext: 'jpg', mime: 'image/jpeg' },
+        tif: { id: 'tif', label: 'GeoTIFF', icon: 'fa-map', group: 'raster', ext: 'tif', mime: 'image/tiff' },
         dxf: { id: 'dxf', label: 'DXF (CAD)', icon: 'fa-drafting-compass', group: 'vector', ext: 'dxf', mime: 'application/dxf' },
         geojson: { id: 'geojson', label: 'GeoJSON', icon: 'fa-code', group: 'vector', ext: 'geojson', mime: 'application/geo+json' },
-        kml: { id: 'kml', label: 'KML', icon: 'fa-globe-africa', group: 'vector', ext: 'kml', mime: 'application/vnd.google-earth.kml+xml' }
+        kml: { id: 'kml', label: 'KML', icon: 'fa-globe-africa', group: 'vector', ext: 'kml', mime: 'application/vnd.google-earth.kml+xml' },
+        kmz: { id: 'kmz', label: 'KMZ (styles + photos)', icon: 'fa-globe-africa', group: 'vector', ext: 'kmz', mime: 'application/vnd.google-earth.kmz' },
+        shp: { id: 'shp', label: 'Shapefile (SHP/SHX/DBF/PRJ)', icon: 'fa-shapes', group: 'vector', ext: 'shp', mime: 'application/x-esri-shape' },
+        gpkg: { id: 'gpkg', label: 'GeoPackage', icon: 'fa-database', group: 'vector', ext: 'gpkg', mime: 'application/geopackage+sqlite3' },
+        pdf: { id: 'pdf', label: 'PDF map layout', icon: 'fa-file-pdf', group: 'layout', ext: 'pdf', mime: 'application/pdf' }
     };
 
     const DPI_MAP = { low: 96, medium: 150, high: 300 };
@@ -42,6 +105,19 @@
         'EPSG:21036': 'UTM Zone 36S (Arc 1960)'
     };
 
+    /**
+     * .prj text for a CRS. Arc 1960 grids get the TOWGS84 clause of the active
+     * DatumTransform parameter set so GIS packages shift them the same way we do
+     * (an NTv2 grid set has no such clause; the export metadata names the file).
+     */
+    function prjWktFor(crs) {
+        const wkt = PRJ_WKT[crs] || '';
+        if (!wkt || !global.DatumTransform || !global.DatumTransform.isArc1960(crs)) return wkt;
+        const clause = global.DatumTransform.wktTowgs84();
+        if (!clause) return wkt;
+        return wkt.replace('SPHEROID["Clarke 1880 (RGS)",6378249.145,293.465]', 'SPHEROID["Clarke 1880 (RGS)",6378249.145,293.465],' + clause);
+    }
+
     function sanitizeCadLayer(name) {
         let s = (name || 'GSPNET_MISC').toString().toUpperCase().replace(/[^A-Z0-9_]/g, '_').replace(/_+/g, '_');
         if (s.length > 31) s = s.slice(0, 31);
@@ -66,13 +142,337 @@
         return base + geomSuffix(gt);
     }
 
-    function cloneLayerForRasterExport(layer, skipLayer) {
+    // ---- DXF cadastral annotation (bearings, distances, beacons, areas) ----
+    const DXF_ANNO_LAYERS = { bearing: 'ANNO_BEARINGS', distance: 'ANNO_DISTANCES', beacon: 'BEACONS', area: 'ANNO_AREAS' };
+    const DXF_BEACON_BLOCK = 'BEACON';
+
+    /** Grid bearing as D°M'S" with the AutoCAD %%d degree code. */
+    function dxfBearing(x1, y1, x2, y2) {
+        let d = Math.atan2(x2 - x1, y2 - y1) * 180 / Math.PI;
+        if (d < 0) d += 360;
+        let deg = Math.floor(d);
+        let min = Math.floor((d - deg) * 60);
+        let sec = Math.round(((d - deg) * 60 - min) * 60);
+        if (sec === 60) { sec = 0; min += 1; }
+        if (min === 60) { min = 0; deg += 1; }
+        if (deg >= 360) deg -= 360;
+        return deg + '%%d' + String(min).padStart(2, '0') + "'" + String(sec).padStart(2, '0') + '"';
+    }
+
+    function dxfPoint(code, x, y) {
+        return code + '\n' + x.toFixed(4) + '\n' + (code + 10) + '\n' + y.toFixed(4) + '\n' + (code + 20) + '\n0.0\n';
+    }
+
+    /**
+     * TEXT entity centred on (x, y). valign: 1 bottom, 2 middle, 3 top, so a
+     * label can sit on either side of the line it annotates.
+     */
+    function dxfText(layer, x, y, height, rotation, text, valign, legacy) {
+        const sub = (name) => (legacy ? '' : '100\n' + name + '\n');
+        return '0\nTEXT\n' + sub('AcDbEntity') + '8\n' + layer + '\n' + sub('AcDbText') +
+            dxfPoint(10, x, y) + '40\n' + height.toFixed(3) + '\n1\n' + text + '\n50\n' + rotation.toFixed(4) + '\n72\n1\n' +
+            dxfPoint(11, x, y) + sub('AcDbText') + '73\n' + valign + '\n';
+    }
+
+    /**
+     * Handle allocator for the AC1015 writer. The block table and its
+     * records are numbered first so blocks and inserts can point at their
+     * owner whichever section is written first; `seed()` is $HANDSEED.
+     */
+    function dxfHandles() {
+        let last = 0x1F;
+        const next = () => (++last).toString(16).toUpperCase();
+        const hd = { next, seed: () => (last + 1).toString(16).toUpperCase() };
+        hd.table = next();
+        hd.modelSpace = next();
+        hd.paperSpace = next();
+        hd.beacon = next();
+        return hd;
+    }
+
+    function dxfBlockRecordTable(hd) {
+        const rec = (handle, name) => '0\nBLOCK_RECORD\n5\n' + handle + '\n330\n' + hd.table + '\n100\nAcDbSymbolTableRecord\n100\nAcDbBlockTableRecord\n2\n' + name + '\n';
+        return '0\nTABLE\n2\nBLOCK_RECORD\n5\n' + hd.table + '\n330\n0\n100\nAcDbSymbolTable\n70\n3\n' +
+            rec(hd.modelSpace, '*Model_Space') + rec(hd.paperSpace, '*Paper_Space') + rec(hd.beacon, DXF_BEACON_BLOCK) + '0\nENDTAB\n';
+    }
+
+    // Entity header: handle and owner for AC1015, layer only for R12
+    function dxfEntityHead(type, layer, hd, owner, handle) {
+        if (!hd) return '0\n' + type + '\n8\n' + layer + '\n';
+        return '0\n' + type + '\n5\n' + (handle || hd.next()) + '\n330\n' + owner + '\n100\nAcDbEntity\n8\n' + layer + '\n';
+    }
+
+    function dxfBlock(name, flags, content, hd, record) {
+        const end = dxfEntityHead('ENDBLK', '0', hd, record) + (hd ? '100\nAcDbBlockEnd\n' : '');
+        return dxfEntityHead('BLOCK', '0', hd, record) + (hd ? '100\nAcDbBlockBegin\n' : '') + '2\n' + name + '\n70\n' + flags + '\n' +
+            dxfPoint(10, 0, 0) + '3\n' + name + '\n' + (hd ? '1\n\n' : '') + content + end;
+    }
+
+    /**
+     * BEACON block: a unit circle with a STN attribute up and to the right.
+     * Inserts are scaled to the annotation text height. For AC1015 (`hd`
+     * set) the model and paper space blocks are written too, as their block
+     * records require.
+     */
+    function dxfBeaconBlock(hd) {
+        const sub = (name) => (hd ? '100\n' + name + '\n' : '');
+        const beacon = dxfBlock(DXF_BEACON_BLOCK, 2,
+            dxfEntityHead('CIRCLE', '0', hd, hd && hd.beacon) + sub('AcDbCircle') + dxfPoint(10, 0, 0) + '40\n0.4\n' +
+            dxfEntityHead('ATTDEF', '0', hd, hd && hd.beacon) + sub('AcDbText') + dxfPoint(10, 0.6, 0.6) + '40\n1.0\n1\n\n' +
+            sub('AcDbAttributeDefinition') + '3\nStation\n2\nSTN\n70\n0\n', hd, hd && hd.beacon);
+        if (!hd) return beacon;
+        return dxfBlock('*Model_Space', 0, '', hd, hd.modelSpace) + dxfBlock('*Paper_Space', 0, '', hd, hd.paperSpace) + beacon;
+    }
+
+    function dxfBeaconInsert(x, y, size, stn, hd) {
+        const sub = (name) => (hd ? '100\n' + name + '\n' : '');
+        const layer = DXF_ANNO_LAYERS.beacon;
+        const handle = hd && hd.next(); // owns its ATTRIB and SEQEND
+        return dxfEntityHead('INSERT', layer, hd, hd && hd.modelSpace, handle) + sub('AcDbBlockReference') + '66\n1\n2\n' + DXF_BEACON_BLOCK + '\n' +
+            dxfPoint(10, x, y) + '41\n' + size.toFixed(3) + '\n42\n' + size.toFixed(3) + '\n43\n1.0\n' +
+            dxfEntityHead('ATTRIB', layer, hd, handle) + sub('AcDbText') + dxfPoint(10, x + 0.6 * size, y + 0.6 * size) +
+            '40\n' + size.toFixed(3) + '\n1\n' + stn + '\n' + sub('AcDbAttribute') + '2\nSTN\n70\n0\n' +
+            dxfEntityHead('SEQEND', layer, hd, handle);
+    }
+
+    // ---- Shapefile writer (ESRI Shapefile Technical Description, 1998) ----
+    const SHP_TYPES = { point: 1, line: 3, polygon: 5, multipoint: 8 };
+    const SHP_GROUP_FILES = { point: 'points', multipoint: 'multipoints', line: 'lines', polygon: 'polygons' };
+    const DBF_MAX_CHAR = 254;
+    const DBF_MAX_NUM = 19;
+
+    function shpGroupFor(type) {
+        if (type === 'Point') return 'point';
+        if (type === 'MultiPoint') return 'multipoint';
+        if (type === 'LineString' || type === 'MultiLineString') return 'line';
+        if (type === 'Polygon' || type === 'MultiPolygon') return 'polygon';
+        return null;
+    }
+
+    // Positive for counter-clockwise rings
+    function ringSignedArea(ring) {
+        let sum = 0;
+        for (let i = 0, n = ring.length; i < n; i++) {
+            const a = ring[i];
+            const b = ring[(i + 1) % n];
+            sum += a[0] * b[1] - b[0] * a[1];
+        }
+        return sum / 2;
+    }
+
+    /**
+     * Shape parts for one geometry in export coordinates. Outer rings are
+     * written clockwise and holes counter-clockwise, as the format requires.
+     */
+    function shpParts(type, coords) {
+        const valid = (c) => isFinite(c[0]) && isFinite(c[1]);
+        const orient = (ring, clockwise) => {
+            const r = ring.filter(valid);
+            if (r.length && (r[0][0] !== r[r.length - 1][0] || r[0][1] !== r[r.length - 1][1])) r.push(r[0].slice());
+            return (ringSignedArea(r) < 0) === clockwise ? r : r.reverse();
+        };
+        let parts;
+        if (type === 'Point') parts = [[coords]];
+        else if (type === 'MultiPoint' || type === 'LineString') parts = [coords];
+        else if (type === 'MultiLineString') parts = coords;
+        else if (type === 'Polygon') parts = coords.map((ring, i) => orient(ring, i === 0));
+        else if (type === 'MultiPolygon') parts = [].concat(...coords.map((poly) => poly.map((ring, i) => orient(ring, i === 0))));
+        else return [];
+        const minPts = type === 'Polygon' || type === 'MultiPolygon' ? 4 : type.includes('LineString') ? 2 : 1;
+        return parts.map((p) => p.filter(valid)).filter((p) => p.length >= minPts);
+    }
+
+    /**
+     * .shp and .shx bytes for shapes of one type.
+     * @param {number} shapeType - SHP_TYPES value
+     * @param {Array} shapes - per record, an array of parts, each an array of [x, y]
+     */
+    function buildShpShx(shapeType, shapes) {
+        const contentLen = (parts) => {
+            const n = parts.reduce((s, p) => s + p.length, 0);
+            if (shapeType === 1) return 20;
+            if (shapeType === 8) return 40 + 16 * n;
+            return 44 + 4 * parts.length + 16 * n;
+        };
+        const shpLen = 100 + shapes.reduce((s, parts) => s + 8 + contentLen(parts), 0);
+        const shp = new DataView(new ArrayBuffer(shpLen));
+        const shx = new DataView(new ArrayBuffer(100 + 8 * shapes.length));
+
+        const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+        const partBox = (parts) => {
+            const b = [Infinity, Infinity, -Infinity, -Infinity];
+            parts.forEach((p) => p.forEach(([x, y]) => {
+                if (x < b[0]) b[0] = x;
+                if (y < b[1]) b[1] = y;
+                if (x > b[2]) b[2] = x;
+                if (y > b[3]) b[3] = y;
+            }));
+            return b;
+        };
+
+        let off = 100;
+        shapes.forEach((parts, idx) => {
+            const len = contentLen(parts);
+            const b = partBox(parts);
+            for (let k = 0; k < 2; k++) bbox[k] = Math.min(bbox[k], b[k]);
+            for (let k = 2; k < 4; k++) bbox[k] = Math.max(bbox[k], b[k]);
+
+            shx.setInt32(100 + idx * 8, off / 2);
+            shx.setInt32(104 + idx * 8, len / 2);
+            shp.setInt32(off, idx + 1);
+            shp.setInt32(off + 4, len / 2);
+            let p = off + 8;
+            shp.setInt32(p, shapeType, true);
+            p += 4;
+            if (shapeType === 1) {
+                shp.setFloat64(p, parts[0][0][0], true);
+                shp.setFloat64(p + 8, parts[0][0][1], true);
+            } else {
+                b.forEach((v, k) => shp.setFloat64(p + k * 8, v, true));
+                p += 32;
+                const pts = [].concat(...parts);
+                if (shapeType !== 8) {
+                    shp.setInt32(p, parts.length, true);
+                    p += 4;
+                }
+                shp.setInt32(p, pts.length, true);
+                p += 4;
+                if (shapeType !== 8) {
+                    let start = 0;
+                    parts.forEach((part) => {
+                        shp.setInt32(p, start, true);
+                        p += 4;
+                        start += part.length;
+                    });
+                }
+                pts.forEach(([x, y]) => {
+                    shp.setFloat64(p, x, true);
+                    shp.setFloat64(p + 8, y, true);
+                    p += 16;
+                });
+            }
+            off += 8 + len;
+        });
+
+        [[shp, shpLen], [shx, 100 + 8 * shapes.length]].forEach(([view, len]) => {
+            view.setInt32(0, 9994);
+            view.setInt32(24, len / 2);
+            view.setInt32(28, 1000, true);
+            view.setInt32(32, shapeType, true);
+            bbox.forEach((v, k) => view.setFloat64(36 + k * 8, shapes.length ? v : 0, true));
+        });
+        return { shp: shp.buffer, shx: shx.buffer };
+    }
+
+    // Truncate a string to a UTF-8 byte budget without splitting a character
+    function utf8Truncate(enc, str, maxBytes) {
+        let bytes = enc.encode(str);
+        if (bytes.length <= maxBytes) return bytes;
+        let cut = maxBytes;
+        while (cut > 0 && (bytes[cut] & 0xc0) === 0x80) cut--;
+        return bytes.slice(0, cut);
+    }
+
+    /**
+     * dBASE III field definitions for attribute rows. Names are cut to the
+     * 10-character limit and de-duplicated; numbers become N, booleans L and
+     * everything else UTF-8 text (C, up to 254 bytes).
+     * @returns {Array} - [{ key, name, type, width, decimals }]
+     */
+    function dbfFields(rows) {
+        const enc = new TextEncoder();
+        const keys = [];
+        rows.forEach((r) => Object.keys(r).forEach((k) => {
+            if (!keys.includes(k)) keys.push(k);
+        }));
+        const used = new Set();
+        return keys.map((key) => {
+            let base = key.replace(/[^A-Za-z0-9_]/g, '_').replace(/^_+/, '') || 'FIELD';
+            if (/^[0-9]/.test(base)) base = 'F' + base;
+            let name = base.slice(0, 10);
+            for (let n = 1; used.has(name.toUpperCase()); n++) name = base.slice(0, 10 - String(n).length - 1) + '_' + n;
+            used.add(name.toUpperCase());
+
+            const values = rows.map((r) => r[key]).filter((v) => v !== undefined && v !== null && v !== '');
+            if (values.length && values.every((v) => typeof v === 'boolean')) {
+                return { key, name, type: 'L', width: 1, decimals: 0 };
+            }
+            if (values.length && values.every((v) => typeof v === 'number' && isFinite(v))) {
+                let intLen = 1;
+                let decimals = 0;
+                values.forEach((v) => {
+                    intLen = Math.max(intLen, String(Math.trunc(Math.abs(v))).length + (v < 0 ? 1 : 0));
+                    const frac = String(v).split('.')[1];
+                    if (frac && !/e/i.test(String(v))) decimals = Math.max(decimals, Math.min(8, frac.length));
+                });
+                if (intLen <= DBF_MAX_NUM) {
+                    decimals = Math.max(0, Math.min(decimals, DBF_MAX_NUM - intLen - 1));
+                    return { key, name, type: 'N', width: intLen + (decimals ? decimals + 1 : 0), decimals };
+                }
+            }
+            const width = values.reduce((w, v) => Math.max(w, enc.encode(String(v)).length), 1);
+            return { key, name, type: 'C', width: Math.min(DBF_MAX_CHAR, width), decimals: 0 };
+        });
+    }
+
+    function buildDbf(fields, rows) {
+        const enc = new TextEncoder();
+        const headerLen = 32 + fields.length * 32 + 1;
+        const recordLen = 1 + fields.reduce((s, f) => s + f.width, 0);
+        const buf = new Uint8Array(headerLen + rows.length * recordLen + 1);
+        const view = new DataView(buf.buffer);
+        const now = new Date();
+
+        buf[0] = 0x03;
+        buf[1] = now.getFullYear() - 1900;
+        buf[2] = now.getMonth() + 1;
+        buf[3] = now.getDate();
+        view.setUint32(4, rows.length, true);
+        view.setUint16(8, headerLen, true);
+        view.setUint16(10, recordLen, true);
+        fields.forEach((f, i) => {
+            const o = 32 + i * 32;
+            buf.set(enc.encode(f.name), o);
+            buf[o + 11] = f.type.charCodeAt(0);
+            buf[o + 16] = f.width;
+            buf[o + 17] = f.decimals;
+        });
+        buf[headerLen - 1] = 0x0d;
+
+        let off = headerLen;
+        rows.forEach((row) => {
+            buf.fill(0x20, off, off + recordLen);
+            let p = off + 1;
+            fields.forEach((f) => {
+                const v = row[f.key];
+                let bytes;
+                if (v === undefined || v === null || v === '') {
+                    bytes = f.type === 'L' ? enc.encode('?') : null;
+                } else if (f.type === 'N') {
+                    const s = Number(v).toFixed(f.decimals);
+                    bytes = enc.encode(s.length > f.width ? '' : s.padStart(f.width, ' '));
+                } else if (f.type === 'L') {
+                    bytes = enc.encode(v ? 'T' : 'F');
+                } else {
+                    bytes = utf8Truncate(enc, String(v), f.width);
+                }
+                if (bytes) buf.set(bytes, p);
+                p += f.width;
+            });
+            off += recordLen;
+        });
+        buf[off] = 0x1a;
+        return buf.buffer;
+    }
+
+    // rasterOnly leaves vector layers out, for layouts that draw them as PDF paths
+    function cloneLayerForRasterExport(layer, skipLayer, rasterOnly) {
         if (!layer || layer === skipLayer || !layer.getVisible()) return null;
 
         if (layer instanceof ol.layer.Group) {
             const children = [];
             layer.getLayers().forEach((child) => {
-                const cloned = cloneLayerForRasterExport(child, skipLayer);
+                const cloned = cloneLayerForRasterExport(child, skipLayer, rasterOnly);
                 if (cloned) children.push(cloned);
             });
             if (!children.length) return null;
@@ -115,6 +515,9 @@
             }
             return new ol.layer.Tile(Object.assign({ source: newSource }, base));
         }
+        if (rasterOnly && (layer instanceof ol.layer.Vector || layer instanceof ol.layer.VectorImage)) {
+            return null;
+        }
         if (layer instanceof ol.layer.VectorImage) {
             return new ol.layer.VectorImage(
                 Object.assign({ source: layer.getSource(), style: layer.getStyle(), declutter: true }, base)
@@ -227,6 +630,32 @@
         } catch (e) { /* ignore */ }
     }
 
+    function loadLocalPresets() {
+        try {
+            return JSON.parse(localStorage.getItem(PRESETS_KEY) || '[]');
+        } catch (e) {
+            return [];
+        }
+    }
+
+    function saveLocalPresets(list) {
+        try {
+            localStorage.setItem(PRESETS_KEY, JSON.stringify(list));
+        } catch (e) { /* ignore */ }
+    }
+
+    // Supabase client when signed in; presets fall back to localStorage otherwise
+    async function signedInClient() {
+        const sb = global.supabaseClient;
+        if (!sb) return null;
+        try {
+            const { data } = await sb.auth.getSession();
+            return data && data.session ? { sb, session: data.session } : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
     function suggestUtmEpsg(map, view) {
         const center = view.getCenter();
         const lonLat = ol.proj.transform(center, view.getProjection(), 'EPSG:4326');
@@ -246,6 +675,48 @@
         return { width, height, areaM2: width * height };
     }
 
+    /**
+     * Pixel grid for a raster export. Pixels are square in the view projection,
+     * the long side is capped per resolution and stops at MIN_PIXEL_M. PNG/JPG
+     * grids larger than MAX_CANVAS_PX are split into `sheets`. `capped` is
+     * set when the per-resolution cap, not the DPI, decided the pixel size.
+     * @returns {Object} - { width, height, resolution (view units/px), extent (as rendered), tiles, sheets, groundPixelM, capped, maxPx }
+     */
+    function planRaster(extent, exportCrs, viewProj, formatId, resolution) {
+        const dims = measureExtentMeters(extent, exportCrs, viewProj);
+        const dpi = DPI_MAP[resolution] || 150;
+        const longM = Math.max(dims.width, dims.height);
+        const maxPx = MAX_TILED_PX[resolution] || MAX_TILED_PX.medium;
+        const wantedPx = Math.min(Math.round((longM / 0.0254) * dpi), Math.ceil(longM / MIN_PIXEL_M));
+        let longPx = Math.min(wantedPx, maxPx);
+        longPx = Math.max(128, longPx);
+
+        const extW = extent[2] - extent[0];
+        const extH = extent[3] - extent[1];
+        const res = Math.max(extW, extH) / longPx;
+        const width = Math.max(1, Math.round(extW / res));
+        const height = Math.max(1, Math.round(extH / res));
+        return {
+            width,
+            height,
+            resolution: res,
+            extent: [extent[0], extent[3] - height * res, extent[0] + width * res, extent[3]],
+            tiles: Math.ceil(width / RENDER_TILE_PX) * Math.ceil(height / RENDER_TILE_PX),
+            sheets: formatId === 'tif' ? 1 : Math.ceil(width / MAX_CANVAS_PX) * Math.ceil(height / MAX_CANVAS_PX),
+            groundPixelM: longM / longPx,
+            capped: wantedPx > maxPx,
+            maxPx
+        };
+    }
+
+    function canvasPixels(canvas) {
+        try {
+            return canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height).data;
+        } catch (e) {
+            throw new Error('Raster export blocked by browser canvas security (CORS on basemap tiles).');
+        }
+    }
+
     function autoCropExtent(extent, exportCrs, viewProj, maxM) {
         const center = ol.extent.getCenter(extent);
         const cExp = ol.proj.transform(center, viewProj, exportCrs);
@@ -308,17 +779,26 @@
                 rasterLabels: true,
                 rasterGrid: true,
                 rasterTransparent: false,
+                tiffCompression: 'deflate',
                 dxfSimplify: false,
                 dxfLabels: false,
                 dxfLegacyR12: false,
                 surveyCornerCsv: true,
                 surveyJrjCsv: false,
+                coordListTemplateId: 'gspnet-csv',
+                coordList: null,
                 exportExtent: null,
                 pickedFeatures: [],
                 drawInteraction: null,
                 selectInteraction: null,
                 isExporting: false,
-                corsWarning: null
+                cancelRequested: false,
+                layoutTemplateId: 'a4-portrait',
+                layout: null,
+                layoutAtlas: true,
+                corsWarning: null,
+                presets: [],
+                serverJobs: new Map()
             };
 
             this._savedView = null;
@@ -344,6 +824,11 @@
             this._buildFormatCards();
             this._populateCrsSelect();
             this._bindUi();
+            this._bindDatumUi();
+            this._bindLayoutUi();
+            this._bindCoordListUi();
+            this._bindPresetUi();
+            this._bindServerJobUi();
             this._loadSessionPrefs();
             this._refreshAuthState();
             this._updateExtentModeAvailability();
@@ -398,7 +883,7 @@
                     '"></i></div><div class="gis-export-format-card__name">' +
                     f.label +
                     '</div><div class="gis-export-format-card__desc">' +
-                    (f.group === 'raster' ? 'Geo-referenced image export' : 'Vector CAD / GIS export') +
+                    (f.group === 'raster' ? 'Geo-referenced image export' : f.group === 'layout' ? 'Print-ready survey sheets' : 'Vector CAD / GIS export') +
                     '</div>';
                 card.addEventListener('click', () => this._selectFormat(f.id));
                 host.appendChild(card);
@@ -465,6 +950,12 @@
             document.getElementById('gisExportCancel')?.addEventListener('click', () => this.closePanel());
             document.getElementById('gisExportClearExtent')?.addEventListener('click', () => this._clearExtent());
             document.getElementById('gisExportRun')?.addEventListener('click', () => this._runExport());
+            document.getElementById('gisExportProgressCancel')?.addEventListener('click', () => {
+                if (!this.state.isExporting) return;
+                this.state.cancelRequested = true;
+                const label = document.getElementById('gisExportProgressText');
+                if (label) label.textContent = 'Cancelling…';
+            });
 
             this.panel.querySelectorAll('.gis-export-step__head').forEach((head) => {
                 head.addEventListener('click', () => {
@@ -493,17 +984,13 @@
                 this._updatePreview();
             });
 
-            const toggles = {
-                gisExportRasterLabels: 'rasterLabels',
-                gisExportRasterGrid: 'rasterGrid',
-                gisExportRasterTransparent: 'rasterTransparent',
-                gisExportDxfSimplify: 'dxfSimplify',
-                gisExportDxfLabels: 'dxfLabels',
-                gisExportDxfLegacy: 'dxfLegacyR12',
-                gisExportCornerCsv: 'surveyCornerCsv',
-                gisExportJrjCsv: 'surveyJrjCsv'
-            };
-            Object.entries(toggles).forEach(([id, key]) => {
+            document.getElementById('gisExportTiffCompression')?.addEventListener('change', (e) => {
+                this.state.tiffCompression = e.target.value;
+                savePrefs({ tiffCompression: this.state.tiffCompression });
+                this._updatePreview();
+            });
+
+            Object.entries(TOGGLE_INPUTS).forEach(([id, key]) => {
                 document.getElementById(id)?.addEventListener('change', (e) => {
                     this.state[key] = e.target.checked;
                     this._updatePreview();
@@ -516,7 +1003,7 @@
                         this.state.exportExtent,
                         this.state.exportCrs,
                         this.view.getProjection(),
-                        MAX_EXPORT_M
+                        AUTO_CROP_M
                     );
                     this._drawExtentFeature(this.state.exportExtent);
                     this._updateExtentStats();
@@ -533,15 +1020,571 @@
             });
         }
 
+        _bindDatumUi() {
+            const DT = global.DatumTransform;
+            const sel = document.getElementById('gisExportDatumSet');
+            if (!DT || !sel) return;
+
+            const render = () => {
+                sel.innerHTML = '';
+                DT.listSets().forEach((set) => {
+                    const o = document.createElement('option');
+                    o.value = set.id;
+                    o.textContent = set.label + (set.rms !== undefined ? ' (RMS ' + set.rms.toFixed(3) + ' m)' : '');
+                    sel.appendChild(o);
+                });
+                sel.value = DT.activeSetId;
+                const params = document.getElementById('gisExportDatumParams');
+                if (params) params.textContent = DT.describe();
+            };
+            render();
+
+            sel.addEventListener('change', () => {
+                DT.setActive(sel.value);
+                render();
+                this._updatePreview();
+            });
+
+            const controlCrs = () => (DT.isArc1960(this.state.exportCrs) ? this.state.exportCrs : 'EPSG:21096');
+            const report = (html) => {
+                const el = document.getElementById('gisExportDatumReport');
+                if (el) el.innerHTML = html;
+            };
+            const readControl = () => DT.parseControlPoints(document.getElementById('gisExportDatumControl')?.value);
+
+            document.getElementById('gisExportDatumNationalSave')?.addEventListener('click', () => {
+                const v = (document.getElementById('gisExportDatumNational')?.value || '').split(/[,\s]+/).filter(Boolean).map(Number);
+                if (v.length !== 7 || v.some((n) => !isFinite(n))) {
+                    this.showToast('Enter 7 numbers: dx, dy, dz, rx, ry, rz, ds', 'error');
+                    return;
+                }
+                DT.defineSet('national', { dx: v[0], dy: v[1], dz: v[2], rx: v[3], ry: v[4], rz: v[5], ds: v[6] });
+                render();
+                this.showToast('National datum parameters saved and activated', 'success');
+            });
+
+            document.getElementById('gisExportDatumGrid')?.addEventListener('change', async (e) => {
+                const file = e.target.files && e.target.files[0];
+                e.target.value = '';
+                if (!file) return;
+                try {
+                    await DT.loadGrid(await file.arrayBuffer(), file.name);
+                    render();
+                    this._updatePreview();
+                    this.showToast('NTv2 grid ' + file.name + ' loaded and activated', 'success');
+                } catch (err) {
+                    this.showToast('Could not load the grid: ' + err.message, 'error');
+                }
+            });
+
+            document.getElementById('gisExportDatumCheck')?.addEventListener('click', () => {
+                const pts = readControl();
+                if (!pts.length) {
+                    report('<div class="gis-export-warning">No valid control points.</div>');
+                    return;
+                }
+                const crs = controlCrs();
+                const rows = DT.listSets().map((set) => {
+                    let r;
+                    try {
+                        r = DT.residuals(pts, crs, set.id);
+                    } catch (e) {
+                        return '<tr><td>' + set.label + '</td><td colspan="2">' + e.message + '</td></tr>';
+                    }
+                    return '<tr' + (set.id === DT.activeSetId ? ' style="font-weight:bold"' : '') + '><td>' + set.label + '</td><td>' + r.rms.toFixed(3) + '</td><td>' + r.max.toFixed(3) + '</td></tr>';
+                });
+                let active;
+                try {
+                    active = DT.residuals(pts, crs);
+                } catch (e) {
+                    report('<table><tr><th>Set</th><th>RMS (m)</th><th>Max (m)</th></tr>' + rows.join('') + '</table>');
+                    return;
+                }
+                const perPoint = active.points.map((p) => '<tr><td>' + p.id + '</td><td>' + p.dE.toFixed(3) + '</td><td>' + p.dN.toFixed(3) + '</td><td>' + p.d.toFixed(3) + '</td></tr>').join('');
+                report(
+                    '<table><tr><th>Set</th><th>RMS (m)</th><th>Max (m)</th></tr>' + rows.join('') + '</table>' +
+                    '<table><tr><th>Point</th><th>dE</th><th>dN</th><th>d (m)</th></tr>' + perPoint + '</table>'
+                );
+            });
+
+            document.getElementById('gisExportDatumFit')?.addEventListener('click', () => {
+                const pts = readControl();
+                if (!pts.length) {
+                    report('<div class="gis-export-warning">No valid control points.</div>');
+                    return;
+                }
+                try {
+                    const crs = controlCrs();
+                    const params = DT.fitHelmert(pts, crs);
+                    DT.defineSet('fitted', Object.assign({ note: pts.length + ' control points in ' + crs }, params), false);
+                    const r = DT.residuals(pts, crs, 'fitted');
+                    DT.defineSet('fitted', Object.assign({ note: pts.length + ' control points in ' + crs, rms: r.rms }, params));
+                    render();
+                    report('<div>Fitted ' + (pts.length >= 3 ? '7' : '3') + '-parameter set, RMS ' + r.rms.toFixed(3) + ' m.</div>');
+                } catch (e) {
+                    report('<div class="gis-export-warning">' + e.message + '</div>');
+                }
+            });
+        }
+
+        _bindLayoutUi() {
+            const PL = global.PrintLayout;
+            const sel = document.getElementById('gisExportLayoutTemplate');
+            if (!PL || !sel) return;
+
+            const render = () => {
+                sel.innerHTML = '';
+                PL.listTemplates().forEach((t) => {
+                    const o = document.createElement('option');
+                    o.value = t.id;
+                    o.textContent = t.name;
+                    sel.appendChild(o);
+                });
+                sel.value = this.state.layoutTemplateId;
+            };
+            const apply = (id) => {
+                const t = PL.getTemplate(id);
+                this.state.layoutTemplateId = t.id;
+                this.state.layout = Object.assign({}, t);
+                savePrefs({ layoutTemplateId: t.id });
+                this._fillLayoutFields();
+                this._updatePreview();
+            };
+            apply(loadPrefs().layoutTemplateId || this.state.layoutTemplateId);
+            render();
+
+            sel.addEventListener('change', () => apply(sel.value));
+            Object.entries(LAYOUT_FIELDS).forEach(([id, key]) => {
+                const el = document.getElementById(id);
+                el?.addEventListener(el.type === 'checkbox' || el.tagName === 'SELECT' ? 'change' : 'input', () => {
+                    this.state.layout[key] = el.type === 'checkbox' ? el.checked : el.value;
+                    this._updatePreview();
+                });
+            });
+            document.getElementById('gisExportLayoutAtlas')?.addEventListener('change', (e) => {
+                this.state.layoutAtlas = e.target.checked;
+                this._updatePreview();
+            });
+
+            document.getElementById('gisExportLayoutSave')?.addEventListener('click', () => {
+                const name = (global.prompt('Template name', this.state.layout.builtIn ? '' : this.state.layout.name || '') || '').trim();
+                if (!name) return;
+                const t = PL.saveTemplate(name, this.state.layout);
+                this.state.layoutTemplateId = t.id;
+                this.state.layout = Object.assign({}, t);
+                savePrefs({ layoutTemplateId: t.id });
+                render();
+                this.showToast('Layout template "' + name + '" saved', 'success');
+            });
+            document.getElementById('gisExportLayoutDelete')?.addEventListener('click', () => {
+                const t = PL.getTemplate(sel.value);
+                if (t.builtIn) {
+                    this.showToast('Built-in templates cannot be deleted.', 'info');
+                    return;
+                }
+                PL.deleteTemplate(t.id);
+                apply(t.paper.toLowerCase() + '-' + t.orientation);
+                render();
+                this.showToast('Layout template "' + t.name + '" deleted', 'success');
+            });
+        }
+
+        /** Coordinate list templates (js/coordinate-list.js), same save/delete flow as layouts. */
+        _bindCoordListUi() {
+            const CL = global.CoordinateList;
+            const sel = document.getElementById('gisExportCoordTemplate');
+            if (!CL || !sel) return;
+
+            const render = () => {
+                sel.innerHTML = '';
+                CL.listTemplates().forEach((t) => {
+                    const o = document.createElement('option');
+                    o.value = t.id;
+                    o.textContent = t.name;
+                    sel.appendChild(o);
+                });
+                sel.value = this.state.coordListTemplateId;
+            };
+            const apply = (id) => {
+                const t = CL.getTemplate(id);
+                this.state.coordListTemplateId = t.id;
+                this.state.coordList = Object.assign({}, t);
+                savePrefs({ coordListTemplateId: t.id });
+                this._fillCoordListFields();
+            };
+            apply(loadPrefs().coordListTemplateId || this.state.coordListTemplateId);
+            render();
+
+            sel.addEventListener('change', () => apply(sel.value));
+            Object.entries(COORD_LIST_FIELDS).forEach(([id, key]) => {
+                const el = document.getElementById(id);
+                el?.addEventListener(el.type === 'checkbox' || el.tagName === 'SELECT' ? 'change' : 'input', () => {
+                    let v = el.type === 'checkbox' ? el.checked : el.value;
+                    if (key === 'columns') v = v.split(/[\s,;]+/).map((c) => c.trim().toLowerCase()).filter((c) => CL.COLUMNS[c]);
+                    else if (key === 'decimals') v = v === '' ? null : parseInt(v, 10) || 0;
+                    else if (el.type === 'number') v = parseInt(v, 10) || 0;
+                    this.state.coordList[key] = v;
+                });
+            });
+
+            document.getElementById('gisExportCoordSave')?.addEventListener('click', () => {
+                const name = (global.prompt('Coordinate list template name', this.state.coordList.builtIn ? '' : this.state.coordList.name || '') || '').trim();
+                if (!name) return;
+                const t = CL.saveTemplate(name, this.state.coordList);
+                this.state.coordListTemplateId = t.id;
+                this.state.coordList = Object.assign({}, t);
+                savePrefs({ coordListTemplateId: t.id });
+                render();
+                this.showToast('Coordinate list template "' + name + '" saved', 'success');
+            });
+            document.getElementById('gisExportCoordDelete')?.addEventListener('click', () => {
+                const t = CL.getTemplate(sel.value);
+                if (t.builtIn) {
+                    this.showToast('Built-in templates cannot be deleted.', 'info');
+                    return;
+                }
+                CL.deleteTemplate(t.id);
+                apply(CL.builtInTemplates()[0].id);
+                render();
+                this.showToast('Coordinate list template "' + t.name + '" deleted', 'success');
+            });
+        }
+
+        _fillCoordListFields() {
+            Object.entries(COORD_LIST_FIELDS).forEach(([id, key]) => {
+                const el = document.getElementById(id);
+                if (!el) return;
+                const v = this.state.coordList[key];
+                if (el.type === 'checkbox') el.checked = !!v;
+                else el.value = Array.isArray(v) ? v.join(', ') : v == null ? '' : v;
+            });
+        }
+
+        _fillLayoutFields() {
+            Object.entries(LAYOUT_FIELDS).forEach(([id, key]) => {
+                const el = document.getElementById(id);
+                if (!el) return;
+                if (el.type === 'checkbox') el.checked = !!this.state.layout[key];
+                else el.value = this.state.layout[key] || '';
+            });
+        }
+
+        /**
+         * Named presets: format, CRS, resolution, decorations, layout and the
+         * visible layers. Stored per user in export_presets when signed in,
+         * in localStorage otherwise.
+         */
+        _bindPresetUi() {
+            const sel = document.getElementById('gisExportPreset');
+            if (!sel) return;
+
+            sel.addEventListener('change', () => {
+                const preset = this.state.presets.find((p) => p.name === sel.value);
+                if (!preset) return;
+                this._applyPreset(preset.settings || {});
+                this.showToast('Preset "' + preset.name + '" applied', 'success');
+            });
+
+            document.getElementById('gisExportPresetSave')?.addEventListener('click', async () => {
+                const name = (global.prompt('Preset name', sel.value || '') || '').trim();
+                if (!name) return;
+                const settings = this._capturePreset();
+                try {
+                    const auth = await signedInClient();
+                    if (auth) {
+                        const { error } = await auth.sb.from('export_presets')
+                            .upsert({ user_id: auth.session.user.id, name, settings, updated_at: new Date().toISOString() }, { onConflict: 'user_id,name' });
+                        if (error) throw error;
+                    } else {
+                        saveLocalPresets(loadLocalPresets().filter((p) => p.name !== name).concat([{ name, settings }]));
+                    }
+                    await this._loadPresets(name);
+                    this.showToast('Export preset "' + name + '" saved' + (auth ? '' : ' on this device'), 'success');
+                } catch (e) {
+                    this.showToast('Could not save preset: ' + e.message, 'error');
+                }
+            });
+
+            document.getElementById('gisExportPresetDelete')?.addEventListener('click', async () => {
+                const name = sel.value;
+                if (!name) {
+                    this.showToast('Choose a preset to delete.', 'info');
+                    return;
+                }
+                try {
+                    const auth = await signedInClient();
+                    if (auth) {
+                        const { error } = await auth.sb.from('export_presets').delete().eq('name', name);
+                        if (error) throw error;
+                    } else {
+                        saveLocalPresets(loadLocalPresets().filter((p) => p.name !== name));
+                    }
+                    await this._loadPresets();
+                    this.showToast('Export preset "' + name + '" deleted', 'success');
+                } catch (e) {
+                    this.showToast('Could not delete preset: ' + e.message, 'error');
+                }
+            });
+
+            this._loadPresets();
+            global.addEventListener('gspnet-export-auth-changed', () => this._loadPresets());
+        }
+
+        async _loadPresets(selected) {
+            let list = null;
+            const auth = await signedInClient();
+            if (auth) {
+                const { data, error } = await auth.sb.from('export_presets').select('name, settings').order('name');
+                if (!error) list = data || [];
+                else console.warn('[GisExportEngine] export_presets unavailable, using local presets', error);
+            }
+            this.state.presets = list || loadLocalPresets().sort((a, b) => a.name.localeCompare(b.name));
+
+            const sel = document.getElementById('gisExportPreset');
+            if (!sel) return;
+            sel.innerHTML = '';
+            const none = document.createElement('option');
+            none.value = '';
+            none.textContent = this.state.presets.length ? 'Choose a preset…' : 'No saved presets';
+            sel.appendChild(none);
+            this.state.presets.forEach((p) => {
+                const o = document.createElement('option');
+                o.value = p.name;
+                o.textContent = p.name;
+                sel.appendChild(o);
+            });
+            sel.value = selected && this.state.presets.some((p) => p.name === selected) ? selected : '';
+        }
+
+        _capturePreset() {
+            const settings = {};
+            PRESET_STATE_KEYS.forEach((key) => { settings[key] = this.state[key]; });
+            if (this.state.layout) {
+                settings.layout = {};
+                Object.values(LAYOUT_FIELDS).forEach((key) => { settings.layout[key] = this.state.layout[key]; });
+            }
+            if (this.state.coordList) {
+                settings.coordList = {};
+                Object.values(COORD_LIST_FIELDS).forEach((key) => { settings.coordList[key] = this.state.coordList[key]; });
+            }
+            settings.layers = this._getSelectableLayers().map((l) => l.get('title')).filter(Boolean);
+            return settings;
+        }
+
+        _applyPreset(settings) {
+            PRESET_STATE_KEYS.forEach((key) => {
+                if (settings[key] !== undefined && key !== 'format') this.state[key] = settings[key];
+            });
+            savePrefs({ exportCrs: this.state.exportCrs, resolution: this.state.resolution, tiffCompression: this.state.tiffCompression });
+
+            const setValue = (id, value) => {
+                const el = document.getElementById(id);
+                if (el) el.value = value;
+            };
+            setValue('gisExportCrs', this.state.exportCrs);
+            setValue('gisExportResolution', this.state.resolution);
+            setValue('gisExportTiffCompression', this.state.tiffCompression);
+            Object.entries(TOGGLE_INPUTS).forEach(([id, key]) => {
+                const el = document.getElementById(id);
+                if (el) el.checked = !!this.state[key];
+            });
+            const atlas = document.getElementById('gisExportLayoutAtlas');
+            if (atlas) atlas.checked = !!this.state.layoutAtlas;
+
+            const PL = global.PrintLayout;
+            if (PL) {
+                const t = PL.getTemplate(this.state.layoutTemplateId);
+                this.state.layoutTemplateId = t.id;
+                this.state.layout = Object.assign({}, t, settings.layout || {});
+                savePrefs({ layoutTemplateId: t.id });
+                setValue('gisExportLayoutTemplate', t.id);
+                this._fillLayoutFields();
+            }
+            const CL = global.CoordinateList;
+            if (CL) {
+                const t = CL.getTemplate(this.state.coordListTemplateId);
+                this.state.coordListTemplateId = t.id;
+                this.state.coordList = Object.assign({}, t, settings.coordList || {});
+                savePrefs({ coordListTemplateId: t.id });
+                setValue('gisExportCoordTemplate', t.id);
+                this._fillCoordListFields();
+            }
+
+            // Layers are matched by title; layers the preset doesn't know stay as they are
+            if (Array.isArray(settings.layers)) {
+                const wanted = new Set(settings.layers);
+                const known = (this.getGspnetLayers() || []).concat(Object.values(this.getPolygonLayers() || {}));
+                known.forEach((l) => {
+                    const title = l.get('title');
+                    if (title && title !== 'Extracted Polygon Points') l.setVisible(wanted.has(title));
+                });
+            }
+
+            if (settings.format && EXPORT_FORMATS[settings.format]) this._selectFormat(settings.format);
+            this._updateExtentStats();
+            this._updatePreview();
+        }
+
+        /**
+         * Whole-layer exports built by the worker into R2 (cloudflare-worker/export-jobs.js).
+         * Set window.GSPNET_EXPORT_JOBS_URL to point at `wrangler dev` when testing.
+         */
+        _bindServerJobUi() {
+            const box = document.getElementById('gisExportServerJobs');
+            if (!box) return;
+            box.addEventListener('toggle', () => {
+                if (!box.open) return;
+                const sel = document.getElementById('gisExportJobLayer');
+                const current = sel.value;
+                sel.innerHTML = '';
+                Object.keys(this.getPolygonLayers() || {}).sort().forEach((name) => {
+                    const o = document.createElement('option');
+                    o.value = name;
+                    o.textContent = name;
+                    sel.appendChild(o);
+                });
+                if (current) sel.value = current;
+                this._loadServerJobs();
+                this._loadServerSchedules();
+            });
+            document.getElementById('gisExportJobRun')?.addEventListener('click', () => this._submitServerJob());
+        }
+
+        async _submitServerJob() {
+            const layerName = document.getElementById('gisExportJobLayer')?.value;
+            const format = document.getElementById('gisExportJobFormat')?.value || 'geojson';
+            const repeat = document.getElementById('gisExportJobRepeat')?.value || '';
+            const crs = this.state.exportCrs;
+            if (!layerName) {
+                this.showToast('No survey layers loaded to export.', 'error');
+                return;
+            }
+            if (SERVER_JOB_CRS.indexOf(crs) === -1) {
+                this.showToast('Server exports use WGS 84 grids; export Arc 1960 from the map instead.', 'error');
+                return;
+            }
+            if (format === 'dxf' && crs === 'EPSG:4326') {
+                this.showToast('DXF needs a projected CRS — pick a UTM zone in step 3.', 'error');
+                return;
+            }
+            const auth = await signedInClient();
+            if (!auth) {
+                this.showToast('Sign in to run server exports.', 'error');
+                return;
+            }
+            const btn = document.getElementById('gisExportJobRun');
+            if (btn) btn.disabled = true;
+            try {
+                const res = await fetch((global.GSPNET_EXPORT_JOBS_URL || EXPORT_JOBS_URL) + '/export-jobs', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', Authorization: 'Bearer ' + auth.session.access_token },
+                    body: JSON.stringify({ layer_name: layerName, format, crs, repeat: repeat || undefined })
+                });
+                const out = await res.json().catch(() => ({}));
+                if (!res.ok) throw new Error(out.error || 'HTTP ' + res.status);
+                this.showToast('Export of "' + layerName + '" queued on the server' + (repeat ? ' (repeats ' + repeat + ')' : '') + '.', 'success');
+                this._trackServerJob(out.job);
+                if (out.schedule) this._loadServerSchedules();
+            } catch (e) {
+                this.showToast('Server export failed: ' + e.message, 'error');
+            } finally {
+                if (btn) btn.disabled = false;
+            }
+        }
+
+        async _loadServerJobs() {
+            const auth = await signedInClient();
+            if (!auth) return;
+            const { data } = await auth.sb.from('export_jobs').select('*').order('created_at', { ascending: false }).limit(5);
+            (data || []).reverse().forEach((job) => this._trackServerJob(job, true));
+        }
+
+        _trackServerJob(job, quiet) {
+            if (!job) return;
+            const known = this.state.serverJobs.get(job.id);
+            this.state.serverJobs.set(job.id, job);
+            this._renderServerJobs();
+            if (known || job.status === 'done' || job.status === 'failed') return;
+
+            let polls = 0;
+            const poll = async () => {
+                const sb = global.supabaseClient;
+                if (!sb || ++polls > JOB_POLL_LIMIT) return;
+                const { data } = await sb.from('export_jobs').select('*').eq('id', job.id).maybeSingle();
+                if (data) {
+                    this.state.serverJobs.set(job.id, data);
+                    this._renderServerJobs();
+                    if (data.status === 'done') {
+                        if (!quiet) this.showToast('Server export of "' + data.layer_name + '" is ready (' + data.feature_count + ' features).', 'success');
+                        return;
+                    }
+                    if (data.status === 'failed') {
+                        if (!quiet) this.showToast('Server export of "' + data.layer_name + '" failed: ' + data.error, 'error');
+                        return;
+                    }
+                }
+                setTimeout(poll, JOB_POLL_MS);
+            };
+            setTimeout(poll, JOB_POLL_MS);
+        }
+
+        async _loadServerSchedules() {
+            const host = document.getElementById('gisExportScheduleList');
+            const auth = await signedInClient();
+            if (!host || !auth) return;
+            const { data } = await auth.sb.from('export_schedules').select('*').eq('enabled', true).order('created_at');
+            host.innerHTML = '';
+            (data || []).forEach((schedule) => {
+                const row = document.createElement('div');
+                row.textContent = schedule.layer_name + ' · ' + schedule.format.toUpperCase() + ' · ' + schedule.repeat +
+                    ' — next ' + new Date(schedule.next_run_at).toLocaleString() + ' ';
+                const stop = document.createElement('a');
+                stop.href = '#';
+                stop.textContent = 'Stop';
+                stop.addEventListener('click', async (e) => {
+                    e.preventDefault();
+                    const { error } = await auth.sb.from('export_schedules').delete().eq('id', schedule.id);
+                    if (error) this.showToast('Could not stop the schedule: ' + error.message, 'error');
+                    this._loadServerSchedules();
+                });
+                row.appendChild(stop);
+                host.appendChild(row);
+            });
+        }
+
+        _renderServerJobs() {
+            const host = document.getElementById('gisExportJobList');
+            if (!host) return;
+            host.innerHTML = '';
+            [...this.state.serverJobs.values()].reverse().slice(0, 5).forEach((job) => {
+                const row = document.createElement('div');
+                row.textContent = job.layer_name + ' · ' + job.format.toUpperCase() + ' · ' + job.crs + ' — ';
+                if (job.status === 'done' && job.download_url) {
+                    const a = document.createElement('a');
+                    a.href = job.download_url;
+                    a.target = '_blank';
+                    a.rel = 'noopener';
+                    a.textContent = 'Download (' + job.feature_count + ' features)';
+                    row.appendChild(a);
+                } else {
+                    row.appendChild(document.createTextNode(job.status === 'failed' ? 'failed: ' + (job.error || 'unknown error') : job.status + '…'));
+                }
+                host.appendChild(row);
+            });
+        }
+
         _loadSessionPrefs() {
             const p = loadPrefs();
             if (p.format && EXPORT_FORMATS[p.format]) this.state.format = p.format;
             if (p.exportCrs) this.state.exportCrs = p.exportCrs;
             if (p.resolution) this.state.resolution = p.resolution;
+            if (p.tiffCompression) this.state.tiffCompression = p.tiffCompression;
             const crsSel = document.getElementById('gisExportCrs');
             if (crsSel) crsSel.value = this.state.exportCrs;
             const resSel = document.getElementById('gisExportResolution');
             if (resSel) resSel.value = this.state.resolution;
+            const tiffSel = document.getElementById('gisExportTiffCompression');
+            if (tiffSel) tiffSel.value = this.state.tiffCompression;
             this._buildFormatCards();
         }
 
@@ -589,7 +1632,11 @@
                 this._setExtentMode('map');
             }
             const transp = document.getElementById('gisExportRasterTransparent');
-            if (transp) transp.closest('.gis-export-toggle-row').style.display = this.state.format === 'png' ? 'flex' : 'none';
+            if (transp) transp.closest('.gis-export-toggle-row').style.display = this.state.format === 'png' || this.state.format === 'tif' ? 'flex' : 'none';
+            const tiffOpts = document.getElementById('gisExportTiffOptions');
+            if (tiffOpts) tiffOpts.style.display = this.state.format === 'tif' ? 'block' : 'none';
+            const layoutOpts = document.getElementById('gisExportLayoutOptions');
+            if (layoutOpts) layoutOpts.style.display = this.state.format === 'pdf' ? 'block' : 'none';
         }
 
         _startDrawBox() {
@@ -709,7 +1756,6 @@
             const dims = measureExtentMeters(this.state.exportExtent, this.state.exportCrs, this.view.getProjection());
             const isRaster = EXPORT_FORMATS[this.state.format].group === 'raster';
             const pickMode = this.state.extentMode === 'pick';
-            const over = dims.width > MAX_EXPORT_M || dims.height > MAX_EXPORT_M;
             let cls = 'gis-export-extent-stats--ok';
             let msg =
                 'Width: ' +
@@ -725,11 +1771,18 @@
                 el.textContent = msg;
                 return;
             }
-            if (isRaster && over) {
-                cls = 'gis-export-extent-stats--error';
-                msg = 'Export area exceeds 1 km × 1 km limit. Use Auto-crop or redraw.';
-            } else if (isRaster && (dims.width > 800 || dims.height > 800)) {
-                cls = 'gis-export-extent-stats--warn';
+            if (isRaster) {
+                const plan = planRaster(this.state.exportExtent, this.state.exportCrs, this.view.getProjection(), this.state.format, this.state.resolution);
+                if (plan.capped) {
+                    cls = 'gis-export-extent-stats--warn';
+                    msg += ' · capped at ' + plan.maxPx + ' px: ' + plan.groundPixelM.toFixed(2) + ' m/pixel';
+                } else if (plan.tiles > LARGE_RASTER_TILES) {
+                    cls = 'gis-export-extent-stats--warn';
+                    msg += ' · ' + plan.tiles + ' render tiles, this can take several minutes';
+                } else if (plan.groundPixelM > 1) {
+                    cls = 'gis-export-extent-stats--warn';
+                    msg += ' · ' + plan.groundPixelM.toFixed(1) + ' m/pixel';
+                }
             }
             el.className = 'gis-export-extent-stats ' + cls;
             el.textContent = msg;
@@ -810,13 +1863,25 @@
                 }
             });
 
-            if (fmt.group === 'raster' && this.state.exportExtent) {
-                const dims = measureExtentMeters(this.state.exportExtent, this.state.exportCrs, this.view.getProjection());
+            if (fmt.group === 'layout' && this.state.exportExtent && global.PrintLayout) {
+                // Basemap JPEG per page at the chosen DPI, plus the vector paths
+                const map = global.PrintLayout.frames(this._layoutTemplate()).map;
                 const dpi = DPI_MAP[this.state.resolution] || 150;
-                const wPx = Math.min(8192, Math.max(64, Math.round((dims.width / 0.0254) * dpi)));
-                const hPx = Math.min(8192, Math.max(64, Math.round((dims.height / 0.0254) * dpi)));
-                const bytes = wPx * hPx * 4 * (fmt.id === 'jpg' ? 0.22 : 0.35);
-                return { bytes, label: this._formatBytes(bytes) + ' (image ~' + wPx + '×' + hPx + ' px)' };
+                const px = Math.min(MAX_CANVAS_PX, (map.w / 25.4) * dpi) * Math.min(MAX_CANVAS_PX, (map.h / 25.4) * dpi);
+                const pages = this._layoutTargets().length;
+                const bytes = pages * (px * 0.25 + 20000) + vertices * 12;
+                return { bytes, label: this._formatBytes(bytes) + ' (' + pages + ' page' + (pages === 1 ? '' : 's') + ')' };
+            }
+
+            if (fmt.group === 'raster' && this.state.exportExtent) {
+                const plan = planRaster(this.state.exportExtent, this.state.exportCrs, this.view.getProjection(), fmt.id, this.state.resolution);
+                const ratio = fmt.id === 'jpg' ? 0.22 : fmt.id === 'tif' && this.state.tiffCompression === 'none' ? 0.75 : 0.35;
+                const bytes = plan.width * plan.height * 4 * ratio;
+                return {
+                    bytes,
+                    label: this._formatBytes(bytes) + ' (image ~' + plan.width + '×' + plan.height + ' px' +
+                        (plan.sheets > 1 ? ', ' + plan.sheets + ' sheets' : plan.tiles > 1 ? ', ' + plan.tiles + ' tiles' : '') + ')'
+                };
             }
 
             const bytes = vertices * 24 + items.length * 220 + 8000;
@@ -839,7 +1904,8 @@
         _formatBytes(b) {
             if (b < 1024) return b.toFixed(0) + ' B';
             if (b < 1048576) return (b / 1024).toFixed(1) + ' KB';
-            return (b / 1048576).toFixed(2) + ' MB';
+            if (b < 1073741824) return (b / 1048576).toFixed(2) + ' MB';
+            return (b / 1073741824).toFixed(2) + ' GB';
         }
 
         _updatePreview() {
@@ -856,7 +1922,7 @@
             };
             set('gisPreviewFormat', fmt.label);
             set('gisPreviewCrs', this.state.exportCrs);
-            set('gisPreviewResolution', fmt.group === 'raster' ? this.state.resolution + ' (' + (DPI_MAP[this.state.resolution] || 150) + ' DPI)' : '—');
+            set('gisPreviewResolution', fmt.group !== 'vector' ? this.state.resolution + ' (' + (DPI_MAP[this.state.resolution] || 150) + ' DPI)' : '—');
             set(
                 'gisPreviewExtent',
                 dims
@@ -879,8 +1945,30 @@
                     type: 'info',
                     text: 'Export uses features loaded in the current map view. Pan and zoom to load more survey data if needed.'
                 });
-                if (EXPORT_FORMATS[this.state.format].group === 'raster' && dims && (dims.width > MAX_EXPORT_M || dims.height > MAX_EXPORT_M)) {
-                    msgs.push({ type: 'warn', text: 'Raster export blocked: extent exceeds 1 km × 1 km.' });
+                if (fmt.group === 'raster' && this.state.exportExtent) {
+                    const plan = planRaster(this.state.exportExtent, this.state.exportCrs, this.view.getProjection(), fmt.id, this.state.resolution);
+                    if (plan.capped) {
+                        msgs.push({
+                            type: 'warn',
+                            text: 'This extent is larger than ' + plan.maxPx + ' px at ' + (DPI_MAP[this.state.resolution] || 150) +
+                                ' DPI, so it exports at ' + plan.groundPixelM.toFixed(2) + ' m/pixel. Use a smaller extent for more detail.'
+                        });
+                    }
+                    if (plan.tiles > 1) {
+                        msgs.push({ type: 'info', text: 'Large extent: the map is rendered in ' + plan.tiles + ' tiles. You can cancel while it runs.' });
+                    }
+                    if (plan.sheets > 1) {
+                        msgs.push({ type: 'info', text: fmt.id.toUpperCase() + ' is split into ' + plan.sheets + ' sheets of up to ' + MAX_CANVAS_PX + ' px, each with its own world file. Use GeoTIFF for a single image.' });
+                    }
+                }
+                if (fmt.group === 'layout') {
+                    const pages = this._layoutTargets().length;
+                    msgs.push({
+                        type: 'info',
+                        text: pages > 1
+                            ? 'Atlas: one ' + this._layoutTemplate().paper + ' sheet per selected parcel (' + pages + ' pages).'
+                            : 'Basemap is embedded as an image; survey layers are drawn as vector paths.'
+                    });
                 }
                 warnings.innerHTML = msgs
                     .map(
@@ -896,32 +1984,26 @@
 
             const runBtn = document.getElementById('gisExportRun');
             if (runBtn) {
-                const isRaster = fmt.group === 'raster';
-                const over = dims && (dims.width > MAX_EXPORT_M || dims.height > MAX_EXPORT_M);
                 const noExtent = !this.state.exportExtent && !(this.state.extentMode === 'pick' && this.state.pickedFeatures.length);
-                runBtn.disabled =
-                    !this.isAuthenticated() || this.state.isExporting || noExtent || (isRaster && over);
+                runBtn.disabled = !this.isAuthenticated() || this.state.isExporting || noExtent;
             }
         }
 
         async _runExport() {
             if (!this.isAuthenticated() || this.state.isExporting) return;
             const fmt = EXPORT_FORMATS[this.state.format];
-            if (fmt.group === 'raster') {
-                const dims = measureExtentMeters(this.state.exportExtent, this.state.exportCrs, this.view.getProjection());
-                if (dims.width > MAX_EXPORT_M || dims.height > MAX_EXPORT_M) {
-                    this.showToast('Export area exceeds 1km × 1km limit.', 'error');
-                    return;
-                }
-            }
 
             this.state.isExporting = true;
+            this.state.cancelRequested = false;
             this._setProgress(true, 'Generating export…', 10);
+            const cancelBtn = document.getElementById('gisExportProgressCancel');
+            if (cancelBtn) cancelBtn.style.display = fmt.group === 'vector' && fmt.id !== 'kmz' ? 'none' : '';
             const runBtn = document.getElementById('gisExportRun');
             if (runBtn) runBtn.disabled = true;
 
             try {
                 const zip = new global.JSZip();
+                const separateDownloads = [];
                 const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
                 const folder = zip.folder('GSPNET_export_' + stamp);
 
@@ -933,30 +2015,77 @@
                     extentMode: this.state.extentMode,
                     resolution: this.state.resolution
                 };
+                if (global.DatumTransform && global.DatumTransform.isArc1960(this.state.exportCrs)) {
+                    const ds = global.DatumTransform.getActiveSet();
+                    const towgs84 = global.DatumTransform.towgs84();
+                    meta.datumTransformation = towgs84 ? { set: ds.id, label: ds.label, towgs84 } : { set: ds.id, label: ds.label, ntv2: ds.file };
+                }
 
                 if (fmt.group === 'raster') {
                     this._setProgress(true, 'Rendering map…', 35);
                     const rasterResult = await this._exportRaster();
                     meta.corsNote = rasterResult.corsNote;
-                    folder.file('map.' + fmt.ext, rasterResult.imageBytes, { binary: true });
-                    folder.file('map.' + (fmt.id === 'png' ? 'pgw' : 'jgw'), rasterResult.worldFile);
-                    folder.file('map.prj', PRJ_WKT[this.state.exportCrs] || '');
+                    meta.rasterSize = rasterResult.size;
+                    let inlineBytes = 0;
+                    rasterResult.images.forEach(({ name, bytes, worldFile }) => {
+                        const size = bytes.size !== undefined ? bytes.size : bytes.byteLength;
+                        let base = name;
+                        if (inlineBytes + size > ZIP_INLINE_MAX_BYTES) {
+                            // Too large to pass through JSZip in memory; it downloads beside the ZIP
+                            base = 'GSPNET_export_' + stamp + (name === 'map' ? '' : '_' + name);
+                            separateDownloads.push({ blob: bytes, name: base + '.' + fmt.ext });
+                        } else {
+                            inlineBytes += size;
+                            folder.file(name + '.' + fmt.ext, bytes, { binary: true, compression: fmt.id === 'tif' ? 'STORE' : 'DEFLATE' });
+                        }
+                        // World file and .prj share the image's base name so GIS tools pair them;
+                        // GeoTIFF carries its georeferencing inside the file
+                        if (worldFile) {
+                            folder.file(base + '.' + (fmt.id === 'png' ? 'pgw' : 'jgw'), worldFile);
+                            folder.file(base + '.prj', prjWktFor(this.state.exportCrs));
+                        }
+                    });
+                    if (separateDownloads.length) meta.rasterFiles = separateDownloads.map((d) => d.name);
+                    if (fmt.id === 'tif') meta.tiffCompression = this.state.tiffCompression;
                     if (rasterResult.readmeExtra) {
                         folder.file('RASTER_NOTE.txt', rasterResult.readmeExtra);
                     }
+                } else if (fmt.group === 'layout') {
+                    const layout = await this._buildPrintLayout();
+                    folder.file('map-layout.pdf', layout.pdf, { binary: true });
+                    meta.layout = layout.meta;
+                    if (layout.note) folder.file('LAYOUT_NOTE.txt', layout.note);
+                } else if (fmt.id === 'shp') {
+                    this._setProgress(true, 'Building shapefiles…', 40);
+                    const shp = this._buildShapefiles();
+                    if (!shp.files.length) throw new Error('No point, line or polygon features to export.');
+                    shp.files.forEach(({ name, data }) => folder.file(name, data, { binary: true }));
+                    if (Object.keys(shp.renamedFields).length) meta.shapefileFields = shp.renamedFields;
+                } else if (fmt.id === 'kmz') {
+                    this._setProgress(true, 'Gathering field photos…', 40);
+                    const kmz = await this._buildKmz();
+                    folder.file('export.kmz', kmz.blob, { binary: true, compression: 'STORE' });
+                    meta.kmzPhotos = kmz.photoCount;
+                    if (kmz.note) {
+                        folder.file('KMZ_NOTE.txt', kmz.note);
+                        this.showToast('Some photos are missing from the KMZ; see KMZ_NOTE.txt in the export.', 'warning');
+                    }
+                } else if (fmt.id === 'gpkg') {
+                    this._setProgress(true, 'Building GeoPackage…', 40);
+                    folder.file('export.gpkg', await this._buildGeoPackage(), { binary: true });
                 } else {
                     this._setProgress(true, 'Building vector export…', 40);
                     const vectorBlob = this._exportVector(fmt.id);
                     folder.file('export.' + fmt.ext, vectorBlob);
                 }
 
-                if (this.state.surveyCornerCsv && this.state.pickedFeatures.length === 1) {
-                    const csv = this._buildCornerCsv(this.state.pickedFeatures[0]);
-                    folder.file('parcel-corner-coordinates.csv', csv);
-                } else if (this.state.surveyCornerCsv && this.state.pickedFeatures.length > 1) {
-                    this.state.pickedFeatures.forEach((f, i) => {
-                        folder.file('parcel-' + (i + 1) + '-corner-coordinates.csv', this._buildCornerCsv(f));
-                    });
+                if (this.state.surveyCornerCsv && this.state.pickedFeatures.length >= 1) {
+                    try {
+                        this._buildCoordinateLists(this.state.pickedFeatures).forEach((file) => folder.file(file.name, file.text));
+                        meta.coordinateList = this.state.coordList && this.state.coordList.name;
+                    } catch (e) {
+                        this.showToast('Corner coordinates skipped: ' + e.message, 'warning');
+                    }
                 }
 
                 if (this.state.surveyJrjCsv && this.state.pickedFeatures.length >= 1) {
@@ -979,17 +2108,27 @@
                         fmt.label +
                         '\nCRS: ' +
                         this.state.exportCrs +
-                        '\n\nSee export-metadata.json for details.\n'
+                        '\n\nSee export-metadata.json for details.\n' +
+                        (separateDownloads.length
+                            ? 'Map images downloaded separately (move each next to the world file and .prj of the same name in this folder): ' +
+                              separateDownloads.map((d) => d.name).join(', ') + '\n'
+                            : '')
                 );
 
                 this._setProgress(true, 'Creating ZIP…', 85);
                 const zipBlob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
                 this._downloadBlob(zipBlob, 'GSPNET_export_' + stamp + '.zip');
+                separateDownloads.forEach((d) => this._downloadBlob(d.blob, d.name));
                 this.showToast('Export downloaded successfully.', 'success');
             } catch (err) {
-                console.error('[GisExportEngine]', err);
-                this.showToast('Export failed: ' + (err.message || err), 'error');
+                if (err && err.cancelled) {
+                    this.showToast('Export cancelled.', 'warning');
+                } else {
+                    console.error('[GisExportEngine]', err);
+                    this.showToast('Export failed: ' + (err.message || err), 'error');
+                }
             } finally {
+                this.state.cancelRequested = false;
                 this.state.isExporting = false;
                 this._setProgress(false);
                 this._updatePreview();
@@ -1005,28 +2144,147 @@
             if (fill) fill.style.width = (pct || 0) + '%';
         }
 
+        /**
+         * Render the raster export. GeoTIFF is one image; PNG/JPG come back as
+         * one image per MAX_CANVAS_PX sheet ('map', or 'map_r1_c1'…), each
+         * encoded before the next sheet renders.
+         * @returns {Promise<Object>} - { images: [{ name, bytes, worldFile }], corsNote, readmeExtra, size }
+         */
         async _exportRaster() {
             const viewProj = this.view.getProjection();
             const exportCrs = this.state.exportCrs;
-            const extent = this.state.exportExtent;
-            const dims = measureExtentMeters(extent, exportCrs, viewProj);
+            const isTiff = this.state.format === 'tif';
+            const plan = planRaster(this.state.exportExtent, exportCrs, viewProj, this.state.format, this.state.resolution);
+            const { width, height, extent } = plan;
             const dpi = DPI_MAP[this.state.resolution] || 150;
-            const width = Math.min(8192, Math.max(128, Math.round((dims.width / 0.0254) * dpi)));
-            const height = Math.min(8192, Math.max(128, Math.round((dims.height / 0.0254) * dpi)));
+            const transparent = this.state.rasterTransparent && (this.state.format === 'png' || isTiff);
+
+            const bl = ol.proj.transform([extent[0], extent[1]], viewProj, exportCrs);
+            const tr = ol.proj.transform([extent[2], extent[3]], viewProj, exportCrs);
+            const pixelW = (tr[0] - bl[0]) / width;
+            const pixelH = (tr[1] - bl[1]) / height;
+
+            const composite = { drewAny: false, tainted: false };
+            let visible = false;
+            const render = async (onTile, options) => {
+                const r = await this._renderRasterTiles(plan, !transparent, async (tile, x0, y0) => {
+                    if (!visible) {
+                        try {
+                            visible = canvasHasVisibleContent(tile);
+                        } catch (e) { /* tainted; reported below */ }
+                    }
+                    await onTile(tile, x0, y0);
+                }, options);
+                composite.drewAny = composite.drewAny || r.drewAny;
+                composite.tainted = composite.tainted || r.tainted;
+            };
 
+            const images = [];
+            if (isTiff) {
+                // Multi-tile GeoTIFFs are encoded as they render; a single tile goes through one canvas
+                const tiffOptions = this._geoTiffOptions(width, height, transparent, bl[0], tr[1], pixelW, pixelH, dpi);
+                if (plan.tiles > 1) {
+                    const tiledTiff = global.GeoTiffWriter.createTiled(tiffOptions);
+                    await render((tile, x0, y0) => tiledTiff.addBlock(canvasPixels(tile), tile.width, tile.height, x0, y0));
+                    this._setProgress(true, 'Encoding image…', 82);
+                    images.push({ name: 'map', bytes: tiledTiff.finish(), worldFile: null });
+                } else {
+                    const mapCanvas = document.createElement('canvas');
+                    mapCanvas.width = width;
+                    mapCanvas.height = height;
+                    await render((tile, x0, y0) => mapCanvas.getContext('2d').drawImage(tile, x0, y0));
+                    this._setProgress(true, 'Encoding image…', 82);
+                    const bytes = await global.GeoTiffWriter.encode(Object.assign({ rgba: canvasPixels(mapCanvas) }, tiffOptions));
+                    images.push({ name: 'map', bytes, worldFile: null });
+                }
+            } else {
+                const mime = this.state.format === 'jpg' ? 'image/jpeg' : 'image/png';
+                const S = MAX_CANVAS_PX;
+                for (let sy = 0; sy < height; sy += S) {
+                    for (let sx = 0; sx < width; sx += S) {
+                        const sheet = { x: sx, y: sy, width: Math.min(S, width - sx), height: Math.min(S, height - sy) };
+                        const name = plan.sheets > 1 ? 'map_r' + (sy / S + 1) + '_c' + (sx / S + 1) : 'map';
+                        const label = plan.sheets > 1 ? 'Sheet ' + (images.length + 1) + ' of ' + plan.sheets + ': ' : '';
+                        const canvas = document.createElement('canvas');
+                        canvas.width = sheet.width;
+                        canvas.height = sheet.height;
+                        await render((tile, x0, y0) => canvas.getContext('2d').drawImage(tile, x0 - sx, y0 - sy), { sheet, label });
+                        this._setProgress(true, label + 'Encoding image…', 82);
+                        let dataUrl;
+                        try {
+                            dataUrl = canvas.toDataURL(mime, this.state.format === 'jpg' ? 0.92 : undefined);
+                        } catch (e) {
+                            throw new Error('Raster export blocked by browser canvas security (CORS on basemap tiles).');
+                        }
+                        // Release the sheet before the next one renders
+                        canvas.width = canvas.height = 0;
+                        const bytes = await (await fetch(dataUrl)).arrayBuffer();
+                        const worldFile =
+                            pixelW.toFixed(10) +
+                            '\n0\n0\n' +
+                            (-Math.abs(pixelH)).toFixed(10) +
+                            '\n' +
+                            (bl[0] + sx * pixelW).toFixed(6) +
+                            '\n' +
+                            (tr[1] - sy * Math.abs(pixelH)).toFixed(6) +
+                            '\n';
+                        images.push({ name, bytes, worldFile });
+                    }
+                }
+            }
+
+            let corsNote = '';
+            if (!composite.drewAny || !visible) {
+                corsNote =
+                    'Map image could not be composited (tiles may still be loading or blocked by CORS). ' +
+                    'Try zooming the export area into view first, or use vector-only formats.';
+            } else if (composite.tainted) {
+                corsNote =
+                    'Some basemap tiles could not be embedded (CORS). Export includes layers that loaded successfully.';
+            }
+
+            return {
+                images,
+                corsNote,
+                readmeExtra: corsNote,
+                size: { width, height, tiles: plan.tiles, sheets: plan.sheets, groundPixelM: plan.groundPixelM }
+            };
+        }
+
+        /**
+         * Render the export grid tile by tile on an off-screen map and pass each
+         * composited, decorated tile to onTile(canvas, x0, y0). Only one tile
+         * canvas exists at a time. Throws { cancelled: true } when the user
+         * cancels between tiles.
+         * @param {Object} [options] - { rasterOnly, decorate (default true), quiet (no progress),
+         *   sheet ({ x, y, width, height } pixel window of the grid to render), label (progress prefix) }
+         */
+        async _renderRasterTiles(plan, fillWhite, onTile, options) {
+            const opts = Object.assign({ rasterOnly: false, decorate: true, quiet: false, label: '' }, options);
+            const sheet = opts.sheet || { x: 0, y: 0, width: plan.width, height: plan.height };
+            const viewProj = this.view.getProjection();
             const exportLayers = [];
             this.map.getLayers().forEach((layer) => {
-                const cloned = cloneLayerForRasterExport(layer, this.extentLayer);
+                const cloned = cloneLayerForRasterExport(layer, this.extentLayer, opts.rasterOnly);
                 if (cloned) exportLayers.push(cloned);
             });
 
             if (!exportLayers.length) {
+                if (opts.rasterOnly) return { drewAny: false, tainted: false };
                 throw new Error('No visible map layers to export.');
             }
 
+            const T = RENDER_TILE_PX;
+            const cols = Math.ceil(sheet.width / T);
+            const rows = Math.ceil(sheet.height / T);
+            const total = cols * rows;
+
             const tempContainer = document.createElement('div');
-            tempContainer.style.cssText =
-                'position:absolute;left:-99999px;top:0;width:' + width + 'px;height:' + height + 'px;overflow:hidden;';
+            const sizeContainer = (w, h) => {
+                tempContainer.style.cssText =
+                    'position:absolute;left:-99999px;top:0;width:' + w + 'px;height:' + h + 'px;overflow:hidden;';
+            };
+            sizeContainer(Math.min(T, sheet.width), Math.min(T, sheet.height));
             document.body.appendChild(tempContainer);
 
             const tempView = new ol.View({ projection: viewProj });
@@ -1037,65 +2295,52 @@
                 interactions: []
             });
 
+            const result = { drewAny: false, tainted: false };
             try {
                 tempMap.setTarget(tempContainer);
-                tempMap.updateSize();
-                tempView.fit(extent, { size: [width, height], padding: [0, 0, 0, 0], duration: 0 });
-                // Wait longer (5 frames) for Esri/heavy layers to stabilize
-                await waitForMapRenderComplete(tempMap, 5, 15000);
-
-                const mapCanvas = document.createElement('canvas');
-                mapCanvas.width = width;
-                mapCanvas.height = height;
-                const fillWhite = !(this.state.rasterTransparent && this.state.format === 'png');
-                const composite = compositeMapCanvases(tempContainer, mapCanvas, fillWhite);
-
-                // Add grid, scale bar, north arrow and metadata
-                this._drawRasterDecorations(mapCanvas, extent, exportCrs, viewProj);
-
-                let tainted = composite.tainted;
-                let corsNote = '';
-                let readmeExtra = '';
-
-                if (!composite.drewAny || !canvasHasVisibleContent(mapCanvas)) {
-                    corsNote =
-                        'Map image could not be composited (tiles may still be loading or blocked by CORS). ' +
-                        'Try zooming the export area into view first, or use vector-only formats.';
-                    readmeExtra = corsNote;
-                } else if (tainted) {
-                    corsNote =
-                        'Some basemap tiles could not be embedded (CORS). Export includes layers that loaded successfully.';
-                    readmeExtra = corsNote;
-                }
+                let done = 0;
+                for (let ty = 0; ty < rows; ty++) {
+                    for (let tx = 0; tx < cols; tx++) {
+                        this._throwIfCancelled();
+                        const x0 = sheet.x + tx * T;
+                        const y0 = sheet.y + ty * T;
+                        const w = Math.min(T, sheet.x + sheet.width - x0);
+                        const h = Math.min(T, sheet.y + sheet.height - y0);
+                        sizeContainer(w, h);
+                        tempMap.updateSize();
+                        tempView.setResolution(plan.resolution);
+                        tempView.setCenter([
+                            plan.extent[0] + (x0 + w / 2) * plan.resolution,
+                            plan.extent[3] - (y0 + h / 2) * plan.resolution
+                        ]);
+                        // Wait longer (5 frames) for Esri/heavy layers to stabilize
+                        await waitForMapRenderComplete(tempMap, 5, 15000);
+
+                        const tile = document.createElement('canvas');
+                        tile.width = w;
+                        tile.height = h;
+                        const composite = compositeMapCanvases(tempContainer, tile, fillWhite);
+                        result.drewAny = result.drewAny || composite.drewAny;
+                        result.tainted = result.tainted || composite.tainted;
+
+                        // Grid, scale bar, north arrow and metadata, positioned on the full image
+                        if (opts.decorate) {
+                            this._drawRasterDecorations(tile, plan.extent, this.state.exportCrs, viewProj, {
+                                x: x0,
+                                y: y0,
+                                width: plan.width,
+                                height: plan.height
+                            });
+                        }
 
-                const mime = this.state.format === 'jpg' ? 'image/jpeg' : 'image/png';
-                let dataUrl;
-                try {
-                    dataUrl = mapCanvas.toDataURL(mime, this.state.format === 'jpg' ? 0.92 : undefined);
-                } catch (e) {
-                    tainted = true;
-                    corsNote = 'Raster export blocked by browser canvas security (CORS on basemap tiles).';
-                    readmeExtra = corsNote;
-                    throw new Error(corsNote);
+                        await onTile(tile, x0, y0);
+                        done++;
+                        if (total > 1 && !opts.quiet) {
+                            this._setProgress(true, opts.label + 'Rendering tile ' + done + ' of ' + total + '…', 35 + Math.round((done / total) * 45));
+                        }
+                    }
                 }
-
-                const imageBytes = await (await fetch(dataUrl)).arrayBuffer();
-
-                const bl = ol.proj.transform([extent[0], extent[1]], viewProj, exportCrs);
-                const tr = ol.proj.transform([extent[2], extent[3]], viewProj, exportCrs);
-                const pixelW = (tr[0] - bl[0]) / width;
-                const pixelH = (tr[1] - bl[1]) / height;
-                const worldFile =
-                    pixelW.toFixed(10) +
-                    '\n0\n0\n' +
-                    (-Math.abs(pixelH)).toFixed(10) +
-                    '\n' +
-                    bl[0].toFixed(6) +
-                    '\n' +
-                    tr[1].toFixed(6) +
-                    '\n';
-
-                return { imageBytes, worldFile, corsNote, readmeExtra };
+                return result;
             } finally {
                 tempMap.setTarget(null);
                 if (tempContainer.parentNode) {
@@ -1104,6 +2349,206 @@
             }
         }
 
+        _throwIfCancelled() {
+            if (!this.state.cancelRequested) return;
+            const err = new Error('Export cancelled.');
+            err.cancelled = true;
+            throw err;
+        }
+
+        /**
+         * GeoTiffWriter options for the export grid. The top-left corner and
+         * pixel size are in the export CRS; GeoKeys name its EPSG code, and Arc
+         * 1960 grids also carry the active TOWGS84 set like the .prj does.
+         */
+        _geoTiffOptions(width, height, alpha, originX, originY, pixelW, pixelH, dpi) {
+            if (!global.GeoTiffWriter) throw new Error('GeoTIFF support is not loaded.');
+            const exportCrs = this.state.exportCrs;
+            let compression = this.state.tiffCompression;
+            if (compression === 'deflate' && typeof global.CompressionStream === 'undefined') compression = 'lzw';
+            const crs = {
+                epsg: parseInt(exportCrs.split(':')[1], 10),
+                geographic: exportCrs === 'EPSG:4326',
+                citation: CRS_NAMES[exportCrs] || exportCrs
+            };
+            const towgs84 = global.DatumTransform && global.DatumTransform.isArc1960(exportCrs) && global.DatumTransform.towgs84();
+            if (towgs84) crs.towgs84 = towgs84.split(',').map(Number);
+            return {
+                width,
+                height,
+                alpha,
+                compression,
+                origin: [originX, originY],
+                pixelSize: [Math.abs(pixelW), Math.abs(pixelH)],
+                crs,
+                dpi,
+                software: 'GEOSPATIALNETWORKUG'
+            };
+        }
+
+        _layoutTemplate() {
+            const PL = global.PrintLayout;
+            return Object.assign({}, PL ? PL.DEFAULT_TEMPLATE : {}, this.state.layout);
+        }
+
+        // One page per picked parcel in atlas mode, otherwise one page for the extent
+        _layoutTargets() {
+            const picked = this.state.extentMode === 'pick' ? this.state.pickedFeatures : [];
+            if (this.state.layoutAtlas && picked.length > 1) {
+                return picked.map((f, i) => ({ extent: f.getGeometry().getExtent(), feature: f, subtitle: this._parcelLabel(f, i) }));
+            }
+            const single = picked.length === 1 ? picked[0] : null;
+            return [{ extent: this.state.exportExtent, feature: single, subtitle: single ? this._parcelLabel(single, 0) : '' }];
+        }
+
+        _parcelLabel(feature, index) {
+            const key = PLOT_KEYS.find((k) => feature.get(k) != null && String(feature.get(k)).trim() !== '');
+            return key ? 'Plot ' + String(feature.get(key)).trim() : 'Parcel ' + (index + 1);
+        }
+
+        /**
+         * Map extent for a layout frame: centred on the target, at the smallest
+         * standard scale that fits it, with the frame's aspect ratio.
+         */
+        _layoutPageView(extent, frame) {
+            const viewProj = this.view.getProjection();
+            const center = ol.extent.getCenter(extent);
+            const mPerUnit = ol.proj.getPointResolution(viewProj, 1, center, 'm');
+            const scale = global.PrintLayout.fitScale(
+                ol.extent.getWidth(extent) * mPerUnit,
+                ol.extent.getHeight(extent) * mPerUnit,
+                frame
+            );
+            const unitsPerMm = scale / 1000 / mPerUnit;
+            const hw = (frame.w / 2) * unitsPerMm;
+            const hh = (frame.h / 2) * unitsPerMm;
+            return { extent: [center[0] - hw, center[1] - hh, center[0] + hw, center[1] + hh], scale };
+        }
+
+        /**
+         * Vector features on a layout page with their map symbology (the same
+         * summary the GeoPackage export writes), and one legend entry per layer
+         * that has features on the page.
+         */
+        _layoutFeatures(extent, highlight) {
+            const PL = global.PrintLayout;
+            const features = [];
+            const legend = new Map();
+            this._getVisibleVectorLayers().forEach((layer) => {
+                const source = layer.getSource();
+                if (!source || !source.getFeaturesInExtent) return;
+                const title = layer.get('title') || 'Layer';
+                source.getFeaturesInExtent(extent).forEach((feature) => {
+                    const geom = feature.getGeometry();
+                    if (!geom) return;
+                    const style = global.GeoPackage ? global.GeoPackage.styleFromLayer(layer, feature) : null;
+                    features.push({ geometry: geom, style, highlight: feature === highlight });
+                    if (!legend.has(title)) legend.set(title, { title, kind: PL.geometryKind(geom.getType()), style });
+                });
+            });
+            return { features, legend: [...legend.values()] };
+        }
+
+        /**
+         * Basemap (tile and image layers only) for a layout frame as a JPEG data
+         * URL, or null when there is nothing to draw or the tiles are not CORS-enabled.
+         */
+        async _renderLayoutImage(extent, frame, dpi) {
+            const longPx = Math.max(64, Math.min(MAX_CANVAS_PX, Math.round((Math.max(frame.w, frame.h) / 25.4) * dpi)));
+            const res = Math.max(ol.extent.getWidth(extent), ol.extent.getHeight(extent)) / longPx;
+            const width = Math.max(1, Math.round(ol.extent.getWidth(extent) / res));
+            const height = Math.max(1, Math.round(ol.extent.getHeight(extent) / res));
+            const plan = {
+                width,
+                height,
+                resolution: res,
+                extent: [extent[0], extent[3] - height * res, extent[0] + width * res, extent[3]],
+                tiles: Math.ceil(width / RENDER_TILE_PX) * Math.ceil(height / RENDER_TILE_PX)
+            };
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d');
+            const composite = await this._renderRasterTiles(plan, true, (tile, x0, y0) => ctx.drawImage(tile, x0, y0), {
+                rasterOnly: true,
+                decorate: false,
+                quiet: true
+            });
+            if (!composite.drewAny) return null;
+            try {
+                return canvas.toDataURL('image/jpeg', 0.85);
+            } catch (e) {
+                return null;
+            }
+        }
+
+        /**
+         * PDF layout from the current template: a single sheet for the export
+         * extent, or an atlas with one sheet per picked parcel.
+         * @returns {Promise<Object>} - { pdf: Blob, meta, note }
+         */
+        async _buildPrintLayout() {
+            const PL = global.PrintLayout;
+            if (!PL || !global.jspdf) throw new Error('PDF layout support is not loaded.');
+            const viewProj = this.view.getProjection();
+            const exportCrs = this.state.exportCrs;
+            const tpl = this._layoutTemplate();
+            const frames = PL.frames(tpl);
+            const dpi = DPI_MAP[this.state.resolution] || 150;
+            const targets = this._layoutTargets();
+            const pages = [];
+            let missingBasemap = 0;
+
+            for (let i = 0; i < targets.length; i++) {
+                this._throwIfCancelled();
+                this._setProgress(true, 'Composing page ' + (i + 1) + ' of ' + targets.length + '…', 20 + Math.round((i / targets.length) * 60));
+                const target = targets[i];
+                const view = this._layoutPageView(target.extent, frames.map);
+                const content = this._layoutFeatures(view.extent, target.feature);
+                const page = {
+                    extent: view.extent,
+                    scale: view.scale,
+                    subtitle: target.subtitle,
+                    features: content.features,
+                    legend: content.legend,
+                    grid: {
+                        bl: ol.proj.transform([view.extent[0], view.extent[1]], viewProj, exportCrs),
+                        tr: ol.proj.transform([view.extent[2], view.extent[3]], viewProj, exportCrs),
+                        geographic: exportCrs === 'EPSG:4326'
+                    },
+                    image: await this._renderLayoutImage(view.extent, frames.map, dpi),
+                    inset: null
+                };
+                if (!page.image) missingBasemap++;
+                if (frames.inset) {
+                    const around = ol.extent.buffer(view.extent, (ol.extent.getWidth(view.extent) * (INSET_CONTEXT - 1)) / 2);
+                    const insetExtent = this._layoutPageView(around, frames.inset).extent;
+                    page.inset = { extent: insetExtent, image: await this._renderLayoutImage(insetExtent, frames.inset, 96) };
+                }
+                pages.push(page);
+            }
+
+            this._setProgress(true, 'Writing PDF…', 82);
+            const pdf = PL.compose(pages, {
+                template: tpl,
+                crsName: CRS_NAMES[exportCrs] || exportCrs,
+                date: new Date().toLocaleDateString()
+            });
+            return {
+                pdf,
+                meta: {
+                    template: tpl.name || tpl.paper + ' ' + tpl.orientation,
+                    paper: tpl.paper,
+                    orientation: tpl.orientation,
+                    pages: pages.length,
+                    scales: pages.map((p) => '1:' + p.scale)
+                },
+                note: missingBasemap
+                    ? 'The basemap could not be embedded on ' + missingBasemap + ' page(s) (no raster layer visible, or tiles blocked by CORS). Vector layers are complete.'
+                    : ''
+            };
+        }
+
         _exportVector(formatId) {
             const viewProj = this.view.getProjection();
             const exportCrs = this.state.exportCrs;
@@ -1120,25 +2565,274 @@
             }
 
             if (formatId === 'kml') {
-                const features = items.map((i) => i.feature);
-                return new ol.format.KML().writeFeatures(features, {
-                    dataProjection: exportCrs,
-                    featureProjection: viewProj
-                });
+                if (!global.KmlWriter) throw new Error('KML support is not loaded.');
+                return global.KmlWriter.write(this._kmlLayers(items), { name: 'GSPNET export', featureProjection: viewProj });
             }
 
             return this._buildDxf(items, contourLayer);
         }
 
+        /**
+         * One shapefile per geometry type (points, multipoints, lines, polygons).
+         * Attributes go to the DBF with a LAYER column for the source layer;
+         * renamedFields maps attribute keys to the DBF names they were cut to.
+         */
+        _buildShapefiles() {
+            const viewProj = this.view.getProjection();
+            const exportCrs = this.state.exportCrs;
+            const prj = prjWktFor(exportCrs);
+            const groups = {};
+
+            this._collectFeaturesForExport().forEach(({ feature, layerTitle }) => {
+                const geom = feature.getGeometry();
+                const group = geom && shpGroupFor(geom.getType());
+                if (!group) return;
+                const coords = geom.clone().transform(viewProj, exportCrs).getCoordinates();
+                const parts = shpParts(geom.getType(), coords);
+                if (!parts.length) return;
+
+                const row = { LAYER: layerTitle || '' };
+                const props = feature.getProperties();
+                Object.keys(props).forEach((key) => {
+                    const v = props[key];
+                    if (key === feature.getGeometryName() || key.startsWith('__')) return;
+                    if (v !== null && typeof v === 'object') return;
+                    if (typeof v === 'function') return;
+                    row[key] = v;
+                });
+                (groups[group] = groups[group] || { shapes: [], rows: [] }).shapes.push(parts);
+                groups[group].rows.push(row);
+            });
+
+            const files = [];
+            const renamedFields = {};
+            Object.keys(SHP_GROUP_FILES).forEach((group) => {
+                const g = groups[group];
+                if (!g) return;
+                const base = 'export_' + SHP_GROUP_FILES[group];
+                const { shp, shx } = buildShpShx(SHP_TYPES[group], g.shapes);
+                const fields = dbfFields(g.rows);
+                fields.forEach((f) => {
+                    if (f.name !== f.key) renamedFields[f.key] = f.name;
+                });
+                files.push({ name: base + '.shp', data: shp });
+                files.push({ name: base + '.shx', data: shx });
+                files.push({ name: base + '.dbf', data: buildDbf(fields, g.rows) });
+                files.push({ name: base + '.cpg', data: 'UTF-8' });
+                if (prj) files.push({ name: base + '.prj', data: prj });
+            });
+            return { files, renamedFields };
+        }
+
+        /** Exported features grouped per layer with the layer's map colours, for KML/KMZ. */
+        _kmlLayers(items) {
+            const layerByTitle = new Map(this._getVisibleVectorLayers().map((l) => [l.get('title') || 'LAYER', l]));
+            const groups = new Map();
+            items.forEach(({ feature, layerTitle }) => {
+                if (!groups.has(layerTitle)) groups.set(layerTitle, []);
+                groups.get(layerTitle).push(feature);
+            });
+            return [...groups.entries()].map(([name, features]) => ({
+                name,
+                features,
+                style: global.GeoPackage ? global.GeoPackage.styleFromLayer(layerByTitle.get(name), features[0]) : null
+            }));
+        }
+
+        /**
+         * KMZ with styled layers and field photos embedded under files/:
+         * rover camera captures still on this device that fall inside the
+         * export, and photo evidence uploaded to cases on the exported parcels.
+         */
+        async _buildKmz() {
+            if (!global.KmlWriter || typeof JSZip === 'undefined') throw new Error('KMZ support is not loaded.');
+            const items = this._collectFeaturesForExport();
+            const photos = await this._collectKmzPhotos(items);
+            this._throwIfCancelled();
+            this._setProgress(true, 'Packing KMZ…', 70);
+            const blob = await global.KmlWriter.writeKmz(this._kmlLayers(items), {
+                name: 'GSPNET export',
+                featureProjection: this.view.getProjection(),
+                photos: photos.byFeature,
+                photoPoints: photos.points,
+                files: photos.files
+            });
+            return { blob, photoCount: photos.files.length, note: photos.notes.join('\n') };
+        }
+
+        async _collectKmzPhotos(items) {
+            const viewProj = this.view.getProjection();
+            const byFeature = new Map();
+            const points = [];
+            const files = [];
+            const notes = [];
+            let bytes = 0;
+            let overBudget = 0;
+
+            const attach = (feature, entry) => {
+                if (!byFeature.has(feature)) byFeature.set(feature, []);
+                byFeature.get(feature).push(entry);
+            };
+            // Returns the href inside the KMZ, or null once the size budget is spent
+            const store = (data, type) => {
+                const size = data.byteLength;
+                if (bytes + size > KMZ_PHOTO_MAX_BYTES) {
+                    overBudget++;
+                    return null;
+                }
+                bytes += size;
+                const path = 'files/photo-' + (files.length + 1) + (/png/.test(type || '') ? '.png' : '.jpg');
+                files.push({ path, data });
+                return path;
+            };
+
+            const polygons = items.filter(({ feature }) => /Polygon/.test(feature.getGeometry()?.getType() || ''));
+            const extent = this.state.exportExtent || items.reduce((e, { feature }) => ol.extent.extend(e, feature.getGeometry().getExtent()), ol.extent.createEmpty());
+
+            // Rover camera captures waiting on this device ({ data, lat, lon, ts })
+            const roverStore = global.mapillaryStore;
+            if (roverStore && typeof roverStore.keys === 'function') {
+                try {
+                    for (const key of await roverStore.keys()) {
+                        this._throwIfCancelled();
+                        const item = await roverStore.getItem(key);
+                        if (!item || !item.data || !isFinite(item.lat) || !isFinite(item.lon)) continue;
+                        const at = ol.proj.transform([item.lon, item.lat], 'EPSG:4326', viewProj);
+                        if (ol.extent.isEmpty(extent) || !ol.extent.containsCoordinate(extent, at)) continue;
+                        const href = store(await (await fetch(item.data)).arrayBuffer(), 'image/jpeg');
+                        if (!href) continue;
+                        const entry = { href, caption: 'Rover capture ' + (item.ts || key), lonLat: [item.lon, item.lat], time: item.ts };
+                        points.push(entry);
+                        const parcel = polygons.find(({ feature }) => feature.getGeometry().intersectsCoordinate(at));
+                        if (parcel) attach(parcel.feature, entry);
+                    }
+                } catch (e) {
+                    if (e && e.cancelled) throw e;
+                    notes.push('Rover camera captures could not be read: ' + e.message);
+                }
+            }
+
+            // Photo evidence on the exported parcels (corroboration and case uploads)
+            const sb = global.supabaseClient;
+            const byUid = new Map();
+            items.forEach(({ feature }) => {
+                const uid = feature.get('unique_id');
+                if (uid != null && String(uid).trim() !== '') byUid.set(String(uid).trim(), feature);
+            });
+            if (sb && byUid.size) {
+                const evidence = [];
+                const uids = [...byUid.keys()];
+                // One note per source, however many chunks it failed on
+                const listErrors = new Map();
+                const listFailed = (source, error) => {
+                    if (!listErrors.has(source)) listErrors.set(source, error.message || String(error));
+                };
+                try {
+                    for (let i = 0; i < uids.length; i += KMZ_QUERY_CHUNK) {
+                        const chunk = uids.slice(i, i + KMZ_QUERY_CHUNK);
+                        const { data: flagFiles, error: flagError } = await sb.from('corroboration_files')
+                            .select('parcel_unique_id, file_url, original_file_name, description, created_at')
+                            .in('parcel_unique_id', chunk)
+                            .eq('evidence_type', 'image');
+                        if (flagError) listFailed('Corroboration photos', flagError);
+                        (flagFiles || []).forEach((f) => evidence.push({ uid: f.parcel_unique_id, url: f.file_url, name: f.original_file_name, note: f.description, date: f.created_at }));
+
+                        const { data: cases, error: caseError } = await sb.from('parcel_cases').select('id, parcel_unique_id').in('parcel_unique_id', chunk);
+                        if (caseError) listFailed('Case photos', caseError);
+                        const caseUid = new Map((cases || []).map((c) => [c.id, c.parcel_unique_id]));
+                        if (caseUid.size) {
+                            const { data: caseFiles, error: fileError } = await sb.from('case_evidence')
+                                .select('case_id, file_name, r2_url, r2_key, created_at')
+                                .in('case_id', [...caseUid.keys()])
+                                .eq('file_type', 'photo');
+                            if (fileError) listFailed('Case photos', fileError);
+                            (caseFiles || []).forEach((f) => evidence.push({ uid: caseUid.get(f.case_id), url: f.r2_url, key: f.r2_key, name: f.file_name, date: f.created_at }));
+                        }
+                    }
+                } catch (e) {
+                    notes.push('Evidence photos could not be listed: ' + e.message);
+                }
+                listErrors.forEach((message, source) => notes.push(source + ' could not be listed and are missing from the KMZ: ' + message));
+
+                let failed = 0;
+                for (const ev of evidence) {
+                    this._throwIfCancelled();
+                    const feature = byUid.get(String(ev.uid));
+                    if (!feature || !ev.url) continue;
+                    try {
+                        let res = await fetch(ev.url);
+                        // Case evidence kept in Supabase Storage needs a signed URL when the bucket is private
+                        if (!res.ok && ev.key) {
+                            const { data } = await sb.storage.from('case-evidence').createSignedUrl(ev.key, 600);
+                            if (data?.signedUrl) res = await fetch(data.signedUrl);
+                        }
+                        if (!res.ok) throw new Error('HTTP ' + res.status);
+                        const blob = await res.blob();
+                        const href = store(await blob.arrayBuffer(), blob.type);
+                        if (!href) continue;
+                        const date = ev.date ? new Date(ev.date).toLocaleDateString() : '';
+                        attach(feature, { href, caption: [ev.name, ev.note, date].filter(Boolean).join(' · ') });
+                    } catch (e) {
+                        failed++;
+                    }
+                }
+                if (failed) notes.push(failed + ' evidence photo(s) could not be downloaded (offline or blocked by CORS).');
+            }
+
+            if (overBudget) {
+                notes.push(overBudget + ' photo(s) left out to keep the KMZ under ' + this._formatBytes(KMZ_PHOTO_MAX_BYTES) + '.');
+            }
+            return { byFeature, points, files, notes };
+        }
+
+        /**
+         * GeoPackage with one feature table per exported layer, styled from
+         * the layer's current map symbology.
+         */
+        async _buildGeoPackage() {
+            if (!global.GeoPackage) throw new Error('GeoPackage support is not loaded.');
+            const exportCrs = this.state.exportCrs;
+            const layerByTitle = new Map(this._getVisibleVectorLayers().map((l) => [l.get('title') || 'LAYER', l]));
+            const groups = new Map();
+            this._collectFeaturesForExport().forEach(({ feature, layerTitle }) => {
+                if (!groups.has(layerTitle)) groups.set(layerTitle, []);
+                groups.get(layerTitle).push(feature);
+            });
+            const layers = [...groups.entries()].map(([name, features]) => ({
+                name,
+                features,
+                style: global.GeoPackage.styleFromLayer(layerByTitle.get(name), features[0])
+            }));
+            return global.GeoPackage.write(layers, {
+                crs: exportCrs,
+                crsName: CRS_NAMES[exportCrs],
+                wkt: prjWktFor(exportCrs),
+                featureProjection: this.view.getProjection(),
+                description: 'GEOSPATIALNETWORKUG export'
+            });
+        }
+
         _buildDxf(items, contourLayer) {
             const exportCrs = this.state.exportCrs;
             const viewProj = this.view.getProjection();
             const legacy = this.state.dxfLegacyR12;
+            const hd = legacy ? null : dxfHandles();
+            let annotations = '';
+            if (this.state.dxfLabels) {
+                const units = ol.proj.get(exportCrs)?.getUnits();
+                if (units === 'm') {
+                    annotations = this._dxfAnnotations(items, legacy, hd);
+                } else {
+                    this.showToast('DXF labels need a projected CRS in metres; exported without bearings and areas.', 'warning');
+                }
+            }
             let dxf = '';
 
             if (legacy) {
                 // DXF R12 (Legacy)
-                dxf += '0\nSECTION\n2\nHEADER\n9\n$ACADVER\n1\nAC1009\n0\nENDSEC\n0\nSECTION\n2\nENTITIES\n';
+                dxf += '0\nSECTION\n2\nHEADER\n9\n$ACADVER\n1\nAC1009\n0\nENDSEC\n';
+                if (annotations) dxf += '0\nSECTION\n2\nBLOCKS\n' + dxfBeaconBlock(null) + '0\nENDSEC\n';
+                dxf += '0\nSECTION\n2\nENTITIES\n';
                 items.forEach(({ feature, layerTitle, fullGeometry }) => {
                     const rings = this._geomToRings(feature.getGeometry(), viewProj, exportCrs);
                     const layer = cadLayerForFeature(feature, layerTitle, contourLayer);
@@ -1155,13 +2849,14 @@
                         dxf += '0\nSEQEND\n8\n' + layer + '\n';
                     });
                 });
+                dxf += annotations;
                 dxf += '0\nENDSEC\n0\nEOF\n';
             } else {
                 // DXF AC1015 (AutoCAD 2000) - More robust LWPOLYLINE
-                dxf += '0\nSECTION\n2\nHEADER\n9\n$ACADVER\n1\nAC1015\n0\nENDSEC\n';
-                // AutoCAD 2000+ requires TABLES and BLOCKS sections
-                dxf += '0\nSECTION\n2\nTABLES\n0\nTABLE\n2\nVPORT\n70\n0\n0\nENDTAB\n0\nTABLE\n2\nLTYPE\n70\n0\n0\nENDTAB\n0\nTABLE\n2\nLAYER\n70\n0\n0\nENDTAB\n0\nTABLE\n2\nSTYLE\n70\n0\n0\nENDTAB\n0\nTABLE\n2\nVIEW\n70\n0\n0\nENDTAB\n0\nTABLE\n2\nUCS\n70\n0\n0\nENDTAB\n0\nTABLE\n2\nAPPID\n70\n0\n0\nENDTAB\n0\nTABLE\n2\nDIMSTYLE\n70\n0\n0\nENDTAB\n0\nTABLE\n2\nBLOCK_RECORD\n70\n0\n0\nENDTAB\n0\nENDSEC\n';
-                dxf += '0\nSECTION\n2\nBLOCKS\n0\nENDSEC\n';
+                // AutoCAD 2000+ requires TABLES and BLOCKS sections; the block
+                // records carry handles so the beacon INSERTs resolve
+                dxf += '0\nSECTION\n2\nTABLES\n0\nTABLE\n2\nVPORT\n70\n0\n0\nENDTAB\n0\nTABLE\n2\nLTYPE\n70\n0\n0\nENDTAB\n0\nTABLE\n2\nLAYER\n70\n0\n0\nENDTAB\n0\nTABLE\n2\nSTYLE\n70\n0\n0\nENDTAB\n0\nTABLE\n2\nVIEW\n70\n0\n0\nENDTAB\n0\nTABLE\n2\nUCS\n70\n0\n0\nENDTAB\n0\nTABLE\n2\nAPPID\n70\n0\n0\nENDTAB\n0\nTABLE\n2\nDIMSTYLE\n70\n0\n0\nENDTAB\n' + dxfBlockRecordTable(hd) + '0\nENDSEC\n';
+                dxf += '0\nSECTION\n2\nBLOCKS\n' + dxfBeaconBlock(hd) + '0\nENDSEC\n';
                 dxf += '0\nSECTION\n2\nENTITIES\n';
                 items.forEach(({ feature, layerTitle }) => {
                     const geom = feature.getGeometry();
@@ -1199,11 +2894,107 @@
                         });
                     });
                 });
+                dxf += annotations;
                 dxf += '0\nENDSEC\n0\nSECTION\n2\nOBJECTS\n0\nENDSEC\n0\nEOF\n';
+                // Written last so $HANDSEED is past every handle handed out
+                dxf = '0\nSECTION\n2\nHEADER\n9\n$ACADVER\n1\nAC1015\n9\n$HANDSEED\n5\n' + hd.seed() + '\n0\nENDSEC\n' + dxf;
             }
             return dxf;
         }
 
+        /**
+         * Draft cadastral annotation for the exported polygons: bearing and
+         * distance TEXT along every boundary edge (once per shared edge), a
+         * BEACON insert per distinct corner and the plot number and area at
+         * each polygon's interior point. Text height follows the median edge
+         * length so labels fit a block of small plots as well as a farm.
+         * A corner's station ID comes from an exported beacon point at that
+         * spot, else from the first parcel that reaches it (plot-corner, the
+         * parcel-prefixed coordinate list numbering).
+         */
+        _dxfAnnotations(items, legacy, hd) {
+            const exportCrs = this.state.exportCrs;
+            const viewProj = this.view.getProjection();
+            const valid = (c) => isFinite(c[0]) && isFinite(c[1]);
+            const polygons = [];
+            items.forEach(({ feature }) => {
+                const geom = feature.getGeometry();
+                const type = geom && geom.getType();
+                const parts = type === 'Polygon' ? [geom] : type === 'MultiPolygon' ? geom.getPolygons() : [];
+                parts.forEach((poly) => {
+                    const rings = poly.getCoordinates().map((ring) => ring.map((c) => ol.proj.transform(c, viewProj, exportCrs)).filter(valid));
+                    if (rings[0] && rings[0].length >= 4) polygons.push({ feature, poly, rings });
+                });
+            });
+            if (!polygons.length) return '';
+
+            const lengths = [];
+            polygons.forEach(({ rings }) => rings.forEach((ring) => {
+                for (let i = 0; i < ring.length - 1; i++) {
+                    lengths.push(Math.hypot(ring[i + 1][0] - ring[i][0], ring[i + 1][1] - ring[i][1]));
+                }
+            }));
+            lengths.sort((a, b) => a - b);
+            // A twentieth of the median edge, to the nearest 0.05 m
+            const h = Math.min(5, Math.max(0.2, Math.round(lengths[lengths.length >> 1]) / 20));
+
+            const key = (c) => c[0].toFixed(3) + ',' + c[1].toFixed(3);
+            const named = new Map();
+            items.forEach(({ feature }) => {
+                const geom = feature.getGeometry();
+                const stnKey = STATION_KEYS.find((k) => feature.get(k) != null && String(feature.get(k)).trim() !== '');
+                if (!geom || geom.getType() !== 'Point' || !stnKey) return;
+                const c = ol.proj.transform(geom.getCoordinates(), viewProj, exportCrs);
+                if (valid(c)) named.set(key(c), String(feature.get(stnKey)).trim());
+            });
+
+            const edges = new Set();
+            const beacons = new Map();
+            let out = '';
+            polygons.forEach(({ feature, poly, rings }, index) => {
+                const plotKey = PLOT_KEYS.find((k) => feature.get(k) != null && String(feature.get(k)).trim() !== '');
+                const parcelId = plotKey ? String(feature.get(plotKey)).trim() : 'P' + (index + 1);
+                let corner = 0;
+                rings.forEach((ring) => {
+                    for (let i = 0; i < ring.length - 1; i++) {
+                        const a = ring[i];
+                        const b = ring[i + 1];
+                        corner++;
+                        if (!beacons.has(key(a))) beacons.set(key(a), { c: a, stn: named.get(key(a)) || parcelId + '-' + corner });
+                        const len = Math.hypot(b[0] - a[0], b[1] - a[1]);
+                        const edgeKey = [key(a), key(b)].sort().join('|');
+                        if (len < 0.001 || edges.has(edgeKey)) continue;
+                        edges.add(edgeKey);
+                        // Kept within ±90° so every label reads left to right
+                        let rot = Math.atan2(b[1] - a[1], b[0] - a[0]) * 180 / Math.PI;
+                        if (rot > 90) rot -= 180;
+                        if (rot <= -90) rot += 180;
+                        const up = [-Math.sin(rot * Math.PI / 180) * h * 0.4, Math.cos(rot * Math.PI / 180) * h * 0.4];
+                        const mx = (a[0] + b[0]) / 2;
+                        const my = (a[1] + b[1]) / 2;
+                        out += dxfText(DXF_ANNO_LAYERS.bearing, mx + up[0], my + up[1], h, rot, dxfBearing(a[0], a[1], b[0], b[1]), 1, legacy);
+                        out += dxfText(DXF_ANNO_LAYERS.distance, mx - up[0], my - up[1], h, rot, len.toFixed(2), 3, legacy);
+                    }
+                });
+
+                const sqm = rings.reduce((sum, ring, i) => sum + (i === 0 ? 1 : -1) * Math.abs(ringSignedArea(ring)), 0);
+                const at = ol.proj.transform(poly.getInteriorPoint().getCoordinates(), viewProj, exportCrs);
+                if (!valid(at)) return;
+                const areaText = (sqm / 10000).toFixed(4) + ' ha';
+                if (plotKey) {
+                    out += dxfText(DXF_ANNO_LAYERS.area, at[0], at[1] + h * 0.3, h * 1.4, 0, 'PLOT ' + String(feature.get(plotKey)).trim(), 1, legacy);
+                    out += dxfText(DXF_ANNO_LAYERS.area, at[0], at[1] - h * 0.3, h, 0, areaText, 3, legacy);
+                } else {
+                    out += dxfText(DXF_ANNO_LAYERS.area, at[0], at[1], h, 0, areaText, 2, legacy);
+                }
+            });
+
+            beacons.forEach(({ c, stn }) => {
+                out += dxfBeaconInsert(c[0], c[1], h, stn, hd);
+            });
+            return out;
+        }
+
         _geomToRings(geom, viewProj, exportCrs) {
             if (!geom) return [];
             const t = geom.getType();
@@ -1232,38 +3023,37 @@
             return [];
         }
 
-        _buildCornerCsv(feature) {
-            const coords = this._polygonRing(feature);
-            if (!coords.length) return '';
+        /**
+         * Corner coordinate list file(s) for the picked parcels, laid out by the
+         * active coordinate list template (CSV, fixed-width TXT or GSI-16).
+         * @returns {Array} [{ name, text }]
+         */
+        _buildCoordinateLists(features) {
+            const CL = global.CoordinateList;
+            if (!CL) throw new Error('coordinate list writer not loaded');
             const crs = this.state.exportCrs;
             const viewProj = this.view.getProjection();
-            const properties = feature.getProperties();
-            let csv = 'POLYGON ATTRIBUTES\nAttribute,Value\n';
-            for (const key in properties) {
-                if (key === feature.getGeometryName() || typeof properties[key] === 'object') continue;
-                let val = properties[key] == null ? '' : String(properties[key]);
-                if (val.includes(',') || val.includes('"')) val = '"' + val.replace(/"/g, '""') + '"';
-                csv += key + ',' + val + '\n';
-            }
-            csv += '\nPOLYGON COORDINATES\nPoint ID,Easting,Northing,Latitude,Longitude\n';
-            const points = [];
-            coords.forEach((coord, index) => {
-                const transformed = ol.proj.transform(coord, viewProj, crs);
-                const lonLat = ol.proj.transform(coord, viewProj, 'EPSG:4326');
-                if (
-                    index === coords.length - 1 &&
-                    points.length &&
-                    Math.abs(points[0].e - transformed[0]) < 1e-6 &&
-                    Math.abs(points[0].n - transformed[1]) < 1e-6
-                ) {
-                    return;
-                }
-                const e = crs === 'EPSG:4326' ? transformed[0].toFixed(6) : Number(transformed[0].toFixed(3));
-                const n = crs === 'EPSG:4326' ? transformed[1].toFixed(6) : Number(transformed[1].toFixed(3));
-                points.push({ e, n, lat: lonLat[1].toFixed(6), lon: lonLat[0].toFixed(6) });
-                csv += index + 1 + ',' + e + ',' + n + ',' + lonLat[1].toFixed(6) + ',' + lonLat[0].toFixed(6) + '\n';
-            });
-            return csv;
+            const parcels = features.map((feature, i) => {
+                const ring = this._polygonRing(feature);
+                const hasZ = /Z/.test(feature.getGeometry().getLayout());
+                const points = ring.map((coord) => {
+                    const t = ol.proj.transform(coord, viewProj, crs);
+                    const lonLat = ol.proj.transform(coord, viewProj, 'EPSG:4326');
+                    return { e: t[0], n: t[1], z: hasZ ? coord[2] : undefined, lat: lonLat[1], lon: lonLat[0] };
+                }).filter((p) => isFinite(p.e) && isFinite(p.n));
+                const last = points[points.length - 1];
+                if (points.length > 1 && Math.abs(points[0].e - last.e) < 1e-6 && Math.abs(points[0].n - last.n) < 1e-6) points.pop();
+
+                const properties = feature.getProperties();
+                const attributes = {};
+                Object.keys(properties).forEach((key) => {
+                    if (key === feature.getGeometryName() || typeof properties[key] === 'object') return;
+                    attributes[key] = properties[key] == null ? '' : properties[key];
+                });
+                const plotKey = PLOT_KEYS.find((k) => feature.get(k) != null && String(feature.get(k)).trim() !== '');
+                return { id: plotKey ? String(feature.get(plotKey)).trim() : 'P' + (i + 1), attributes, points };
+            }).filter((p) => p.points.length);
+            return CL.build(this.state.coordList || CL.getTemplate(this.state.coordListTemplateId), parcels, { geographic: crs === 'EPSG:4326' });
         }
 
         _buildJrjCsv(feature) {
@@ -1291,17 +3081,29 @@
 
                 const engine = new global.JRJEngine();
                 const result = engine.computeAll(outerCoords, innerCoords);
-                let csv = 'JRJ MAIN TRAVERSE\nFrom,To,Distance (m),Bearing\n';
+                // DMS strings end in a seconds mark, so quotes are doubled for CSV
+                const q = (str) => '"' + str.replace(/"/g, '""') + '"';
+                const angleCheckCsv = (chk) =>
+                    'Angle sum,' + q(chk.computed.str) + '\n' +
+                    '(n-2)x180,' + q(chk.theoretical.str) + '\n' +
+                    'Discrepancy (sec),' + chk.discrepancySec + '\n';
+                // From-station coordinates let JrjImporter place the plot again
+                const lineCsv = (line) => line.from + ',' + line.to + ',' + line.distance.toFixed(3) + ',' + q(line.bearing.str) + ',' + q(line.interiorAngle.str) +
+                    ',' + line.fromCoords.n.toFixed(4) + ',' + line.fromCoords.e.toFixed(4) + '\n';
+                const header = 'From,To,Distance (m),Bearing,Interior Angle,Northing,Easting\n';
+                let csv = 'CRS,' + crs + '\n\nJRJ MAIN TRAVERSE\n' + header;
                 result.traverse.forEach((line) => {
-                    csv += line.from + ',' + line.to + ',' + line.distance.toFixed(3) + ',"' + line.bearing.str + '"\n';
+                    csv += lineCsv(line);
                 });
+                csv += angleCheckCsv(result.angleCheck);
 
                 if (result.insets && result.insets.length > 0) {
                     result.insets.forEach((inset, idx) => {
-                        csv += `\nEXCLUSION ${idx + 1} TRAVERSE\nFrom,To,Distance (m),Bearing\n`;
+                        csv += `\nEXCLUSION ${idx + 1} TRAVERSE\n` + header;
                         inset.traverse.forEach((line) => {
-                            csv += line.from + ',' + line.to + ',' + line.distance.toFixed(3) + ',"' + line.bearing.str + '"\n';
+                            csv += lineCsv(line);
                         });
+                        csv += angleCheckCsv(inset.angleCheck);
                     });
                 }
 
@@ -1337,11 +3139,14 @@
         /**
          * Add professional decorations to the raster export
          */
-        _drawRasterDecorations(canvas, extent, crs, viewProj) {
+        _drawRasterDecorations(canvas, extent, crs, viewProj, frame) {
             const ctx = canvas.getContext('2d');
-            const w = canvas.width;
-            const h = canvas.height;
+            // frame places a render tile within the full image: { x, y, width, height }
+            const w = frame ? frame.width : canvas.width;
+            const h = frame ? frame.height : canvas.height;
             const isGeographic = crs === 'EPSG:4326';
+            ctx.save();
+            if (frame) ctx.translate(-frame.x, -frame.y);
 
             // 1. Calculate Grid
             if (this.state.rasterGrid) {
@@ -1436,6 +3241,7 @@
 
             // 3. Metadata & North Arrow
             this._drawMetadataBlock(ctx, w, h, crs);
+            ctx.restore();
         }
 
         _drawHaloText(ctx, text, x, y, align, baseline, color) {
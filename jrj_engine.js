@@ -5,12 +5,121 @@
  * formulas found in traditional Excel-based land survey forms.
  */
 
+// Reference ellipsoids for the grids offered in the JRJ panel
+const JRJ_ELLIPSOIDS = {
+    wgs84: { name: 'WGS 84', a: 6378137.0, invF: 298.257223563 },
+    clarke1880rgs: { name: 'Clarke 1880 (RGS)', a: 6378249.145, invF: 293.465 }
+};
+
+const UTM_K0 = 0.9996;
+
 class JRJEngine {
-    constructor() {
+    /**
+     * @param {Object} corrections - optional { utmScaleFactor, mslCorrection } in parts per thousand,
+     *   e.g. a saved correction profile. Defaults are the Kampala values (zone 36, ~1200 m).
+     */
+    constructor(corrections = {}) {
         // Corrections
-        this.utmScaleFactor = -0.3737;
-        this.mslCorrection = -0.1911;
+        this.setCorrections(
+            typeof corrections.utmScaleFactor === 'number' ? corrections.utmScaleFactor : -0.3737,
+            typeof corrections.mslCorrection === 'number' ? corrections.mslCorrection : -0.1911
+        );
+    }
+
+    /**
+     * Set the scale and sea-level corrections (parts per thousand) and the
+     * resulting multiplying factor.
+     */
+    setCorrections(utmScaleFactor, mslCorrection) {
+        this.utmScaleFactor = utmScaleFactor;
+        this.mslCorrection = mslCorrection;
         this.multiplyingFactor = ((this.utmScaleFactor + this.mslCorrection) / 1000) + 1;
+        return this.multiplyingFactor;
+    }
+
+    /**
+     * Derive the point scale factor and elevation reduction for a job.
+     * @param {Object} site - { lat, lon, height, crs }
+     *   lat/lon: job centroid (decimal degrees), height: mean height (m),
+     *   crs: 'EPSG:210xx' (Arc 1960) or 'EPSG:32[67]xx' (WGS 84) UTM code.
+     *   Non-UTM codes fall back to the WGS 84 UTM zone containing the centroid.
+     * @returns {Object} - corrections plus the components they came from
+     */
+    computeCorrections(site) {
+        const lat = Number(site.lat);
+        const lon = Number(site.lon);
+        const height = Number(site.height) || 0;
+        if (!isFinite(lat) || !isFinite(lon)) {
+            throw new Error("A job centroid (lat/lon) is required to derive the multiplying factor.");
+        }
+
+        const grid = this.utmGridForCrs(site.crs, lon);
+        const ell = grid.ellipsoid;
+        const f = 1 / ell.invF;
+        const e2 = f * (2 - f);
+        const ep2 = e2 / (1 - e2);
+
+        const phi = lat * Math.PI / 180;
+        const dLam = (lon - grid.centralMeridian) * Math.PI / 180;
+        const sinPhi = Math.sin(phi);
+        const cosPhi = Math.cos(phi);
+        const T = Math.pow(Math.tan(phi), 2);
+        const C = ep2 * cosPhi * cosPhi;
+        const A = dLam * cosPhi;
+
+        // Point scale factor (Snyder, Map Projections, eq. 8-11)
+        const pointScaleFactor = UTM_K0 * (1 +
+            (1 + C) * Math.pow(A, 2) / 2 +
+            (5 - 4 * T + 42 * C + 13 * C * C - 28 * ep2) * Math.pow(A, 4) / 24 +
+            (61 - 148 * T + 16 * T * T) * Math.pow(A, 6) / 720);
+
+        // Elevation (sea-level) reduction on the Gaussian mean radius
+        const w = 1 - e2 * sinPhi * sinPhi;
+        const nu = ell.a / Math.sqrt(w);
+        const rho = ell.a * (1 - e2) / Math.pow(w, 1.5);
+        const radius = Math.sqrt(nu * rho);
+        const elevationFactor = radius / (radius + height);
+
+        const utmScaleFactor = (pointScaleFactor - 1) * 1000;
+        const mslCorrection = (elevationFactor - 1) * 1000;
+
+        return {
+            crs: site.crs,
+            zone: grid.zone + (grid.south ? 'S' : 'N'),
+            centralMeridian: grid.centralMeridian,
+            ellipsoid: ell.name,
+            lat,
+            lon,
+            height,
+            pointScaleFactor,
+            elevationFactor,
+            utmScaleFactor,
+            mslCorrection,
+            multiplyingFactor: ((utmScaleFactor + mslCorrection) / 1000) + 1
+        };
+    }
+
+    /**
+     * Derive the corrections for a site and make them the engine's active set.
+     */
+    applySiteCorrections(site) {
+        const c = this.computeCorrections(site);
+        this.setCorrections(c.utmScaleFactor, c.mslCorrection);
+        return c;
+    }
+
+    /**
+     * Resolve the UTM zone and ellipsoid behind an EPSG code.
+     */
+    utmGridForCrs(crs, lon) {
+        const code = parseInt(String(crs || '').replace('EPSG:', ''), 10);
+        let zone = null, south = false, ellipsoid = JRJ_ELLIPSOIDS.wgs84;
+        if (code >= 21031 && code <= 21037) { zone = code - 21000; south = true; ellipsoid = JRJ_ELLIPSOIDS.clarke1880rgs; }
+        else if (code >= 21094 && code <= 21097) { zone = code - 21060; ellipsoid = JRJ_ELLIPSOIDS.clarke1880rgs; }
+        else if (code >= 32601 && code <= 32660) { zone = code - 32600; }
+        else if (code >= 32701 && code <= 32760) { zone = code - 32700; south = true; }
+        if (!zone) zone = Math.floor((lon + 180) / 6) + 1;
+        return { zone, south, centralMeridian: zone * 6 - 183, ellipsoid };
     }
 
     /**
@@ -24,6 +133,7 @@ class JRJEngine {
         }
 
         const traverse = this.computeTraverse(coords);
+        const angleCheck = this.computeAngleCheck(traverse);
         let areaObj = this.computeArea(coords);
         let insets = [];
         let netAreaSqMeters = areaObj.sqMeters;
@@ -33,7 +143,7 @@ class JRJEngine {
                 if (inner && inner.length >= 3) {
                     const innerTraverse = this.computeTraverse(inner);
                     const innerArea = this.computeArea(inner);
-                    insets.push({ traverse: innerTraverse, area: innerArea });
+                    insets.push({ traverse: innerTraverse, angleCheck: this.computeAngleCheck(innerTraverse), area: innerArea });
                     netAreaSqMeters -= innerArea.sqMeters;
                 }
             });
@@ -54,6 +164,7 @@ class JRJEngine {
 
         return {
             traverse,
+            angleCheck,
             insets,
             area,
             datum,
@@ -70,6 +181,7 @@ class JRJEngine {
      * Compute bearings, distances, and angles for the traverse.
      */
     computeTraverse(coords) {
+        coords = this.openRing(coords);
         const lines = [];
         
         for (let i = 0; i < coords.length; i++) {
@@ -89,24 +201,258 @@ class JRJEngine {
             });
         }
 
-        // Compute Internal Angles
+        // Compute interior/exterior angles. The clockwise angle from backsight
+        // to foresight is the interior angle on an anti-clockwise ring and the
+        // exterior angle on a clockwise ring.
+        const orientation = this.ringOrientation(coords);
         for (let i = 0; i < lines.length; i++) {
             const prevLine = lines[i === 0 ? lines.length - 1 : i - 1];
             const currLine = lines[i];
 
-            // Angle = Backsight Bearing - Foresight Bearing ... or similar depending on geometry.
-            // Using interior angle from coordinates.
-            let angleDeg = prevLine.bearingDec - currLine.bearingDec;
-            if (angleDeg < 0) angleDeg += 360;
-            // Depending on survey convention, you might want 180 + prev - curr etc.
-            // We store the raw angle for now.
-            let angleRad = angleDeg * Math.PI / 180;
-            lines[i].angle = this.decimalToDMS(angleDeg);
+            const backBearing = this.normalizeDeg(prevLine.bearingDec + 180);
+            const cwAngle = this.normalizeDeg(currLine.bearingDec - backBearing);
+            const interior = orientation === 'CW' ? 360 - cwAngle : cwAngle;
+
+            currLine.station = currLine.from;
+            currLine.interiorAngleDec = interior;
+            currLine.exteriorAngleDec = 360 - interior;
+            currLine.interiorAngle = this.decimalToDMS(interior);
+            currLine.exteriorAngle = this.decimalToDMS(360 - interior);
+            currLine.angle = currLine.interiorAngle;
+            currLine.orientation = orientation;
         }
 
         return lines;
     }
 
+    /**
+     * Check the tabulated interior angles against the theoretical sum
+     * (n - 2) x 180°. Angles are summed as printed (rounded to the second),
+     * so the discrepancy is what a checker adding the column would find.
+     * @param {Array} lines - output of computeTraverse
+     */
+    computeAngleCheck(lines) {
+        const n = lines.length;
+        const theoreticalSec = (n - 2) * 180 * 3600;
+        const computedSec = lines.reduce((s, l) => s + (l.interiorAngle.deg * 3600 + l.interiorAngle.min * 60 + l.interiorAngle.sec), 0);
+        const discrepancySec = computedSec - theoreticalSec;
+        return {
+            stations: n,
+            orientation: n > 0 ? lines[0].orientation : null,
+            theoretical: this.decimalToDMS(theoreticalSec / 3600, false),
+            computed: this.decimalToDMS(computedSec / 3600, false),
+            theoreticalDec: theoreticalSec / 3600,
+            computedDec: computedSec / 3600,
+            discrepancySec
+        };
+    }
+
+    /**
+     * 'CW' or 'CCW' from the signed shoelace area (E as x, N as y).
+     */
+    ringOrientation(coords) {
+        let sum = 0;
+        for (let i = 0; i < coords.length; i++) {
+            const a = coords[i];
+            const b = coords[(i + 1) % coords.length];
+            sum += (a.e * b.n) - (b.e * a.n);
+        }
+        return sum < 0 ? 'CW' : 'CCW';
+    }
+
+    /**
+     * Drop a repeated closing point so each station appears once.
+     */
+    openRing(coords) {
+        if (coords.length > 3) {
+            const first = coords[0];
+            const last = coords[coords.length - 1];
+            if (Math.abs(first.n - last.n) < 1e-6 && Math.abs(first.e - last.e) < 1e-6) {
+                return coords.slice(0, -1);
+            }
+        }
+        return coords;
+    }
+
+    /**
+     * Reduce field observations to coordinates and adjust the traverse.
+     *
+     * Angles are clockwise horizontal angles (decimal degrees) measured at the
+     * occupied station from the backsight to the foresight. Distances are
+     * horizontal ground distances.
+     *
+     * @param {Object} obs - {
+     *   backsight:   { stn, n, e },            // known orientation station
+     *   start:       { stn, n, e },            // known occupied start station
+     *   legs:        [{ from, to, angle, distance }],
+     *   end:         { stn, n, e },            // known closing station (defaults to start: closed loop)
+     *   endReference:{ stn, n, e },            // known closing orientation (defaults to backsight)
+     *   closingAngle: Number                   // angle at end from last station to endReference (optional)
+     * }
+     * @param {String} method - 'bowditch' (compass rule) or 'transit'
+     * @returns {Object} - { method, legs, stations, closure }
+     */
+    adjustTraverse(obs, method = 'bowditch') {
+        if (!obs || !obs.start || !obs.backsight || !obs.legs || obs.legs.length === 0) {
+            throw new Error("Traverse observations need a start station, a backsight and at least one leg.");
+        }
+        const end = obs.end || obs.start;
+        const endRef = obs.endReference || obs.backsight;
+        const hasAngularCheck = typeof obs.closingAngle === 'number' && !isNaN(obs.closingAngle);
+
+        // 1. Carry bearings forward from the opening orientation
+        const openingBrg = this.getBearingDistance(obs.start.n, obs.start.e, obs.backsight.n, obs.backsight.e).bearingDec;
+        const obsBearings = [];
+        let backBrg = openingBrg;
+        obs.legs.forEach(leg => {
+            const fwd = this.normalizeDeg(backBrg + leg.angle);
+            obsBearings.push(fwd);
+            backBrg = this.normalizeDeg(fwd + 180);
+        });
+
+        // 2. Angular misclosure against the known closing orientation
+        let angularMisclosure = 0;
+        const nAngles = obs.legs.length + (hasAngularCheck ? 1 : 0);
+        if (hasAngularCheck) {
+            const computedClosing = this.normalizeDeg(backBrg + obs.closingAngle);
+            const knownClosing = this.getBearingDistance(end.n, end.e, endRef.n, endRef.e).bearingDec;
+            angularMisclosure = computedClosing - knownClosing;
+            if (angularMisclosure > 180) angularMisclosure -= 360;
+            if (angularMisclosure < -180) angularMisclosure += 360;
+        }
+        const perAngle = nAngles > 0 ? -angularMisclosure / nAngles : 0;
+
+        // 3. Latitudes and departures from angle-corrected bearings
+        const legs = obs.legs.map((leg, i) => {
+            const adjBrg = this.normalizeDeg(obsBearings[i] + perAngle * (i + 1));
+            const rad = adjBrg * Math.PI / 180;
+            return {
+                from: leg.from,
+                to: leg.to,
+                distance: leg.distance,
+                obsBearingDec: obsBearings[i],
+                adjBearingDec: adjBrg,
+                obsBearing: this.decimalToDMS(obsBearings[i]),
+                adjBearing: this.decimalToDMS(adjBrg),
+                angleCorrSec: perAngle * 3600,
+                dN: leg.distance * Math.cos(rad),
+                dE: leg.distance * Math.sin(rad)
+            };
+        });
+
+        // 4. Linear misclosure
+        const perimeter = legs.reduce((s, l) => s + l.distance, 0);
+        const sumDN = legs.reduce((s, l) => s + l.dN, 0);
+        const sumDE = legs.reduce((s, l) => s + l.dE, 0);
+        const misN = (obs.start.n + sumDN) - end.n;
+        const misE = (obs.start.e + sumDE) - end.e;
+        const linearMisclosure = Math.sqrt(misN * misN + misE * misE);
+
+        // 5. Distribute the linear misclosure
+        const sumAbsDN = legs.reduce((s, l) => s + Math.abs(l.dN), 0) || 1;
+        const sumAbsDE = legs.reduce((s, l) => s + Math.abs(l.dE), 0) || 1;
+        const useTransit = method === 'transit';
+        let curN = obs.start.n, curE = obs.start.e;
+        const stations = [{ stn: obs.start.stn, n: curN, e: curE }];
+        legs.forEach(l => {
+            l.corrN = useTransit ? -misN * Math.abs(l.dN) / sumAbsDN : -misN * l.distance / (perimeter || 1);
+            l.corrE = useTransit ? -misE * Math.abs(l.dE) / sumAbsDE : -misE * l.distance / (perimeter || 1);
+            curN += l.dN + l.corrN;
+            curE += l.dE + l.corrE;
+            l.n = curN;
+            l.e = curE;
+            stations.push({ stn: l.to, n: curN, e: curE });
+        });
+
+        return {
+            method: useTransit ? 'transit' : 'bowditch',
+            legs,
+            stations,
+            closure: this.summarizeClosure({
+                angularMisclosureSec: hasAngularCheck ? angularMisclosure * 3600 : null,
+                nAngles,
+                misN,
+                misE,
+                linearMisclosure,
+                perimeter,
+                method: useTransit ? 'transit' : 'bowditch',
+                derived: !!obs.derived
+            })
+        };
+    }
+
+    /**
+     * Build an observation set from known coordinates (CM1/CM2 control pair
+     * followed by the traverse stations). Used when the stations come from
+     * map geometry rather than a field book.
+     * @param {Object} backsight - { stn, n, e }
+     * @param {Array} points - [{ stn, n, e }, ...] first is the start, last is the end
+     * @param {Object} endReference - { stn, n, e } closing orientation (optional)
+     */
+    deriveObservations(backsight, points, endReference = null) {
+        const legs = [];
+        let prev = backsight;
+        for (let i = 0; i < points.length - 1; i++) {
+            const at = points[i];
+            const next = points[i + 1];
+            legs.push({
+                from: at.stn,
+                to: next.stn,
+                angle: this.measureAngle(prev, at, next),
+                distance: this.getBearingDistance(at.n, at.e, next.n, next.e).distance
+            });
+            prev = at;
+        }
+        const end = points[points.length - 1];
+        const ref = endReference || backsight;
+        return {
+            backsight,
+            start: points[0],
+            legs,
+            end,
+            endReference: ref,
+            closingAngle: points.length > 1 ? this.measureAngle(points[points.length - 2], end, ref) : undefined,
+            derived: true // closes by construction, so there is no field precision to report
+        };
+    }
+
+    /**
+     * Clockwise horizontal angle at `at` from `back` to `fore` (decimal degrees).
+     */
+    measureAngle(back, at, fore) {
+        const bs = this.getBearingDistance(at.n, at.e, back.n, back.e).bearingDec;
+        const fs = this.getBearingDistance(at.n, at.e, fore.n, fore.e).bearingDec;
+        return this.normalizeDeg(fs - bs);
+    }
+
+    /**
+     * Closure statistics in the form printed on the JRJ traverse sheet.
+     * Observations derived from coordinates (c.derived) have no precision.
+     */
+    summarizeClosure(c) {
+        const ratio = c.derived ? null : c.linearMisclosure > 1e-9 ? c.perimeter / c.linearMisclosure : Infinity;
+        let precisionStr = 'n/a (computed from coordinates)';
+        if (ratio !== null) precisionStr = isFinite(ratio) ? `1 : ${Math.round(ratio)}` : '1 : ∞';
+        return Object.assign({}, c, {
+            angularPerStationSec: (c.angularMisclosureSec !== null && c.nAngles > 0) ? c.angularMisclosureSec / c.nAngles : null,
+            precisionRatio: ratio,
+            precisionStr
+        });
+    }
+
+    /**
+     * Convert degrees, minutes, seconds to decimal degrees.
+     */
+    dmsToDecimal(deg, min = 0, sec = 0) {
+        const sign = (deg < 0 || Object.is(deg, -0)) ? -1 : 1;
+        return sign * (Math.abs(deg) + (min / 60) + (sec / 3600));
+    }
+
+    normalizeDeg(d) {
+        d = d % 360;
+        return d < 0 ? d + 360 : d;
+    }
+
     /**
      * Calculate Distance and Bearing between two points.
      */
@@ -129,7 +475,7 @@ class JRJEngine {
     /**
      * Convert decimal degrees to DMS format.
      */
-    decimalToDMS(decDeg) {
+    decimalToDMS(decDeg, wrap = true) {
         const deg = Math.floor(decDeg);
         const minFloat = (decDeg - deg) * 60;
         const min = Math.floor(minFloat);
@@ -147,7 +493,7 @@ class JRJEngine {
             finalMin = 0;
             finalDeg += 1;
         }
-        if (finalDeg >= 360) {
+        if (wrap && finalDeg >= 360) {
             finalDeg -= 360;
         }
         
@@ -85,6 +85,7 @@ class JRJPdfGenerator {
                     <th>Station</th>
                     <th>Northing (d)</th>
                     <th>Easting (d)</th>
+                    <th>Interior Angle</th>
                     <th>Bearing (Deg Min Sec)</th>
                     <th>Distance (m)</th>
                 </tr>
@@ -96,6 +97,7 @@ class JRJPdfGenerator {
                 <td>${line.from}</td>
                 <td>${line.fromCoords.n.toFixed(3)}</td>
                 <td>${line.fromCoords.e.toFixed(3)}</td>
+                <td>${line.interiorAngle.str}</td>
                 <td></td>
                 <td></td>
              </tr>`;
@@ -103,12 +105,21 @@ class JRJPdfGenerator {
                 <td>&darr; to ${line.to}</td>
                 <td>${(line.toCoords.n - line.fromCoords.n).toFixed(3)}</td>
                 <td>${(line.toCoords.e - line.fromCoords.e).toFixed(3)}</td>
+                <td></td>
                 <td>${line.bearing.deg}&deg; ${line.bearing.min}' ${line.bearing.sec}"</td>
                 <td>${line.distance.toFixed(3)}</td>
              </tr>`;
         });
         
         html += `</tbody></table>`;
+
+        const chk = jrj.angleCheck;
+        html += `<div class="jrj-footer">
+            <p>Ring orientation: ${chk.orientation === 'CW' ? 'clockwise' : 'anti-clockwise'}</p>
+            <p>Sum of interior angles = ${chk.computed.str}</p>
+            <p>(n - 2) &times; 180&deg; = (${chk.stations} - 2) &times; 180&deg; = ${chk.theoretical.str}</p>
+            <p>Discrepancy = ${chk.discrepancySec}"</p>
+        </div>`;
         html += `<div class="page-break"></div>`;
 
         // ==== PAGE 3: AREA COMPUTATIONS ====
@@ -0,0 +1,244 @@
+/**
+ * GSP.NET Coordinate List Writer
+ * Corner coordinate lists for stake-out: CSV, fixed-width TXT for total
+ * station upload, and Leica GSI-16. A template sets the column order, E/N or
+ * N/E, decimal places, station prefix and numbering scheme, and whether the
+ * first point is repeated to close the figure.
+ *
+ * Templates are plain settings objects like PrintLayout's: a few are built in,
+ * user templates live in localStorage.
+ */
+
+const COORD_LIST_STORAGE_KEY = 'gspnet_coordinate_list_templates';
+
+const CoordinateList = {
+
+    COLUMNS: {
+        stn: 'Point ID',
+        e: 'Easting',
+        n: 'Northing',
+        z: 'Height',
+        code: 'Code',
+        lat: 'Latitude',
+        lon: 'Longitude',
+        parcel: 'Parcel'
+    },
+    OUTPUTS: { csv: 'csv', txt: 'txt', gsi: 'gsi' }, // output → file extension
+    GEO_DECIMALS: 6, // ~0.1 m in degrees, as the corner CSV always used
+    AUTO_GRID_DECIMALS: 3, // decimals: null → up to mm, trailing zeros dropped
+    TXT_WIDTHS: { stn: 12, parcel: 16, code: 8, e: 15, n: 15, z: 10, lat: 15, lon: 15 },
+
+    DEFAULT_TEMPLATE: {
+        output: 'csv',
+        columns: ['stn', 'e', 'n', 'lat', 'lon'],
+        axisOrder: 'EN',
+        decimals: null, // null: AUTO_GRID_DECIMALS without trailing zeros; a number: fixed places
+        stationPrefix: '',
+        numbering: 'per-parcel', // 'per-parcel' | 'continuous' | 'parcel-prefixed'
+        startAt: 1,
+        code: '',
+        header: true,
+        attributes: true,
+        closing: false
+    },
+
+    // ---- Templates ----
+
+    builtInTemplates: function() {
+        const t = (id, name, settings) => Object.assign({}, this.DEFAULT_TEMPLATE, settings, { id, name, builtIn: true });
+        return [
+            t('gspnet-csv', 'GSPNET corner CSV', {}),
+            t('stakeout-csv', 'Stake-out CSV (P,N,E,Code)', {
+                columns: ['stn', 'n', 'e', 'code'], axisOrder: 'NE', decimals: 3, stationPrefix: 'CM',
+                numbering: 'continuous', code: 'BCN', header: false, attributes: false
+            }),
+            t('total-station-txt', 'Total station TXT (fixed width)', {
+                output: 'txt', columns: ['stn', 'e', 'n', 'code'], decimals: 3, stationPrefix: 'CM',
+                numbering: 'continuous', code: 'BCN', header: false, attributes: false
+            }),
+            t('leica-gsi16', 'Leica GSI-16', {
+                output: 'gsi', columns: ['stn', 'e', 'n', 'code'], stationPrefix: 'CM',
+                numbering: 'continuous', code: 'BCN', header: false, attributes: false
+            })
+        ];
+    },
+
+    _loadSaved: function() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(COORD_LIST_STORAGE_KEY) || '[]');
+            return Array.isArray(saved) ? saved : [];
+        } catch (e) {
+            console.error('[CoordinateList] Error reading saved templates', e);
+            return [];
+        }
+    },
+
+    _storeSaved: function(list) {
+        try {
+            localStorage.setItem(COORD_LIST_STORAGE_KEY, JSON.stringify(list));
+        } catch (e) {
+            console.error('[CoordinateList] Error saving templates', e);
+        }
+    },
+
+    listTemplates: function() {
+        return this.builtInTemplates().concat(this._loadSaved());
+    },
+
+    getTemplate: function(id) {
+        const list = this.listTemplates();
+        return list.find(t => t.id === id) || list[0];
+    },
+
+    /**
+     * Save the current settings under a name. A template with the same name
+     * is replaced.
+     */
+    saveTemplate: function(name, settings) {
+        const saved = this._loadSaved().filter(t => t.name !== name);
+        const tpl = Object.assign({}, this.DEFAULT_TEMPLATE, settings, {
+            id: 'user-' + Date.now().toString(36),
+            name,
+            builtIn: false
+        });
+        saved.push(tpl);
+        this._storeSaved(saved);
+        return tpl;
+    },
+
+    deleteTemplate: function(id) {
+        this._storeSaved(this._loadSaved().filter(t => t.id !== id));
+    },
+
+    // ---- Output ----
+
+    /**
+     * Build the coordinate list file(s). 'continuous' numbering writes one
+     * file for all parcels with shared beacons listed once; the other
+     * schemes write one file per parcel.
+     * @param {Object} template
+     * @param {Array} parcels - [{ id, attributes: {}, points: [{ e, n, z?, lat, lon }] }], rings not closed;
+     *   z only when the geometry carries heights
+     * @param {Object} options - { geographic: true when e/n are degrees }
+     * @returns {Array} [{ name, text }]
+     */
+    build: function(template, parcels, options) {
+        const tpl = Object.assign({}, this.DEFAULT_TEMPLATE, template);
+        const opts = options || {};
+        const ext = this.OUTPUTS[tpl.output] || 'csv';
+        if (tpl.output === 'gsi' && opts.geographic) {
+            throw new Error('GSI needs grid coordinates: choose a UTM coordinate system.');
+        }
+        const columns = this._columns(tpl);
+
+        if (tpl.numbering === 'continuous') {
+            const seen = new Map();
+            const rows = [];
+            let next = Number(tpl.startAt) || 0;
+            const keyOf = (p) => p.e.toFixed(3) + ',' + p.n.toFixed(3);
+            parcels.forEach((parcel) => {
+                parcel.points.forEach((p) => {
+                    const key = keyOf(p);
+                    if (seen.has(key)) return;
+                    const row = Object.assign({ stn: tpl.stationPrefix + next++, parcel: parcel.id }, p);
+                    seen.set(key, row);
+                    rows.push(row);
+                });
+                if (tpl.closing && parcel.points.length) rows.push(seen.get(keyOf(parcel.points[0])));
+            });
+            return [{ name: 'corner-coordinates.' + ext, text: this._format(tpl, columns, rows, null, opts) }];
+        }
+
+        return parcels.map((parcel, i) => {
+            const start = Number(tpl.startAt) || 0;
+            const prefix = tpl.numbering === 'parcel-prefixed' ? parcel.id + '-' + tpl.stationPrefix : tpl.stationPrefix;
+            const rows = parcel.points.map((p, j) => Object.assign({ stn: prefix + (start + j), parcel: parcel.id }, p));
+            if (tpl.closing && rows.length) rows.push(rows[0]);
+            return {
+                name: (parcels.length === 1 ? 'parcel' : 'parcel-' + (i + 1)) + '-corner-coordinates.' + ext,
+                text: this._format(tpl, columns, rows, parcel.attributes, opts)
+            };
+        });
+    },
+
+    // Template columns with E and N put in the template's axis order
+    _columns: function(tpl) {
+        const cols = (tpl.columns || []).filter(c => this.COLUMNS[c]);
+        const ie = cols.indexOf('e');
+        const iN = cols.indexOf('n');
+        if (ie !== -1 && iN !== -1 && (ie < iN) !== (tpl.axisOrder !== 'NE')) {
+            cols[ie] = 'n';
+            cols[iN] = 'e';
+        }
+        return cols.length ? cols : this.DEFAULT_TEMPLATE.columns.slice();
+    },
+
+    _value: function(tpl, key, row, geographic) {
+        const fixed = (v, d) => (typeof v === 'number' && isFinite(v) ? v.toFixed(d) : '');
+        const auto = tpl.decimals == null || tpl.decimals === '';
+        const places = auto ? this.AUTO_GRID_DECIMALS : Math.max(0, Math.min(6, Number(tpl.decimals) || 0));
+        const metres = (v) => {
+            const text = fixed(v, places);
+            return auto && text ? String(Number(text)) : text;
+        };
+        if (key === 'e' || key === 'n') return geographic ? fixed(row[key], this.GEO_DECIMALS) : metres(row[key]);
+        if (key === 'z') return metres(row.z);
+        if (key === 'lat' || key === 'lon') return fixed(row[key], this.GEO_DECIMALS);
+        if (key === 'code') return tpl.code || '';
+        return row[key] == null ? '' : String(row[key]);
+    },
+
+    _format: function(tpl, columns, rows, attributes, opts) {
+        if (tpl.output === 'gsi') return this._gsi(tpl, rows);
+        const lines = [];
+        if (tpl.output === 'txt') {
+            const cell = (key, text) => {
+                const w = this.TXT_WIDTHS[key] || 12;
+                const t = text.length > w ? text.slice(0, w) : text;
+                // Names left-aligned, numbers right-aligned
+                return ['stn', 'parcel', 'code'].indexOf(key) !== -1 ? t.padEnd(w) : t.padStart(w);
+            };
+            if (tpl.header) lines.push(columns.map(c => cell(c, this.COLUMNS[c])).join(' '));
+            rows.forEach(row => lines.push(columns.map(c => cell(c, this._value(tpl, c, row, opts.geographic))).join(' ')));
+            return lines.join('\r\n') + '\r\n';
+        }
+
+        const q = (v) => (/[",\r\n]/.test(v) ? '"' + v.replace(/"/g, '""') + '"' : v);
+        if (tpl.attributes && attributes) {
+            lines.push('POLYGON ATTRIBUTES', 'Attribute,Value');
+            Object.keys(attributes).forEach(k => lines.push(q(k) + ',' + q(String(attributes[k]))));
+            lines.push('', 'POLYGON COORDINATES');
+        }
+        if (tpl.header) lines.push(columns.map(c => this.COLUMNS[c]).join(','));
+        rows.forEach(row => lines.push(columns.map(c => q(this._value(tpl, c, row, opts.geographic))).join(',')));
+        return lines.join('\n') + '\n';
+    },
+
+    /**
+     * Leica GSI-16: one block per point with words 11 (point id), 71 (code),
+     * 81/82 (E/N) and 83 (height, when known), values in millimetres.
+     */
+    _gsi: function(tpl, rows) {
+        const word = (wi, info, value) => {
+            const v = String(value);
+            const neg = v.charAt(0) === '-';
+            const data = (neg ? v.slice(1) : v).replace(/[^0-9A-Za-z_.-]/g, '').slice(-16).padStart(16, '0');
+            return wi + info + (neg ? '-' : '+') + data + ' ';
+        };
+        const mm = (v) => String(Math.round(v * 1000));
+        return rows.map((row, i) => {
+            let line = '*' + word('11', String((i + 1) % 10000).padStart(4, '0'), row.stn);
+            if (tpl.code) line += word('71', '....', tpl.code);
+            line += word('81', '..00', mm(row.e)) + word('82', '..00', mm(row.n));
+            if (typeof row.z === 'number' && isFinite(row.z)) line += word('83', '..00', mm(row.z));
+            return line;
+        }).join('\r\n') + '\r\n';
+    }
+};
+
+// Export for usage in other scripts or UI
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CoordinateList;
+} else {
+    window.CoordinateList = CoordinateList;
+}
@@ -0,0 +1,591 @@
+/**
+ * GSP.NET Datum Transformation Service
+ * Arc 1960 (Clarke 1880 RGS) <-> WGS 84 for Uganda.
+ *
+ * One place owns the Helmert parameters used by proj4/OpenLayers, the CAD
+ * importer, the condo viewer, the JRJ generator and the export engine, so a
+ * coordinate never goes through two different "Arc 1960" definitions.
+ *
+ * Parameters follow the position-vector convention used by proj4 +towgs84:
+ * translations in metres, rotations in arc-seconds, scale in ppm.
+ *
+ * Alternatively an NTv2 grid (.gsb, Arc 1960 -> WGS 84) can be loaded. It is
+ * kept in IndexedDB, handed to proj4 as +nadgrids and interpolated here for
+ * the pure-math path.
+ */
+
+const DATUM_STORAGE_KEY = 'gspnet_datum_settings';
+const DATUM_GRID_DB = 'gspnet-datum-grids';
+const DATUM_GRID_KEY = 'gspnet-arc1960'; // proj4 nadgrid key
+
+const DatumTransform = {
+    ellipsoids: {
+        wgs84: { name: 'WGS 84', a: 6378137.0, invF: 298.257223563 },
+        clarke1880rgs: { name: 'Clarke 1880 (RGS)', a: 6378249.145, invF: 293.465 }
+    },
+
+    // Built-in sets. 'national' and 'fitted' are filled in by the user (published
+    // Surveys & Mapping values, or a fit to local control) and persisted; 'grid'
+    // is an NTv2 file loaded with loadGrid().
+    parameterSets: {
+        'arc1960-mean': {
+            label: 'Arc 1960 regional mean (3-parameter)',
+            dx: -160, dy: -6, dz: -302, rx: 0, ry: 0, rz: 0, ds: 0,
+            note: 'Default used across the app before the service existed.'
+        },
+        'arc1960-rover': {
+            label: 'Arc 1960 rover set (3-parameter)',
+            dx: -143, dy: -90, dz: -294, rx: 0, ry: 0, rz: 0, ds: 0,
+            note: 'Values the rover module registered for zones 36S/37S.'
+        },
+        national: null,
+        fitted: null,
+        grid: null
+    },
+
+    // Arc 1960 UTM grids offered in the CRS pickers
+    arcGrids: {
+        'EPSG:21095': { zone: 35, south: false },
+        'EPSG:21096': { zone: 36, south: false },
+        'EPSG:21097': { zone: 37, south: false },
+        'EPSG:21035': { zone: 35, south: true },
+        'EPSG:21036': { zone: 36, south: true },
+        'EPSG:21037': { zone: 37, south: true }
+    },
+
+    activeSetId: 'arc1960-mean',
+    FALLBACK_SET: 'arc1960-mean', // used while a grid set's file is not loaded
+
+    _grid: null, // parsed NTv2 file for the 'grid' set
+
+    init: function() {
+        this.loadSettings();
+        this.register();
+        if (this.parameterSets.grid) this._restoreGrid();
+    },
+
+    loadSettings: function() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(DATUM_STORAGE_KEY) || '{}');
+            if (saved.national) this.parameterSets.national = saved.national;
+            if (saved.fitted) this.parameterSets.fitted = saved.fitted;
+            if (saved.grid) this.parameterSets.grid = saved.grid;
+            if (saved.active && this.parameterSets[saved.active]) this.activeSetId = saved.active;
+        } catch (e) {
+            console.error('[Datum] Error reading saved datum settings', e);
+        }
+    },
+
+    saveSettings: function() {
+        try {
+            localStorage.setItem(DATUM_STORAGE_KEY, JSON.stringify({
+                active: this.activeSetId,
+                national: this.parameterSets.national,
+                fitted: this.parameterSets.fitted,
+                grid: this.parameterSets.grid
+            }));
+        } catch (e) {
+            console.error('[Datum] Error saving datum settings', e);
+        }
+    },
+
+    listSets: function() {
+        return Object.keys(this.parameterSets)
+            .filter(id => this.parameterSets[id])
+            .map(id => Object.assign({ id }, this.parameterSets[id]));
+    },
+
+    getActiveSet: function() {
+        return Object.assign({ id: this.activeSetId }, this.parameterSets[this.activeSetId]);
+    },
+
+    setActive: function(id) {
+        if (!this.parameterSets[id]) throw new Error(`Unknown datum parameter set "${id}".`);
+        this.activeSetId = id;
+        this.saveSettings();
+        this.register();
+        window.dispatchEvent(new CustomEvent('gspnet:datum-changed', { detail: this.getActiveSet() }));
+    },
+
+    /**
+     * Store a user-supplied set ('national' or 'fitted') and optionally make it active.
+     */
+    defineSet: function(id, params, activate = true) {
+        if (id !== 'national' && id !== 'fitted') throw new Error('Only the national and fitted sets can be edited.');
+        const p = {};
+        ['dx', 'dy', 'dz', 'rx', 'ry', 'rz', 'ds'].forEach(k => { p[k] = Number(params[k]) || 0; });
+        p.label = params.label || (id === 'national' ? 'National published (7-parameter)' : 'Fitted to control points');
+        if (params.note) p.note = params.note;
+        if (params.rms !== undefined) p.rms = params.rms;
+        this.parameterSets[id] = p;
+        this.saveSettings();
+        if (activate) this.setActive(id);
+        return p;
+    },
+
+    // --- NTv2 grid ---
+
+    /**
+     * Load an NTv2 .gsb file (Arc 1960 -> WGS 84) as the 'grid' set, keep it
+     * on this device and optionally make it active.
+     */
+    loadGrid: async function(buffer, fileName, activate = true) {
+        const grid = this.parseNtv2(buffer);
+        await this._gridStore('readwrite', store => store.put(buffer, DATUM_GRID_KEY));
+        this._grid = grid;
+        const sub = grid.subgrids[0];
+        this.parameterSets.grid = {
+            label: 'NTv2 grid (' + fileName + ')',
+            kind: 'grid',
+            file: fileName,
+            note: grid.subgrids.length + ' subgrid(s), ' + (sub.latInc * 3600).toFixed(1) + '" x ' + (sub.lonInc * 3600).toFixed(1) + '" cells'
+        };
+        this.saveSettings();
+        this._registerGrid(buffer);
+        if (activate) this.setActive('grid');
+        return this.parameterSets.grid;
+    },
+
+    _restoreGrid: async function() {
+        try {
+            const buffer = await this._gridStore('readonly', store => store.get(DATUM_GRID_KEY));
+            if (!buffer) {
+                console.warn('[Datum] NTv2 grid file is missing; using ' + this.FALLBACK_SET + ' until it is loaded again');
+                return;
+            }
+            this._grid = this.parseNtv2(buffer);
+            this._registerGrid(buffer);
+            if (this.activeSetId === 'grid') {
+                this.register();
+                window.dispatchEvent(new CustomEvent('gspnet:datum-changed', { detail: this.getActiveSet() }));
+            }
+        } catch (e) {
+            console.error('[Datum] Error restoring NTv2 grid', e);
+        }
+    },
+
+    _registerGrid: function(buffer) {
+        if (typeof proj4 !== 'undefined' && typeof proj4.nadgrid === 'function') proj4.nadgrid(DATUM_GRID_KEY, buffer);
+    },
+
+    _gridStore: function(mode, fn) {
+        return new Promise((resolve, reject) => {
+            const req = indexedDB.open(DATUM_GRID_DB, 1);
+            req.onupgradeneeded = () => req.result.createObjectStore('grids');
+            req.onerror = () => reject(req.error);
+            req.onsuccess = () => {
+                const db = req.result;
+                const tx = db.transaction('grids', mode);
+                const r = fn(tx.objectStore('grids'));
+                tx.oncomplete = () => { db.close(); resolve(r.result); };
+                tx.onerror = () => { db.close(); reject(tx.error); };
+            };
+        });
+    },
+
+    /**
+     * Parse an NTv2 file. Limits and increments come back in degrees (east
+     * positive); shifts stay in the file's arc-seconds, longitude positive west.
+     */
+    parseNtv2: function(buffer) {
+        const view = new DataView(buffer);
+        if (buffer.byteLength < 176) throw new Error('Not an NTv2 grid file.');
+        const le = view.getInt32(8, true) === 11;
+        if (!le && view.getInt32(8, false) !== 11) throw new Error('Not an NTv2 grid file.');
+        const label = (off) => String.fromCharCode.apply(null, new Uint8Array(buffer, off, 8)).trim();
+        if (label(56) !== 'SECONDS') throw new Error('Only NTv2 grids in SECONDS are supported.');
+        const count = view.getInt32(40, le);
+        const subgrids = [];
+        let off = 176;
+        for (let i = 0; i < count; i++) {
+            const d = (rec) => view.getFloat64(off + rec * 16 + 8, le) / 3600;
+            const sub = {
+                name: label(off + 8),
+                parent: label(off + 24),
+                south: d(4), north: d(5), east: -d(6), west: -d(7),
+                latInc: d(8), lonInc: d(9)
+            };
+            const n = view.getInt32(off + 10 * 16 + 8, le);
+            sub.rows = Math.round((sub.north - sub.south) / sub.latInc) + 1;
+            sub.cols = Math.round((sub.east - sub.west) / sub.lonInc) + 1;
+            if (sub.rows * sub.cols !== n || off + 176 + n * 16 > buffer.byteLength) throw new Error('NTv2 grid file is truncated.');
+            sub.shifts = new Float32Array(n * 2);
+            for (let k = 0; k < n; k++) {
+                sub.shifts[k * 2] = view.getFloat32(off + 176 + k * 16, le);
+                sub.shifts[k * 2 + 1] = view.getFloat32(off + 176 + k * 16 + 4, le);
+            }
+            subgrids.push(sub);
+            off += 176 + n * 16;
+        }
+        return { subgrids };
+    },
+
+    /**
+     * Bilinear NTv2 shift at an Arc 1960 position, in degrees { dLat, dLon }
+     * (east positive). The finest subgrid covering the point wins.
+     */
+    _gridShift: function(lat, lon) {
+        const sub = this._grid && this._grid.subgrids
+            .filter(g => lat >= g.south && lat <= g.north && lon >= g.west && lon <= g.east)
+            .sort((a, b) => a.latInc - b.latInc)[0];
+        if (!sub) throw new Error('Point is outside the NTv2 grid.');
+        // Nodes run from the south-east corner westwards, then north
+        const x = (sub.east - lon) / sub.lonInc;
+        const y = (lat - sub.south) / sub.latInc;
+        const c = Math.min(Math.floor(x), sub.cols - 2);
+        const r = Math.min(Math.floor(y), sub.rows - 2);
+        const fx = x - c, fy = y - r;
+        const at = (rr, cc, k) => sub.shifts[(rr * sub.cols + cc) * 2 + k];
+        const lerp = (k) => (at(r, c, k) * (1 - fx) + at(r, c + 1, k) * fx) * (1 - fy) +
+            (at(r + 1, c, k) * (1 - fx) + at(r + 1, c + 1, k) * fx) * fy;
+        return { dLat: lerp(0) / 3600, dLon: -lerp(1) / 3600 };
+    },
+
+    // Set id to compute with: a grid set whose file isn't loaded falls back
+    _effectiveSet: function(setId) {
+        const id = setId || this.activeSetId;
+        const p = this.parameterSets[id];
+        return p && p.kind === 'grid' && !this._grid ? this.FALLBACK_SET : id;
+    },
+
+    // --- proj4 / WKT definitions ---
+
+    /**
+     * proj4 +towgs84 value, or null for a grid set (no Helmert equivalent).
+     */
+    towgs84: function(setId) {
+        const p = this.parameterSets[this._effectiveSet(setId)];
+        if (p.kind === 'grid') return null;
+        return [p.dx, p.dy, p.dz, p.rx, p.ry, p.rz, p.ds].join(',');
+    },
+
+    // Short text for reports: the TOWGS84 values or the grid file
+    describe: function(setId) {
+        const id = this._effectiveSet(setId);
+        const p = this.parameterSets[id];
+        if (p.kind === 'grid') return 'NTv2 ' + p.file;
+        return (id !== (setId || this.activeSetId) ? p.label + ' (grid file not loaded) ' : '') + 'TOWGS84 ' + this.towgs84(id);
+    },
+
+    isArc1960: function(crs) {
+        return !!this.arcGrids[crs];
+    },
+
+    proj4Def: function(crs, setId) {
+        const g = this.arcGrids[crs];
+        if (!g) return null;
+        const t = this.towgs84(setId);
+        const shift = t ? `+towgs84=${t}` : `+nadgrids=${DATUM_GRID_KEY}`;
+        return `+proj=utm +zone=${g.zone}${g.south ? ' +south' : ''} +a=6378249.145 +rf=293.465 ${shift} +units=m +no_defs +type=crs`;
+    },
+
+    /**
+     * WKT1 TOWGS84 clause for .prj files (ESRI/GDAL read it as position vector),
+     * or '' for a grid set, which .prj files cannot carry.
+     */
+    wktTowgs84: function(setId) {
+        const t = this.towgs84(setId);
+        return t ? `TOWGS84[${t}]` : '';
+    },
+
+    /**
+     * (Re)define every Arc 1960 grid in proj4 with the active set and refresh
+     * OpenLayers' projection cache.
+     */
+    register: function() {
+        if (typeof proj4 === 'undefined') return;
+        Object.keys(this.arcGrids).forEach(code => {
+            try { proj4.defs(code, this.proj4Def(code)); } catch (e) {}
+        });
+        if (window.ol && ol.proj && ol.proj.proj4 && typeof ol.proj.proj4.register === 'function') {
+            ol.proj.proj4.register(proj4);
+        }
+    },
+
+    // --- Pure math (no proj4 needed) ---
+
+    _ell: function(name) {
+        const ell = this.ellipsoids[name];
+        const f = 1 / ell.invF;
+        return { a: ell.a, e2: f * (2 - f) };
+    },
+
+    geodeticToEcef: function(lat, lon, h, ellName) {
+        const { a, e2 } = this._ell(ellName);
+        const phi = lat * Math.PI / 180, lam = lon * Math.PI / 180;
+        const N = a / Math.sqrt(1 - e2 * Math.sin(phi) * Math.sin(phi));
+        return [
+            (N + h) * Math.cos(phi) * Math.cos(lam),
+            (N + h) * Math.cos(phi) * Math.sin(lam),
+            (N * (1 - e2) + h) * Math.sin(phi)
+        ];
+    },
+
+    ecefToGeodetic: function(xyz, ellName) {
+        const { a, e2 } = this._ell(ellName);
+        const [x, y, z] = xyz;
+        const p = Math.sqrt(x * x + y * y);
+        const lon = Math.atan2(y, x);
+        let lat = Math.atan2(z, p * (1 - e2));
+        let h = 0;
+        for (let i = 0; i < 6; i++) {
+            const N = a / Math.sqrt(1 - e2 * Math.sin(lat) * Math.sin(lat));
+            h = p / Math.cos(lat) - N;
+            lat = Math.atan2(z, p * (1 - e2 * N / (N + h)));
+        }
+        return { lat: lat * 180 / Math.PI, lon: lon * 180 / Math.PI, h };
+    },
+
+    /**
+     * Apply a 7-parameter Helmert (position vector, small-angle) to ECEF.
+     */
+    helmert: function(xyz, p, inverse = false) {
+        const sec = Math.PI / (180 * 3600);
+        const rx = p.rx * sec, ry = p.ry * sec, rz = p.rz * sec;
+        const s = p.ds * 1e-6;
+        const [x, y, z] = xyz;
+        if (!inverse) {
+            return [
+                p.dx + (1 + s) * (x - rz * y + ry * z),
+                p.dy + (1 + s) * (rz * x + y - rx * z),
+                p.dz + (1 + s) * (-ry * x + rx * y + z)
+            ];
+        }
+        const u = [(x - p.dx) / (1 + s), (y - p.dy) / (1 + s), (z - p.dz) / (1 + s)];
+        return [
+            u[0] + rz * u[1] - ry * u[2],
+            -rz * u[0] + u[1] + rx * u[2],
+            ry * u[0] - rx * u[1] + u[2]
+        ];
+    },
+
+    arcToWgs84: function(lat, lon, h = 0, setId) {
+        const p = this.parameterSets[this._effectiveSet(setId)];
+        if (p.kind === 'grid') {
+            const d = this._gridShift(lat, lon);
+            return { lat: lat + d.dLat, lon: lon + d.dLon, h };
+        }
+        const xyz = this.helmert(this.geodeticToEcef(lat, lon, h, 'clarke1880rgs'), p);
+        return this.ecefToGeodetic(xyz, 'wgs84');
+    },
+
+    wgs84ToArc: function(lat, lon, h = 0, setId) {
+        const p = this.parameterSets[this._effectiveSet(setId)];
+        if (p.kind === 'grid') {
+            // The grid is indexed by Arc 1960 positions: iterate to the inverse
+            let a = { lat, lon };
+            for (let i = 0; i < 4; i++) {
+                const d = this._gridShift(a.lat, a.lon);
+                a = { lat: lat - d.dLat, lon: lon - d.dLon };
+            }
+            return { lat: a.lat, lon: a.lon, h };
+        }
+        const xyz = this.helmert(this.geodeticToEcef(lat, lon, h, 'wgs84'), p, true);
+        return this.ecefToGeodetic(xyz, 'clarke1880rgs');
+    },
+
+    /**
+     * Inverse Transverse Mercator (UTM, Snyder 8-17 .. 8-25).
+     */
+    utmToGeodetic: function(e, n, zone, south, ellName) {
+        const { a, e2 } = this._ell(ellName);
+        const k0 = 0.9996;
+        const ep2 = e2 / (1 - e2);
+        const x = e - 500000;
+        const y = south ? n - 10000000 : n;
+        const M = y / k0;
+        const mu = M / (a * (1 - e2 / 4 - 3 * e2 * e2 / 64 - 5 * Math.pow(e2, 3) / 256));
+        const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+        const phi1 = mu + (3 * e1 / 2 - 27 * Math.pow(e1, 3) / 32) * Math.sin(2 * mu) +
+            (21 * e1 * e1 / 16 - 55 * Math.pow(e1, 4) / 32) * Math.sin(4 * mu) +
+            (151 * Math.pow(e1, 3) / 96) * Math.sin(6 * mu) +
+            (1097 * Math.pow(e1, 4) / 512) * Math.sin(8 * mu);
+        const C1 = ep2 * Math.pow(Math.cos(phi1), 2);
+        const T1 = Math.pow(Math.tan(phi1), 2);
+        const N1 = a / Math.sqrt(1 - e2 * Math.pow(Math.sin(phi1), 2));
+        const R1 = a * (1 - e2) / Math.pow(1 - e2 * Math.pow(Math.sin(phi1), 2), 1.5);
+        const D = x / (N1 * k0);
+        const lat = phi1 - (N1 * Math.tan(phi1) / R1) * (D * D / 2 -
+            (5 + 3 * T1 + 10 * C1 - 4 * C1 * C1 - 9 * ep2) * Math.pow(D, 4) / 24 +
+            (61 + 90 * T1 + 298 * C1 + 45 * T1 * T1 - 252 * ep2 - 3 * C1 * C1) * Math.pow(D, 6) / 720);
+        const lon = (D - (1 + 2 * T1 + C1) * Math.pow(D, 3) / 6 +
+            (5 - 2 * C1 + 28 * T1 - 3 * C1 * C1 + 8 * ep2 + 24 * T1 * T1) * Math.pow(D, 5) / 120) / Math.cos(phi1);
+        return { lat: lat * 180 / Math.PI, lon: (zone * 6 - 183) + lon * 180 / Math.PI };
+    },
+
+    /**
+     * Forward Transverse Mercator (UTM, Snyder 8-9 / 8-10).
+     */
+    geodeticToUtm: function(lat, lon, zone, south, ellName) {
+        const { a, e2 } = this._ell(ellName);
+        const k0 = 0.9996;
+        const ep2 = e2 / (1 - e2);
+        const phi = lat * Math.PI / 180;
+        const N = a / Math.sqrt(1 - e2 * Math.sin(phi) * Math.sin(phi));
+        const T = Math.pow(Math.tan(phi), 2);
+        const C = ep2 * Math.pow(Math.cos(phi), 2);
+        const A = (lon - (zone * 6 - 183)) * Math.PI / 180 * Math.cos(phi);
+        const M = a * ((1 - e2 / 4 - 3 * e2 * e2 / 64 - 5 * Math.pow(e2, 3) / 256) * phi -
+            (3 * e2 / 8 + 3 * e2 * e2 / 32 + 45 * Math.pow(e2, 3) / 1024) * Math.sin(2 * phi) +
+            (15 * e2 * e2 / 256 + 45 * Math.pow(e2, 3) / 1024) * Math.sin(4 * phi) -
+            (35 * Math.pow(e2, 3) / 3072) * Math.sin(6 * phi));
+        const e = 500000 + k0 * N * (A + (1 - T + C) * Math.pow(A, 3) / 6 +
+            (5 - 18 * T + T * T + 72 * C - 58 * ep2) * Math.pow(A, 5) / 120);
+        let n = k0 * (M + N * Math.tan(phi) * (A * A / 2 + (5 - T + 9 * C + 4 * C * C) * Math.pow(A, 4) / 24 +
+            (61 - 58 * T + T * T + 600 * C - 330 * ep2) * Math.pow(A, 6) / 720));
+        if (south) n += 10000000;
+        return { e, n };
+    },
+
+    /**
+     * Arc 1960 or WGS 84 UTM grid coordinate to WGS 84 lon/lat. Uses proj4 when
+     * it is loaded (it carries the same parameters after register()), the
+     * built-in math otherwise.
+     */
+    gridToWgs84: function(e, n, crs) {
+        if (typeof proj4 !== 'undefined') {
+            try {
+                const r = proj4(this.proj4Def(crs) || crs, 'EPSG:4326', [e, n]);
+                return { lon: r[0], lat: r[1] };
+            } catch (err) {
+                console.warn('[Datum] proj4 conversion failed, using built-in math:', err);
+            }
+        }
+        const code = parseInt(String(crs).replace('EPSG:', ''), 10);
+        if (this.arcGrids[crs]) {
+            const g = this.arcGrids[crs];
+            const arc = this.utmToGeodetic(e, n, g.zone, g.south, 'clarke1880rgs');
+            const w = this.arcToWgs84(arc.lat, arc.lon, 0);
+            return { lon: w.lon, lat: w.lat };
+        }
+        if (code >= 32601 && code <= 32760) {
+            const south = code > 32700;
+            const w = this.utmToGeodetic(e, n, code - (south ? 32700 : 32600), south, 'wgs84');
+            return { lon: w.lon, lat: w.lat };
+        }
+        if (code === 4326) return { lon: e, lat: n };
+        throw new Error(`No transformation available for ${crs}.`);
+    },
+
+    // --- Control points ---
+
+    /**
+     * Parse control point text, one point per line:
+     *   id, E (Arc 1960 grid), N (Arc 1960 grid), lat (WGS 84), lon (WGS 84)
+     */
+    parseControlPoints: function(text) {
+        return (text || '').split(/\r?\n/)
+            .map(l => l.trim())
+            .filter(l => l && !l.startsWith('#'))
+            .map(l => l.split(/[,;\t]+/).map(s => s.trim()))
+            .filter(p => p.length >= 5 && p.slice(1, 5).every(v => isFinite(parseFloat(v))))
+            .map(p => ({ id: p[0], e: parseFloat(p[1]), n: parseFloat(p[2]), lat: parseFloat(p[3]), lon: parseFloat(p[4]) }));
+    },
+
+    _controlToGeodetic: function(points, crs) {
+        const g = this.arcGrids[crs];
+        if (!g) throw new Error('Control point grid must be an Arc 1960 UTM zone.');
+        return points.map(p => Object.assign({}, p, { arc: this.utmToGeodetic(p.e, p.n, g.zone, g.south, 'clarke1880rgs') }));
+    },
+
+    /**
+     * Horizontal residuals (metres, WGS 84 minus known) of a parameter set
+     * against control points.
+     */
+    residuals: function(points, crs, setId) {
+        const id = setId || this.activeSetId;
+        const { a, e2 } = this._ell('wgs84');
+        const rows = this._controlToGeodetic(points, crs).map(p => {
+            const t = this.arcToWgs84(p.arc.lat, p.arc.lon, 0, id);
+            const phi = p.lat * Math.PI / 180;
+            const w = 1 - e2 * Math.sin(phi) * Math.sin(phi);
+            const M = a * (1 - e2) / Math.pow(w, 1.5);
+            const N = a / Math.sqrt(w);
+            const dN = (t.lat - p.lat) * Math.PI / 180 * M;
+            const dE = (t.lon - p.lon) * Math.PI / 180 * N * Math.cos(phi);
+            return { id: p.id, dE, dN, d: Math.sqrt(dE * dE + dN * dN) };
+        });
+        const rms = rows.length ? Math.sqrt(rows.reduce((s, r) => s + r.d * r.d, 0) / rows.length) : 0;
+        const max = rows.reduce((m, r) => Math.max(m, r.d), 0);
+        return { setId: id, points: rows, rms, max };
+    },
+
+    /**
+     * Least-squares Helmert fit from control points: 3 translations only for
+     * fewer than three points, full 7 parameters otherwise.
+     */
+    fitHelmert: function(points, crs) {
+        if (!points || points.length === 0) throw new Error('At least one control point is required.');
+        const pts = this._controlToGeodetic(points, crs).map(p => ({
+            src: this.geodeticToEcef(p.arc.lat, p.arc.lon, 0, 'clarke1880rgs'),
+            dst: this.geodeticToEcef(p.lat, p.lon, 0, 'wgs84')
+        }));
+        const mean = (arr, k) => arr.reduce((s, p) => s + p[k], 0) / arr.length;
+        const srcC = [0, 1, 2].map(k => mean(pts.map(p => p.src), k));
+        const dC = [0, 1, 2].map(k => mean(pts.map(p => [p.dst[0] - p.src[0], p.dst[1] - p.src[1], p.dst[2] - p.src[2]]), k));
+
+        let rx = 0, ry = 0, rz = 0, s = 0;
+        if (pts.length >= 3) {
+            // Centred observation equations in [rx, ry, rz, s]
+            const NtN = [[0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]];
+            const Ntl = [0, 0, 0, 0];
+            pts.forEach(p => {
+                const x = p.src[0] - srcC[0], y = p.src[1] - srcC[1], z = p.src[2] - srcC[2];
+                const l = [0, 1, 2].map(k => (p.dst[k] - p.src[k]) - dC[k]);
+                const rows = [[0, z, -y, x], [-z, 0, x, y], [y, -x, 0, z]];
+                rows.forEach((r, k) => {
+                    for (let i = 0; i < 4; i++) {
+                        Ntl[i] += r[i] * l[k];
+                        for (let j = 0; j < 4; j++) NtN[i][j] += r[i] * r[j];
+                    }
+                });
+            });
+            [rx, ry, rz, s] = this._solve(NtN, Ntl);
+        }
+
+        const rot = [
+            s * srcC[0] - rz * srcC[1] + ry * srcC[2],
+            rz * srcC[0] + s * srcC[1] - rx * srcC[2],
+            -ry * srcC[0] + rx * srcC[1] + s * srcC[2]
+        ];
+        const sec = 180 * 3600 / Math.PI;
+        const params = {
+            dx: dC[0] - rot[0], dy: dC[1] - rot[1], dz: dC[2] - rot[2],
+            rx: rx * sec, ry: ry * sec, rz: rz * sec, ds: s * 1e6
+        };
+        ['dx', 'dy', 'dz'].forEach(k => { params[k] = Math.round(params[k] * 1000) / 1000; });
+        ['rx', 'ry', 'rz', 'ds'].forEach(k => { params[k] = Math.round(params[k] * 1e6) / 1e6; });
+        return params;
+    },
+
+    // Gaussian elimination with partial pivoting
+    _solve: function(A, b) {
+        const n = b.length;
+        const M = A.map((row, i) => row.concat([b[i]]));
+        for (let c = 0; c < n; c++) {
+            let piv = c;
+            for (let r = c + 1; r < n; r++) if (Math.abs(M[r][c]) > Math.abs(M[piv][c])) piv = r;
+            [M[c], M[piv]] = [M[piv], M[c]];
+            if (Math.abs(M[c][c]) < 1e-12) throw new Error('Control points are too poorly distributed to fit 7 parameters.');
+            for (let r = c + 1; r < n; r++) {
+                const f = M[r][c] / M[c][c];
+                for (let k = c; k <= n; k++) M[r][k] -= f * M[c][k];
+            }
+        }
+        const x = new Array(n).fill(0);
+        for (let r = n - 1; r >= 0; r--) {
+            let sum = M[r][n];
+            for (let k = r + 1; k < n; k++) sum -= M[r][k] * x[k];
+            x[r] = sum / M[r][r];
+        }
+        return x;
+    }
+};
+
+// Export for usage in other scripts or UI
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DatumTransform;
+} else {
+    window.DatumTransform = DatumTransform;
+    DatumTransform.init();
+}
@@ -0,0 +1,705 @@
+// deed-plan-atlas.js
+// Atlas mode for deed plans: one PDF per parcel for a whole block (picked on
+// the map) or an uploaded list of unique IDs, packed into a single ZIP.
+// Relies on jrj_engine.js (traverse/area) and the JRJ panel job details.
+
+const DEED_PLAN_SCALES = [100, 200, 250, 500, 1000, 1250, 2000, 2500, 5000, 10000, 20000, 25000, 50000];
+const DEED_PLAN_PLOT_KEYS = ['PlotNumber', 'Plot Number', 'plot_number', 'PLOT NO', 'Plot_No', 'plot_no', 'PLOT', 'Plot'];
+const DEED_PLAN_BLOCK_KEYS = ['BLOCK NO', 'block_no', 'BlockNo', 'Block', 'BLOCK', 'Number_'];
+// Parcels sharing an edge rarely match to the millimetre once digitised
+const DEED_PLAN_ADJOIN_TOL_M = 0.5;
+const DEED_PLAN_DB_CHUNK = 100;
+
+let deedPlanAtlas = { parcels: [], block: null, source: '', running: false, cancelled: false };
+
+function bindDeedPlanAtlasControls() {
+    const blockBtn = document.getElementById('jrj-atlas-block-btn');
+    if (blockBtn) {
+        blockBtn.replaceWith(blockBtn.cloneNode(true));
+        document.getElementById('jrj-atlas-block-btn').onclick = pickDeedPlanBlock;
+    }
+
+    const idsInput = document.getElementById('jrj-atlas-ids-file');
+    if (idsInput) {
+        idsInput.replaceWith(idsInput.cloneNode(true));
+        document.getElementById('jrj-atlas-ids-file').onchange = async function() {
+            const file = this.files && this.files[0];
+            this.value = '';
+            if (!file) return;
+            try {
+                const ids = parseParcelIdList(await file.text());
+                if (ids.length === 0) throw new Error(`No unique IDs found in ${file.name}.`);
+                updateDeedPlanAtlasStatus(`Looking up ${ids.length} unique ID(s)...`);
+                const found = await findParcelsByIds(ids);
+                deedPlanAtlas = Object.assign(deedPlanAtlas, { parcels: found.features, block: null, source: file.name });
+                let msg = `<strong>${found.features.length}</strong> parcel(s) from ${escapeDeedPlanHtml(file.name)}.`;
+                if (found.missing.length) {
+                    msg += `<br><span style="color:#c0392b;">Not found (${found.missing.length}): ${escapeDeedPlanHtml(found.missing.slice(0, 20).join(', '))}${found.missing.length > 20 ? ', ...' : ''}</span>`;
+                }
+                updateDeedPlanAtlasStatus(msg);
+            } catch (e) {
+                console.error('Error reading deed plan ID list:', e);
+                updateDeedPlanAtlasStatus('');
+                alert('Error reading ID list: ' + e.message);
+            }
+        };
+    }
+
+    const exportBtn = document.getElementById('jrj-atlas-export-btn');
+    if (exportBtn) {
+        exportBtn.replaceWith(exportBtn.cloneNode(true));
+        document.getElementById('jrj-atlas-export-btn').onclick = runDeedPlanAtlas;
+    }
+}
+
+function updateDeedPlanAtlasStatus(html) {
+    const el = document.getElementById('jrj-atlas-status');
+    if (!el) return;
+    el.innerHTML = html;
+    el.style.display = html ? 'block' : 'none';
+}
+
+function escapeDeedPlanHtml(str) {
+    return String(str).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// Job details shared by every plan in the atlas. Unlike readJrjPanelMeta the
+// plot and calibration point are per parcel, so they are not required here.
+function readDeedPlanAtlasMeta() {
+    const val = id => { const el = document.getElementById(id); return el ? el.value.trim() : ''; };
+    const meta = {
+        client: val('jrj-client'),
+        block: val('jrj-block'),
+        district: val('jrj-district'),
+        county: val('jrj-county'),
+        surveyor: val('jrj-surveyor-name'),
+        supervisor: val('jrj-supervisor-name'),
+        crs: val('jrj-crs'),
+        date: new Date().toISOString().slice(0, 10)
+    };
+    if (!meta.client || !meta.block || !meta.district || !meta.county || !meta.surveyor || !meta.crs) {
+        alert('Please fill in Client, Block, District, County, Surveyor and CRS before generating deed plans.');
+        return null;
+    }
+    const proj = ol.proj.get(meta.crs);
+    if (!proj || proj.getUnits() !== 'm') {
+        alert('Deed plans need a projected grid in metres. Choose a UTM CRS in the JRJ panel.');
+        return null;
+    }
+    return meta;
+}
+
+// --- Parcel sources ---
+
+function deedPlanVectorLayers(visibleOnly) {
+    return map.getAllLayers().filter(layer => {
+        if (layer === jrjLabelsLayer || (visibleOnly && !layer.getVisible())) return false;
+        const source = layer.getSource && layer.getSource();
+        return source instanceof ol.source.Vector && !(source instanceof ol.source.Cluster);
+    });
+}
+
+function isDeedPlanPolygon(feature) {
+    const geom = feature && feature.getGeometry();
+    return !!geom && (geom.getType() === 'Polygon' || geom.getType() === 'MultiPolygon');
+}
+
+function deedPlanInteriorPoint(geom) {
+    if (geom.getType() === 'Polygon') return geom.getInteriorPoint().getCoordinates();
+    return geom.getInteriorPoints().getPoint(0).getCoordinates();
+}
+
+function deedPlanAttr(props, keys) {
+    for (const k of keys) {
+        if (props[k] !== undefined && props[k] !== null && String(props[k]).trim() !== '') return String(props[k]).trim();
+    }
+    return '';
+}
+
+function deedPlanUniqueId(props) {
+    const key = Object.keys(props).find(k => k.toLowerCase().replace(/[^a-z]/g, '') === 'uniqueid');
+    return key && props[key] !== null && props[key] !== undefined ? String(props[key]).trim() : '';
+}
+
+function deedPlanLabel(feature, index) {
+    const props = feature.getProperties() || {};
+    const plot = deedPlanAttr(props, DEED_PLAN_PLOT_KEYS);
+    const uid = deedPlanUniqueId(props);
+    return plot ? `Plot ${plot}` : (uid || props.name || `Parcel ${index + 1}`);
+}
+
+// One-shot map click: the polygon hit is taken as the block (a layer or
+// attribute naming it a block wins, otherwise the largest polygon under the
+// cursor) and every visible parcel whose interior point falls inside it is
+// queued for the atlas.
+function pickDeedPlanBlock() {
+    const select = window.jrjSelectInteraction;
+    if (select) select.setActive(false);
+    updateDeedPlanAtlasStatus('Click a block on the map...');
+
+    map.once('singleclick', function(evt) {
+        if (select) select.setActive(true);
+
+        const hits = [];
+        map.forEachFeatureAtPixel(evt.pixel, (feature, layer) => {
+            if (isDeedPlanPolygon(feature)) hits.push({ feature, layer });
+        }, { hitTolerance: 2, layerFilter: l => l !== jrjLabelsLayer });
+        if (hits.length === 0) {
+            updateDeedPlanAtlasStatus('No polygon under the click. Press Pick Block and try again.');
+            return;
+        }
+
+        const isBlock = h => /block/i.test(h.layer ? (h.layer.get('title') || h.layer.get('name') || '') : '') ||
+            deedPlanAttr(h.feature.getProperties() || {}, DEED_PLAN_BLOCK_KEYS) !== '';
+        const area = h => h.feature.getGeometry().getArea();
+        const block = hits.filter(isBlock).sort((a, b) => area(b) - area(a))[0] ||
+            hits.sort((a, b) => area(b) - area(a))[0];
+
+        const parcels = collectBlockParcels(block.feature, block.layer);
+        const blockNo = deedPlanAttr(block.feature.getProperties() || {}, DEED_PLAN_BLOCK_KEYS);
+        const blockInput = document.getElementById('jrj-block');
+        if (blockNo && blockInput && !blockInput.value.trim()) blockInput.value = blockNo;
+
+        deedPlanAtlas = Object.assign(deedPlanAtlas, { parcels, block: block.feature, source: blockNo ? `Block ${blockNo}` : 'picked block' });
+        updateDeedPlanAtlasStatus(parcels.length
+            ? `<strong>${parcels.length}</strong> parcel(s) inside ${escapeDeedPlanHtml(deedPlanAtlas.source)}.`
+            : 'No parcels found inside the picked polygon. Make sure the parcel layer is visible.');
+    });
+}
+
+function collectBlockParcels(blockFeature, blockLayer) {
+    const blockGeom = blockFeature.getGeometry();
+    const blockArea = blockGeom.getArea();
+    const seen = new Set();
+    const parcels = [];
+    deedPlanVectorLayers(true).forEach(layer => {
+        if (layer === blockLayer) return;
+        layer.getSource().forEachFeatureInExtent(blockGeom.getExtent(), f => {
+            if (f === blockFeature || seen.has(f) || !isDeedPlanPolygon(f)) return;
+            const geom = f.getGeometry();
+            if (geom.getArea() >= blockArea * 0.99) return;
+            if (!blockGeom.intersectsCoordinate(deedPlanInteriorPoint(geom))) return;
+            seen.add(f);
+            parcels.push(f);
+        });
+    });
+    return sortDeedPlanParcels(parcels);
+}
+
+// Plot number order, so the ZIP reads like the block register
+function sortDeedPlanParcels(parcels) {
+    const key = f => deedPlanAttr(f.getProperties() || {}, DEED_PLAN_PLOT_KEYS) || deedPlanUniqueId(f.getProperties() || {});
+    return parcels.slice().sort((a, b) => String(key(a)).localeCompare(String(key(b)), undefined, { numeric: true }));
+}
+
+// Unique IDs from a CSV or text file: the first column of each line, with a
+// header row skipped when it does not look like an ID.
+function parseParcelIdList(text) {
+    const ids = [];
+    const seen = new Set();
+    String(text).split(/\r?\n/).forEach((line, i) => {
+        const cell = line.split(/[,;\t]/)[0].trim().replace(/^"|"$/g, '').trim();
+        if (!cell) return;
+        if (i === 0 && /unique|^id$|parcel/i.test(cell)) return;
+        if (!seen.has(cell)) {
+            seen.add(cell);
+            ids.push(cell);
+        }
+    });
+    return ids;
+}
+
+// Match IDs against the loaded layers first, then fetch the rest from
+// polygon_features so a list can cover parcels outside the current view.
+async function findParcelsByIds(ids) {
+    const wanted = new Set(ids);
+    const byId = new Map();
+    deedPlanVectorLayers(false).forEach(layer => {
+        layer.getSource().getFeatures().forEach(f => {
+            if (!isDeedPlanPolygon(f)) return;
+            const uid = deedPlanUniqueId(f.getProperties() || {});
+            if (uid && wanted.has(uid) && !byId.has(uid)) byId.set(uid, f);
+        });
+    });
+
+    const remaining = ids.filter(id => !byId.has(id));
+    const sb = window.supabaseClient;
+    if (sb && remaining.length) {
+        const viewProj = map.getView().getProjection();
+        const geojson = new ol.format.GeoJSON();
+        const wkb = new ol.format.WKB();
+        for (let i = 0; i < remaining.length; i += DEED_PLAN_DB_CHUNK) {
+            const chunk = remaining.slice(i, i + DEED_PLAN_DB_CHUNK);
+            const { data, error } = await sb.from('polygon_features')
+                .select('unique_id, client, district, layer_name, area_hectares, geometry')
+                .in('unique_id', chunk)
+                .eq('is_archived', false);
+            if (error) throw error;
+            (data || []).forEach(row => {
+                const geometry = readDeedPlanDbGeometry(row.geometry, geojson, wkb, viewProj);
+                if (!geometry || byId.has(row.unique_id)) return;
+                const props = Object.assign({}, row);
+                delete props.geometry;
+                const feature = new ol.Feature(props);
+                feature.setGeometry(geometry);
+                byId.set(row.unique_id, feature);
+            });
+        }
+    }
+
+    return {
+        features: sortDeedPlanParcels(ids.filter(id => byId.has(id)).map(id => byId.get(id))),
+        missing: ids.filter(id => !byId.has(id))
+    };
+}
+
+// polygon_features.geometry arrives as GeoJSON (object or string) or as EWKB hex
+function readDeedPlanDbGeometry(value, geojson, wkb, viewProj) {
+    const opts = { dataProjection: 'EPSG:4326', featureProjection: viewProj };
+    try {
+        if (value && typeof value === 'object') return geojson.readGeometry(value, opts);
+        if (typeof value === 'string') {
+            if (/^[0-9a-fA-F]+$/.test(value)) return wkb.readGeometry(value, opts);
+            return geojson.readGeometry(JSON.parse(value), opts);
+        }
+    } catch (e) {
+        console.warn('Unreadable parcel geometry:', e);
+    }
+    return null;
+}
+
+// --- Adjoining parcels ---
+
+// Polygons that share a boundary with the parcel (within DEED_PLAN_ADJOIN_TOL_M),
+// drawn from the atlas set and the visible layers. Enclosing polygons such as
+// the block itself are left out.
+function findAdjoiningParcels(feature, pool) {
+    const geom = feature.getGeometry();
+    const viewProj = map.getView().getProjection();
+    const center = ol.extent.getCenter(geom.getExtent());
+    const tol = DEED_PLAN_ADJOIN_TOL_M / ol.proj.getPointResolution(viewProj, 1, center, 'm');
+    const search = ol.extent.buffer(geom.getExtent(), tol * 2);
+    const area = geom.getArea();
+    const centroid = deedPlanInteriorPoint(geom);
+
+    const candidates = new Set(pool.filter(f => f !== feature && ol.extent.intersects(f.getGeometry().getExtent(), search)));
+    deedPlanVectorLayers(true).forEach(layer => {
+        layer.getSource().forEachFeatureInExtent(search, f => {
+            if (f !== feature && isDeedPlanPolygon(f)) candidates.add(f);
+        });
+    });
+
+    const vertices = g => g.getType() === 'Polygon' ? g.getCoordinates().flat() : g.getCoordinates().flat(2);
+    const near = (g, coords) => coords.some(c => {
+        const p = g.getClosestPoint(c);
+        return Math.hypot(p[0] - c[0], p[1] - c[1]) <= tol;
+    });
+    const ownVertices = vertices(geom);
+    const seenLabels = new Set();
+    const neighbours = [];
+
+    candidates.forEach(f => {
+        if (f === deedPlanAtlas.block) return;
+        const g = f.getGeometry();
+        if (g.getArea() > area * 4 && g.intersectsCoordinate(centroid)) return;
+        // Identical outlines from a second layer (e.g. search results) are the same parcel
+        if (Math.abs(g.getArea() - area) < area * 1e-6 && ol.extent.equals(g.getExtent(), geom.getExtent())) return;
+        if (!near(g, ownVertices) && !near(geom, vertices(g))) return;
+
+        const label = deedPlanLabel(f, neighbours.length);
+        const uid = deedPlanUniqueId(f.getProperties() || {});
+        const key = uid || label;
+        if (seenLabels.has(key)) return;
+        seenLabels.add(key);
+
+        const p = deedPlanInteriorPoint(g);
+        const brg = getGridBearing(centroid[0], centroid[1], p[0], p[1]);
+        const dirs = ['North', 'North-East', 'East', 'South-East', 'South', 'South-West', 'West', 'North-West'];
+        neighbours.push({ feature: f, label, uniqueId: uid, direction: dirs[Math.round(brg / 45) % 8], bearing: brg });
+    });
+    return neighbours.sort((a, b) => a.bearing - b.bearing);
+}
+
+// --- QR code ---
+
+async function fetchDeedPlanQr(text) {
+    if (typeof window.generateQRCode !== 'function') return null;
+    const res = await fetch(window.generateQRCode(text, 240));
+    if (!res.ok) throw new Error(`QR service returned ${res.status}`);
+    const blob = await res.blob();
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+// --- Deed plan PDF ---
+
+// Grid traverse of every ring of the parcel in the job CRS, CM-numbered like the JRJ CSV
+function computeDeedPlanTraverse(feature, crs) {
+    const viewProj = map.getView().getProjection();
+    const geom = feature.getGeometry();
+    const polys = geom.getType() === 'Polygon' ? [geom.getCoordinates()] : geom.getCoordinates();
+    const engine = new JRJEngine();
+    let cm = 1;
+    const toStations = ring => ring.slice(0, -1).map(c => {
+        const t = ol.proj.transform(c, viewProj, crs);
+        return { stn: 'CM' + (cm++), n: t[1], e: t[0] };
+    });
+
+    const parts = [];
+    let sqMeters = 0;
+    polys.forEach(poly => {
+        if (!poly[0] || poly[0].length < 4) return;
+        const outer = toStations(poly[0]);
+        const inner = poly.slice(1).filter(r => r.length >= 4).map(toStations);
+        const result = engine.computeAll(outer, inner);
+        parts.push({ outer, inner, result });
+        sqMeters += result.area.sqMeters;
+    });
+    if (parts.length === 0) throw new Error('Parcel has no closed boundary.');
+    return { parts, area: { sqMeters, hectares: sqMeters / 10000, acres: sqMeters / 4046.8564224 } };
+}
+
+function buildDeedPlanPdf(feature, meta, ctx) {
+    const { jsPDF } = window.jspdf;
+    const doc = new jsPDF('p', 'mm', 'a4');
+    const marginX = 14;
+    const pageW = doc.internal.pageSize.width;
+    const pageH = doc.internal.pageSize.height;
+    const pageCenter = pageW / 2;
+    const traverse = ctx.traverse;
+    const props = feature.getProperties() || {};
+    const viewProj = map.getView().getProjection();
+
+    // Header
+    doc.setFontSize(14);
+    doc.setFont('helvetica', 'bold');
+    doc.text('DEED PLAN', pageCenter, 15, { align: 'center' });
+    doc.setFontSize(9);
+    doc.setFont('helvetica', 'normal');
+    doc.text(`Client: ${meta.client}`, marginX, 22);
+    doc.text(`Block: ${meta.block}    ${ctx.label}`, marginX, 27);
+    doc.text(`Unique ID: ${ctx.uniqueId || '-'}`, marginX, 32);
+    doc.text(`District: ${meta.district}    County: ${meta.county}`, marginX, 37);
+    doc.text(`Surveyor: ${meta.surveyor}`, 100, 22);
+    if (meta.supervisor) doc.text(`Supervisor: ${meta.supervisor}`, 100, 27);
+    doc.text(`Date: ${meta.date}`, 100, 32);
+    doc.text(`CRS: ${meta.crs}`, 100, 37);
+    if (ctx.qr) {
+        doc.addImage(ctx.qr, 'PNG', pageW - marginX - 22, 17, 22, 22);
+    }
+    doc.setLineWidth(0.3);
+    doc.line(marginX, 41, pageW - marginX, 41);
+
+    // Sketch frame at a standard scale that leaves room for the neighbours
+    const frame = { x: marginX, y: 45, w: pageW - 2 * marginX, h: 115 };
+    const stations = [];
+    traverse.parts.forEach(p => { stations.push(...p.outer); p.inner.forEach(r => stations.push(...r)); });
+    const minE = Math.min(...stations.map(s => s.e)), maxE = Math.max(...stations.map(s => s.e));
+    const minN = Math.min(...stations.map(s => s.n)), maxN = Math.max(...stations.map(s => s.n));
+    const spanE = Math.max(maxE - minE, 1), spanN = Math.max(maxN - minN, 1);
+    const fitScale = Math.max(spanE * 1000 / (frame.w * 0.7), spanN * 1000 / (frame.h * 0.7));
+    const scale = DEED_PLAN_SCALES.find(s => s >= fitScale) || Math.ceil(fitScale / 10000) * 10000;
+    const k = 1000 / scale;
+    const cE = (minE + maxE) / 2, cN = (minN + maxN) / 2;
+    const toPage = (e, n) => ({ x: frame.x + frame.w / 2 + (e - cE) * k, y: frame.y + frame.h / 2 - (n - cN) * k });
+    const inFrame = p => p.x > frame.x + 2 && p.x < frame.x + frame.w - 2 && p.y > frame.y + 2 && p.y < frame.y + frame.h - 2;
+
+    doc.setDrawColor(0);
+    doc.setLineWidth(0.3);
+    doc.rect(frame.x, frame.y, frame.w, frame.h);
+
+    doc.saveGraphicsState();
+    doc.rect(frame.x, frame.y, frame.w, frame.h, null);
+    doc.clip();
+    doc.discardPath();
+
+    // Adjoining parcels, dashed grey with their labels
+    const strokeRing = ring => {
+        for (let i = 0; i < ring.length - 1; i++) {
+            const a = toPage(ring[i][0], ring[i][1]);
+            const b = toPage(ring[i + 1][0], ring[i + 1][1]);
+            doc.line(a.x, a.y, b.x, b.y);
+        }
+    };
+    doc.setDrawColor(140);
+    doc.setLineWidth(0.15);
+    doc.setLineDashPattern([1.2, 1], 0);
+    ctx.neighbours.forEach(n => {
+        const g = n.feature.getGeometry().clone().transform(viewProj, meta.crs);
+        const polys = g.getType() === 'Polygon' ? [g.getCoordinates()] : g.getCoordinates();
+        polys.forEach(poly => poly.forEach(strokeRing));
+    });
+    doc.setLineDashPattern([], 0);
+    doc.setFontSize(6.5);
+    doc.setTextColor(110);
+    ctx.neighbours.forEach(n => {
+        const c = ol.proj.transform(deedPlanInteriorPoint(n.feature.getGeometry()), viewProj, meta.crs);
+        const p = toPage(c[0], c[1]);
+        if (inFrame(p)) doc.text(n.label, p.x, p.y, { align: 'center' });
+    });
+
+    // The parcel: boundary, distances along each edge and beacons
+    doc.setTextColor(0);
+    doc.setDrawColor(0);
+    const centre = toPage(cE, cN);
+    traverse.parts.forEach(part => {
+        [part.outer].concat(part.inner).forEach((ring, ringIndex) => {
+            doc.setLineWidth(ringIndex === 0 ? 0.5 : 0.3);
+            doc.setLineDashPattern(ringIndex === 0 ? [] : [1.5, 1], 0);
+            ring.forEach((s, i) => {
+                const t = ring[(i + 1) % ring.length];
+                const a = toPage(s.e, s.n);
+                const b = toPage(t.e, t.n);
+                doc.line(a.x, a.y, b.x, b.y);
+                const len = Math.hypot(b.x - a.x, b.y - a.y);
+                if (len < 12) return;
+                let angle = -Math.atan2(b.y - a.y, b.x - a.x) * 180 / Math.PI;
+                if (angle > 90) angle -= 180;
+                if (angle < -90) angle += 180;
+                const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+                const nx = -(b.y - a.y) / len, ny = (b.x - a.x) / len;
+                const side = ((mid.x - centre.x) * nx + (mid.y - centre.y) * ny) >= 0 ? 1 : -1;
+                const dist = getGridDistance(s.e, s.n, t.e, t.n).toFixed(2) + ' m';
+                doc.setFontSize(6);
+                const w = doc.getTextWidth(dist);
+                // Baseline on the outer side of the edge, glyphs growing away from it
+                const dir = { x: Math.cos(-angle * Math.PI / 180), y: Math.sin(-angle * Math.PI / 180) };
+                const up = { x: dir.y, y: -dir.x };
+                const out = { x: nx * side, y: ny * side };
+                const gap = (up.x * out.x + up.y * out.y) > 0 ? 1 : 2.6;
+                doc.text(dist, mid.x + out.x * gap - dir.x * w / 2, mid.y + out.y * gap - dir.y * w / 2, { angle });
+            });
+            doc.setLineDashPattern([], 0);
+            doc.setFontSize(6.5);
+            doc.setFont('helvetica', 'bold');
+            ring.forEach(s => {
+                const p = toPage(s.e, s.n);
+                doc.setFillColor(255, 255, 255);
+                doc.setLineWidth(0.2);
+                doc.circle(p.x, p.y, 0.8, 'FD');
+                const dx = p.x - centre.x, dy = p.y - centre.y;
+                const d = Math.hypot(dx, dy) || 1;
+                doc.text(s.stn, p.x + dx / d * 3, p.y + dy / d * 3 + 1, { align: 'center' });
+            });
+            doc.setFont('helvetica', 'normal');
+        });
+    });
+    doc.restoreGraphicsState();
+
+    // North arrow (grid north, as in the JRJ sketch)
+    const naX = frame.x + frame.w - 9, naTip = frame.y + 6, naBase = frame.y + 16, naMid = frame.y + 10.2;
+    doc.setDrawColor(0);
+    doc.setLineWidth(0.2);
+    doc.setFillColor(0, 0, 0);
+    doc.triangle(naX, naTip, naX - 2.5, naBase, naX, naMid, 'F');
+    doc.setFillColor(255, 255, 255);
+    doc.triangle(naX, naTip, naX + 2.5, naBase, naX, naMid, 'FD');
+    doc.setFontSize(8);
+    doc.setFont('helvetica', 'bold');
+    doc.text('N', naX, naTip - 1, { align: 'center' });
+
+    // Scale bar: a round length near a quarter of the frame
+    const target = frame.w / 4 / k;
+    const pow = Math.pow(10, Math.floor(Math.log10(target)));
+    const barM = [5, 2, 1].map(m => m * pow).find(m => m <= target) || pow;
+    const barW = barM * k;
+    const sbX = frame.x + 5, sbY = frame.y + frame.h - 6;
+    doc.setLineWidth(0.2);
+    doc.setFillColor(0, 0, 0);
+    doc.rect(sbX, sbY, barW / 2, 1.2, 'FD');
+    doc.setFillColor(255, 255, 255);
+    doc.rect(sbX + barW / 2, sbY, barW / 2, 1.2, 'FD');
+    doc.setFontSize(6.5);
+    doc.setFont('helvetica', 'normal');
+    doc.text('0', sbX, sbY - 1, { align: 'center' });
+    doc.text(`${barM} m`, sbX + barW, sbY - 1, { align: 'center' });
+    doc.setFontSize(8);
+    doc.text(`Scale 1:${scale}`, sbX + barW + 8, sbY + 1.2);
+
+    // Bearings and distances
+    const body = [];
+    traverse.parts.forEach((part, pi) => {
+        const section = (title) => body.push([{ content: title, colSpan: 6, styles: { fontStyle: 'bold', halign: 'left', fillColor: [248, 249, 250] } }]);
+        if (traverse.parts.length > 1) section(`Part ${pi + 1}`);
+        const rows = lines => lines.forEach(l => body.push([
+            l.from, l.fromCoords.n.toFixed(3), l.fromCoords.e.toFixed(3), l.to, l.bearing.str, l.distance.toFixed(3)
+        ]));
+        rows(part.result.traverse);
+        part.result.insets.forEach((inset, ii) => {
+            section(`Exclusion ${ii + 1}`);
+            rows(inset.traverse);
+        });
+    });
+    doc.autoTable({
+        startY: frame.y + frame.h + 5,
+        head: [['FROM', 'NORTHING (m)', 'EASTING (m)', 'TO', 'GRID BEARING', 'DISTANCE (m)']],
+        body,
+        theme: 'grid',
+        margin: { left: marginX, right: marginX, bottom: 18 },
+        headStyles: { fontStyle: 'bold', fillColor: [236, 240, 241], textColor: [0, 0, 0] },
+        styles: { fontSize: 8, halign: 'center', lineWidth: 0.1, cellPadding: 1.2 }
+    });
+
+    // Area, adjoining parcels and certificate
+    let y = doc.lastAutoTable.finalY + 7;
+    doc.setFontSize(9);
+    const neighbourLines = doc.splitTextToSize(ctx.neighbours.length
+        ? ctx.neighbours.map(n => `${n.direction}: ${n.label}${n.uniqueId && n.uniqueId !== n.label ? ' (' + n.uniqueId + ')' : ''}`).join(';  ')
+        : 'None found on the loaded layers.', pageW - 2 * marginX - 30);
+    if (y + 30 + neighbourLines.length * 4 > pageH - 18) {
+        doc.addPage();
+        y = 20;
+    }
+    doc.setFontSize(9);
+    doc.setFont('helvetica', 'bold');
+    doc.text('AREA', marginX, y);
+    doc.setFont('helvetica', 'normal');
+    doc.text(`${traverse.area.hectares.toFixed(4)} ha   =   ${traverse.area.acres.toFixed(3)} acres   =   ${traverse.area.sqMeters.toFixed(2)} sq m`, marginX + 30, y);
+    y += 6;
+    doc.setFont('helvetica', 'bold');
+    doc.text('ADJOINING', marginX, y);
+    doc.setFont('helvetica', 'normal');
+    doc.text(neighbourLines, marginX + 30, y);
+    y += neighbourLines.length * 4 + 4;
+    doc.setFontSize(7.5);
+    doc.setFont('helvetica', 'italic');
+    doc.text(`Bearings and distances are grid values on ${meta.crs}, computed from the parcel boundary as mapped.`, marginX, y);
+    y += 10;
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(9);
+    doc.text('Surveyor signature: ______________________', marginX, y);
+    doc.text('Date: ______________', pageW - marginX, y, { align: 'right' });
+
+    const pageCount = doc.internal.getNumberOfPages();
+    for (let i = 1; i <= pageCount; i++) {
+        doc.setPage(i);
+        doc.setFontSize(8);
+        doc.setFont('helvetica', 'italic');
+        doc.setTextColor(150, 150, 150);
+        doc.text('Geospatial network uganda', pageCenter, pageH - 10, { align: 'center' });
+        doc.text(`Deed plan ${ctx.index + 1} of ${ctx.total}`, pageW - marginX, pageH - 10, { align: 'right' });
+    }
+    doc.setTextColor(0, 0, 0);
+    return doc.output('blob');
+}
+
+// --- Atlas run ---
+
+async function generateDeedPlanAtlas(features, meta, onProgress) {
+    const zip = new JSZip();
+    const used = new Set();
+    const index = [['File', 'Unique ID', 'Plot', 'Area (ha)', 'Area (acres)', 'Adjoining', 'Status']];
+    const q = v => '"' + String(v === undefined || v === null ? '' : v).replace(/"/g, '""') + '"';
+    // One failed request means the QR service is unreachable; stop asking
+    let qrAvailable = typeof window.generateQRCode === 'function';
+    let failed = 0;
+
+    for (let i = 0; i < features.length; i++) {
+        if (deedPlanAtlas.cancelled) throw new Error('Cancelled');
+        const feature = features[i];
+        const props = feature.getProperties() || {};
+        const label = deedPlanLabel(feature, i);
+        const uniqueId = deedPlanUniqueId(props);
+        onProgress(i, features.length, label);
+
+        let name = 'DeedPlan_' + (uniqueId || label).replace(/[^\w.-]+/g, '_');
+        while (used.has(name)) name += '_' + (i + 1);
+        used.add(name);
+
+        try {
+            const traverse = computeDeedPlanTraverse(feature, meta.crs);
+            const neighbours = findAdjoiningParcels(feature, features);
+            let qr = null;
+            if (qrAvailable) {
+                const qrText = [`GSPNet deed plan`, `ID: ${uniqueId || '-'}`, `Block ${meta.block} ${label}`,
+                    `${meta.district}, ${meta.county}`, `Area: ${traverse.area.hectares.toFixed(4)} ha`, `Date: ${meta.date}`].join('\n');
+                try {
+                    qr = await fetchDeedPlanQr(qrText);
+                } catch (e) {
+                    console.warn('QR code unavailable, continuing without:', e);
+                    qrAvailable = false;
+                }
+            }
+            const pdf = buildDeedPlanPdf(feature, meta, { traverse, neighbours, qr, label, uniqueId, index: i, total: features.length });
+            zip.file(`${name}.pdf`, pdf);
+            index.push([`${name}.pdf`, uniqueId, label, traverse.area.hectares.toFixed(4), traverse.area.acres.toFixed(3),
+                neighbours.map(n => n.uniqueId || n.label).join('; '), qr ? 'ok' : 'ok (no QR)']);
+        } catch (e) {
+            console.error(`Deed plan failed for ${label}:`, e);
+            failed++;
+            index.push(['', uniqueId, label, '', '', '', 'failed: ' + e.message]);
+        }
+        // Let the panel repaint between plans
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    zip.file('index.csv', index.map(r => r.map(q).join(',')).join('\n') + '\n');
+    onProgress(features.length, features.length, 'Compressing ZIP');
+    const zipContent = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+
+    const downloadLink = document.createElement('a');
+    downloadLink.href = URL.createObjectURL(zipContent);
+    downloadLink.download = `DeedPlans_Block_${meta.block.replace(/[^\w.-]+/g, '_')}_${meta.date}.zip`;
+    document.body.appendChild(downloadLink);
+    downloadLink.click();
+    document.body.removeChild(downloadLink);
+    setTimeout(() => URL.revokeObjectURL(downloadLink.href), 5000);
+
+    return { count: features.length - failed, failed };
+}
+
+// Button handler: the picked block or ID list, else the current JRJ selection.
+// While running the same button cancels.
+async function runDeedPlanAtlas() {
+    const btn = document.getElementById('jrj-atlas-export-btn');
+    if (deedPlanAtlas.running) {
+        deedPlanAtlas.cancelled = true;
+        btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Cancelling...';
+        return;
+    }
+
+    let features = deedPlanAtlas.parcels;
+    if (features.length === 0 && window.jrjSelectInteraction) {
+        features = window.jrjSelectInteraction.getFeatures().getArray().filter(isDeedPlanPolygon);
+    }
+    if (features.length === 0) {
+        alert('Pick a block, upload a list of unique IDs or select parcels on the map first.');
+        return;
+    }
+    const meta = readDeedPlanAtlasMeta();
+    if (!meta) return;
+
+    const origText = btn.innerHTML;
+    deedPlanAtlas.running = true;
+    deedPlanAtlas.cancelled = false;
+    btn.innerHTML = '<i class="fas fa-stop"></i> Cancel';
+
+    try {
+        const result = await generateDeedPlanAtlas(features, meta, (done, total, label) => {
+            const pct = Math.round(done / total * 100);
+            updateDeedPlanAtlasStatus(`${done < total ? `Deed plan ${done + 1} of ${total}: ${escapeDeedPlanHtml(label)}` : escapeDeedPlanHtml(label)}...` +
+                `<div style="height: 6px; background: #dfe6e9; border-radius: 3px; margin-top: 5px;"><div style="height: 100%; width: ${pct}%; background: #16a085; border-radius: 3px;"></div></div>`);
+        });
+        const msg = result.failed
+            ? `${result.count} deed plan(s) generated, ${result.failed} failed (see index.csv in the ZIP).`
+            : `${result.count} deed plan(s) generated.`;
+        updateDeedPlanAtlasStatus(msg);
+        if (typeof showToast === 'function') showToast(msg, result.failed ? 'warning' : 'success');
+    } catch (e) {
+        if (deedPlanAtlas.cancelled) {
+            updateDeedPlanAtlasStatus('Deed plan atlas cancelled. No ZIP was written.');
+        } else {
+            console.error('Error generating deed plan atlas:', e);
+            updateDeedPlanAtlasStatus('');
+            alert('Error generating deed plans: ' + e.message);
+        }
+    } finally {
+        deedPlanAtlas.running = false;
+        deedPlanAtlas.cancelled = false;
+        btn.innerHTML = origText;
+    }
+}
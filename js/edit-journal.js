@@ -0,0 +1,509 @@
+/**
+ * GSP.NET Offline Edit Journal
+ * Records parcel, flag, field capture and symbol edits made while offline and
+ * replays them on reconnect. Each edit carries the version it was based on
+ * (the row's version or updated_at, plus the old values of the fields it
+ * changes); on sync the server row is re-read, and an edit whose fields were
+ * changed by someone else in the meantime is held as a conflict for the user
+ * to resolve: keep mine, keep theirs or merge attributes field by field.
+ *
+ * Journal entries live in IndexedDB and are replayed oldest first:
+ *   { id, seq, kind, label, table, op: 'insert'|'update'|'delete'|'rpc',
+ *     key: { column, value }, values, rpc: { fn, args },
+ *     base: { version, updated_at, values }, status: 'pending'|'conflict'|'failed',
+ *     server, error, attempts, createdAt }
+ *
+ * For 'rpc' edits, `values` mirrors the columns the function writes (same
+ * names as its arguments) so they can be compared with the server row, and
+ * the function takes the guard as `expected_updated_at`. Its result comes back
+ * as `data` (update_map_feature returns the row's new updated_at).
+ *
+ * Inserted rows get a client uuid `id` when the edit is recorded and are
+ * replayed with ON CONFLICT DO NOTHING, so an insert whose response was lost
+ * doesn't land twice.
+ */
+
+const EDIT_JOURNAL_DB = 'gspnet-edit-journal';
+const EDIT_JOURNAL_STORE = 'edits';
+
+const EditJournal = {
+
+    SYNC_TAG: 'gspnet-sync-queue', // background sync tag the service worker listens for
+    MAX_ATTEMPTS: 3, // rejected (non-network) replays before an edit is shown as failed
+    EVENT: 'gspnet-edit-journal',
+
+    _syncing: null,
+    _lastSeq: 0,
+
+    init: function() {
+        window.addEventListener('online', () => this.sync());
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                if (event.data && event.data.type === 'EDIT_JOURNAL_SYNC') this.sync();
+            });
+        }
+        if (navigator.onLine) this.sync();
+    },
+
+    // ---- Recording ----
+
+    /**
+     * Capture the base version of a loaded row for an edit of `fields`.
+     * @param {Object} row - the record as the user last saw it
+     * @param {Array} fields - columns the edit is about to change
+     */
+    baseOf: function(row, fields) {
+        const base = { values: {} };
+        if (!row) return base;
+        if (row.version != null) base.version = row.version;
+        if (row.updated_at) base.updated_at = row.updated_at;
+        (fields || []).forEach((k) => { base.values[k] = row[k] === undefined ? null : row[k]; });
+        return base;
+    },
+
+    /**
+     * Apply an edit now, or journal it when the network is down or an earlier
+     * edit of the same record is still waiting. Server-side rejections are
+     * thrown as before; only network failures are journaled. Inserted rows
+     * carry their client ids in `entry.values` either way.
+     * @returns {Promise<Object>} { queued: false, data, entry } or { queued: true, entry }
+     */
+    write: async function(edit) {
+        const entry = Object.assign({
+            id: 'edit_' + Date.now().toString(36) + '_' + Math.random().toString(36).slice(2, 8),
+            seq: this._nextSeq(),
+            createdAt: new Date().toISOString(),
+            status: 'pending',
+            attempts: 0,
+            base: { values: {} }
+        }, edit);
+        if (entry.op === 'insert') entry.values = this._withIds(entry.values);
+
+        const sb = window.supabaseClient;
+        const waiting = (await this.list()).some(e => this._sameRecord(e, entry));
+        if (sb && navigator.onLine && !waiting) {
+            try {
+                const { data } = await this._apply(sb, entry, this._payload(entry), null);
+                return { queued: false, data, entry };
+            } catch (err) {
+                if (!this._isNetworkError(err)) throw err;
+            }
+        }
+
+        await this._put(entry);
+        this._registerSync();
+        this._notify('queued', entry);
+        return { queued: true, entry };
+    },
+
+    // ---- Sync ----
+
+    /** Replay pending edits; concurrent calls share one run. */
+    sync: function() {
+        if (!this._syncing) {
+            this._syncing = this._syncAll().finally(() => { this._syncing = null; });
+        }
+        return this._syncing;
+    },
+
+    _syncAll: async function() {
+        const sb = window.supabaseClient;
+        const result = { synced: 0, conflicts: 0 };
+        if (!sb || !navigator.onLine) return result;
+
+        const entries = await this.list();
+        const held = entries.filter(e => e.status !== 'pending');
+        for (const entry of entries) {
+            if (entry.status !== 'pending') continue;
+            // Later edits of a record wait behind its unresolved ones
+            if (held.some(h => this._sameRecord(h, entry))) continue;
+            try {
+                const outcome = await this._syncEntry(sb, entry);
+                if (outcome === 'conflict') {
+                    held.push(entry);
+                    continue;
+                }
+                await this._delete(entry.id);
+                result.synced++;
+            } catch (err) {
+                if (this._isNetworkError(err)) break; // still offline; keep the order for next time
+                entry.attempts = (entry.attempts || 0) + 1;
+                entry.error = err.message || String(err);
+                if (entry.attempts >= this.MAX_ATTEMPTS) {
+                    entry.status = 'failed';
+                    held.push(entry);
+                }
+                await this._put(entry);
+                console.warn('[EditJournal] Replay rejected for', entry.id, err);
+            }
+        }
+
+        result.conflicts = (await this.list()).filter(e => e.status !== 'pending').length;
+        this._notify('synced', null, result);
+        return result;
+    },
+
+    _syncEntry: async function(sb, entry) {
+        if (entry.op === 'insert') {
+            // Rows an earlier attempt already delivered are skipped by their id
+            const values = this._withIds(entry.values);
+            if (JSON.stringify(values) !== JSON.stringify(entry.values)) {
+                entry.values = values; // journaled before ids were stamped; keep them for retries
+                await this._put(entry);
+            }
+            await this._apply(sb, entry, entry.values, null);
+            return 'done';
+        }
+
+        const row = await this._fetchRow(sb, entry);
+        if (!row) {
+            if (entry.op === 'delete') return 'done';
+            return this._markConflict(entry, null);
+        }
+        if (this._serverChanged(entry.base, row) && this._overlap(entry, row).length) {
+            return this._markConflict(entry, row);
+        }
+        const { applied } = await this._apply(sb, entry, this._payload(entry), row.updated_at || null);
+        if (!applied) return this._markConflict(entry, await this._fetchRow(sb, entry));
+        return 'done';
+    },
+
+    /**
+     * Send one edit. With `guard` (the updated_at just read), updates,
+     * deletes and rpc edits only land if the row has not moved since.
+     * @returns {Promise<Object>} { applied, data }
+     */
+    _apply: async function(sb, entry, payload, guard) {
+        let q;
+        if (entry.op === 'insert') {
+            q = sb.from(entry.table).upsert(payload, { onConflict: 'id', ignoreDuplicates: true });
+        } else if (entry.op === 'rpc') {
+            // The function returns false or null when expected_updated_at no longer matches
+            if (guard) payload = Object.assign({}, payload, { expected_updated_at: guard });
+            const { data, error } = await sb.rpc(entry.rpc.fn, payload);
+            if (error) throw error;
+            return { applied: data !== false && (!guard || data != null), data };
+        } else if (entry.op === 'delete') {
+            q = sb.from(entry.table).delete().eq(entry.key.column, entry.key.value);
+        } else {
+            q = sb.from(entry.table).update(payload).eq(entry.key.column, entry.key.value);
+        }
+        const guarded = guard && (entry.op === 'update' || entry.op === 'delete');
+        if (guarded) q = q.eq('updated_at', guard).select(entry.key.column);
+
+        const { data, error } = await q;
+        if (error) throw error;
+        return { applied: !guarded || (Array.isArray(data) && data.length > 0), data };
+    },
+
+    // Journal rows are keyed by a client uuid; rows that already have one keep it
+    _withIds: function(values) {
+        const stamp = (row) => (row.id != null ? row : Object.assign({ id: this._uuid() }, row));
+        return Array.isArray(values) ? values.map(stamp) : stamp(values);
+    },
+
+    _uuid: function() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+        const b = crypto.getRandomValues(new Uint8Array(16));
+        b[6] = (b[6] & 0x0f) | 0x40;
+        b[8] = (b[8] & 0x3f) | 0x80;
+        const h = Array.from(b, (x) => x.toString(16).padStart(2, '0')).join('');
+        return h.slice(0, 8) + '-' + h.slice(8, 12) + '-' + h.slice(12, 16) + '-' + h.slice(16, 20) + '-' + h.slice(20);
+    },
+
+    _payload: function(entry) {
+        return entry.op === 'rpc' ? entry.rpc.args : entry.values;
+    },
+
+    _fetchRow: async function(sb, entry) {
+        const { data, error } = await sb.from(entry.table).select('*')
+            .eq(entry.key.column, entry.key.value).maybeSingle();
+        if (error) throw error;
+        return data;
+    },
+
+    _serverChanged: function(base, row) {
+        if (!base) return false;
+        if (base.version != null && row.version != null) return String(row.version) !== String(base.version);
+        if (base.updated_at && row.updated_at) {
+            return new Date(row.updated_at).getTime() !== new Date(base.updated_at).getTime();
+        }
+        const values = base.values || {};
+        return Object.keys(values).some(k => !this._same(row[k], values[k]));
+    },
+
+    /**
+     * Fields this edit changes that someone else also changed, to a
+     * different value. An empty list means the edit merges cleanly.
+     */
+    _overlap: function(entry, row) {
+        const mine = entry.values || {};
+        const keys = Object.keys(mine);
+        if (!keys.length) return ['*']; // deletes and geometry edits can't be merged field by field
+        const base = (entry.base && entry.base.values) || {};
+        return keys.filter(k => !this._same(row[k], mine[k]) && !(k in base && this._same(row[k], base[k])));
+    },
+
+    _markConflict: async function(entry, row) {
+        entry.status = 'conflict';
+        entry.server = row;
+        entry.error = row ? null : 'The record no longer exists on the server.';
+        await this._put(entry);
+        return 'conflict';
+    },
+
+    // ---- Resolution ----
+
+    /**
+     * Resolve a held edit.
+     * @param {string} id
+     * @param {string} choice - 'mine' | 'theirs' | 'merge' | 'retry'
+     * @param {Object} fields - for 'merge': { field: 'mine'|'theirs' }
+     */
+    resolve: async function(id, choice, fields) {
+        const entry = await this.get(id);
+        if (!entry) return;
+
+        if (choice === 'theirs') {
+            await this._delete(id);
+            this._notify('resolved', entry, { choice });
+            return;
+        }
+        if (choice === 'retry') {
+            entry.status = 'pending';
+            entry.attempts = 0;
+            entry.error = null;
+            entry.server = null;
+            await this._put(entry);
+            return this.sync();
+        }
+
+        const sb = window.supabaseClient;
+        if (!sb || !navigator.onLine) throw new Error('Reconnect to resolve conflicts.');
+
+        const row = entry.op === 'insert' ? null : await this._fetchRow(sb, entry);
+        if (!row && entry.op !== 'insert') {
+            if (entry.op !== 'delete') throw new Error('The record no longer exists on the server.');
+            await this._delete(id);
+            this._notify('resolved', entry, { choice });
+            return;
+        }
+
+        let payload = this._payload(entry);
+        if (choice === 'merge') {
+            payload = Object.assign({}, payload);
+            Object.keys(fields || {}).forEach((k) => {
+                if (fields[k] !== 'theirs') return;
+                if (entry.op === 'rpc') payload[k] = row[k];
+                else delete payload[k];
+            });
+            if (entry.op === 'update' && !Object.keys(payload).length) {
+                await this._delete(id);
+                this._notify('resolved', entry, { choice: 'theirs' });
+                return;
+            }
+        }
+
+        const { applied } = await this._apply(sb, entry, payload, row ? row.updated_at || null : null);
+        if (!applied) {
+            await this._markConflict(entry, await this._fetchRow(sb, entry));
+            this._notify('changed', entry);
+            throw new Error('The record changed again on the server; review it once more.');
+        }
+        await this._delete(id);
+        this._notify('resolved', entry, { choice });
+        this.sync(); // release edits that were waiting behind this one
+    },
+
+    /** Modal listing held edits with their resolution choices. */
+    openConflicts: async function() {
+        const entries = (await this.list()).filter(e => e.status !== 'pending');
+        let modal = document.getElementById('edit-journal-modal');
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'edit-journal-modal';
+            modal.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,0.6);z-index:100000;display:flex;align-items:center;justify-content:center;';
+            modal.addEventListener('click', (e) => { if (e.target === modal) modal.remove(); });
+            document.body.appendChild(modal);
+        }
+
+        const esc = (v) => String(v).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+        const show = (v) => {
+            if (v === undefined || v === null || v === '') return '<em style="color:#7f8c8d;">empty</em>';
+            const s = typeof v === 'object' ? JSON.stringify(v) : String(v);
+            return esc(s.length > 60 ? s.slice(0, 57) + '…' : s);
+        };
+        const btn = 'padding:6px 10px;border:none;border-radius:4px;cursor:pointer;font-size:12px;color:#fff;';
+
+        const cards = entries.map((entry) => {
+            const head = '<div style="font-weight:600;">' + esc(entry.label || entry.table) + '</div>' +
+                '<div style="font-size:11px;color:#95a5a6;margin-bottom:8px;">' + esc(entry.table) +
+                ' · edited ' + esc(new Date(entry.createdAt).toLocaleString()) +
+                (entry.server && entry.server.updated_at ? ' · server changed ' + esc(new Date(entry.server.updated_at).toLocaleString()) : '') +
+                '</div>';
+
+            if (entry.status === 'failed' || (entry.status === 'conflict' && !entry.server)) {
+                return '<div data-edit-id="' + esc(entry.id) + '" style="border:1px solid #444;border-radius:6px;padding:10px;margin-bottom:10px;">' + head +
+                    '<div style="font-size:12px;color:#e74c3c;margin-bottom:8px;">' + esc(entry.error || 'Rejected by the server.') + '</div>' +
+                    '<button data-choice="retry" style="' + btn + 'background:#2980b9;">Retry</button> ' +
+                    '<button data-choice="theirs" style="' + btn + 'background:#7f8c8d;">Discard my edit</button></div>';
+            }
+
+            const mine = entry.values || {};
+            const base = (entry.base && entry.base.values) || {};
+            const fields = Object.keys(mine);
+            const mergeable = fields.length > 0 && entry.op !== 'delete';
+            const rows = fields.map((k) => {
+                const differs = !this._same(entry.server[k], mine[k]);
+                return '<tr><td style="padding:3px 6px;">' + esc(k) + '</td>' +
+                    '<td style="padding:3px 6px;color:#95a5a6;">' + show(base[k]) + '</td>' +
+                    '<td style="padding:3px 6px;">' + show(mine[k]) + '</td>' +
+                    '<td style="padding:3px 6px;">' + show(entry.server[k]) + '</td>' +
+                    '<td style="padding:3px 6px;white-space:nowrap;">' + (differs
+                        ? '<label><input type="radio" name="' + esc(entry.id + ':' + k) + '" data-field="' + esc(k) + '" value="mine" checked> mine</label> ' +
+                          '<label><input type="radio" name="' + esc(entry.id + ':' + k) + '" data-field="' + esc(k) + '" value="theirs"> theirs</label>'
+                        : '<span style="color:#7f8c8d;">same</span>') + '</td></tr>';
+            }).join('');
+
+            return '<div data-edit-id="' + esc(entry.id) + '" style="border:1px solid #444;border-radius:6px;padding:10px;margin-bottom:10px;">' + head +
+                (rows ? '<table style="width:100%;font-size:12px;border-collapse:collapse;margin-bottom:8px;">' +
+                    '<tr style="color:#95a5a6;text-align:left;"><th style="padding:3px 6px;">Field</th><th style="padding:3px 6px;">Was</th>' +
+                    '<th style="padding:3px 6px;">Mine</th><th style="padding:3px 6px;">Theirs</th><th></th></tr>' + rows + '</table>'
+                    : '<div style="font-size:12px;margin-bottom:8px;">' + (entry.op === 'delete' ? 'You deleted this record; it was changed on the server since.' : 'The record was changed on the server since you edited it.') + '</div>') +
+                '<button data-choice="mine" style="' + btn + 'background:#27ae60;">Keep mine</button> ' +
+                '<button data-choice="theirs" style="' + btn + 'background:#7f8c8d;">Keep theirs</button> ' +
+                (mergeable ? '<button data-choice="merge" style="' + btn + 'background:#8e44ad;">Merge attributes</button>' : '') +
+                '</div>';
+        }).join('');
+
+        modal.innerHTML = '<div style="background:#1e272e;color:#ecf0f1;border-radius:8px;padding:16px;width:min(640px,94vw);max-height:85vh;overflow:auto;font-family:sans-serif;">' +
+            '<div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:12px;">' +
+            '<strong>Offline edits needing review</strong>' +
+            '<button data-close style="background:none;border:none;color:#ecf0f1;font-size:18px;cursor:pointer;">&times;</button></div>' +
+            (cards || '<div style="font-size:13px;color:#95a5a6;">No conflicts. All offline edits are synced or waiting for a connection.</div>') +
+            '</div>';
+
+        modal.querySelector('[data-close]').onclick = () => modal.remove();
+        modal.querySelectorAll('[data-choice]').forEach((b) => {
+            b.onclick = async () => {
+                const card = b.closest('[data-edit-id]');
+                const fields = {};
+                card.querySelectorAll('input[type=radio]:checked').forEach((r) => { fields[r.dataset.field] = r.value; });
+                b.disabled = true;
+                try {
+                    await this.resolve(card.dataset.editId, b.dataset.choice, fields);
+                } catch (err) {
+                    if (typeof showToast === 'function') showToast(err.message, 'error');
+                }
+                this.openConflicts();
+            };
+        });
+    },
+
+    // ---- Storage ----
+
+    list: async function() {
+        const db = await this._openDB();
+        return new Promise((resolve, reject) => {
+            const req = db.transaction(EDIT_JOURNAL_STORE, 'readonly').objectStore(EDIT_JOURNAL_STORE).getAll();
+            req.onsuccess = () => resolve(req.result.sort((a, b) => a.seq - b.seq));
+            req.onerror = () => reject(req.error);
+        });
+    },
+
+    get: async function(id) {
+        const db = await this._openDB();
+        return new Promise((resolve, reject) => {
+            const req = db.transaction(EDIT_JOURNAL_STORE, 'readonly').objectStore(EDIT_JOURNAL_STORE).get(id);
+            req.onsuccess = () => resolve(req.result || null);
+            req.onerror = () => reject(req.error);
+        });
+    },
+
+    /** @returns {Promise<Object>} { pending, conflicts } */
+    counts: async function() {
+        const entries = await this.list();
+        const pending = entries.filter(e => e.status === 'pending').length;
+        return { pending, conflicts: entries.length - pending };
+    },
+
+    _put: async function(entry) {
+        const db = await this._openDB();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(EDIT_JOURNAL_STORE, 'readwrite');
+            tx.objectStore(EDIT_JOURNAL_STORE).put(entry);
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    },
+
+    _delete: async function(id) {
+        const db = await this._openDB();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(EDIT_JOURNAL_STORE, 'readwrite');
+            tx.objectStore(EDIT_JOURNAL_STORE).delete(id);
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    },
+
+    _openDB: function() {
+        if (!this._db) {
+            this._db = new Promise((resolve, reject) => {
+                const req = indexedDB.open(EDIT_JOURNAL_DB, 1);
+                req.onupgradeneeded = () => {
+                    if (!req.result.objectStoreNames.contains(EDIT_JOURNAL_STORE)) {
+                        req.result.createObjectStore(EDIT_JOURNAL_STORE, { keyPath: 'id' });
+                    }
+                };
+                req.onsuccess = () => resolve(req.result);
+                req.onerror = () => { this._db = null; reject(req.error); };
+            });
+        }
+        return this._db;
+    },
+
+    // ---- Helpers ----
+
+    _nextSeq: function() {
+        this._lastSeq = Math.max(Date.now(), this._lastSeq + 1);
+        return this._lastSeq;
+    },
+
+    _sameRecord: function(a, b) {
+        return !!(a.key && b.key && a.table === b.table &&
+            a.key.column === b.key.column && String(a.key.value) === String(b.key.value));
+    },
+
+    _same: function(a, b) {
+        const norm = (v) => (v === undefined || v === '' ? null : v);
+        a = norm(a);
+        b = norm(b);
+        if (a === null || b === null) return a === b;
+        if (typeof a === 'object' || typeof b === 'object') return JSON.stringify(a) === JSON.stringify(b);
+        return String(a) === String(b);
+    },
+
+    _isNetworkError: function(err) {
+        if (!navigator.onLine) return true;
+        const msg = String((err && err.message) || err || '');
+        return err instanceof TypeError || /failed to fetch|networkerror|load failed|network request failed/i.test(msg);
+    },
+
+    _registerSync: function() {
+        if ('serviceWorker' in navigator && 'SyncManager' in window) {
+            navigator.serviceWorker.ready.then(reg => reg.sync.register(this.SYNC_TAG)).catch(() => {});
+        }
+    },
+
+    _notify: function(type, entry, detail) {
+        window.dispatchEvent(new CustomEvent(this.EVENT, { detail: Object.assign({ type, entry }, detail) }));
+    }
+};
+
+// Export for usage in other scripts or UI
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EditJournal;
+} else {
+    window.EditJournal = EditJournal;
+}
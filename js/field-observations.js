@@ -0,0 +1,276 @@
+/**
+ * GSP.NET Field Observation Importer
+ * Reads raw total-station / field-book files and reduces them to the
+ * traverse observation set JRJEngine.adjustTraverse() expects.
+ *
+ * Supported inputs:
+ *   - CSV field book:  station, backsight, foresight, angle, distance [, northing, easting]
+ *   - Leica GSI-8 / GSI-16 (WI 11 point, 21 Hz, 31/32 distance, 81-86 coordinates)
+ *   - Sokkia SDR (02 station, 08 coordinate, 09 observation records)
+ */
+
+const FieldObservations = {
+
+    /**
+     * Parse a file's text. Format is picked from the extension, then the content.
+     * @returns {Object} - { format, known: { id: {n, e} }, setups: [{ stn, readings: [{ target, hz, hd }] }] }
+     */
+    parse: function(text, fileName = '', options = {}) {
+        const ext = (fileName.split('.').pop() || '').toLowerCase();
+        const firstLine = (text.split(/\r?\n/).find(l => l.trim()) || '').trim();
+        if (ext === 'gsi' || /^\*?11[0-9.]{4}[+-]/.test(firstLine)) return this.parseGsi(text);
+        if (ext === 'sdr' || /^00NM/.test(firstLine)) return this.parseSdr(text);
+        return this.parseCsv(text, options);
+    },
+
+    /**
+     * Angle text to decimal degrees. 'dms' reads surveyor DDD.MMSS (123.4530 =
+     * 123° 45' 30"); 'decimal' reads plain degrees. Separated D M S and
+     * 123°45'30" forms are recognised in either mode.
+     */
+    parseAngle: function(value, format = 'dms') {
+        const str = String(value).trim();
+        const parts = str.split(/[°'"\s:]+/).filter(Boolean).map(Number);
+        if (parts.length >= 2 && parts.every(p => isFinite(p))) {
+            return parts[0] + (parts[1] || 0) / 60 + (parts[2] || 0) / 3600;
+        }
+        const num = parseFloat(str);
+        if (!isFinite(num)) return NaN;
+        if (format === 'decimal') return num;
+        const deg = Math.trunc(num);
+        const frac = Math.round((Math.abs(num) - Math.abs(deg)) * 1e6);
+        const min = Math.floor(frac / 1e4);
+        const sec = (frac % 1e4) / 100;
+        return deg + min / 60 + sec / 3600;
+    },
+
+    // --- CSV field book ---
+    parseCsv: function(text, options = {}) {
+        const rows = text.split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('#'));
+        if (rows.length < 2) throw new Error('The CSV field book is empty.');
+        const header = rows[0].split(/[,;\t]/).map(h => h.trim().toLowerCase());
+        const col = (names) => header.findIndex(h => names.includes(h));
+        const c = {
+            stn: col(['station', 'stn', 'at', 'setup', 'occupied']),
+            bs: col(['backsight', 'bs', 'from']),
+            fs: col(['foresight', 'fs', 'to', 'target']),
+            angle: col(['angle', 'hz', 'hcl', 'horizontal angle']),
+            dist: col(['distance', 'dist', 'hd', 'h/dist']),
+            n: col(['northing', 'northings', 'n', 'y']),
+            e: col(['easting', 'eastings', 'e', 'x'])
+        };
+        if (c.stn < 0) throw new Error('CSV field book needs a "station" column.');
+
+        const known = {};
+        const setups = [];
+        rows.slice(1).forEach(line => {
+            const f = line.split(/[,;\t]/).map(v => v.trim());
+            const stn = f[c.stn];
+            if (!stn) return;
+            const n = c.n >= 0 ? parseFloat(f[c.n]) : NaN;
+            const e = c.e >= 0 ? parseFloat(f[c.e]) : NaN;
+            if (isFinite(n) && isFinite(e)) known[stn] = { n, e };
+
+            const angle = c.angle >= 0 && f[c.angle] ? this.parseAngle(f[c.angle], options.angleFormat) : NaN;
+            if (!isFinite(angle) || c.bs < 0 || c.fs < 0 || !f[c.bs] || !f[c.fs]) return;
+            const dist = c.dist >= 0 ? parseFloat(f[c.dist]) : NaN;
+            // An included angle is a zero backsight reading plus a foresight reading
+            setups.push({
+                stn,
+                readings: [
+                    { target: f[c.bs], hz: 0, hd: NaN },
+                    { target: f[c.fs], hz: angle, hd: dist }
+                ]
+            });
+        });
+        return { format: 'csv', known, setups };
+    },
+
+    // --- Leica GSI ---
+    _gsiValue: function(word) {
+        // WI(2) + info(4) + sign(1) + data(8|16)
+        const wi = parseInt(word.slice(0, 2), 10);
+        const unit = word.charAt(5);
+        const sign = word.charAt(6) === '-' ? -1 : 1;
+        const data = word.slice(7);
+        return { wi, unit, sign, data };
+    },
+
+    _gsiAngle: function(w) {
+        const raw = parseInt(w.data, 10);
+        if (w.unit === '2') return w.sign * raw / 1e5 * 0.9;              // 400 gon
+        if (w.unit === '3') return w.sign * raw / 1e5;                    // 360° decimal
+        if (w.unit === '4') {                                             // 360° sexagesimal DDDMMSSs
+            const s = String(raw).padStart(8, '0');
+            const d = parseInt(s.slice(0, -5), 10);
+            const m = parseInt(s.slice(-5, -3), 10);
+            const sec = parseInt(s.slice(-3), 10) / 10;
+            return w.sign * (d + m / 60 + sec / 3600);
+        }
+        if (w.unit === '5') return w.sign * raw / 1e4 * 360 / 6400;       // mil
+        return w.sign * raw / 1e5;
+    },
+
+    _gsiDistance: function(w) {
+        const raw = parseInt(w.data, 10);
+        const scale = { '0': 1e-3, '1': 1e-3 * 0.3048, '6': 1e-4, '7': 1e-4 * 0.3048, '8': 1e-5 }[w.unit] || 1e-3;
+        return w.sign * raw * scale;
+    },
+
+    parseGsi: function(text) {
+        const known = {};
+        const setups = [];
+        let current = null;
+        text.split(/\r?\n/).forEach(line => {
+            const words = line.replace(/^\*/, '').trim().split(/\s+/).filter(Boolean);
+            if (!words.length) return;
+            const rec = {};
+            words.forEach(word => {
+                const w = this._gsiValue(word);
+                if (w.wi === 11) rec.pt = w.data.replace(/^0+(?=.)/, '').trim();
+                else if (w.wi === 21) rec.hz = this._gsiAngle(w);
+                else if (w.wi === 22) rec.va = this._gsiAngle(w);
+                else if (w.wi === 31) rec.sd = this._gsiDistance(w);
+                else if (w.wi === 32) rec.hd = this._gsiDistance(w);
+                else if (w.wi === 81 || w.wi === 84) rec.e = this._gsiDistance(w);
+                else if (w.wi === 82 || w.wi === 85) rec.n = this._gsiDistance(w);
+                if (w.wi >= 84 && w.wi <= 88) rec.isStation = true;
+            });
+            if (!rec.pt) return;
+            if (isFinite(rec.n) && isFinite(rec.e)) known[rec.pt] = { n: rec.n, e: rec.e };
+            if (rec.isStation) {
+                current = { stn: rec.pt, readings: [] };
+                setups.push(current);
+                return;
+            }
+            if (current && isFinite(rec.hz)) {
+                let hd = rec.hd;
+                if (!isFinite(hd) && isFinite(rec.sd)) hd = isFinite(rec.va) ? rec.sd * Math.sin(rec.va * Math.PI / 180) : rec.sd;
+                current.readings.push({ target: rec.pt, hz: rec.hz, hd });
+            }
+        });
+        return { format: 'gsi', known, setups };
+    },
+
+    // --- Sokkia SDR ---
+    parseSdr: function(text) {
+        const known = {};
+        const setups = [];
+        let current = null;
+        text.split(/\r?\n/).forEach(raw => {
+            const line = raw.replace(/\s+$/, '');
+            const type = line.slice(0, 2);
+            // 4-character point ids with 10-character values, or 16/16 on newer firmware
+            const wide = line.length > 60;
+            const idW = wide ? 16 : 4;
+            const valW = wide ? 16 : 10;
+            const field = (i, w) => line.substr(4 + i, w).trim();
+            if (type === '02') {
+                const stn = field(0, idW);
+                const n = parseFloat(field(idW, valW));
+                const e = parseFloat(field(idW + valW, valW));
+                if (isFinite(n) && isFinite(e)) known[stn] = { n, e };
+                current = { stn, readings: [] };
+                setups.push(current);
+            } else if (type === '08') {
+                const pt = field(0, idW);
+                const n = parseFloat(field(idW, valW));
+                const e = parseFloat(field(idW + valW, valW));
+                if (isFinite(n) && isFinite(e)) known[pt] = { n, e };
+            } else if (type === '09') {
+                const from = field(0, idW);
+                const to = field(idW, idW);
+                const sd = parseFloat(field(2 * idW, valW));
+                const va = parseFloat(field(2 * idW + valW, valW));
+                const hz = parseFloat(field(2 * idW + 2 * valW, valW));
+                if (!current || current.stn !== from) {
+                    current = { stn: from, readings: [] };
+                    setups.push(current);
+                }
+                const hd = isFinite(va) ? sd * Math.sin(va * Math.PI / 180) : sd;
+                current.readings.push({ target: to, hz, hd });
+            }
+        });
+        return { format: 'sdr', known, setups };
+    },
+
+    /**
+     * Turn parsed setups into a traverse: the first reading at each setup is the
+     * backsight, the foresight is the next setup's station. Forward and reverse
+     * distances are meaned when both were measured.
+     * @returns {Object} - { observations, controls: { cm1, cm2 }, boundary: [ids], isLoop }
+     */
+    toTraverse: function(parsed) {
+        const setups = parsed.setups.filter(s => s.readings.length >= 2);
+        if (setups.length < 2) throw new Error('At least two instrument setups with a backsight and foresight are required.');
+        const known = parsed.known;
+        const need = (id, role) => {
+            if (!known[id]) throw new Error(`${role} station "${id}" has no known coordinates in the file.`);
+            return { stn: id, n: known[id].n, e: known[id].e };
+        };
+
+        const hdBetween = (a, b) => {
+            const vals = [];
+            parsed.setups.forEach(s => s.readings.forEach(r => {
+                if (((s.stn === a && r.target === b) || (s.stn === b && r.target === a)) && isFinite(r.hd)) vals.push(r.hd);
+            }));
+            return vals.length ? vals.reduce((x, y) => x + y, 0) / vals.length : NaN;
+        };
+        const reading = (setup, target) => setup.readings.find(r => r.target === target);
+
+        const first = setups[0];
+        const backsightId = first.readings[0].target;
+        const legs = [];
+        for (let i = 0; i < setups.length; i++) {
+            const s = setups[i];
+            const bs = s.readings[0];
+            const next = setups[i + 1];
+            const fsId = next ? next.stn : null;
+            if (!fsId) break;
+            const fs = reading(s, fsId);
+            if (!fs) throw new Error(`Setup ${s.stn} has no reading to the next station ${fsId}.`);
+            const distance = hdBetween(s.stn, fsId);
+            if (!isFinite(distance)) throw new Error(`No distance was measured between ${s.stn} and ${fsId}.`);
+            legs.push({ from: s.stn, to: fsId, angle: ((fs.hz - bs.hz) % 360 + 360) % 360, distance });
+        }
+
+        // Closing setup: its backsight is the previous station; any other reading
+        // to a known station closes the angles.
+        const last = setups[setups.length - 1];
+        const isLoop = last.stn === first.stn;
+        const closingRef = last.readings.slice(1).find(r => known[r.target] && r.target !== legs[legs.length - 1].from);
+        const observations = {
+            backsight: need(backsightId, 'Backsight'),
+            start: need(first.stn, 'Start'),
+            legs,
+            end: isLoop ? need(first.stn, 'Start') : need(last.stn, 'Closing')
+        };
+        if (closingRef) {
+            observations.endReference = need(closingRef.target, 'Closing reference');
+            observations.closingAngle = ((closingRef.hz - last.readings[0].hz) % 360 + 360) % 360;
+        }
+
+        // The JRJ layout orients on CM1 and checks on CM2
+        const cm2Id = (closingRef && closingRef.target !== backsightId) ? closingRef.target :
+            (first.readings.slice(1).map(r => r.target).find(t => known[t] && t !== backsightId && !setups.some(s => s.stn === t)) ||
+             Object.keys(known).find(id => id !== backsightId && !setups.some(s => s.stn === id)));
+        if (!cm2Id) throw new Error('A second control station (check) with known coordinates is required.');
+
+        const boundary = setups.map(s => s.stn);
+        if (isLoop) boundary.pop();
+
+        return {
+            observations,
+            controls: { cm1: need(backsightId, 'Backsight'), cm2: need(cm2Id, 'Check') },
+            boundary,
+            isLoop
+        };
+    }
+};
+
+// Export for usage in other scripts or UI
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FieldObservations;
+} else {
+    window.FieldObservations = FieldObservations;
+}
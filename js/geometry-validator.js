@@ -0,0 +1,291 @@
+/**
+ * GSP.NET Parcel Geometry Validator
+ * Topology checks run before any parcel save (DXF traced saves through the
+ * save_parcels RPC and the CSV batch commit). Works on GeoJSON in EPSG:4326
+ * and measures in a local metric plane around each parcel.
+ *
+ * Report shape:
+ *   { ok, errorCount, warningCount,
+ *     parcels: [{ parcelId, areaSqm, issues: [{ code, severity, message, ring?, vertex? }] }] }
+ * severity is 'error' (save should not proceed without acknowledgement) or 'warning'.
+ */
+
+const GeometryValidator = {
+
+    defaults: {
+        minAreaSqm: 10,          // smaller parcels are almost always digitising slips
+        minAngleDeg: 5,          // interior angles sharper than this are slivers
+        duplicateToleranceM: 0.001,
+        overlapToleranceSqm: 0.5 // shared-boundary noise between neighbouring parcels
+    },
+
+    // --- Geometry helpers (local equirectangular plane, metres) ---
+    _toPlane: function(rings) {
+        const R = 6371008.8;
+        const first = rings[0] || [];
+        const lat0 = first.reduce((s, c) => s + c[1], 0) / Math.max(first.length, 1);
+        const lon0 = first.reduce((s, c) => s + c[0], 0) / Math.max(first.length, 1);
+        const k = Math.cos(lat0 * Math.PI / 180);
+        return rings.map(r => r.map(c => [
+            (c[0] - lon0) * Math.PI / 180 * R * k,
+            (c[1] - lat0) * Math.PI / 180 * R
+        ]));
+    },
+
+    _signedArea: function(ring) {
+        let sum = 0;
+        for (let i = 0; i < ring.length - 1; i++) {
+            sum += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+        }
+        return sum / 2;
+    },
+
+    _closed: function(ring) {
+        const a = ring[0];
+        const b = ring[ring.length - 1];
+        return ring.length > 1 && a[0] === b[0] && a[1] === b[1] ? ring : ring.concat([a]);
+    },
+
+    _segmentsCross: function(p1, p2, p3, p4) {
+        const d = (a, b, c) => (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+        const d1 = d(p3, p4, p1);
+        const d2 = d(p3, p4, p2);
+        const d3 = d(p1, p2, p3);
+        const d4 = d(p1, p2, p4);
+        if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) return true;
+        // Collinear overlap of non-adjacent edges is also a self-intersection
+        const on = (a, b, c) => Math.min(a[0], b[0]) <= c[0] && c[0] <= Math.max(a[0], b[0]) &&
+            Math.min(a[1], b[1]) <= c[1] && c[1] <= Math.max(a[1], b[1]);
+        return (d1 === 0 && on(p3, p4, p1)) || (d2 === 0 && on(p3, p4, p2)) ||
+            (d3 === 0 && on(p1, p2, p3)) || (d4 === 0 && on(p1, p2, p4));
+    },
+
+    _polygons: function(geometry) {
+        if (!geometry) return [];
+        if (geometry.type === 'Polygon') return [geometry.coordinates];
+        if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+        return [];
+    },
+
+    /**
+     * Ring-level checks for one polygon (outer ring first, then holes).
+     */
+    checkPolygon: function(rings, opts = {}) {
+        const o = Object.assign({}, this.defaults, opts);
+        const issues = [];
+        const plane = this._toPlane(rings.map(r => this._closed(r)));
+
+        plane.forEach((ring, ri) => {
+            const label = ri === 0 ? 'Outer ring' : `Hole ${ri}`;
+            const n = ring.length - 1;
+            if (n < 3) {
+                issues.push({ code: 'too_few_vertices', severity: 'error', ring: ri, message: `${label} has ${n} distinct vertices; at least 3 are needed.` });
+                return;
+            }
+
+            // Duplicate vertices: consecutive repeats and revisited positions
+            for (let i = 0; i < n; i++) {
+                const a = ring[i];
+                const b = ring[i + 1];
+                if (Math.hypot(b[0] - a[0], b[1] - a[1]) < o.duplicateToleranceM) {
+                    issues.push({ code: 'duplicate_vertex', severity: 'warning', ring: ri, vertex: i + 1, message: `${label}: vertex ${i + 2} repeats vertex ${i + 1}.` });
+                }
+                for (let j = i + 2; j < n; j++) {
+                    if (i === 0 && j === n - 1) continue;
+                    const c = ring[j];
+                    if (Math.hypot(c[0] - a[0], c[1] - a[1]) < o.duplicateToleranceM) {
+                        issues.push({ code: 'repeated_vertex', severity: 'error', ring: ri, vertex: j, message: `${label}: vertex ${j + 1} revisits vertex ${i + 1} (ring touches itself).` });
+                    }
+                }
+            }
+
+            // Self-intersections between non-adjacent edges
+            for (let i = 0; i < n; i++) {
+                for (let j = i + 2; j < n; j++) {
+                    if (i === 0 && j === n - 1) continue;
+                    if (this._segmentsCross(ring[i], ring[i + 1], ring[j], ring[j + 1])) {
+                        issues.push({ code: 'self_intersection', severity: 'error', ring: ri, vertex: i, message: `${label}: edge ${i + 1}-${i + 2} crosses edge ${j + 1}-${(j + 1) % n + 1}.` });
+                    }
+                }
+            }
+
+            // Sliver angles at each vertex
+            for (let i = 0; i < n; i++) {
+                const prev = ring[(i - 1 + n) % n];
+                const at = ring[i];
+                const next = ring[i + 1];
+                const v1 = [prev[0] - at[0], prev[1] - at[1]];
+                const v2 = [next[0] - at[0], next[1] - at[1]];
+                const len = Math.hypot(v1[0], v1[1]) * Math.hypot(v2[0], v2[1]);
+                if (len === 0) continue;
+                const angle = Math.acos(Math.max(-1, Math.min(1, (v1[0] * v2[0] + v1[1] * v2[1]) / len))) * 180 / Math.PI;
+                if (angle < o.minAngleDeg) {
+                    issues.push({ code: 'sliver_angle', severity: 'warning', ring: ri, vertex: i, message: `${label}: angle of ${angle.toFixed(2)}° at vertex ${i + 1} is a sliver.` });
+                }
+            }
+
+            // RFC 7946 orientation: outer anti-clockwise, holes clockwise
+            const signed = this._signedArea(ring);
+            if (ri === 0 && signed < 0) {
+                issues.push({ code: 'orientation', severity: 'warning', ring: ri, message: 'Outer ring is clockwise; GeoJSON outer rings should run anti-clockwise.' });
+            } else if (ri > 0 && signed > 0) {
+                issues.push({ code: 'orientation', severity: 'warning', ring: ri, message: `${label} is anti-clockwise; holes should run clockwise.` });
+            }
+        });
+
+        const areaSqm = plane.length ? Math.abs(this._signedArea(plane[0])) - plane.slice(1).reduce((s, r) => s + Math.abs(this._signedArea(r)), 0) : 0;
+        if (areaSqm < o.minAreaSqm) {
+            issues.push({ code: 'min_area', severity: 'error', message: `Area of ${areaSqm.toFixed(2)} m² is below the ${o.minAreaSqm} m² minimum.` });
+        }
+        return { areaSqm, issues };
+    },
+
+    /**
+     * Validate parcels before save.
+     * @param {Array} parcels - [{ parcelId, geometry }] with GeoJSON geometry in EPSG:4326
+     * @param {Object} opts - thresholds plus { sb, userId } to check existing polygon_features
+     * @returns {Promise<Object>} report (see file header)
+     */
+    validate: async function(parcels, opts = {}) {
+        const report = { ok: true, errorCount: 0, warningCount: 0, parcels: [] };
+
+        parcels.forEach((p, idx) => {
+            const entry = { parcelId: p.parcelId || p.parcel_id || `Parcel ${idx + 1}`, areaSqm: 0, issues: [] };
+            const polys = this._polygons(p.geometry);
+            if (!polys.length) {
+                entry.issues.push({ code: 'no_geometry', severity: 'error', message: 'No polygon geometry.' });
+            }
+            polys.forEach((rings, pi) => {
+                const res = this.checkPolygon(rings, opts);
+                entry.areaSqm += res.areaSqm;
+                res.issues.forEach(issue => {
+                    if (polys.length > 1) issue.message = `Part ${pi + 1}: ${issue.message}`;
+                    entry.issues.push(issue);
+                });
+            });
+            report.parcels.push(entry);
+        });
+
+        this._checkBatchOverlaps(parcels, report, opts);
+        await this._checkExistingOverlaps(parcels, report, opts);
+
+        report.parcels.forEach(entry => entry.issues.forEach(issue => {
+            if (issue.severity === 'error') report.errorCount++; else report.warningCount++;
+        }));
+        report.ok = report.errorCount === 0;
+        return report;
+    },
+
+    // Overlaps between parcels in the same save (needs Turf for the clip)
+    _checkBatchOverlaps: function(parcels, report, opts) {
+        const o = Object.assign({}, this.defaults, opts);
+        if (typeof turf === 'undefined' || parcels.length < 2) return;
+        for (let i = 0; i < parcels.length; i++) {
+            for (let j = i + 1; j < parcels.length; j++) {
+                try {
+                    const a = turf.feature(parcels[i].geometry);
+                    const b = turf.feature(parcels[j].geometry);
+                    if (!turf.booleanIntersects(a, b)) continue;
+                    const clip = turf.intersect(turf.featureCollection([a, b]));
+                    const overlap = clip ? turf.area(clip) : 0;
+                    if (overlap > o.overlapToleranceSqm) {
+                        report.parcels[i].issues.push({ code: 'batch_overlap', severity: 'error', message: `Overlaps ${report.parcels[j].parcelId} in this batch by ${overlap.toFixed(2)} m².` });
+                    }
+                } catch (e) {
+                    // Invalid rings are already reported above
+                }
+            }
+        }
+    },
+
+    // Overlaps with saved polygon_features. Archived subdivision parents found by
+    // find_intersecting_subdivisions are expected and reported as warnings; live
+    // parcels found by find_overlapping_parcels are errors.
+    _checkExistingOverlaps: async function(parcels, report, opts) {
+        const o = Object.assign({}, this.defaults, opts);
+        const sb = opts.sb;
+        if (!sb) return;
+        for (let i = 0; i < parcels.length; i++) {
+            const entry = report.parcels[i];
+            if (!this._polygons(parcels[i].geometry).length) continue;
+            try {
+                if (opts.userId) {
+                    const { data: parents, error } = await sb.rpc('find_intersecting_subdivisions', {
+                        geojson_geometry: parcels[i].geometry,
+                        current_user_id: opts.userId
+                    });
+                    if (error) throw error;
+                    (parents || []).forEach(p => entry.issues.push({
+                        code: 'subdivision_parent', severity: 'warning',
+                        message: `Falls within archived parcel ${p.unique_id} (${p.layer_name}); it will be offered as the subdivision parent.`
+                    }));
+                }
+                const { data: overlaps, error: overlapErr } = await sb.rpc('find_overlapping_parcels', {
+                    geojson_geometry: parcels[i].geometry,
+                    min_overlap_sqm: o.overlapToleranceSqm
+                });
+                if (overlapErr) throw overlapErr;
+                (overlaps || []).forEach(p => entry.issues.push({
+                    code: 'existing_overlap', severity: 'error',
+                    message: `Overlaps existing parcel ${p.unique_id} (${p.layer_name}) by ${Number(p.overlap_sqm).toFixed(2)} m².`
+                }));
+            } catch (e) {
+                entry.issues.push({ code: 'overlap_check_failed', severity: 'warning', message: `Could not check overlaps with saved parcels: ${e.message}` });
+            }
+        }
+    },
+
+    /**
+     * Show the report and wait for the user. Clean reports resolve true at once;
+     * warnings need an acknowledgement and errors an explicit override tick.
+     * @returns {Promise<boolean>} true to continue with the save
+     */
+    confirm: function(report) {
+        if (report.errorCount === 0 && report.warningCount === 0) return Promise.resolve(true);
+        const esc = s => String(s).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+
+        return new Promise(resolve => {
+            let m = document.getElementById('geometryValidationModal');
+            if (!m) { m = document.createElement('div'); m.id = 'geometryValidationModal'; m.className = 'modal'; document.body.appendChild(m); }
+            const rows = report.parcels.filter(p => p.issues.length).map(p => `
+                <div style="margin-bottom: 10px;">
+                    <strong>${esc(p.parcelId)}</strong> <span style="color:#64748b;">(${p.areaSqm.toFixed(2)} m²)</span>
+                    <ul style="margin: 4px 0 0 18px; padding: 0;">
+                        ${p.issues.map(i => `<li style="color:${i.severity === 'error' ? '#b91c1c' : '#b45309'};">${esc(i.message)}</li>`).join('')}
+                    </ul>
+                </div>`).join('');
+            const hasErrors = report.errorCount > 0;
+            m.innerHTML = `
+                <div class="modal-content" style="max-width: 560px;">
+                    <div class="modal-header">
+                        <h3 style="color: ${hasErrors ? '#b91c1c' : '#b45309'};"><i class="fas fa-draw-polygon"></i> Geometry Validation</h3>
+                    </div>
+                    <div class="modal-body">
+                        <p style="margin-bottom: 10px;">${report.errorCount} error(s), ${report.warningCount} warning(s) in ${report.parcels.length} parcel(s).</p>
+                        <div style="max-height: 320px; overflow-y: auto; font-size: 13px;">${rows}</div>
+                        <label style="display: flex; gap: 8px; align-items: center; margin-top: 10px; font-size: 13px;">
+                            <input type="checkbox" id="geomValidationAck">
+                            ${hasErrors ? 'I have reviewed these errors and want to save anyway.' : 'I have reviewed these warnings.'}
+                        </label>
+                    </div>
+                    <div class="modal-footer" style="display: flex; gap: 10px; justify-content: flex-end;">
+                        <button class="btn btn-secondary" id="geomValidationCancel">Cancel save</button>
+                        <button class="btn btn-primary" id="geomValidationContinue" disabled>Continue</button>
+                    </div>
+                </div>`;
+            m.style.display = 'flex';
+            const ack = document.getElementById('geomValidationAck');
+            const cont = document.getElementById('geomValidationContinue');
+            ack.onchange = () => { cont.disabled = !ack.checked; };
+            document.getElementById('geomValidationCancel').onclick = () => { m.style.display = 'none'; resolve(false); };
+            cont.onclick = () => { m.style.display = 'none'; resolve(true); };
+        });
+    }
+};
+
+// Export for usage in other scripts or UI
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GeometryValidator;
+} else {
+    window.GeometryValidator = GeometryValidator;
+}
@@ -0,0 +1,449 @@
+/**
+ * GSP.NET GeoPackage Reader / Writer
+ * Builds and reads OGC GeoPackage (1.3) files in the browser with sql.js
+ * (SQLite compiled to WebAssembly, loaded on first use). Each map layer is a
+ * feature table; geometries are GeoPackage binary (GP header with an XY
+ * envelope, then WKB). Layer colours travel in the QGIS `layer_styles` table
+ * as both QML and SLD so QGIS and our own importer pick them up.
+ */
+
+const GeoPackage = {
+
+    // sql.js 1.10.3, vendored so GeoPackage and MBTiles work offline (precached by sw.js)
+    SQL_JS_BASE: '/js/vendor/sql.js/',
+    APPLICATION_ID: 0x47504B47, // 'GPKG'
+    USER_VERSION: 10300,
+
+    _sqlPromise: null,
+
+    // Load sql.js once; later calls share the same promise
+    loadSql: function() {
+        if (this._sqlPromise) return this._sqlPromise;
+        const base = this.SQL_JS_BASE;
+        this._sqlPromise = new Promise((resolve, reject) => {
+            if (typeof window.initSqlJs === 'function') return resolve();
+            const s = document.createElement('script');
+            s.src = base + 'sql-wasm.js';
+            s.onload = resolve;
+            s.onerror = () => reject(new Error('Could not load the SQLite engine (sql.js).'));
+            document.head.appendChild(s);
+        }).then(() => window.initSqlJs({ locateFile: (file) => base + file }))
+          .catch((err) => {
+              this._sqlPromise = null;
+              throw err;
+          });
+        return this._sqlPromise;
+    },
+
+    // --- Geometry encoding ---
+    _wkb: function() {
+        return new ol.format.WKB({ hex: false, littleEndian: true, ewkb: false, geometryLayout: 'XY' });
+    },
+
+    // GeoPackage binary: 'GP', version 0, flags (XY envelope, little endian), srs_id, envelope, WKB
+    encodeGeometry: function(geometry, srsId, options = {}) {
+        const g = geometry.clone();
+        if (options.featureProjection && options.dataProjection) g.transform(options.featureProjection, options.dataProjection);
+        const raw = this._wkb().writeGeometry(g);
+        const wkb = raw instanceof ArrayBuffer ? new Uint8Array(raw) : new Uint8Array(raw.buffer, raw.byteOffset, raw.byteLength);
+        const ext = g.getExtent();
+        const empty = !ext.every(isFinite);
+        const out = new Uint8Array(8 + (empty ? 0 : 32) + wkb.length);
+        const view = new DataView(out.buffer);
+        out[0] = 0x47;
+        out[1] = 0x50;
+        out[2] = 0;
+        out[3] = empty ? 0x11 : 0x03;
+        view.setInt32(4, srsId, true);
+        if (!empty) {
+            [ext[0], ext[2], ext[1], ext[3]].forEach((v, i) => view.setFloat64(8 + i * 8, v, true));
+        }
+        out.set(wkb, empty ? 8 : 40);
+        return out;
+    },
+
+    decodeGeometry: function(blob) {
+        if (!blob || blob.length < 8 || blob[0] !== 0x47 || blob[1] !== 0x50) return null;
+        const flags = blob[3];
+        if (flags & 0x10) return null;
+        const envelope = [0, 32, 48, 48, 64][(flags >> 1) & 0x07];
+        if (envelope === undefined) throw new Error('Invalid GeoPackage geometry envelope flag.');
+        const wkb = blob.subarray(8 + envelope);
+        return this._wkb().readGeometry(wkb.slice());
+    },
+
+    // --- Styles ---
+
+    /**
+     * Colours used to draw a layer, taken from the first feature's style.
+     * @returns {Object} - { fill: [r,g,b,a], stroke: [r,g,b,a], width }
+     */
+    styleFromLayer: function(layer, feature) {
+        const summary = { fill: [59, 130, 246, 0.25], stroke: [37, 99, 235, 1], width: 2 };
+        if (!layer || !feature) return summary;
+        let style = feature.getStyle() || layer.getStyle();
+        try {
+            if (typeof style === 'function') style = style(feature, 1);
+        } catch (e) {
+            return summary;
+        }
+        if (Array.isArray(style)) style = style[0];
+        if (!style || typeof style.getFill !== 'function') return summary;
+
+        const colour = (c) => {
+            try {
+                return c ? ol.color.asArray(c).slice() : null;
+            } catch (e) {
+                return null;
+            }
+        };
+        const image = style.getImage && style.getImage();
+        const fill = style.getFill() || (image && image.getFill && image.getFill());
+        const stroke = style.getStroke() || (image && image.getStroke && image.getStroke());
+        if (fill && colour(fill.getColor())) summary.fill = colour(fill.getColor());
+        if (stroke && colour(stroke.getColor())) summary.stroke = colour(stroke.getColor());
+        if (stroke && stroke.getWidth()) summary.width = stroke.getWidth();
+        return summary;
+    },
+
+    _hex: function(c) {
+        return '#' + c.slice(0, 3).map(v => Math.round(v).toString(16).padStart(2, '0')).join('');
+    },
+
+    _styleSld: function(table, kind, s) {
+        const css = (name, value) => `<se:SvgParameter name="${name}">${value}</se:SvgParameter>`;
+        const fill = `<se:Fill>${css('fill', this._hex(s.fill))}${css('fill-opacity', s.fill[3])}</se:Fill>`;
+        const stroke = `<se:Stroke>${css('stroke', this._hex(s.stroke))}${css('stroke-opacity', s.stroke[3])}${css('stroke-width', s.width)}</se:Stroke>`;
+        let symbolizer;
+        if (kind === 'line') symbolizer = `<se:LineSymbolizer>${stroke}</se:LineSymbolizer>`;
+        else if (kind === 'point') symbolizer = `<se:PointSymbolizer><se:Graphic><se:Mark><se:WellKnownName>circle</se:WellKnownName>${fill}${stroke}</se:Mark><se:Size>7</se:Size></se:Graphic></se:PointSymbolizer>`;
+        else symbolizer = `<se:PolygonSymbolizer>${fill}${stroke}</se:PolygonSymbolizer>`;
+        return '<?xml version="1.0" encoding="UTF-8"?>' +
+            '<StyledLayerDescriptor xmlns="http://www.opengis.net/sld" xmlns:se="http://www.opengis.net/se" version="1.1.0">' +
+            `<NamedLayer><se:Name>${table}</se:Name><UserStyle><se:Name>${table}</se:Name><se:FeatureTypeStyle><se:Rule>${symbolizer}</se:Rule></se:FeatureTypeStyle></UserStyle></NamedLayer>` +
+            '</StyledLayerDescriptor>';
+    },
+
+    _styleQml: function(kind, s) {
+        const rgba = (c) => c.slice(0, 3).map(Math.round).join(',') + ',' + Math.round(c[3] * 255);
+        const opt = (name, value) => `<Option type="QString" name="${name}" value="${value}"/>`;
+        // QGIS symbol widths are millimetres; OpenLayers widths are pixels at 96 DPI
+        const mm = (s.width * 0.2646).toFixed(2);
+        let symbol;
+        if (kind === 'line') {
+            symbol = `<symbol type="line" name="0" alpha="1"><layer class="SimpleLine" enabled="1" pass="0" locked="0"><Option type="Map">${opt('line_color', rgba(s.stroke))}${opt('line_width', mm)}${opt('line_width_unit', 'MM')}</Option></layer></symbol>`;
+        } else if (kind === 'point') {
+            symbol = `<symbol type="marker" name="0" alpha="1"><layer class="SimpleMarker" enabled="1" pass="0" locked="0"><Option type="Map">${opt('name', 'circle')}${opt('color', rgba(s.fill))}${opt('outline_color', rgba(s.stroke))}${opt('outline_width', mm)}${opt('size', '2.5')}</Option></layer></symbol>`;
+        } else {
+            symbol = `<symbol type="fill" name="0" alpha="1"><layer class="SimpleFill" enabled="1" pass="0" locked="0"><Option type="Map">${opt('color', rgba(s.fill))}${opt('outline_color', rgba(s.stroke))}${opt('outline_width', mm)}${opt('outline_width_unit', 'MM')}${opt('style', 'solid')}</Option></layer></symbol>`;
+        }
+        return `<!DOCTYPE qgis PUBLIC 'http://mrcc.com/qgis.dtd' 'SYSTEM'><qgis version="3.28" styleCategories="Symbology"><renderer-v2 type="singleSymbol" symbollevels="0" enableorderby="0" forceraster="0"><symbols>${symbol}</symbols></renderer-v2></qgis>`;
+    },
+
+    // Fill / stroke back out of an SLD written by us or by QGIS
+    _parseSld: function(sld) {
+        if (!sld || typeof DOMParser === 'undefined') return null;
+        const doc = new DOMParser().parseFromString(sld, 'application/xml');
+        const params = {};
+        doc.querySelectorAll('*').forEach((el) => {
+            const local = el.localName;
+            if ((local === 'SvgParameter' || local === 'CssParameter') && el.getAttribute('name')) {
+                params[el.getAttribute('name')] = el.textContent.trim();
+            }
+        });
+        if (!params.fill && !params.stroke) return null;
+        const rgba = (hex, opacity) => {
+            const c = ol.color.asArray(hex || '#3b82f6').slice();
+            c[3] = opacity !== undefined && opacity !== '' ? Number(opacity) : 1;
+            return c;
+        };
+        return {
+            fill: rgba(params.fill, params['fill-opacity']),
+            stroke: rgba(params.stroke, params['stroke-opacity']),
+            width: Number(params['stroke-width']) || 2
+        };
+    },
+
+    _olStyle: function(s) {
+        const fill = new ol.style.Fill({ color: s.fill });
+        const stroke = new ol.style.Stroke({ color: s.stroke, width: s.width });
+        return new ol.style.Style({
+            fill,
+            stroke,
+            image: new ol.style.Circle({ radius: 5, fill, stroke })
+        });
+    },
+
+    // --- Writing ---
+
+    _tableName: function(name, used) {
+        let base = String(name || 'layer').toLowerCase().replace(/[^a-z0-9_]+/g, '_').replace(/^_+|_+$/g, '') || 'layer';
+        if (/^[0-9]/.test(base) || base.startsWith('gpkg_') || base.startsWith('sqlite_')) base = 'l_' + base;
+        let table = base;
+        for (let n = 2; used.has(table); n++) table = base + '_' + n;
+        used.add(table);
+        return table;
+    },
+
+    _geometryTypeName: function(features) {
+        const types = new Set(features.map(f => f.getGeometry() && f.getGeometry().getType()).filter(Boolean));
+        return types.size === 1 ? [...types][0].toUpperCase() : 'GEOMETRY';
+    },
+
+    _styleKind: function(typeName) {
+        if (typeName.includes('POINT')) return 'point';
+        if (typeName.includes('LINE')) return 'line';
+        return 'polygon';
+    },
+
+    /**
+     * Build a GeoPackage from map layers.
+     * @param {Array} layers - [{ name, features: ol.Feature[], style?: styleFromLayer() result }]
+     * @param {Object} options - { crs: 'EPSG:xxxx', wkt, featureProjection, description }
+     * @returns {Promise<Uint8Array>}
+     */
+    write: async function(layers, options) {
+        const SQL = await this.loadSql();
+        const db = new SQL.Database();
+        const crs = options.crs || 'EPSG:4326';
+        const code = parseInt(String(crs).split(':')[1], 10);
+        const srsId = isFinite(code) ? code : 4326;
+        const now = new Date().toISOString().replace(/\.\d+Z$/, '.000Z');
+
+        try {
+            db.run(`PRAGMA application_id = ${this.APPLICATION_ID}`);
+            db.run(`PRAGMA user_version = ${this.USER_VERSION}`);
+            db.run(`CREATE TABLE gpkg_spatial_ref_sys (
+                srs_name TEXT NOT NULL, srs_id INTEGER PRIMARY KEY, organization TEXT NOT NULL,
+                organization_coordsys_id INTEGER NOT NULL, definition TEXT NOT NULL, description TEXT)`);
+            db.run(`CREATE TABLE gpkg_contents (
+                table_name TEXT NOT NULL PRIMARY KEY, data_type TEXT NOT NULL, identifier TEXT UNIQUE,
+                description TEXT DEFAULT '', last_change DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now')),
+                min_x DOUBLE, min_y DOUBLE, max_x DOUBLE, max_y DOUBLE, srs_id INTEGER,
+                CONSTRAINT fk_gc_r_srs_id FOREIGN KEY (srs_id) REFERENCES gpkg_spatial_ref_sys(srs_id))`);
+            db.run(`CREATE TABLE gpkg_geometry_columns (
+                table_name TEXT NOT NULL, column_name TEXT NOT NULL, geometry_type_name TEXT NOT NULL,
+                srs_id INTEGER NOT NULL, z TINYINT NOT NULL, m TINYINT NOT NULL,
+                CONSTRAINT pk_geom_cols PRIMARY KEY (table_name, column_name),
+                CONSTRAINT fk_gc_tn FOREIGN KEY (table_name) REFERENCES gpkg_contents(table_name),
+                CONSTRAINT fk_gc_srs FOREIGN KEY (srs_id) REFERENCES gpkg_spatial_ref_sys (srs_id))`);
+            db.run(`CREATE TABLE layer_styles (
+                id INTEGER PRIMARY KEY AUTOINCREMENT, f_table_catalog TEXT(256), f_table_schema TEXT(256),
+                f_table_name TEXT(256), f_geometry_column TEXT(256), styleName TEXT(30), styleQML TEXT,
+                styleSLD TEXT, useAsDefault BOOLEAN, description TEXT, owner TEXT(30), ui TEXT(30),
+                update_time DATETIME DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now')))`);
+
+            const srs = db.prepare('INSERT INTO gpkg_spatial_ref_sys VALUES (?, ?, ?, ?, ?, ?)');
+            srs.run(['Undefined cartesian SRS', -1, 'NONE', -1, 'undefined', 'undefined cartesian coordinate reference system']);
+            srs.run(['Undefined geographic SRS', 0, 'NONE', 0, 'undefined', 'undefined geographic coordinate reference system']);
+            srs.run(['WGS 84 geodetic', 4326, 'EPSG', 4326, 'GEOGCS["WGS 84",DATUM["WGS_1984",SPHEROID["WGS 84",6378137,298.257223563]],PRIMEM["Greenwich",0],UNIT["degree",0.0174532925199433],AUTHORITY["EPSG","4326"]]', 'longitude/latitude coordinates in decimal degrees on the WGS 84 spheroid']);
+            if (srsId !== 4326) {
+                srs.run([options.crsName || crs, srsId, 'EPSG', srsId, options.wkt || 'undefined', crs]);
+            }
+            srs.free();
+
+            const used = new Set();
+            const summary = [];
+            layers.forEach((layer) => {
+                const features = layer.features.filter(f => f.getGeometry());
+                if (!features.length) return;
+                const table = this._tableName(layer.name, used);
+                const typeName = this._geometryTypeName(features);
+
+                // Columns from the union of feature attributes
+                const columns = [];
+                const seen = new Set(['fid', 'geom']);
+                features.forEach((f) => {
+                    const props = f.getProperties();
+                    Object.keys(props).forEach((key) => {
+                        const v = props[key];
+                        if (key === f.getGeometryName() || key.startsWith('__') || typeof v === 'function') return;
+                        if (v !== null && typeof v === 'object') return;
+                        if (seen.has(key.toLowerCase())) return;
+                        seen.add(key.toLowerCase());
+                        columns.push(key);
+                    });
+                });
+                const sqlType = (key) => {
+                    const values = features.map(f => f.get(key)).filter(v => v !== undefined && v !== null && v !== '');
+                    if (!values.length) return 'TEXT';
+                    if (values.every(v => typeof v === 'boolean')) return 'BOOLEAN';
+                    if (values.every(v => typeof v === 'number' && Number.isInteger(v))) return 'INTEGER';
+                    if (values.every(v => typeof v === 'number' && isFinite(v))) return 'REAL';
+                    return 'TEXT';
+                };
+                const q = (id) => '"' + id.replace(/"/g, '""') + '"';
+                const types = columns.map(sqlType);
+
+                db.run(`CREATE TABLE ${q(table)} (fid INTEGER PRIMARY KEY AUTOINCREMENT NOT NULL, geom ${typeName}` +
+                    columns.map((c, i) => ', ' + q(c) + ' ' + types[i]).join('') + ')');
+
+                const ins = db.prepare(`INSERT INTO ${q(table)} (geom${columns.map(c => ', ' + q(c)).join('')}) VALUES (?${columns.map(() => ', ?').join('')})`);
+                const bounds = ol.extent.createEmpty();
+                features.forEach((f) => {
+                    const blob = this.encodeGeometry(f.getGeometry(), srsId, { featureProjection: options.featureProjection, dataProjection: crs });
+                    const g = f.getGeometry().clone();
+                    if (options.featureProjection) g.transform(options.featureProjection, crs);
+                    ol.extent.extend(bounds, g.getExtent());
+                    ins.run([blob].concat(columns.map((c, i) => {
+                        const v = f.get(c);
+                        if (v === undefined || v === null || v === '') return null;
+                        if (types[i] === 'BOOLEAN') return v ? 1 : 0;
+                        return types[i] === 'TEXT' ? String(v) : v;
+                    })));
+                });
+                ins.free();
+
+                db.run('INSERT INTO gpkg_contents (table_name, data_type, identifier, description, last_change, min_x, min_y, max_x, max_y, srs_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+                    [table, 'features', layer.name || table, options.description || '', now, bounds[0], bounds[1], bounds[2], bounds[3], srsId]);
+                db.run('INSERT INTO gpkg_geometry_columns VALUES (?, ?, ?, ?, 0, 0)', [table, 'geom', typeName, srsId]);
+
+                const kind = this._styleKind(typeName);
+                const style = layer.style || this.styleFromLayer(null, null);
+                db.run('INSERT INTO layer_styles (f_table_catalog, f_table_schema, f_table_name, f_geometry_column, styleName, styleQML, styleSLD, useAsDefault, description, owner, ui, update_time) VALUES (?, ?, ?, ?, ?, ?, ?, 1, ?, ?, ?, ?)',
+                    ['', '', table, 'geom', table, this._styleQml(kind, style), this._styleSld(table, kind, style), 'GSPNET export', '', null, now]);
+                summary.push({ table, features: features.length });
+            });
+
+            db.run('INSERT INTO gpkg_contents (table_name, data_type, identifier, description, last_change, srs_id) VALUES (?, ?, ?, ?, ?, ?)',
+                ['layer_styles', 'attributes', 'layer_styles', 'Layer styles', now, null]);
+
+            if (!summary.length) throw new Error('No features to write to the GeoPackage.');
+            return db.export();
+        } finally {
+            db.close();
+        }
+    },
+
+    // --- Reading ---
+
+    // Register a GeoPackage SRS with proj4 / OpenLayers and return its code
+    _projectionFor: function(row) {
+        if (!row || row.srs_id === 0 || row.srs_id === -1) return 'EPSG:4326';
+        const code = (row.organization || '').toUpperCase() + ':' + row.organization_coordsys_id;
+        if (ol.proj.get(code)) return code;
+        if (typeof proj4 !== 'undefined' && row.definition && row.definition !== 'undefined') {
+            try {
+                proj4.defs(code, row.definition);
+                if (ol.proj.proj4 && ol.proj.proj4.register) ol.proj.proj4.register(proj4);
+                if (ol.proj.get(code)) return code;
+            } catch (e) {
+                console.warn('[GeoPackage] could not register', code, e);
+            }
+        }
+        throw new Error('Unsupported coordinate system ' + code + ' (' + (row.srs_name || 'unnamed') + ').');
+    },
+
+    /**
+     * Read every feature table in a GeoPackage.
+     * @param {ArrayBuffer|Uint8Array} bytes
+     * @param {Object} options - { featureProjection } to reproject features for the map
+     * @returns {Promise<Array>} - [{ table, identifier, projection, geometryType, features: ol.Feature[], style }]
+     */
+    read: async function(bytes, options = {}) {
+        const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+        const magic = new TextDecoder().decode(data.subarray(0, 15));
+        if (magic !== 'SQLite format 3') throw new Error('This file is not a GeoPackage (SQLite) database.');
+
+        const SQL = await this.loadSql();
+        const db = new SQL.Database(data);
+        const rows = (sql, params) => {
+            const stmt = db.prepare(sql);
+            const out = [];
+            try {
+                if (params) stmt.bind(params);
+                while (stmt.step()) out.push(stmt.getAsObject());
+            } finally {
+                stmt.free();
+            }
+            return out;
+        };
+
+        try {
+            const hasStyles = rows("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'layer_styles'").length > 0;
+            const geomCols = rows(`SELECT gc.table_name, gc.column_name, gc.geometry_type_name, c.identifier,
+                    s.srs_id, s.srs_name, s.organization, s.organization_coordsys_id, s.definition
+                FROM gpkg_geometry_columns gc
+                JOIN gpkg_contents c ON c.table_name = gc.table_name
+                LEFT JOIN gpkg_spatial_ref_sys s ON s.srs_id = gc.srs_id
+                WHERE c.data_type = 'features'`);
+            if (!geomCols.length) throw new Error('The GeoPackage has no feature layers.');
+
+            const q = (id) => '"' + String(id).replace(/"/g, '""') + '"';
+            return geomCols.map((gc) => {
+                const projection = this._projectionFor(gc);
+                const pk = rows(`PRAGMA table_info(${q(gc.table_name)})`).filter(c => c.pk).map(c => c.name)[0];
+                const features = [];
+                rows(`SELECT * FROM ${q(gc.table_name)}`).forEach((r) => {
+                    let geometry;
+                    try {
+                        geometry = this.decodeGeometry(r[gc.column_name]);
+                    } catch (e) {
+                        console.warn('[GeoPackage] skipped unreadable geometry in', gc.table_name, e);
+                        return;
+                    }
+                    if (!geometry) return;
+                    if (options.featureProjection) geometry.transform(projection, options.featureProjection);
+                    const props = Object.assign({}, r);
+                    delete props[gc.column_name];
+                    const feature = new ol.Feature(props);
+                    feature.setGeometry(geometry);
+                    if (pk) feature.setId(r[pk]);
+                    features.push(feature);
+                });
+
+                let style = null;
+                if (hasStyles) {
+                    const st = rows('SELECT styleSLD FROM layer_styles WHERE f_table_name = ? ORDER BY useAsDefault DESC, id LIMIT 1', [gc.table_name]);
+                    if (st.length) style = this._parseSld(st[0].styleSLD);
+                }
+                return {
+                    table: gc.table_name,
+                    identifier: gc.identifier || gc.table_name,
+                    projection,
+                    geometryType: gc.geometry_type_name,
+                    features,
+                    style
+                };
+            });
+        } finally {
+            db.close();
+        }
+    },
+
+    /**
+     * Load every layer of a .gpkg file onto the map as its own vector layer.
+     * @returns {Promise<Array>} - the OpenLayers layers that were added
+     */
+    importToMap: async function(file, map) {
+        const view = map.getView();
+        const layers = await this.read(await file.arrayBuffer(), { featureProjection: view.getProjection() });
+        const added = [];
+        const extent = ol.extent.createEmpty();
+        layers.forEach((l) => {
+            if (!l.features.length) return;
+            const source = new ol.source.Vector({ features: l.features });
+            const layer = new ol.layer.Vector({
+                source,
+                title: l.identifier + ' (GPKG)',
+                style: this._olStyle(l.style || this.styleFromLayer(null, null)),
+                zIndex: 90
+            });
+            layer.set('gpkgTable', l.table);
+            l.features.forEach(f => f.set('__layerTitle', l.identifier));
+            map.addLayer(layer);
+            added.push(layer);
+            ol.extent.extend(extent, source.getExtent());
+        });
+        if (!added.length) throw new Error('The GeoPackage layers contain no features.');
+        if (!ol.extent.isEmpty(extent)) view.fit(extent, { padding: [40, 40, 40, 40], maxZoom: 19, duration: 600 });
+        return added;
+    }
+};
+
+// Export for usage in other scripts or UI
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GeoPackage;
+} else {
+    window.GeoPackage = GeoPackage;
+}
@@ -0,0 +1,341 @@
+/**
+ * GSP.NET GeoTIFF Writer
+ * Encodes canvas RGBA pixels as a baseline TIFF (8-bit RGB or RGBA)
+ * with GeoTIFF 1.0 georeferencing: ModelPixelScale + ModelTiepoint for a
+ * north-up grid and a GeoKey directory naming the EPSG coordinate system.
+ * Small images are written as strips in one go; large ones as tiles added
+ * block by block. Data may be stored raw, LZW or Deflate (zlib) compressed,
+ * both with horizontal differencing (Predictor 2).
+ */
+
+const GeoTiffWriter = {
+
+    COMPRESSION: { none: 1, lzw: 5, deflate: 8 },
+    STRIP_BYTES: 65536,
+
+    // --- Compression ---
+
+    // TIFF LZW (MSB-first codes, 9-12 bits, early change), matching libtiff
+    _lzw: function(data) {
+        const CLEAR = 256, EOI = 257, FIRST = 258, MAX_CODE = 4095;
+        const out = [];
+        let acc = 0, accBits = 0, width = 9;
+        const put = (code) => {
+            acc = (acc << width) | code;
+            accBits += width;
+            while (accBits >= 8) {
+                accBits -= 8;
+                out.push((acc >>> accBits) & 0xff);
+            }
+            acc &= (1 << accBits) - 1;
+        };
+
+        let dict = new Map();
+        let next = FIRST;
+        put(CLEAR);
+        if (!data.length) {
+            put(EOI);
+        } else {
+            let prefix = data[0];
+            for (let i = 1; i < data.length; i++) {
+                const key = prefix * 256 + data[i];
+                const hit = dict.get(key);
+                if (hit !== undefined) {
+                    prefix = hit;
+                    continue;
+                }
+                put(prefix);
+                prefix = data[i];
+                dict.set(key, next++);
+                if (next === MAX_CODE - 1) {
+                    put(CLEAR);
+                    dict = new Map();
+                    next = FIRST;
+                    width = 9;
+                } else if (next > (1 << width) - 1) {
+                    width++;
+                }
+            }
+            put(prefix);
+            next++;
+            if (next === MAX_CODE - 1) {
+                put(CLEAR);
+                width = 9;
+            } else if (next > (1 << width) - 1) {
+                width++;
+            }
+            put(EOI);
+        }
+        if (accBits > 0) out.push((acc << (8 - accBits)) & 0xff);
+        return new Uint8Array(out);
+    },
+
+    // Adobe Deflate is a zlib stream, which is what CompressionStream('deflate') writes
+    _deflate: async function(data) {
+        const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    },
+
+    // Horizontal differencing, in place, per row and sample
+    _predict: function(strip, rowBytes, spp) {
+        for (let row = 0; row < strip.length; row += rowBytes) {
+            for (let i = row + rowBytes - 1; i >= row + spp; i--) {
+                strip[i] = (strip[i] - strip[i - spp]) & 0xff;
+            }
+        }
+    },
+
+    // --- GeoKeys ---
+
+    /**
+     * GeoKey directory for an EPSG code.
+     * @param {Object} crs - { epsg, geographic, citation, towgs84: number[]? }
+     * @returns {Object} - { directory: number[], doubles: number[], ascii: string }
+     */
+    _geoKeys: function(crs) {
+        const keys = [];
+        const doubles = [];
+        let ascii = '';
+        const asciiKey = (id, text) => {
+            keys.push([id, 34737, text.length + 1, ascii.length]);
+            ascii += text + '|';
+        };
+
+        keys.push([1024, 0, 1, crs.geographic ? 2 : 1]); // GTModelType: projected / geographic
+        keys.push([1025, 0, 1, 1]);                      // GTRasterType: PixelIsArea
+        if (crs.citation) asciiKey(1026, crs.citation);
+        if (crs.geographic) {
+            keys.push([2048, 0, 1, crs.epsg]);           // GeographicType
+            keys.push([2054, 0, 1, 9102]);               // GeogAngularUnits: degree
+        }
+        if (crs.towgs84 && crs.towgs84.length) {
+            keys.push([2062, 34736, crs.towgs84.length, doubles.length]); // GeogTOWGS84
+            doubles.push(...crs.towgs84);
+        }
+        if (!crs.geographic) {
+            keys.push([3072, 0, 1, crs.epsg]);           // ProjectedCSType
+            keys.push([3076, 0, 1, 9001]);               // ProjLinearUnits: metre
+        }
+        keys.sort((a, b) => a[0] - b[0]);
+        return { directory: [1, 1, 0, keys.length].concat(...keys), doubles, ascii };
+    },
+
+    // --- Encoder ---
+
+    _compress: async function(data, rowBytes, spp, compression) {
+        if (compression === 'none') return data;
+        this._predict(data, rowBytes, spp);
+        return compression === 'lzw' ? this._lzw(data) : this._deflate(data);
+    },
+
+    // IFD entries shared by the strip and tile layouts
+    _tags: function(opts, spp, compression, layoutTags) {
+        const geo = this._geoKeys(opts.crs);
+        const dpi = opts.dpi || 96;
+        const tags = layoutTags.concat([
+            [256, 4, [opts.width]],
+            [257, 4, [opts.height]],
+            [258, 3, new Array(spp).fill(8)],
+            [259, 3, [this.COMPRESSION[compression]]],
+            [262, 3, [2]],
+            [277, 3, [spp]],
+            [282, 5, [dpi, 1]],
+            [283, 5, [dpi, 1]],
+            [284, 3, [1]],
+            [296, 3, [2]],
+            [305, 2, opts.software || 'GEOSPATIALNETWORKUG'],
+            [33550, 12, [opts.pixelSize[0], opts.pixelSize[1], 0]],
+            [33922, 12, [0, 0, 0, opts.origin[0], opts.origin[1], 0]],
+            [34735, 3, geo.directory]
+        ]);
+        if (compression !== 'none') tags.push([317, 3, [2]]);
+        if (spp === 4) tags.push([338, 3, [2]]); // unassociated alpha
+        if (geo.doubles.length) tags.push([34736, 12, geo.doubles]);
+        if (geo.ascii) tags.push([34737, 2, geo.ascii]);
+        return tags.sort((a, b) => a[0] - b[0]);
+    },
+
+    // Little-endian header pointing at the IFD
+    _header: function(ifdOffset) {
+        const buf = new Uint8Array(8);
+        const view = new DataView(buf.buffer);
+        buf[0] = 0x49;
+        buf[1] = 0x49;
+        view.setUint16(2, 42, true);
+        view.setUint32(4, ifdOffset, true);
+        return buf;
+    },
+
+    // IFD plus out-of-line values, to be written at ifdOffset
+    _ifd: function(tags, ifdOffset) {
+        const TYPE_SIZE = { 2: 1, 3: 2, 4: 4, 5: 8, 12: 8 };
+        const count = (t) => t[1] === 2 ? t[2].length + 1 : t[1] === 5 ? t[2].length / 2 : t[2].length;
+        const size = (t) => count(t) * TYPE_SIZE[t[1]];
+        const even = (n) => n + (n & 1);
+
+        const ifdLen = 2 + tags.length * 12 + 4;
+        const extraLen = tags.reduce((n, t) => n + (size(t) > 4 ? even(size(t)) : 0), 0);
+        const buf = new Uint8Array(ifdLen + extraLen);
+        const view = new DataView(buf.buffer);
+
+        const writeValues = (t, at) => {
+            if (t[1] === 2) {
+                for (let i = 0; i < t[2].length; i++) buf[at + i] = t[2].charCodeAt(i) & 0x7f;
+                return;
+            }
+            t[2].forEach((v, i) => {
+                if (t[1] === 3) view.setUint16(at + i * 2, v, true);
+                else if (t[1] === 4 || t[1] === 5) view.setUint32(at + i * 4, v, true);
+                else view.setFloat64(at + i * 8, v, true);
+            });
+        };
+
+        view.setUint16(0, tags.length, true);
+        let extra = ifdLen;
+        tags.forEach((t, i) => {
+            const e = 2 + i * 12;
+            view.setUint16(e, t[0], true);
+            view.setUint16(e + 2, t[1], true);
+            view.setUint32(e + 4, count(t), true);
+            if (size(t) <= 4) {
+                writeValues(t, e + 8);
+            } else {
+                view.setUint32(e + 8, ifdOffset + extra, true);
+                writeValues(t, extra);
+                extra += even(size(t));
+            }
+        });
+        view.setUint32(2 + tags.length * 12, 0, true);
+        return buf;
+    },
+
+    /**
+     * Encode a whole image held in memory as a strip TIFF.
+     * @param {Object} opts
+     *   width, height, rgba (Uint8ClampedArray from ImageData),
+     *   alpha (keep the alpha channel), compression ('none'|'lzw'|'deflate'),
+     *   origin: [x, y] of the top-left corner, pixelSize: [dx, dy] (both positive),
+     *   crs: { epsg, geographic, citation, towgs84? }, dpi, software
+     * @returns {Promise<Uint8Array>}
+     */
+    encode: async function(opts) {
+        const { width, height, rgba } = opts;
+        const spp = opts.alpha ? 4 : 3;
+        const compression = this.COMPRESSION[opts.compression] ? opts.compression : 'none';
+        const rowBytes = width * spp;
+        const rowsPerStrip = Math.max(1, Math.min(height, Math.floor(this.STRIP_BYTES / rowBytes)));
+        const stripCount = Math.ceil(height / rowsPerStrip);
+
+        const strips = [];
+        for (let s = 0; s < stripCount; s++) {
+            const y0 = s * rowsPerStrip;
+            const rows = Math.min(rowsPerStrip, height - y0);
+            const strip = new Uint8Array(rows * rowBytes);
+            if (spp === 4) {
+                strip.set(rgba.subarray(y0 * width * 4, (y0 + rows) * width * 4));
+            } else {
+                for (let src = y0 * width * 4, dst = 0; dst < strip.length; src += 4, dst += 3) {
+                    strip[dst] = rgba[src];
+                    strip[dst + 1] = rgba[src + 1];
+                    strip[dst + 2] = rgba[src + 2];
+                }
+            }
+            strips.push(await this._compress(strip, rowBytes, spp, compression));
+            // Let the UI breathe between strips on large rasters
+            if (s % 32 === 31) await new Promise(r => setTimeout(r, 0));
+        }
+
+        const stripOffsets = [];
+        let pos = 8;
+        strips.forEach((s) => {
+            stripOffsets.push(pos);
+            pos += s.length + (s.length & 1);
+        });
+        const ifd = this._ifd(this._tags(opts, spp, compression, [
+            [273, 4, stripOffsets],
+            [278, 4, [rowsPerStrip]],
+            [279, 4, strips.map(s => s.length)]
+        ]), pos);
+
+        const buf = new Uint8Array(pos + ifd.length);
+        buf.set(this._header(pos), 0);
+        strips.forEach((s, i) => buf.set(s, stripOffsets[i]));
+        buf.set(ifd, pos);
+        return buf;
+    },
+
+    /**
+     * Tiled TIFF written block by block, for rasters too large to hold as one
+     * canvas. Encoded tiles are kept as Blob parts (which browsers may page to
+     * disk) and the IFD goes at the end, so only one block is ever decoded.
+     * Takes the same options as encode() minus rgba, plus tileSize (multiple of 16).
+     * @returns {Object} - { addBlock(rgba, blockWidth, blockHeight, x0, y0), finish() -> Blob }
+     */
+    createTiled: function(opts) {
+        const T = opts.tileSize || 512;
+        const spp = opts.alpha ? 4 : 3;
+        const compression = this.COMPRESSION[opts.compression] ? opts.compression : 'none';
+        const across = Math.ceil(opts.width / T);
+        const down = Math.ceil(opts.height / T);
+        const offsets = new Array(across * down).fill(0);
+        const counts = new Array(across * down).fill(0);
+        const parts = [];
+        let pos = 8;
+
+        return {
+            // rgba is a block of the image whose top-left pixel is (x0, y0), both multiples of the tile size
+            addBlock: async (rgba, blockWidth, blockHeight, x0, y0) => {
+                if (x0 % T || y0 % T) throw new Error('GeoTIFF blocks must start on a tile boundary.');
+                for (let ty = 0; ty * T < blockHeight; ty++) {
+                    for (let tx = 0; tx * T < blockWidth; tx++) {
+                        // Edge tiles are padded to full size, as the format requires
+                        const tile = new Uint8Array(T * T * spp);
+                        const cols = Math.min(T, blockWidth - tx * T);
+                        const rows = Math.min(T, blockHeight - ty * T);
+                        for (let r = 0; r < rows; r++) {
+                            let src = ((ty * T + r) * blockWidth + tx * T) * 4;
+                            let dst = r * T * spp;
+                            for (let c = 0; c < cols; c++, src += 4, dst += spp) {
+                                tile[dst] = rgba[src];
+                                tile[dst + 1] = rgba[src + 1];
+                                tile[dst + 2] = rgba[src + 2];
+                                if (spp === 4) tile[dst + 3] = rgba[src + 3];
+                            }
+                        }
+                        const data = await this._compress(tile, T * spp, spp, compression);
+                        const index = (y0 / T + ty) * across + x0 / T + tx;
+                        offsets[index] = pos;
+                        counts[index] = data.length;
+                        parts.push(new Blob([data]));
+                        pos += data.length;
+                        if (pos & 1) {
+                            parts.push(new Uint8Array(1));
+                            pos++;
+                        }
+                        if (pos > 0xFFFFFFFF - 0x100000) {
+                            throw new Error('The GeoTIFF would exceed 4 GB. Choose a lower resolution or a smaller extent.');
+                        }
+                    }
+                }
+            },
+
+            finish: () => {
+                if (counts.some(c => !c)) throw new Error('GeoTIFF is missing tiles.');
+                const ifd = this._ifd(this._tags(opts, spp, compression, [
+                    [322, 4, [T]],
+                    [323, 4, [T]],
+                    [324, 4, offsets],
+                    [325, 4, counts]
+                ]), pos);
+                return new Blob([this._header(pos)].concat(parts, [ifd]), { type: 'image/tiff' });
+            }
+        };
+    }
+};
+
+// Export for usage in other scripts or UI
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GeoTiffWriter;
+} else {
+    window.GeoTiffWriter = GeoTiffWriter;
+}
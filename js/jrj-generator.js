@@ -82,6 +82,7 @@ function activateJrjSelectionMode() {
         const selectedFeatures = window.jrjSelectInteraction.getFeatures().getArray();
         const countEl = document.getElementById('jrj-selected-count');
         if (countEl) countEl.textContent = selectedFeatures.length;
+        syncMfInput();
     });
 
     const exportBtn = document.getElementById('jrj-panel-export-btn');
@@ -94,24 +95,8 @@ function activateJrjSelectionMode() {
                 return;
             }
             
-            const client = document.getElementById('jrj-client').value.trim();
-            const block = document.getElementById('jrj-block').value.trim();
-            const plotName = document.getElementById('jrj-plot').value.trim();
-            const calPoint = document.getElementById('jrj-calibration-point').value.trim();
-            
-            const district = document.getElementById('jrj-district').value.trim();
-            const county = document.getElementById('jrj-county').value.trim();
-            const surveyor = document.getElementById('jrj-surveyor-name').value.trim();
-            const supervisor = document.getElementById('jrj-supervisor-name').value.trim();
-            const crs = document.getElementById('jrj-crs').value;
-            const mf = parseFloat(document.getElementById('jrj-mf').value) || 0.999435;
-
-            if (!client || !block || !plotName || !calPoint || !district || !county || !surveyor || !crs) {
-                alert('Please fill in all required fields (marked with *).');
-                return;
-            }
-
-            const projectName = `Block ${block} Plot ${plotName}`;
+            const meta = readJrjPanelMeta();
+            if (!meta) return;
 
             const btn = document.getElementById('jrj-panel-export-btn');
             const origText = btn.innerHTML;
@@ -119,9 +104,7 @@ function activateJrjSelectionMode() {
             btn.disabled = true;
 
             try {
-                await generateJrjPackage(selectedFeatures, {
-                    client, projectName, block, plotName, calPoint, district, county, surveyor, supervisor, crs, mf, date: new Date().toISOString().slice(0, 10)
-                });
+                await generateJrjPackage(selectedFeatures, meta);
                 
                 if (typeof showToast === 'function') {
                     showToast('JRJ Package generated successfully!', 'success');
@@ -138,6 +121,55 @@ function activateJrjSelectionMode() {
         };
     }
 
+    const obsInput = document.getElementById('jrj-observations-file');
+    if (obsInput) {
+        obsInput.replaceWith(obsInput.cloneNode(true));
+        document.getElementById('jrj-observations-file').onchange = async function() {
+            const file = this.files && this.files[0];
+            this.value = '';
+            if (!file) return;
+
+            const meta = readJrjPanelMeta();
+            if (!meta) return;
+
+            try {
+                const text = await file.text();
+                const angleFormatEl = document.getElementById('jrj-angle-format');
+                const parsed = FieldObservations.parse(text, file.name, { angleFormat: angleFormatEl ? angleFormatEl.value : 'dms' });
+                await generateJrjFromObservations(parsed, meta);
+
+                if (typeof showToast === 'function') {
+                    showToast(`JRJ Package generated from ${file.name}`, 'success');
+                } else {
+                    alert('JRJ Package generated successfully!');
+                }
+            } catch (e) {
+                console.error('Error importing field observations:', e);
+                alert('Error importing field observations: ' + e.message);
+            }
+        };
+    }
+
+    const csvInput = document.getElementById('jrj-import-csv');
+    if (csvInput) {
+        csvInput.replaceWith(csvInput.cloneNode(true));
+        document.getElementById('jrj-import-csv').onchange = async function() {
+            const file = this.files && this.files[0];
+            this.value = '';
+            if (!file) return;
+            try {
+                const results = await importJrjCsv(file);
+                const failed = results.filter(r => !r.ok).length;
+                if (typeof showToast === 'function') {
+                    showToast(failed ? `${failed} of ${results.length} plot(s) in ${file.name} failed verification` : `${results.length} plot(s) imported and verified`, failed ? 'warning' : 'success');
+                }
+            } catch (e) {
+                console.error('Error importing JRJ CSV:', e);
+                alert('Error importing JRJ CSV: ' + e.message);
+            }
+        };
+    }
+
     const cancelBtn = document.getElementById('jrj-panel-cancel-btn');
     if (cancelBtn) {
         cancelBtn.replaceWith(cancelBtn.cloneNode(true));
@@ -150,6 +182,73 @@ function activateJrjSelectionMode() {
         };
     }
 
+    if (typeof bindDeedPlanAtlasControls === 'function') bindDeedPlanAtlasControls();
+
+    populateCorrectionProfiles();
+    const blockInput = document.getElementById('jrj-block');
+    if (blockInput) blockInput.onchange = populateCorrectionProfiles;
+
+    const mfSourceSelect = document.getElementById('jrj-mf-source');
+    if (mfSourceSelect) {
+        mfSourceSelect.onchange = function() {
+            const profile = this.value.startsWith('profile:')
+                ? loadCorrectionProfiles(document.getElementById('jrj-block').value.trim())[this.value.slice('profile:'.length)]
+                : null;
+            if (profile) {
+                if (profile.height !== undefined) document.getElementById('jrj-mean-height').value = profile.height;
+                if (profile.crs) document.getElementById('jrj-crs').value = profile.crs;
+            }
+            syncMfInput();
+        };
+    }
+    ['jrj-mean-height', 'jrj-crs'].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.onchange = syncMfInput;
+    });
+
+    const saveProfileBtn = document.getElementById('jrj-save-profile-btn');
+    if (saveProfileBtn) {
+        saveProfileBtn.replaceWith(saveProfileBtn.cloneNode(true));
+        document.getElementById('jrj-save-profile-btn').onclick = function() {
+            const block = document.getElementById('jrj-block').value.trim();
+            if (!block) {
+                alert('Enter the Block first: correction profiles are saved per project block.');
+                return;
+            }
+            const name = (prompt('Profile name (e.g. "Kira hilltop 1250m"):') || '').trim();
+            if (!name) return;
+
+            const mfSource = document.getElementById('jrj-mf-source').value;
+            const crs = document.getElementById('jrj-crs').value;
+            const height = parseFloat(document.getElementById('jrj-mean-height').value) || 0;
+            const mf = parseFloat(document.getElementById('jrj-mf').value) || 0.999435;
+            const profile = { mode: mfSource === 'derived' ? 'derived' : 'fixed', crs, height, utmScaleFactor: (mf - 1) * 1000, mslCorrection: 0, multiplyingFactor: mf };
+
+            // A derived profile keeps the height and recomputes per job; record the
+            // factors at the current selection's centroid when there is one.
+            const selected = window.jrjSelectInteraction ? window.jrjSelectInteraction.getFeatures().getArray() : [];
+            if (profile.mode === 'derived' && selected.length > 0) {
+                try {
+                    const extent = ol.extent.createEmpty();
+                    selected.forEach(f => ol.extent.extend(extent, f.getGeometry().getExtent()));
+                    const lonLat = ol.proj.transform(ol.extent.getCenter(extent), map.getView().getProjection(), 'EPSG:4326');
+                    const c = new JRJEngine().computeCorrections({ lat: lonLat[1], lon: lonLat[0], height, crs });
+                    Object.assign(profile, { utmScaleFactor: c.utmScaleFactor, mslCorrection: c.mslCorrection, multiplyingFactor: c.multiplyingFactor });
+                } catch (e) {
+                    console.error('Error deriving correction profile:', e);
+                }
+            }
+
+            saveCorrectionProfile(block, name, profile);
+            populateCorrectionProfiles();
+            document.getElementById('jrj-mf-source').value = 'profile:' + name;
+            syncMfInput();
+            if (typeof showToast === 'function') {
+                showToast(`Correction profile "${name}" saved for Block ${block}.`, 'success');
+            }
+        };
+    }
+
     const clearLabelsBtn = document.getElementById('jrj-clear-labels-btn');
     if (clearLabelsBtn) {
         clearLabelsBtn.replaceWith(clearLabelsBtn.cloneNode(true));
@@ -163,6 +262,297 @@ function activateJrjSelectionMode() {
     }
 }
 
+// Read and validate the JRJ panel job details; returns null after alerting
+function readJrjPanelMeta() {
+    const client = document.getElementById('jrj-client').value.trim();
+    const block = document.getElementById('jrj-block').value.trim();
+    const plotName = document.getElementById('jrj-plot').value.trim();
+    const calPoint = document.getElementById('jrj-calibration-point').value.trim();
+
+    const district = document.getElementById('jrj-district').value.trim();
+    const county = document.getElementById('jrj-county').value.trim();
+    const surveyor = document.getElementById('jrj-surveyor-name').value.trim();
+    const supervisor = document.getElementById('jrj-supervisor-name').value.trim();
+    const crs = document.getElementById('jrj-crs').value;
+    const mf = parseFloat(document.getElementById('jrj-mf').value) || 0.999435;
+    const adjustmentEl = document.getElementById('jrj-adjustment');
+    const adjustment = adjustmentEl ? adjustmentEl.value : 'bowditch';
+    const mfSourceEl = document.getElementById('jrj-mf-source');
+    const mfSource = mfSourceEl ? mfSourceEl.value : 'manual';
+    const heightEl = document.getElementById('jrj-mean-height');
+    const meanHeight = heightEl ? (parseFloat(heightEl.value) || 0) : 0;
+
+    if (!client || !block || !plotName || !calPoint || !district || !county || !surveyor || !crs) {
+        alert('Please fill in all required fields (marked with *).');
+        return null;
+    }
+
+    const projectName = `Block ${block} Plot ${plotName}`;
+    return { client, projectName, block, plotName, calPoint, district, county, surveyor, supervisor, crs, mf, mfSource, meanHeight, adjustment, date: new Date().toISOString().slice(0, 10) };
+}
+
+// Build a JRJ package straight from a parsed field file (FieldObservations.parse).
+// The field station names are mapped onto the jacket's CM numbering: the
+// backsight becomes CM1, the check station CM2 and the traverse stations CM3..
+// in the order they were occupied. The original names are kept as remarks.
+async function generateJrjFromObservations(parsed, meta) {
+    const traverse = FieldObservations.toTraverse(parsed);
+    if (traverse.boundary.length < 3) {
+        throw new Error('The traverse must occupy at least three stations to enclose a parcel.');
+    }
+
+    const ids = {};
+    ids[traverse.controls.cm1.stn] = 'CM1';
+    ids[traverse.controls.cm2.stn] = 'CM2';
+    traverse.boundary.forEach((name, i) => { ids[name] = 'CM' + (i + 3); });
+    const rename = s => s ? Object.assign({}, s, { stn: ids[s.stn] || s.stn }) : s;
+
+    const obs = traverse.observations;
+    const observations = Object.assign({}, obs, {
+        backsight: rename(obs.backsight),
+        start: rename(obs.start),
+        end: rename(obs.end),
+        endReference: rename(obs.endReference),
+        legs: obs.legs.map(l => Object.assign({}, l, { from: ids[l.from] || l.from, to: ids[l.to] || l.to }))
+    });
+
+    // Adjust once to place the parcel; the package recomputes from the same observations
+    const adjusted = new JRJEngine().adjustTraverse(observations, meta.adjustment || 'bowditch');
+    const sourceProjCode = map.getView().getProjection().getCode();
+    const ring = traverse.boundary.map(name => {
+        const a = adjusted.stations.find(s => s.stn === ids[name]);
+        return (sourceProjCode !== meta.crs) ? ol.proj.transform([a.e, a.n], meta.crs, sourceProjCode) : [a.e, a.n];
+    });
+    ring.push(ring[0].slice());
+
+    const feature = new ol.Feature({ geometry: new ol.geom.Polygon([ring]), name: meta.plotName });
+    const stationAliases = {};
+    Object.keys(ids).forEach(name => { if (name !== ids[name]) stationAliases[ids[name]] = name; });
+
+    await generateJrjPackage([feature], Object.assign({}, meta, {
+        observations,
+        controls: { cm1: traverse.controls.cm1, cm2: traverse.controls.cm2 },
+        stationAliases,
+        observationSource: parsed.format.toUpperCase()
+    }));
+}
+
+// Subdivision workflow record for the mutation form (page 1) and job history
+// (page 3): the parent parcel archived through archive_parcel_transaction, the
+// children written by save_subdivision_parcels and the cases/messages on both.
+// Returns null when the selection is not linked to saved parcels or offline.
+async function loadSubdivisionRecord(features) {
+    const sb = window.supabaseClient;
+    const uids = features.map(f => (f.getProperties() || {}).unique_id).filter(Boolean);
+    if (!sb || uids.length === 0) return null;
+
+    const parcelCols = 'id, unique_id, layer_name, client, area_hectares, parent_parcel_id, is_archived, archive_reason, created_at';
+    try {
+        const { data: selected, error } = await sb.from('polygon_features').select(parcelCols).in('unique_id', uids);
+        if (error) throw error;
+        if (!selected || selected.length === 0) return null;
+
+        let parent = null;
+        let children = selected;
+        const parentId = selected.map(r => r.parent_parcel_id).find(Boolean);
+        if (parentId) {
+            const { data: parentRow } = await sb.from('polygon_features').select(parcelCols).eq('id', parentId).maybeSingle();
+            parent = parentRow || null;
+            const { data: siblings } = await sb.from('polygon_features').select(parcelCols).eq('parent_parcel_id', parentId).order('unique_id');
+            if (siblings && siblings.length) children = siblings;
+        }
+
+        const caseUids = children.map(c => c.unique_id).concat(parent ? [parent.unique_id] : []);
+        const { data: cases } = await sb.from('parcel_cases')
+            .select('id, parcel_unique_id, case_type, current_status, reason, created_at, case_messages(message_type, content, created_at)')
+            .in('parcel_unique_id', caseUids)
+            .order('created_at', { ascending: true });
+
+        const history = [];
+        (cases || []).forEach(c => {
+            history.push({ date: c.created_at, parcel: c.parcel_unique_id, event: c.case_type, status: c.current_status, details: c.reason || '' });
+            (c.case_messages || []).filter(m => m.message_type === 'system').forEach(m => {
+                history.push({ date: m.created_at, parcel: c.parcel_unique_id, event: 'note', status: '', details: m.content });
+            });
+        });
+        [parent].concat(children).filter(Boolean).forEach(r => {
+            history.push({ date: r.created_at, parcel: r.unique_id, event: r === parent ? 'parent parcel saved' : 'parcel saved', status: '', details: r.layer_name || '' });
+        });
+        history.sort((a, b) => String(a.date).localeCompare(String(b.date)));
+
+        return { parent, children, history };
+    } catch (e) {
+        console.warn('Subdivision record unavailable for JRJ:', e);
+        return null;
+    }
+}
+
+// Overlay a JRJ CSV from disk (see js/jrj-importer.js) and list what did not verify
+let jrjImportLayer = null;
+
+async function importJrjCsv(file) {
+    const parsed = JrjImporter.parse(await file.text());
+    const crs = parsed.crs || document.getElementById('jrj-crs').value;
+    const results = JrjImporter.verify(parsed);
+
+    if (!jrjImportLayer) {
+        jrjImportLayer = new ol.layer.Vector({
+            source: new ol.source.Vector(),
+            style: function(feature) {
+                const color = feature.get('jrj_verified') ? '#27ae60' : '#c0392b';
+                return new ol.style.Style({
+                    stroke: new ol.style.Stroke({ color, width: 2, lineDash: [6, 4] }),
+                    fill: new ol.style.Fill({ color: 'rgba(255, 255, 255, 0.1)' }),
+                    text: new ol.style.Text({
+                        text: feature.get('name'),
+                        font: 'bold 12px "Open Sans", "Arial Unicode MS", "sans-serif"',
+                        fill: new ol.style.Fill({ color }),
+                        stroke: new ol.style.Stroke({ color: '#ffffff', width: 3 })
+                    })
+                });
+            },
+            zIndex: 999
+        });
+        map.addLayer(jrjImportLayer);
+    }
+
+    const viewProj = map.getView().getProjection().getCode();
+    const toView = c => (viewProj !== crs) ? ol.proj.transform([c.e, c.n], crs, viewProj) : [c.e, c.n];
+    const closeRing = ring => { const r = ring.map(toView); r.push(r[0].slice()); return r; };
+    const source = jrjImportLayer.getSource();
+    source.clear();
+    results.forEach(res => {
+        source.addFeature(new ol.Feature({
+            geometry: new ol.geom.Polygon([closeRing(res.plot.outer)].concat(res.plot.exclusions.map(closeRing))),
+            name: res.plot.id,
+            jrj_source: file.name,
+            jrj_verified: res.ok,
+            jrj_issues: res.issues.join('; ')
+        }));
+    });
+    map.getView().fit(source.getExtent(), { padding: [60, 60, 60, 60], maxZoom: 20 });
+
+    const report = document.getElementById('jrj-import-report');
+    if (report) {
+        report.style.display = 'block';
+        report.innerHTML = results.map(res => {
+            const head = `<b>${res.plot.id}</b>: ${res.computedNetArea.toFixed(3)} m&sup2; computed` +
+                (isFinite(res.statedNetArea) ? `, ${res.statedNetArea.toFixed(3)} m&sup2; in file` : '');
+            const status = res.ok ? '<span style="color:#27ae60;">verified</span>' :
+                `<span style="color:#c0392b;">${res.issues.length} issue(s)</span><ul style="margin:4px 0 0 16px;padding:0;">${res.issues.map(i => `<li>${i}</li>`).join('')}</ul>`;
+            return `<div style="margin-bottom:6px;">${head} &mdash; ${status}</div>`;
+        }).join('');
+    }
+    return results;
+}
+
+// --- 2. Scale Factor / MSL Correction Profiles ---
+// Named profiles are kept per project (the JRJ block) in localStorage:
+// { "<block>": { "<name>": { mode, height, crs, utmScaleFactor, mslCorrection, multiplyingFactor } } }
+const JRJ_PROFILES_KEY = 'jrj_correction_profiles';
+
+function loadCorrectionProfiles(project) {
+    try {
+        const all = JSON.parse(localStorage.getItem(JRJ_PROFILES_KEY) || '{}');
+        return all[project || '_default'] || {};
+    } catch (e) {
+        console.error("Error parsing JRJ correction profiles from localStorage", e);
+        return {};
+    }
+}
+
+function saveCorrectionProfile(project, name, profile) {
+    let all = {};
+    try { all = JSON.parse(localStorage.getItem(JRJ_PROFILES_KEY) || '{}'); } catch (e) {}
+    const key = project || '_default';
+    all[key] = all[key] || {};
+    all[key][name] = Object.assign({}, profile, { name, savedAt: new Date().toISOString() });
+    localStorage.setItem(JRJ_PROFILES_KEY, JSON.stringify(all));
+}
+
+function populateCorrectionProfiles() {
+    const select = document.getElementById('jrj-mf-source');
+    const blockEl = document.getElementById('jrj-block');
+    if (!select) return;
+    const current = select.value;
+    const profiles = loadCorrectionProfiles(blockEl ? blockEl.value.trim() : '');
+    select.innerHTML = '<option value="derived">Derive from job location &amp; height</option>' +
+        '<option value="manual">Use MF entered above</option>';
+    Object.keys(profiles).forEach(name => {
+        const opt = document.createElement('option');
+        opt.value = 'profile:' + name;
+        opt.textContent = `Profile: ${name} (MF ${profiles[name].multiplyingFactor.toFixed(6)})`;
+        select.appendChild(opt);
+    });
+    if ([...select.options].some(o => o.value === current)) select.value = current;
+    syncMfInput();
+}
+
+// Centroid of the JRJ selection, else the map centre, as [lon, lat]
+function jrjJobLonLat() {
+    if (typeof map === 'undefined') return null;
+    const selected = window.jrjSelectInteraction ? window.jrjSelectInteraction.getFeatures().getArray() : [];
+    const extent = ol.extent.createEmpty();
+    selected.forEach(f => ol.extent.extend(extent, f.getGeometry().getExtent()));
+    const centre = ol.extent.isEmpty(extent) ? map.getView().getCenter() : ol.extent.getCenter(extent);
+    return centre ? ol.proj.transform(centre, map.getView().getProjection(), 'EPSG:4326') : null;
+}
+
+// The MF input is only read with the manual source (resolveJobCorrections);
+// otherwise it is locked and shows the factor the job will use.
+function syncMfInput() {
+    const select = document.getElementById('jrj-mf-source');
+    const input = document.getElementById('jrj-mf');
+    if (!select || !input) return;
+    input.disabled = select.value !== 'manual';
+    if (select.value === 'manual') return;
+
+    let height = parseFloat(document.getElementById('jrj-mean-height').value) || 0;
+    if (select.value.startsWith('profile:')) {
+        const profile = loadCorrectionProfiles(document.getElementById('jrj-block').value.trim())[select.value.slice('profile:'.length)];
+        if (!profile) return;
+        if (profile.mode !== 'derived') {
+            input.value = profile.multiplyingFactor.toFixed(6);
+            return;
+        }
+        height = profile.height;
+    }
+    // Derived, here at the selection (or map centre); the job recomputes it at its own centroid
+    const lonLat = jrjJobLonLat();
+    if (!lonLat) return;
+    try {
+        const c = new JRJEngine().computeCorrections({ lat: lonLat[1], lon: lonLat[0], height, crs: document.getElementById('jrj-crs').value });
+        input.value = c.multiplyingFactor.toFixed(6);
+    } catch (e) {
+        console.error('Error deriving multiplying factor:', e);
+    }
+}
+
+// Resolve the correction set for a job from the panel choice (meta.mfSource)
+// and the job centroid, and make it the engine's active set.
+function resolveJobCorrections(engine, meta, centroidLonLat) {
+    const site = { lat: centroidLonLat[1], lon: centroidLonLat[0], height: meta.meanHeight, crs: meta.crs };
+    const source = meta.mfSource || 'manual';
+
+    if (source === 'derived') {
+        return Object.assign({ source: 'Derived' }, engine.applySiteCorrections(site));
+    }
+    if (source.startsWith('profile:')) {
+        const name = source.slice('profile:'.length);
+        const profile = loadCorrectionProfiles(meta.block)[name];
+        if (!profile) throw new Error(`Correction profile "${name}" was not found.`);
+        if (profile.mode === 'derived') {
+            site.height = profile.height;
+            return Object.assign({ source: `Profile ${name}` }, engine.applySiteCorrections(site));
+        }
+        engine.setCorrections(profile.utmScaleFactor, profile.mslCorrection);
+        return { source: `Profile ${name}`, utmScaleFactor: profile.utmScaleFactor, mslCorrection: profile.mslCorrection, multiplyingFactor: engine.multiplyingFactor, height: profile.height };
+    }
+    // Manual MF: no split is known, so the whole correction sits on the scale term
+    engine.setCorrections((meta.mf - 1) * 1000, 0);
+    return { source: 'Manual', utmScaleFactor: engine.utmScaleFactor, mslCorrection: 0, multiplyingFactor: meta.mf, height: meta.meanHeight };
+}
+
 // Math Helpers
 function formatBearing(decimalDegrees) {
     let d = decimalDegrees;
@@ -195,8 +585,23 @@ function getGridDistance(x1, y1, x2, y2) {
     return Math.sqrt(Math.pow(x2 - x1, 2) + Math.pow(y2 - y1, 2));
 }
 
+// Refresh the per-edge distance, cross-product and area of a closed ring
+// after its station coordinates have moved.
+function recomputeRing(ring) {
+    let area = 0;
+    for (let i = 0; i < ring.coords.length - 1; i++) {
+        const curr = ring.coords[i];
+        const next = ring.coords[i + 1];
+        curr.crossProd = (curr.n * next.e) - (next.n * curr.e);
+        curr.dist = getGridDistance(curr.e, curr.n, next.e, next.n);
+        area += curr.crossProd;
+    }
+    ring.areaSqm = Math.abs(area) / 2;
+}
+
 // Generate the JRJ Package
 async function generateJrjPackage(features, meta) {
+    const subdivision = await loadSubdivisionRecord(features);
     const stations = []; 
     const plots = []; 
     
@@ -240,8 +645,13 @@ async function generateJrjPackage(features, meta) {
                 if (stations.length === 0 && metricCoords.length > 0 && ringIndex === 0) {
                     const baseN = metricCoords[0][1];
                     const baseE = metricCoords[0][0];
-                    stations.push({ id: 'CM1', n: baseN - 1.5, e: baseE - 28.8 });
-                    stations.push({ id: 'CM2', n: baseN - 16.5, e: baseE - 14.5 });
+                    if (meta.controls) {
+                        stations.push({ id: 'CM1', n: meta.controls.cm1.n, e: meta.controls.cm1.e });
+                        stations.push({ id: 'CM2', n: meta.controls.cm2.n, e: meta.controls.cm2.e });
+                    } else {
+                        stations.push({ id: 'CM1', n: baseN - 1.5, e: baseE - 28.8 });
+                        stations.push({ id: 'CM2', n: baseN - 16.5, e: baseE - 14.5 });
+                    }
                 }
 
                 const ringObj = { coords: [], areaSqm: 0, isExclusion: ringIndex > 0 };
@@ -295,6 +705,61 @@ async function generateJrjPackage(features, meta) {
         throw new Error("Invalid polygon selection.");
     }
 
+    // Traverse Reduction
+    // Reduced through JRJEngine so the closure statistics are real rather than
+    // typed in. Field observations (meta.observations) take precedence over
+    // the map geometry and their adjusted coordinates replace the stations.
+    const engine = new JRJEngine();
+
+    // Multiplying factor from the job centroid (boundary stations) and mean height
+    const bdyForMf = stations.slice(2);
+    const centroidDest = [
+        bdyForMf.reduce((sum, st) => sum + st.e, 0) / bdyForMf.length,
+        bdyForMf.reduce((sum, st) => sum + st.n, 0) / bdyForMf.length
+    ];
+    const corrections = resolveJobCorrections(engine, meta, ol.proj.transform(centroidDest, destProj, 'EPSG:4326'));
+    meta.mf = Number(corrections.multiplyingFactor.toFixed(6));
+    meta.corrections = corrections;
+
+    const adjustMethod = meta.adjustment || 'bowditch';
+    const toEngineStn = s => ({ stn: s.id, n: s.n, e: s.e });
+    const cm1 = stations[0];
+    const cm2 = stations[1];
+    const traverseObs = meta.observations ||
+        engine.deriveObservations(toEngineStn(cm1), stations.slice(2).map(toEngineStn), toEngineStn(cm1));
+    const adjusted = engine.adjustTraverse(traverseObs, adjustMethod);
+
+    if (meta.observations) {
+        adjusted.stations.forEach(a => {
+            const s = stations.find(st => st.id === a.stn);
+            if (s) { s.n = a.n; s.e = a.e; }
+        });
+        plots.forEach(plot => {
+            plot.netAreaSqm = 0;
+            [plot.outerRing].concat(plot.innerRings).forEach(ring => {
+                if (!ring) return;
+                ring.coords.forEach(c => {
+                    const s = stations.find(st => st.id === c.stn);
+                    if (s) { c.n = s.n; c.e = s.e; }
+                });
+                recomputeRing(ring);
+                plot.netAreaSqm += ring.isExclusion ? -ring.areaSqm : ring.areaSqm;
+            });
+        });
+    }
+
+    // Interior angles and (n - 2) x 180 check for every ring
+    plots.forEach(plot => {
+        [plot.outerRing].concat(plot.innerRings).forEach(ring => {
+            if (!ring) return;
+            ring.angles = engine.computeTraverse(ring.coords.map(c => ({ stn: c.stn, n: c.n, e: c.e })));
+            ring.angleCheck = engine.computeAngleCheck(ring.angles);
+        });
+    });
+    const ringAngleAt = (ring, i) => ring.angles[i % ring.angles.length].interiorAngle;
+    const fmtAngle = a => `${a.deg} ${a.min} ${a.sec}`;
+    const angleCheckLine = chk => `Sum of angles = ${fmtAngle(chk.computed)}   (n-2)x180 = ${fmtAngle(chk.theoretical)}   Discrepancy = ${chk.discrepancySec}"`;
+
     const labelData = stations.map(s => {
         const mapCoords = (sourceProjCode !== destProj) ? ol.proj.transform([s.e, s.n], destProj, sourceProjCode) : [s.e, s.n];
         return { id: s.id, x: mapCoords[0], y: mapCoords[1] };
@@ -302,9 +767,6 @@ async function generateJrjPackage(features, meta) {
     localStorage.setItem('jrj_labels', JSON.stringify(labelData));
     renderJrjLabels();
 
-    const cm1 = stations[0];
-    const cm2 = stations[1];
-    
     // Field Notes Logic (Single Pass over unique stations)
     const fieldNotesRows = [];
     function addObservation(stn, targetId, isOrientation = false) {
@@ -350,8 +812,8 @@ async function generateJrjPackage(features, meta) {
         const tRows = [];
         if (stations.length < 3) return { rows: tRows, sumDist: 0 };
 
-        const startStn = stations[2];
-        const endStn = stations[stations.length - 1];
+        const startStn = stations.find(s => s.id === adjusted.stations[0].stn) || stations[2];
+        const endStn = stations.find(s => s.id === adjusted.stations[adjusted.stations.length - 1].stn) || stations[stations.length - 1];
 
         // Orientation: bearings from CM3 to CM1 and CM2
         const brg1_fmt = formatBearing(getGridBearing(startStn.e, startStn.n, cm1.e, cm1.n));
@@ -360,21 +822,21 @@ async function generateJrjPackage(features, meta) {
         tRows.push({ stn: 'CM2', isHeader: true, obs: brg2_fmt, adj: brg2_fmt });
 
         // Starting station
-        let sumDist = 0;
-        let curN = startStn.n, curE = startStn.e;
-        tRows.push({ stn: startStn.id, isStart: true, n: curN, e: curE });
-
-        // Walk through all stations linearly (same order as field notes)
-        for (let i = 2; i < stations.length - 1; i++) {
-            const p1 = stations[i];
-            const p2 = stations[i + 1];
-            const dist = getGridDistance(p1.e, p1.n, p2.e, p2.n);
-            const fmt = formatBearing(getGridBearing(p1.e, p1.n, p2.e, p2.n));
-            const dN = p2.n - p1.n;
-            const dE = p2.e - p1.e;
-            curN += dN; curE += dE; sumDist += dist;
-            tRows.push({ stn: p2.id, obs: fmt, adj: fmt, dist: dist, dN: dN, dE: dE, n: curN, e: curE });
-        }
+        tRows.push({ stn: startStn.id, isStart: true, n: startStn.n, e: startStn.e });
+
+        // Adjusted legs (same order as field notes)
+        adjusted.legs.forEach(leg => {
+            tRows.push({
+                stn: leg.to,
+                obs: formatBearing(leg.obsBearingDec),
+                adj: formatBearing(leg.adjBearingDec),
+                cor: leg.angleCorrSec,
+                dist: leg.distance,
+                dN: leg.dN, corrN: leg.corrN,
+                dE: leg.dE, corrE: leg.corrE,
+                n: leg.n, e: leg.e
+            });
+        });
 
         // Tie-back from last station to CM1 and CM2
         const distT1 = getGridDistance(endStn.e, endStn.n, cm1.e, cm1.n);
@@ -385,11 +847,40 @@ async function generateJrjPackage(features, meta) {
         const fmtT2 = formatBearing(getGridBearing(endStn.e, endStn.n, cm2.e, cm2.n));
         tRows.push({ stn: 'CM2', obs: fmtT2, adj: fmtT2, dist: distT2, dN: cm2.n - endStn.n, dE: cm2.e - endStn.e, n: cm2.n, e: cm2.e, isTie: true });
 
-        return { rows: tRows, sumDist: sumDist };
+        return { rows: tRows, sumDist: adjusted.closure.perimeter, closure: adjusted.closure };
+    }
+
+    // Closure sheet strings, shared by the CSV and the PDF
+    function formatClosure(c) {
+        const ang = c.angularMisclosureSec === null ? 'n/a' : `${c.angularMisclosureSec.toFixed(1)}"`;
+        const perStn = c.angularPerStationSec === null ? 'n/a' : `${c.angularPerStationSec.toFixed(1)}"`;
+        return {
+            angular: ang,
+            perStation: perStn,
+            linear: c.linearMisclosure.toFixed(3),
+            perimeter: c.perimeter.toFixed(2),
+            misN: c.misN.toFixed(3),
+            misE: c.misE.toFixed(3),
+            ratio: c.precisionStr,
+            method: c.method === 'transit' ? 'Transit' : 'Bowditch'
+        };
     }
 
     const unifiedTraverse = buildUnifiedTraverse();
 
+    // Mutation form: parent parcel and resulting parcels. Saved subdivision
+    // children are used when the selection came from the database, otherwise
+    // the plots computed in this package.
+    const computedAreaHa = plots.reduce((sum, p) => sum + p.netAreaSqm, 0) / 10000;
+    const mutation = {
+        parent: subdivision ? subdivision.parent : null,
+        resulting: (subdivision && subdivision.children.length)
+            ? subdivision.children.map(c => ({ id: c.unique_id, owner: c.client || meta.client, areaHa: Number(c.area_hectares) || 0 }))
+            : plots.map(p => ({ id: p.id, owner: meta.client, areaHa: p.netAreaSqm / 10000 })),
+        history: subdivision ? subdivision.history : []
+    };
+    const fmtHistoryDate = d => d ? String(d).slice(0, 10) : '';
+
 
     const cm3 = stations[2];
     const cmN = stations[stations.length - 1];
@@ -400,10 +891,31 @@ async function generateJrjPackage(features, meta) {
     // CSV BUILDING (Unchanged)
     let csv = "JOB RECORD JACKET EXPORT\n";
     csv += `Client:,${meta.client}\nProject:,${meta.projectName}\nDistrict:,${meta.district}\nCounty:,${meta.county}\n`;
-    csv += `Surveyor:,${meta.surveyor}\nSupervisor:,${meta.supervisor}\nCRS:,${meta.crs}\nDate:,${meta.date}\nMF:,${meta.mf}\n\n`;
+    csv += `Surveyor:,${meta.surveyor}\nSupervisor:,${meta.supervisor}\nCRS:,${meta.crs}\nDate:,${meta.date}\nMF:,${meta.mf}\n`;
+    csv += `MF source:,${meta.corrections.source}\nScale factor (ppt):,${meta.corrections.utmScaleFactor.toFixed(4)}\nMSL correction (ppt):,${meta.corrections.mslCorrection.toFixed(4)}\nMean height (m):,${meta.corrections.height || 0}\n`;
+    if (typeof DatumTransform !== 'undefined' && DatumTransform.isArc1960(meta.crs)) {
+        csv += `Datum transformation:,${DatumTransform.getActiveSet().label},"${DatumTransform.describe()}"\n`;
+    }
+    if (meta.observationSource) csv += `Observations:,${meta.observationSource} field file\n`;
+    csv += `\n`;
+
+    csv += "MUTATION FORM\n";
+    if (mutation.parent) {
+        csv += `Parent parcel:,${mutation.parent.unique_id}\nParent owner:,${mutation.parent.client || ''}\nParent area (ha):,${(Number(mutation.parent.area_hectares) || 0).toFixed(4)}\nArchive reason:,${mutation.parent.archive_reason || ''}\n`;
+    }
+    csv += "RESULTING PARCEL,OWNER,AREA (ha)\n";
+    mutation.resulting.forEach(r => csv += `${r.id},"${String(r.owner).replace(/"/g, '""')}",${r.areaHa.toFixed(4)}\n`);
+    csv += `Computed area (ha):,${computedAreaHa.toFixed(4)}\n\n`;
+
+    if (mutation.history.length) {
+        csv += "JOB HISTORY\nDATE,PARCEL,EVENT,STATUS,DETAILS\n";
+        mutation.history.forEach(h => csv += `${fmtHistoryDate(h.date)},${h.parcel},${h.event},${h.status},"${String(h.details).replace(/"/g, '""')}"\n`);
+        csv += "\n";
+    }
 
-    csv += "ABSTRACT OF FINAL RESULTS\nSTN,NORTHINGS,EASTINGS\n";
-    stations.forEach(s => csv += `${s.id},${s.n.toFixed(4)},${s.e.toFixed(4)}\n`);
+    csv += "ABSTRACT OF FINAL RESULTS\nSTN,NORTHINGS,EASTINGS,REMARKS\n";
+    const aliases = meta.stationAliases || {};
+    stations.forEach(s => csv += `${s.id},${s.n.toFixed(4)},${s.e.toFixed(4)},${aliases[s.id] || ''}\n`);
     csv += "\n";
 
     csv += "FIELD NOTES\nStn,Direction D,M,S,Cor,Bearing D,M,S,F/dist,S/dist,V.A,H/dist,REMARKS\n";
@@ -427,12 +939,14 @@ async function generateJrjPackage(features, meta) {
         } else if (row.isTie) {
             csv += `${row.stn},${row.obs.deg},${row.obs.min},${row.obs.sec},0,${row.adj.deg},${row.adj.min},${row.adj.sec},${row.dist.toFixed(2)},${row.dN.toFixed(2)},,${row.dE.toFixed(2)},,${row.n.toFixed(2)},${row.e.toFixed(2)},,\n`;
         } else {
-            csv += `${row.stn},${row.obs.deg},${row.obs.min},${row.obs.sec},0,${row.adj.deg},${row.adj.min},${row.adj.sec},${row.dist.toFixed(2)},${row.dN.toFixed(2)},0.00,${row.dE.toFixed(2)},0.00,${row.n.toFixed(2)},${row.e.toFixed(2)},${row.stn},\n`;
+            csv += `${row.stn},${row.obs.deg},${row.obs.min},${row.obs.sec},${row.cor.toFixed(1)},${row.adj.deg},${row.adj.min},${row.adj.sec},${row.dist.toFixed(2)},${row.dN.toFixed(2)},${row.corrN.toFixed(3)},${row.dE.toFixed(2)},${row.corrE.toFixed(3)},${row.n.toFixed(2)},${row.e.toFixed(2)},${row.stn},\n`;
         }
     });
-    csv += `,,,,,,,,,,,,,,,,0.00,0.00,,\n`;
-    csv += `angular misclosure is,0,,,,,,,,Linear misclosure is,0.00,in,${unifiedTraverse.sumDist.toFixed(2)},,,,\n`;
-    csv += `misclosure per stn is,0,,,,,,,,OR,1,in,2803873,,,,\n\n`;
+    const closureFmt = formatClosure(unifiedTraverse.closure);
+    csv += `,,,,,,,,,,,,,,,,${closureFmt.misN},${closureFmt.misE},,\n`;
+    csv += `angular misclosure is,${closureFmt.angular},,,,,,,,Linear misclosure is,${closureFmt.linear},in,${closureFmt.perimeter},,,,\n`;
+    csv += `misclosure per stn is,${closureFmt.perStation},,,,,,,,OR,${closureFmt.ratio},,,,,,\n`;
+    csv += `adjustment method,${closureFmt.method},,,,,,,,,,,,,,,\n\n`;
 
 
     csv += "DATUM COMPUTATIONS\nI/S NO:,0\nstation,Northing,Easting,comp bearing,dist (m)\n";
@@ -446,22 +960,24 @@ async function generateJrjPackage(features, meta) {
 
     csv += "AREA COMPUTATIONS\n";
     plots.forEach(plot => {
-        csv += `${plot.id}\nStation,N(m),E(m),Cross-Product,DISTANCE (m)\n`;
+        csv += `${plot.id}\nStation,N(m),E(m),Cross-Product,DISTANCE (m),INT. ANGLE\n`;
         if (plot.outerRing) {
-            csv += `${plot.outerRing.coords[0].stn},${plot.outerRing.coords[0].n.toFixed(3)},${plot.outerRing.coords[0].e.toFixed(3)},,\n`;
+            csv += `${plot.outerRing.coords[0].stn},${plot.outerRing.coords[0].n.toFixed(3)},${plot.outerRing.coords[0].e.toFixed(3)},,,\n`;
             for (let i = 1; i < plot.outerRing.coords.length; i++) {
-                csv += `${plot.outerRing.coords[i].stn},${plot.outerRing.coords[i].n.toFixed(3)},${plot.outerRing.coords[i].e.toFixed(3)},${plot.outerRing.coords[i-1].crossProd.toExponential(2)},${plot.outerRing.coords[i-1].dist.toFixed(3)}\n`;
+                csv += `${plot.outerRing.coords[i].stn},${plot.outerRing.coords[i].n.toFixed(3)},${plot.outerRing.coords[i].e.toFixed(3)},${plot.outerRing.coords[i-1].crossProd.toExponential(2)},${plot.outerRing.coords[i-1].dist.toFixed(3)},${fmtAngle(ringAngleAt(plot.outerRing, i))}\n`;
             }
-            csv += `Outer Area =, ${plot.outerRing.areaSqm.toFixed(3)} sq m\n\n`;
+            csv += `Outer Area =, ${plot.outerRing.areaSqm.toFixed(3)} sq m\n`;
+            csv += `Angle check =,${angleCheckLine(plot.outerRing.angleCheck)}\n\n`;
         }
         
         plot.innerRings.forEach((inner, idx) => {
-            csv += `${plot.id} - EXCLUSION ${idx + 1}\nStation,N(m),E(m),Cross-Product,DISTANCE (m)\n`;
-            csv += `${inner.coords[0].stn},${inner.coords[0].n.toFixed(3)},${inner.coords[0].e.toFixed(3)},,\n`;
+            csv += `${plot.id} - EXCLUSION ${idx + 1}\nStation,N(m),E(m),Cross-Product,DISTANCE (m),INT. ANGLE\n`;
+            csv += `${inner.coords[0].stn},${inner.coords[0].n.toFixed(3)},${inner.coords[0].e.toFixed(3)},,,\n`;
             for (let i = 1; i < inner.coords.length; i++) {
-                csv += `${inner.coords[i].stn},${inner.coords[i].n.toFixed(3)},${inner.coords[i].e.toFixed(3)},${inner.coords[i-1].crossProd.toExponential(2)},${inner.coords[i-1].dist.toFixed(3)}\n`;
+                csv += `${inner.coords[i].stn},${inner.coords[i].n.toFixed(3)},${inner.coords[i].e.toFixed(3)},${inner.coords[i-1].crossProd.toExponential(2)},${inner.coords[i-1].dist.toFixed(3)},${fmtAngle(ringAngleAt(inner, i))}\n`;
             }
-            csv += `Less Area =, ${inner.areaSqm.toFixed(3)} sq m\n\n`;
+            csv += `Less Area =, ${inner.areaSqm.toFixed(3)} sq m\n`;
+            csv += `Angle check =,${angleCheckLine(inner.angleCheck)}\n\n`;
         });
         
         const ac = plot.netAreaSqm / 4046.8564224;
@@ -496,7 +1012,10 @@ async function generateJrjPackage(features, meta) {
             doc.text(`Date: ${meta.date}`, 110, 32);
             
             doc.text(`CRS: ${meta.crs}`, 200 - marginX, 22, { align: 'right' });
-            doc.text(`MF: ${meta.mf}`, 200 - marginX, 27, { align: 'right' });
+            doc.text(`MF: ${meta.mf.toFixed(6)}`, 200 - marginX, 27, { align: 'right' });
+            doc.setFontSize(7);
+            doc.text(`${meta.corrections.source}: SF ${meta.corrections.utmScaleFactor.toFixed(4)}, MSL ${meta.corrections.mslCorrection.toFixed(4)} ppt`, 200 - marginX, 36, { align: 'right' });
+            doc.setFontSize(9);
             doc.line(marginX, 40, 200 - marginX, 40);
             doc.setFont('helvetica', 'bold');
             doc.text(pageTitle, pageCenter, 46, { align: 'center' });
@@ -508,8 +1027,54 @@ async function generateJrjPackage(features, meta) {
         }
     }
 
+    // --- PHYSICAL PAGE 1: MUTATION FORM ---
+    let mutY = drawHeader("MUTATION FORM", "PAGE 1");
+    doc.setFontSize(10);
+    doc.setFont('helvetica', 'bold');
+    doc.text('PARENT PARCEL', marginX, mutY + 2);
+    doc.autoTable({
+        startY: mutY + 5,
+        body: mutation.parent ? [
+            ['Parcel No.', mutation.parent.unique_id],
+            ['Registered proprietor', mutation.parent.client || ''],
+            ['Layer', mutation.parent.layer_name || ''],
+            ['Area (ha)', (Number(mutation.parent.area_hectares) || 0).toFixed(4)],
+            ['Reason', mutation.parent.archive_reason || '']
+        ] : [
+            ['Parcel No.', `Block ${meta.block} Plot ${meta.plotName}`],
+            ['Registered proprietor', meta.client],
+            ['Area (ha)', computedAreaHa.toFixed(4)]
+        ],
+        theme: 'grid',
+        columnStyles: { 0: { fontStyle: 'bold', cellWidth: 55 } },
+        styles: { fontSize: 9, lineWidth: 0.1 }
+    });
+
+    mutY = doc.lastAutoTable.finalY + 10;
+    doc.setFont('helvetica', 'bold');
+    doc.text('RESULTING PARCELS', marginX, mutY);
+    doc.autoTable({
+        startY: mutY + 3,
+        head: [['PARCEL', 'OWNER', 'AREA (ha)', 'AREA (acres)']],
+        body: mutation.resulting.map(r => [r.id, r.owner, r.areaHa.toFixed(4), (r.areaHa * 10000 / 4046.8564224).toFixed(3)]),
+        foot: [['TOTAL', '', mutation.resulting.reduce((sum, r) => sum + r.areaHa, 0).toFixed(4), '']],
+        theme: 'grid',
+        headStyles: { fontStyle: 'bold', fillColor: [236, 240, 241], textColor: [0,0,0] },
+        footStyles: { fontStyle: 'bold', fillColor: [236, 240, 241], textColor: [0,0,0] },
+        styles: { fontSize: 9, halign: 'center', lineWidth: 0.1 }
+    });
+
+    mutY = doc.lastAutoTable.finalY + 8;
+    doc.setFontSize(9);
+    doc.setFont('helvetica', 'normal');
+    doc.text(`Computed area of surveyed plots: ${computedAreaHa.toFixed(4)} ha`, marginX, mutY);
+    doc.text('......................................................................', marginX, mutY + 25);
+    doc.text('REGISTERED PROPRIETOR', marginX + 12, mutY + 31);
+    doc.text('..................................................................', 210 - marginX - 70, mutY + 25);
+    doc.text('SURVEYOR', 210 - marginX - 45, mutY + 31);
+
     // --- PHYSICAL PAGE 2: INDEX ---
-    // (This is the very first page rendered in our PDF, but labeled PAGE 2)
+    doc.addPage();
     drawHeader("INDEX TO COMPUTATIONS", "PAGE 2", false);
     doc.autoTable({
         startY: 35,
@@ -541,7 +1106,10 @@ async function generateJrjPackage(features, meta) {
     const cm3Str = cm3 ? cm3.id : 'CM3';
     const cmNStr = cmN ? cmN.id : 'CM_N';
 
-    const historyText = `The purpose of the survey was.......................................................................................................
+    const purposeStr = (mutation.parent && /subdivision/i.test(mutation.parent.archive_reason || ''))
+        ? `subdivision of parcel ${mutation.parent.unique_id} into ${mutation.resulting.length} parcels (${mutation.resulting.map(r => r.id).join(', ')}).`
+        : (mutation.parent ? `${mutation.parent.archive_reason || 'mutation'} of parcel ${mutation.parent.unique_id}.` : '.......................................................................................................');
+    const historyText = `The purpose of the survey was ${purposeStr}
 
 Plot was surveyed under instructions of the registered proprietors.
 
@@ -557,9 +1125,28 @@ All misclosures are within the acceptable limits.`;
     doc.setFont('helvetica', 'normal');
     const lines = doc.splitTextToSize(historyText, 210 - (marginX * 2));
     doc.text(lines, marginX, 35);
-    
+
+    let sigY = 160;
+    if (mutation.history.length) {
+        doc.autoTable({
+            startY: 35 + lines.length * 5 + 5,
+            head: [['DATE', 'PARCEL', 'EVENT', 'STATUS', 'DETAILS']],
+            body: mutation.history.map(h => [fmtHistoryDate(h.date), h.parcel, h.event, h.status, h.details]),
+            theme: 'grid',
+            headStyles: { fontStyle: 'bold', fillColor: [236, 240, 241], textColor: [0,0,0] },
+            styles: { fontSize: 8, lineWidth: 0.1 },
+            columnStyles: { 4: { cellWidth: 70 } }
+        });
+        sigY = Math.max(sigY, doc.lastAutoTable.finalY + 20);
+        if (sigY > 270) {
+            doc.addPage();
+            sigY = 40;
+        }
+        doc.setFontSize(11);
+        doc.setFont('helvetica', 'normal');
+    }
+
     // Signatures
-    const sigY = 160;
     doc.text('......................................................................', marginX, sigY);
     doc.text('FIELD SURVEYOR', marginX + 15, sigY + 6);
     
@@ -1010,7 +1597,7 @@ All misclosures are within the acceptable limits.`;
         } else if (row.isTie) {
             trData.push([row.stn, row.obs.deg, row.obs.min, row.obs.sec, "0", row.adj.deg, row.adj.min, row.adj.sec, row.dist.toFixed(2), row.dN.toFixed(2), "", row.dE.toFixed(2), "", row.n.toFixed(2), row.e.toFixed(2), "", ""]);
         } else {
-            trData.push([row.stn, row.obs.deg, row.obs.min, row.obs.sec, "0", row.adj.deg, row.adj.min, row.adj.sec, row.dist.toFixed(2), row.dN.toFixed(2), "0.00", row.dE.toFixed(2), "0.00", row.n.toFixed(2), row.e.toFixed(2), row.stn, ""]);
+            trData.push([row.stn, row.obs.deg, row.obs.min, row.obs.sec, row.cor.toFixed(1), row.adj.deg, row.adj.min, row.adj.sec, row.dist.toFixed(2), row.dN.toFixed(2), row.corrN.toFixed(3), row.dE.toFixed(2), row.corrE.toFixed(3), row.n.toFixed(2), row.e.toFixed(2), row.stn, ""]);
         }
     });
 
@@ -1030,10 +1617,11 @@ All misclosures are within the acceptable limits.`;
     let traverseEndY = doc.lastAutoTable.finalY + 5;
     doc.setFontSize(8);
     doc.setFont('helvetica', 'normal');
-    doc.text('angular misclosure is 0', marginX, traverseEndY);
-    doc.text('misclosure per stn is 0', marginX, traverseEndY + 5);
-    doc.text('Linear misclosure is 0.00 in ' + unifiedTraverse.sumDist.toFixed(2), marginX + 100, traverseEndY);
-    doc.text('OR 1 in 2803873', marginX + 100, traverseEndY + 5);
+    doc.text('angular misclosure is ' + closureFmt.angular, marginX, traverseEndY);
+    doc.text('misclosure per stn is ' + closureFmt.perStation, marginX, traverseEndY + 5);
+    doc.text(`adjustment: ${closureFmt.method} (dN ${closureFmt.misN}, dE ${closureFmt.misE})`, marginX, traverseEndY + 10);
+    doc.text('Linear misclosure is ' + closureFmt.linear + ' in ' + closureFmt.perimeter, marginX + 100, traverseEndY);
+    doc.text('OR ' + closureFmt.ratio, marginX + 100, traverseEndY + 5);
 
 
     // --- PHYSICAL PAGE 10: AREA COMPUTATIONS ---
@@ -1055,14 +1643,14 @@ All misclosures are within the acceptable limits.`;
         if (plot.outerRing) {
             doc.setFontSize(9);
             const aData = [];
-            aData.push([plot.outerRing.coords[0].stn, plot.outerRing.coords[0].n.toFixed(3), plot.outerRing.coords[0].e.toFixed(3), "", ""]);
+            aData.push([plot.outerRing.coords[0].stn, plot.outerRing.coords[0].n.toFixed(3), plot.outerRing.coords[0].e.toFixed(3), "", "", ""]);
             for (let i = 1; i < plot.outerRing.coords.length; i++) {
-                aData.push([plot.outerRing.coords[i].stn, plot.outerRing.coords[i].n.toFixed(3), plot.outerRing.coords[i].e.toFixed(3), plot.outerRing.coords[i-1].crossProd.toExponential(2), plot.outerRing.coords[i-1].dist.toFixed(3)]);
+                aData.push([plot.outerRing.coords[i].stn, plot.outerRing.coords[i].n.toFixed(3), plot.outerRing.coords[i].e.toFixed(3), plot.outerRing.coords[i-1].crossProd.toExponential(2), plot.outerRing.coords[i-1].dist.toFixed(3), fmtAngle(ringAngleAt(plot.outerRing, i))]);
             }
 
             doc.autoTable({
                 startY: currentYArea,
-                head: [['Station', 'N(m)', 'E(m)', 'Cross-Product', 'DISTANCE (m)']],
+                head: [['Station', 'N(m)', 'E(m)', 'Cross-Product', 'DISTANCE (m)', 'INT. ANGLE']],
                 body: aData,
                 theme: 'grid',
                 headStyles: { fontStyle: 'bold', fillColor: [236, 240, 241], textColor: [0,0,0] },
@@ -1070,7 +1658,8 @@ All misclosures are within the acceptable limits.`;
             });
             currentYArea = doc.lastAutoTable.finalY + 5;
             doc.text(`Outer Area = ${plot.outerRing.areaSqm.toFixed(3)} sq m`, marginX + 20, currentYArea);
-            currentYArea += 8;
+            doc.text(angleCheckLine(plot.outerRing.angleCheck), marginX + 20, currentYArea + 5);
+            currentYArea += 13;
         }
 
         plot.innerRings.forEach((inner, idx) => {
@@ -1084,14 +1673,14 @@ All misclosures are within the acceptable limits.`;
             currentYArea += 2;
             
             const aData = [];
-            aData.push([inner.coords[0].stn, inner.coords[0].n.toFixed(3), inner.coords[0].e.toFixed(3), "", ""]);
+            aData.push([inner.coords[0].stn, inner.coords[0].n.toFixed(3), inner.coords[0].e.toFixed(3), "", "", ""]);
             for (let i = 1; i < inner.coords.length; i++) {
-                aData.push([inner.coords[i].stn, inner.coords[i].n.toFixed(3), inner.coords[i].e.toFixed(3), inner.coords[i-1].crossProd.toExponential(2), inner.coords[i-1].dist.toFixed(3)]);
+                aData.push([inner.coords[i].stn, inner.coords[i].n.toFixed(3), inner.coords[i].e.toFixed(3), inner.coords[i-1].crossProd.toExponential(2), inner.coords[i-1].dist.toFixed(3), fmtAngle(ringAngleAt(inner, i))]);
             }
 
             doc.autoTable({
                 startY: currentYArea,
-                head: [['Station', 'N(m)', 'E(m)', 'Cross-Product', 'DISTANCE (m)']],
+                head: [['Station', 'N(m)', 'E(m)', 'Cross-Product', 'DISTANCE (m)', 'INT. ANGLE']],
                 body: aData,
                 theme: 'grid',
                 headStyles: { fontStyle: 'bold', fillColor: [236, 240, 241], textColor: [0,0,0] },
@@ -1099,7 +1688,8 @@ All misclosures are within the acceptable limits.`;
             });
             currentYArea = doc.lastAutoTable.finalY + 5;
             doc.text(`Less Area = ${inner.areaSqm.toFixed(3)} sq m`, marginX + 20, currentYArea);
-            currentYArea += 8;
+            doc.text(angleCheckLine(inner.angleCheck), marginX + 20, currentYArea + 5);
+            currentYArea += 13;
         });
 
         const ac = plot.netAreaSqm / 4046.8564224;
@@ -1121,8 +1711,8 @@ All misclosures are within the acceptable limits.`;
     startY = drawHeader("ABSTRACT OF FINAL RESULTS", "PAGE 11");
     doc.autoTable({
         startY: startY,
-        head: [['STN', 'NORTHINGS (m)', 'EASTINGS (m)']],
-        body: stations.map(s => [s.id, s.n.toFixed(4), s.e.toFixed(4)]),
+        head: [['STN', 'NORTHINGS (m)', 'EASTINGS (m)', 'REMARKS']],
+        body: stations.map(s => [s.id, s.n.toFixed(4), s.e.toFixed(4), aliases[s.id] || '']),
         theme: 'grid',
         headStyles: { fontStyle: 'bold', fillColor: [236, 240, 241], textColor: [0,0,0] },
         styles: { fontSize: 9, halign: 'center', lineWidth: 0.1 }
@@ -0,0 +1,214 @@
+/**
+ * GSP.NET JRJ CSV Importer
+ * Reads JRJ CSVs written by generateJrjPackage (js/jrj-generator.js) or by
+ * GisExportEngine._buildJrjCsv back into plot rings, then re-checks the
+ * areas, distances, bearings and interior angles the file states against
+ * values recomputed with JRJEngine.
+ */
+
+const JrjImporter = {
+
+    // Area tolerance (sq m), distance tolerance (m) and angle tolerance (seconds)
+    tolerances: { area: 0.05, distance: 0.005, angleSec: 1 },
+
+    // Split one CSV line. Quoted fields may carry an unescaped trailing quote
+    // (older exports wrote bearings as "12° 3' 4"" without doubling it).
+    splitLine: function(line) {
+        const out = [];
+        let i = 0;
+        while (i <= line.length) {
+            if (line[i] === '"') {
+                let end = line.indexOf('",', i + 1);
+                if (end < 0) end = line.lastIndexOf('"');
+                // A doubled quote right before the delimiter belongs to the value
+                while (end > i + 1 && line.indexOf('",', end + 1) === end + 1) end++;
+                out.push(line.slice(i + 1, end).replace(/""/g, '"'));
+                i = end + 2;
+            } else {
+                let end = line.indexOf(',', i);
+                if (end < 0) end = line.length;
+                out.push(line.slice(i, end).trim());
+                i = end + 1;
+            }
+        }
+        return out;
+    },
+
+    // Degrees from "123° 45' 30"", "123 45 30" or separate D/M/S cells
+    parseDms: function(str) {
+        const parts = String(str).split(/[^0-9.]+/).filter(Boolean).map(Number);
+        if (!parts.length) return NaN;
+        return parts[0] + (parts[1] || 0) / 60 + (parts[2] || 0) / 3600;
+    },
+
+    /**
+     * @returns {Object} - { source: 'jacket'|'export', crs, plots: [{ id, outer, exclusions, stated }] }
+     *   outer / exclusions hold [{ stn, n, e, dist?, angle? }] (open rings).
+     */
+    parse: function(text) {
+        const lines = text.replace(/^﻿/, '').split(/\r?\n/);
+        const first = (lines.find(l => l.trim()) || '').trim();
+        const crsLine = lines.find(l => /^CRS:?,/.test(l));
+        const crs = crsLine ? this.splitLine(crsLine)[1] : null;
+        if (first.startsWith('JOB RECORD JACKET')) return this._parseJacket(lines, crs);
+        if (lines.some(l => l.startsWith('JRJ MAIN TRAVERSE'))) return this._parseExport(lines, crs);
+        throw new Error('This file is not a JRJ CSV (no AREA COMPUTATIONS or JRJ MAIN TRAVERSE section).');
+    },
+
+    _parseJacket: function(lines, crs) {
+        const start = lines.findIndex(l => l.startsWith('AREA COMPUTATIONS'));
+        if (start < 0) throw new Error('The JRJ CSV has no AREA COMPUTATIONS section.');
+
+        const plots = [];
+        const byId = {};
+        let ring = null;
+        for (let i = start + 1; i < lines.length; i++) {
+            const line = lines[i].trim();
+            if (!line) { ring = null; continue; }
+
+            // A ring header line is followed by the Station,N(m),E(m) column row
+            if (lines[i + 1] && lines[i + 1].startsWith('Station,')) {
+                const m = line.match(/^(.*) - EXCLUSION (\d+)$/);
+                const id = m ? m[1] : line;
+                if (!byId[id]) {
+                    byId[id] = { id, outer: [], exclusions: [], stated: { outerArea: NaN, lessAreas: [], netArea: NaN, angleChecks: [] } };
+                    plots.push(byId[id]);
+                }
+                ring = [];
+                if (m) byId[id].exclusions.push(ring); else byId[id].outer = ring;
+                ring.plot = byId[id];
+                i++;
+                continue;
+            }
+
+            const f = this.splitLine(line);
+            if (ring && f.length >= 3 && isFinite(parseFloat(f[1])) && isFinite(parseFloat(f[2]))) {
+                ring.push({ stn: f[0], n: parseFloat(f[1]), e: parseFloat(f[2]), dist: parseFloat(f[4]), angle: f[5] ? this.parseDms(f[5]) : NaN });
+                continue;
+            }
+            if (ring && /^(Outer|Less) Area =/.test(f[0])) {
+                const v = parseFloat(f[1]);
+                if (f[0].startsWith('Outer')) ring.plot.stated.outerArea = v; else ring.plot.stated.lessAreas.push(v);
+                continue;
+            }
+            const net = line.match(/^NET AREA COMPUTATION FOR (.*)$/);
+            if (net) { ring = { plot: byId[net[1]] }; continue; }
+            if (ring && ring.plot && f[0] === 'square metres =') ring.plot.stated.netArea = parseFloat(f[1]);
+        }
+
+        plots.forEach(p => {
+            p.outer = this._jacketRing(p.outer);
+            p.exclusions = p.exclusions.map(r => this._jacketRing(r));
+        });
+        if (!plots.length) throw new Error('No plots were found in the AREA COMPUTATIONS section.');
+        return { source: 'jacket', crs, plots };
+    },
+
+    _parseExport: function(lines, crs) {
+        const plot = { id: 'Plot 1', outer: [], exclusions: [], stated: { netArea: NaN, lines: [] } };
+        let ring = null;
+        let hasCoords = false;
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i].trim();
+            if (line.startsWith('JRJ MAIN TRAVERSE')) { ring = plot.outer; i++; continue; }
+            if (/^EXCLUSION \d+ TRAVERSE/.test(line)) { ring = []; plot.exclusions.push(ring); i++; continue; }
+            if (line.startsWith('AREA')) {
+                const f = this.splitLine(lines[i + 2] || '');
+                plot.stated.netArea = parseFloat(f[0]);
+                break;
+            }
+            if (!ring || !line) continue;
+            const f = this.splitLine(line);
+            if (f.length < 4 || !isFinite(parseFloat(f[2]))) continue;
+            const n = parseFloat(f[5]);
+            const e = parseFloat(f[6]);
+            if (isFinite(n) && isFinite(e)) hasCoords = true;
+            ring.push({ stn: f[0], n, e, dist: parseFloat(f[2]), bearing: this.parseDms(f[3]), angle: f[4] ? this.parseDms(f[4]) : NaN });
+        }
+        if (!hasCoords) {
+            throw new Error('This export CSV predates coordinate columns; only bearings and distances are recorded so the plot cannot be placed on the map.');
+        }
+        return { source: 'export', crs, plots: [plot] };
+    },
+
+    // Area rows are written closed (first station repeated) and each row holds
+    // the distance of the leg arriving at it. Re-key to open rings where every
+    // station carries its outgoing leg and its own angle, as the export rows do.
+    _jacketRing: function(rows) {
+        const closed = rows.length > 1 && rows[0].stn === rows[rows.length - 1].stn;
+        const open = closed ? rows.slice(0, -1) : rows.slice();
+        return open.map((c, i) => ({
+            stn: c.stn,
+            n: c.n,
+            e: c.e,
+            dist: rows[i + 1] ? rows[i + 1].dist : NaN,
+            angle: (i === 0 && closed) ? rows[rows.length - 1].angle : c.angle
+        }));
+    },
+
+    /**
+     * Recompute each plot and compare with what the file states.
+     * @returns {Array} - [{ plot, ok, computedNetArea, statedNetArea, issues: [string] }]
+     */
+    verify: function(parsed, engine = new JRJEngine()) {
+        const tol = this.tolerances;
+        return parsed.plots.map(plot => {
+            const issues = [];
+            const result = engine.computeAll(plot.outer, plot.exclusions);
+            const computedNet = result.area.sqMeters;
+
+            const checkRing = (ring, traverse, label) => {
+                traverse.forEach((line, i) => {
+                    const src = ring[i];
+                    if (isFinite(src.dist) && Math.abs(src.dist - line.distance) > tol.distance) {
+                        issues.push(`${label} ${line.from}-${line.to}: distance ${src.dist.toFixed(3)} in file, ${line.distance.toFixed(3)} computed`);
+                    }
+                    if (isFinite(src.bearing) && this._angleDiffSec(src.bearing, line.bearingDec) > this._angleTolSec(line.distance, line.distance)) {
+                        issues.push(`${label} ${line.from}-${line.to}: bearing ${engine.decimalToDMS(src.bearing).str} in file, ${line.bearing.str} computed`);
+                    }
+                    const prev = traverse[(i + traverse.length - 1) % traverse.length];
+                    if (isFinite(src.angle) && this._angleDiffSec(src.angle, line.interiorAngleDec) > this._angleTolSec(prev.distance, line.distance)) {
+                        issues.push(`${label} angle at ${line.station}: ${engine.decimalToDMS(src.angle).str} in file, ${line.interiorAngle.str} computed`);
+                    }
+                });
+            };
+
+            checkRing(plot.outer, result.traverse, 'Outer');
+            (result.insets || []).forEach((inset, idx) => checkRing(plot.exclusions[idx], inset.traverse, `Exclusion ${idx + 1}`));
+
+            // Millimetre coordinates move the area by up to half a millimetre times the perimeter
+            const perimeter = result.traverse.concat(...(result.insets || []).map(i => i.traverse)).reduce((sum, l) => sum + l.distance, 0);
+            const areaTol = Math.max(tol.area, perimeter * 0.0005);
+            const stated = plot.stated.netArea;
+            if (isFinite(stated) && Math.abs(stated - computedNet) > areaTol) {
+                issues.push(`Net area ${stated.toFixed(3)} m² in file, ${computedNet.toFixed(3)} m² computed`);
+            }
+            if (isFinite(plot.stated.outerArea)) {
+                const outerOnly = engine.computeArea(plot.outer).sqMeters;
+                if (Math.abs(plot.stated.outerArea - outerOnly) > areaTol) {
+                    issues.push(`Outer area ${plot.stated.outerArea.toFixed(3)} m² in file, ${outerOnly.toFixed(3)} m² computed`);
+                }
+            }
+            return { plot, ok: issues.length === 0, computedNetArea: computedNet, statedNetArea: stated, issues };
+        });
+    },
+
+    // Coordinates are written to the millimetre, so short legs cannot
+    // reproduce the stated angle to the second; widen the check to match.
+    _angleTolSec: function(distIn, distOut) {
+        const rounding = 0.0005 * 206264.8;
+        return this.tolerances.angleSec + rounding * (1 / Math.max(distIn, 0.01) + 1 / Math.max(distOut, 0.01));
+    },
+
+    _angleDiffSec: function(a, b) {
+        const d = Math.abs(((a - b) % 360 + 540) % 360 - 180);
+        return d * 3600;
+    }
+};
+
+// Export for usage in other scripts or UI
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JrjImporter;
+} else {
+    window.JrjImporter = JrjImporter;
+}
@@ -0,0 +1,204 @@
+/**
+ * GSP.NET KML / KMZ Writer
+ * Styled KML for Google Earth: one Folder and shared Style per map layer
+ * (colours from the layer's OpenLayers style), HTML description balloons
+ * with the parcel's ID, owner, area and attributes, and ExtendedData for GIS
+ * readers. KMZ packs doc.kml with field photos under files/, referenced from
+ * the balloons so they open offline.
+ */
+
+const KmlWriter = {
+
+    ID_KEYS: ['unique_id', 'UNIQUE_ID', 'parcel_id', 'nlis_id', 'NLIS_ID'],
+    OWNER_KEYS: ['owner', 'Owner', 'OWNER', 'owner_name', 'OwnerName', 'client', 'Client', 'CLIENT'],
+    PHOTO_WIDTH: 320,
+
+    /**
+     * @param {Array} layers - [{ name, features: ol.Feature[], style: GeoPackage.styleFromLayer() result }]
+     * @param {Object} options - { name, featureProjection, photos?: Map<ol.Feature, [{ href, caption }]>,
+     *   photoPoints?: [{ href, caption, lonLat: [lon, lat], time }] }
+     * @returns {string} KML document
+     */
+    write: function(layers, options) {
+        const opts = options || {};
+        const photos = opts.photos || new Map();
+        let styles = '';
+        let folders = '';
+
+        layers.forEach((layer, i) => {
+            const id = 'layer-' + (i + 1);
+            styles += this._style(id, layer.style);
+            let placemarks = '';
+            layer.features.forEach((feature, j) => {
+                const geom = feature.getGeometry();
+                const kmlGeom = geom && this._geometry(geom, opts.featureProjection);
+                if (!kmlGeom) return;
+                placemarks += '<Placemark>' +
+                    '<name>' + this._esc(this._name(feature, layer.name, j)) + '</name>' +
+                    '<styleUrl>#' + id + '</styleUrl>' +
+                    '<description><![CDATA[' + this._cdata(this._description(feature, layer.name, photos.get(feature), opts.featureProjection)) + ']]></description>' +
+                    this._extendedData(feature) +
+                    kmlGeom +
+                    '</Placemark>';
+            });
+            if (placemarks) folders += '<Folder><name>' + this._esc(layer.name) + '</name>' + placemarks + '</Folder>';
+        });
+
+        if (opts.photoPoints && opts.photoPoints.length) {
+            styles += '<Style id="photo"><IconStyle><scale>0.9</scale><Icon><href>http://maps.google.com/mapfiles/kml/shapes/camera.png</href></Icon></IconStyle></Style>';
+            folders += '<Folder><name>Field photos</name>' + opts.photoPoints.map((p) =>
+                '<Placemark><name>' + this._esc(p.caption) + '</name><styleUrl>#photo</styleUrl>' +
+                (p.time ? '<TimeStamp><when>' + this._esc(p.time) + '</when></TimeStamp>' : '') +
+                '<description><![CDATA[' + this._cdata(this._photoHtml([p])) + ']]></description>' +
+                '<Point><coordinates>' + p.lonLat[0].toFixed(7) + ',' + p.lonLat[1].toFixed(7) + '</coordinates></Point></Placemark>'
+            ).join('') + '</Folder>';
+        }
+
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>' +
+            '<name>' + this._esc(opts.name || 'GSPNET export') + '</name>' +
+            styles + folders +
+            '</Document></kml>\n';
+    },
+
+    /**
+     * KMZ (zipped KML). options.files are [{ path, data }] stored beside
+     * doc.kml, e.g. 'files/photo-1.jpg' referenced by a photo's href.
+     * @returns {Promise<Blob>}
+     */
+    writeKmz: async function(layers, options) {
+        const zip = new JSZip();
+        // Google Earth reads the first .kml entry, so doc.kml goes in first
+        zip.file('doc.kml', this.write(layers, options));
+        ((options && options.files) || []).forEach((f) => zip.file(f.path, f.data, { binary: true }));
+        return zip.generateAsync({ type: 'blob', mimeType: 'application/vnd.google-earth.kmz', compression: 'DEFLATE' });
+    },
+
+    // --- Styles ---
+
+    // KML colours are aabbggrr hex
+    _kmlColour: function(c) {
+        const hex = (v) => Math.round(Math.max(0, Math.min(255, v))).toString(16).padStart(2, '0');
+        const a = c[3] === undefined ? 1 : c[3];
+        return hex(a * 255) + hex(c[2]) + hex(c[1]) + hex(c[0]);
+    },
+
+    _style: function(id, s) {
+        const style = s || { fill: [59, 130, 246, 0.25], stroke: [37, 99, 235, 1], width: 2 };
+        return '<Style id="' + id + '">' +
+            '<IconStyle><color>' + this._kmlColour(style.stroke) + '</color><scale>0.8</scale>' +
+            '<Icon><href>http://maps.google.com/mapfiles/kml/shapes/placemark_circle.png</href></Icon></IconStyle>' +
+            '<LineStyle><color>' + this._kmlColour(style.stroke) + '</color><width>' + (style.width || 1) + '</width></LineStyle>' +
+            '<PolyStyle><color>' + this._kmlColour(style.fill) + '</color></PolyStyle>' +
+            '</Style>';
+    },
+
+    // --- Balloons ---
+
+    _pickKey: function(props, keys) {
+        return keys.find((k) => props[k] !== undefined && props[k] !== null && String(props[k]).trim() !== '');
+    },
+
+    _name: function(feature, layerName, index) {
+        const props = feature.getProperties();
+        const idKey = this._pickKey(props, this.ID_KEYS);
+        return idKey ? String(props[idKey]).trim() : props.name || props.Name || layerName + ' ' + (index + 1);
+    },
+
+    _simpleProps: function(feature) {
+        const props = feature.getProperties();
+        const out = {};
+        Object.keys(props).forEach((key) => {
+            const v = props[key];
+            if (key === feature.getGeometryName() || key.startsWith('__')) return;
+            if (v === null || v === undefined || typeof v === 'object' || typeof v === 'function') return;
+            out[key] = v;
+        });
+        return out;
+    },
+
+    _description: function(feature, layerName, photos, featureProjection) {
+        const props = feature.getProperties();
+        const geom = feature.getGeometry();
+        const rows = [];
+        const row = (label, value) => rows.push('<tr><td style="padding:2px 8px 2px 0;color:#555;"><b>' + this._esc(label) + '</b></td><td style="padding:2px 0;">' + this._esc(value) + '</td></tr>');
+
+        const idKey = this._pickKey(props, this.ID_KEYS);
+        const ownerKey = this._pickKey(props, this.OWNER_KEYS);
+        if (idKey) row('Unique ID', String(props[idKey]).trim());
+        if (ownerKey) row('Owner', String(props[ownerKey]).trim());
+        const type = geom && geom.getType();
+        if (type === 'Polygon' || type === 'MultiPolygon') {
+            const sqm = ol.sphere.getArea(geom, { projection: featureProjection || 'EPSG:3857' });
+            row('Area', (sqm / 10000).toFixed(4) + ' ha (' + (sqm / 4046.8564224).toFixed(3) + ' acres)');
+        }
+        row('Layer', layerName);
+
+        const simple = this._simpleProps(feature);
+        Object.keys(simple).forEach((k) => {
+            if (k !== idKey && k !== ownerKey) row(k, simple[k]);
+        });
+
+        return '<div style="font-family:Arial,sans-serif;font-size:12px;max-width:' + (this.PHOTO_WIDTH + 40) + 'px;">' +
+            '<table style="border-collapse:collapse;">' + rows.join('') + '</table>' +
+            (photos && photos.length ? this._photoHtml(photos) : '') +
+            '</div>';
+    },
+
+    _photoHtml: function(photos) {
+        return photos.map((p) =>
+            '<p style="margin:8px 0 0;"><img src="' + this._esc(p.href) + '" width="' + this.PHOTO_WIDTH + '"><br>' +
+            '<span style="color:#555;font-size:11px;">' + this._esc(p.caption || '') + '</span></p>'
+        ).join('');
+    },
+
+    _extendedData: function(feature) {
+        const simple = this._simpleProps(feature);
+        const keys = Object.keys(simple);
+        if (!keys.length) return '';
+        return '<ExtendedData>' + keys.map((k) =>
+            '<Data name="' + this._esc(k) + '"><value>' + this._esc(simple[k]) + '</value></Data>'
+        ).join('') + '</ExtendedData>';
+    },
+
+    // --- Geometry (KML is always WGS 84 lon,lat) ---
+
+    _geometry: function(geom, featureProjection) {
+        const g = geom.clone().transform(featureProjection || 'EPSG:3857', 'EPSG:4326');
+        const coords = (list) => list.filter((c) => isFinite(c[0]) && isFinite(c[1]))
+            .map((c) => c[0].toFixed(7) + ',' + c[1].toFixed(7)).join(' ');
+        const polygon = (rings) => '<Polygon>' + rings.map((ring, i) =>
+            (i === 0 ? '<outerBoundaryIs>' : '<innerBoundaryIs>') + '<LinearRing><coordinates>' + coords(ring) + '</coordinates></LinearRing>' +
+            (i === 0 ? '</outerBoundaryIs>' : '</innerBoundaryIs>')
+        ).join('') + '</Polygon>';
+        const type = g.getType();
+        const c = type === 'GeometryCollection' ? null : g.getCoordinates();
+
+        if (type === 'Point') return '<Point><coordinates>' + coords([c]) + '</coordinates></Point>';
+        if (type === 'LineString') return '<LineString><tessellate>1</tessellate><coordinates>' + coords(c) + '</coordinates></LineString>';
+        if (type === 'Polygon') return polygon(c);
+        if (type === 'MultiPoint') return '<MultiGeometry>' + c.map((p) => '<Point><coordinates>' + coords([p]) + '</coordinates></Point>').join('') + '</MultiGeometry>';
+        if (type === 'MultiLineString') return '<MultiGeometry>' + c.map((l) => '<LineString><tessellate>1</tessellate><coordinates>' + coords(l) + '</coordinates></LineString>').join('') + '</MultiGeometry>';
+        if (type === 'MultiPolygon') return '<MultiGeometry>' + c.map(polygon).join('') + '</MultiGeometry>';
+        if (type === 'GeometryCollection') {
+            const parts = g.getGeometries().map((part) => this._geometry(part, 'EPSG:4326')).filter(Boolean);
+            return parts.length ? '<MultiGeometry>' + parts.join('') + '</MultiGeometry>' : '';
+        }
+        return '';
+    },
+
+    _esc: function(v) {
+        return String(v).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[c]));
+    },
+
+    _cdata: function(html) {
+        return html.replace(/\]\]>/g, ']]]]><![CDATA[>');
+    }
+};
+
+// Export for usage in other scripts or UI
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KmlWriter;
+} else {
+    window.KmlWriter = KmlWriter;
+}
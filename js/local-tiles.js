@@ -0,0 +1,496 @@
+/**
+ * GSP.NET Local Tilesets
+ * Imports raster `.mbtiles` and `.pmtiles` files (e.g. drone orthomosaics
+ * tiled in the office) so they can be used as basemaps with no connection.
+ *
+ * MBTiles are opened once with sql.js (via GeoPackage.loadSql) and their
+ * tiles copied into IndexedDB keyed by XYZ, since SQLite needs the whole file
+ * in memory. PMTiles (v3) are kept as a single file in OPFS, falling back to
+ * an IndexedDB blob, and read with Blob.slice through the tile directory.
+ * Each tileset is served as an OpenLayers tile layer and a Cesium imagery
+ * provider.
+ */
+
+const LocalTiles = {
+
+    DB_NAME: 'gspnet-local-tiles',
+    DB_VERSION: 1,
+    OPFS_DIR: 'local-tiles',
+    EVENT: 'gspnet-local-tiles',
+    TILE_BATCH: 500,
+    // sql.js needs the whole file plus its own copy in memory; mobile tabs die well before 1 GB
+    MAX_MBTILES_BYTES: 256 * 1024 * 1024,
+
+    // PMTiles tile types we can draw as imagery
+    PMTILES_TYPES: { 2: 'png', 3: 'jpg', 4: 'webp', 5: 'avif' },
+    MIME: { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', webp: 'image/webp', avif: 'image/avif' },
+    EMPTY_TILE: 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7',
+
+    _dbPromise: null,
+    _pmtiles: {},
+
+    // --- Storage ---
+    _openDB: function() {
+        if (this._dbPromise) return this._dbPromise;
+        this._dbPromise = new Promise((resolve, reject) => {
+            const req = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+            req.onupgradeneeded = () => {
+                const db = req.result;
+                if (!db.objectStoreNames.contains('tilesets')) db.createObjectStore('tilesets', { keyPath: 'id' });
+                if (!db.objectStoreNames.contains('tiles')) db.createObjectStore('tiles');
+                if (!db.objectStoreNames.contains('files')) db.createObjectStore('files');
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => {
+                this._dbPromise = null;
+                reject(req.error);
+            };
+        });
+        return this._dbPromise;
+    },
+
+    _tx: async function(stores, mode, fn) {
+        const db = await this._openDB();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(stores, mode);
+            let result;
+            Promise.resolve(fn(tx)).then((r) => { result = r; }, reject);
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    },
+
+    _req: function(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    _tileKey: function(id, z, x, y) {
+        return `${id}/${z}/${x}/${y}`;
+    },
+
+    list: async function() {
+        const rows = await this._tx(['tilesets'], 'readonly', (tx) => this._req(tx.objectStore('tilesets').getAll()));
+        return rows.sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    get: function(id) {
+        return this._tx(['tilesets'], 'readonly', (tx) => this._req(tx.objectStore('tilesets').get(id)));
+    },
+
+    remove: async function(id) {
+        const entry = await this.get(id);
+        if (!entry) return;
+        await this._tx(['tilesets', 'tiles', 'files'], 'readwrite', (tx) => {
+            tx.objectStore('tilesets').delete(id);
+            tx.objectStore('files').delete(id);
+            tx.objectStore('tiles').delete(IDBKeyRange.bound(`${id}/`, `${id}/\uffff`));
+        });
+        if (entry.storage === 'opfs') {
+            try {
+                const dir = await this._opfsDir();
+                await dir.removeEntry(`${id}.pmtiles`);
+            } catch (e) {
+                console.warn('[LocalTiles] Could not remove OPFS file:', e);
+            }
+        }
+        delete this._pmtiles[id];
+        this._notify('removed', entry);
+    },
+
+    _opfsDir: async function() {
+        const root = await navigator.storage.getDirectory();
+        return root.getDirectoryHandle(this.OPFS_DIR, { create: true });
+    },
+
+    _notify: function(type, entry) {
+        if (typeof window !== 'undefined' && window.dispatchEvent) {
+            window.dispatchEvent(new CustomEvent(this.EVENT, { detail: { type, entry } }));
+        }
+    },
+
+    // --- Import ---
+
+    /**
+     * Import a File chosen by the user. Resolves to the stored tileset record.
+     * onProgress(done, total) reports tiles copied for MBTiles.
+     */
+    importFile: async function(file, onProgress) {
+        const ext = (file.name.split('.').pop() || '').toLowerCase();
+        const name = file.name.replace(/\.(mbtiles|pmtiles)$/i, '');
+        const id = `lt_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+        let entry;
+        if (ext === 'mbtiles') entry = await this._importMbtiles(file, id, name, onProgress);
+        else if (ext === 'pmtiles') entry = await this._importPmtiles(file, id, name);
+        else throw new Error('Choose an .mbtiles or .pmtiles file.');
+
+        await this._tx(['tilesets'], 'readwrite', (tx) => { tx.objectStore('tilesets').put(entry); });
+        this._notify('imported', entry);
+        return entry;
+    },
+
+    _importMbtiles: async function(file, id, name, onProgress) {
+        if (file.size > this.MAX_MBTILES_BYTES) {
+            throw new Error(`MBTiles files over ${this.formatBytes(this.MAX_MBTILES_BYTES)} can't be opened in the browser. Convert it to PMTiles with "pmtiles convert ${file.name} ${name}.pmtiles"; PMTiles is read from disk a tile at a time.`);
+        }
+        if (!window.GeoPackage) throw new Error('The SQLite engine is not available.');
+        const SQL = await GeoPackage.loadSql();
+        const db = new SQL.Database(new Uint8Array(await file.arrayBuffer()));
+        try {
+            const meta = {};
+            try {
+                const res = db.exec('SELECT name, value FROM metadata');
+                (res[0] ? res[0].values : []).forEach(([k, v]) => { meta[k] = v; });
+            } catch (e) {
+                throw new Error('Not an MBTiles file (no metadata table).');
+            }
+            const format = String(meta.format || 'png').toLowerCase();
+            if (format === 'pbf') throw new Error('Vector MBTiles cannot be used as a basemap; export raster tiles instead.');
+            if (!this.MIME[format]) throw new Error(`Unsupported tile format "${format}".`);
+
+            const total = db.exec('SELECT COUNT(*) FROM tiles')[0].values[0][0];
+            if (!total) throw new Error('The MBTiles file contains no tiles.');
+            const zr = db.exec('SELECT MIN(zoom_level), MAX(zoom_level) FROM tiles')[0].values[0];
+            const type = this.MIME[format];
+
+            // MBTiles rows are TMS (origin bottom-left); store as XYZ
+            const stmt = db.prepare('SELECT zoom_level, tile_column, tile_row, tile_data FROM tiles');
+            let done = 0;
+            let bytes = 0;
+            try {
+                let more = true;
+                while (more) {
+                    const batch = [];
+                    while (batch.length < this.TILE_BATCH && (more = stmt.step())) {
+                        const [z, x, tmsY, data] = stmt.get();
+                        if (!data) continue;
+                        const y = (1 << z) - 1 - tmsY;
+                        batch.push([this._tileKey(id, z, x, y), new Blob([data], { type })]);
+                        bytes += data.length;
+                    }
+                    if (batch.length) {
+                        await this._tx(['tiles'], 'readwrite', (tx) => {
+                            const store = tx.objectStore('tiles');
+                            batch.forEach(([key, blob]) => store.put(blob, key));
+                        });
+                    }
+                    done += batch.length;
+                    if (onProgress) onProgress(done, total);
+                }
+            } catch (err) {
+                await this._tx(['tiles'], 'readwrite', (tx) => {
+                    tx.objectStore('tiles').delete(IDBKeyRange.bound(`${id}/`, `${id}/\uffff`));
+                }).catch(() => {});
+                throw err;
+            } finally {
+                stmt.free();
+            }
+
+            const bounds = String(meta.bounds || '').split(',').map(Number);
+            return {
+                id,
+                name: meta.name || name,
+                kind: 'mbtiles',
+                storage: 'idb',
+                format,
+                minZoom: parseInt(meta.minzoom, 10) >= 0 ? parseInt(meta.minzoom, 10) : zr[0],
+                maxZoom: parseInt(meta.maxzoom, 10) >= 0 ? parseInt(meta.maxzoom, 10) : zr[1],
+                bounds: bounds.length === 4 && bounds.every(isFinite) ? bounds : null,
+                attribution: meta.attribution || '',
+                tileCount: done,
+                sizeBytes: bytes,
+                importedAt: new Date().toISOString()
+            };
+        } finally {
+            db.close();
+        }
+    },
+
+    _importPmtiles: async function(file, id, name) {
+        const header = this._parseHeader(await file.slice(0, 127).arrayBuffer());
+        const format = this.PMTILES_TYPES[header.tileType];
+        if (header.tileType === 1) throw new Error('Vector PMTiles cannot be used as a basemap; export raster tiles instead.');
+        if (!format) throw new Error('Unsupported PMTiles tile type.');
+        [header.internalCompression, header.tileCompression].forEach((c) => {
+            if (c > 2) throw new Error('Only uncompressed or gzip PMTiles are supported; re-export without brotli/zstd.');
+        });
+
+        let meta = {};
+        if (header.jsonMetadataLength > 0) {
+            try {
+                const raw = await this._decompress(
+                    await file.slice(header.jsonMetadataOffset, header.jsonMetadataOffset + header.jsonMetadataLength).arrayBuffer(),
+                    header.internalCompression
+                );
+                meta = JSON.parse(new TextDecoder().decode(raw));
+            } catch (e) {
+                console.warn('[LocalTiles] Unreadable PMTiles metadata:', e);
+            }
+        }
+
+        let storage = 'idb';
+        if (navigator.storage && navigator.storage.getDirectory) {
+            try {
+                const dir = await this._opfsDir();
+                const handle = await dir.getFileHandle(`${id}.pmtiles`, { create: true });
+                const writable = await handle.createWritable();
+                await writable.write(file);
+                await writable.close();
+                storage = 'opfs';
+            } catch (e) {
+                console.warn('[LocalTiles] OPFS unavailable, storing in IndexedDB:', e);
+            }
+        }
+        if (storage === 'idb') {
+            await this._tx(['files'], 'readwrite', (tx) => { tx.objectStore('files').put(file, id); });
+        }
+
+        return {
+            id,
+            name: meta.name || name,
+            kind: 'pmtiles',
+            storage,
+            format,
+            minZoom: header.minZoom,
+            maxZoom: header.maxZoom,
+            bounds: [header.minLon, header.minLat, header.maxLon, header.maxLat],
+            attribution: meta.attribution || '',
+            tileCount: header.numAddressedTiles,
+            sizeBytes: file.size,
+            importedAt: new Date().toISOString()
+        };
+    },
+
+    // --- PMTiles v3 reader ---
+    _parseHeader: function(buf) {
+        const v = new DataView(buf);
+        const magic = new TextDecoder().decode(new Uint8Array(buf, 0, 7));
+        if (magic !== 'PMTiles') throw new Error('Not a PMTiles file.');
+        if (v.getUint8(7) !== 3) throw new Error('Only PMTiles version 3 is supported.');
+        const u64 = (o) => v.getUint32(o, true) + v.getUint32(o + 4, true) * 4294967296;
+        return {
+            rootDirectoryOffset: u64(8),
+            rootDirectoryLength: u64(16),
+            jsonMetadataOffset: u64(24),
+            jsonMetadataLength: u64(32),
+            leafDirectoryOffset: u64(40),
+            leafDirectoryLength: u64(48),
+            tileDataOffset: u64(56),
+            tileDataLength: u64(64),
+            numAddressedTiles: u64(72),
+            internalCompression: v.getUint8(97),
+            tileCompression: v.getUint8(98),
+            tileType: v.getUint8(99),
+            minZoom: v.getUint8(100),
+            maxZoom: v.getUint8(101),
+            minLon: v.getInt32(102, true) / 1e7,
+            minLat: v.getInt32(106, true) / 1e7,
+            maxLon: v.getInt32(110, true) / 1e7,
+            maxLat: v.getInt32(114, true) / 1e7
+        };
+    },
+
+    _decompress: async function(buf, compression) {
+        if (compression !== 2) return new Uint8Array(buf);
+        const stream = new Blob([buf]).stream().pipeThrough(new DecompressionStream('gzip'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    },
+
+    _readDirectory: function(bytes) {
+        let pos = 0;
+        const varint = () => {
+            let result = 0;
+            let shift = 1;
+            let b;
+            do {
+                b = bytes[pos++];
+                result += (b & 0x7f) * shift;
+                shift *= 128;
+            } while (b & 0x80);
+            return result;
+        };
+        const n = varint();
+        const entries = new Array(n);
+        let lastId = 0;
+        for (let i = 0; i < n; i++) {
+            lastId += varint();
+            entries[i] = { tileId: lastId, offset: 0, length: 0, runLength: 0 };
+        }
+        for (let i = 0; i < n; i++) entries[i].runLength = varint();
+        for (let i = 0; i < n; i++) entries[i].length = varint();
+        for (let i = 0; i < n; i++) {
+            const raw = varint();
+            entries[i].offset = (raw === 0 && i > 0) ? entries[i - 1].offset + entries[i - 1].length : raw - 1;
+        }
+        return entries;
+    },
+
+    // Hilbert-curve tile id used by PMTiles
+    zxyToTileId: function(z, x, y) {
+        let acc = 0;
+        for (let t = 0; t < z; t++) acc += Math.pow(4, t);
+        let d = 0;
+        let tx = x;
+        let ty = y;
+        for (let s = Math.pow(2, z - 1); s >= 1; s /= 2) {
+            const rx = (tx & s) > 0 ? 1 : 0;
+            const ry = (ty & s) > 0 ? 1 : 0;
+            d += s * s * ((3 * rx) ^ ry);
+            if (ry === 0) {
+                if (rx === 1) {
+                    tx = s - 1 - tx;
+                    ty = s - 1 - ty;
+                }
+                [tx, ty] = [ty, tx];
+            }
+        }
+        return acc + d;
+    },
+
+    _findEntry: function(entries, tileId) {
+        let lo = 0;
+        let hi = entries.length - 1;
+        while (lo <= hi) {
+            const mid = (lo + hi) >> 1;
+            const cmp = tileId - entries[mid].tileId;
+            if (cmp > 0) lo = mid + 1;
+            else if (cmp < 0) hi = mid - 1;
+            else return entries[mid];
+        }
+        // Run-length entries and leaf pointers cover ids after their own
+        if (hi >= 0) {
+            const e = entries[hi];
+            if (e.runLength === 0 || tileId - e.tileId < e.runLength) return e;
+        }
+        return null;
+    },
+
+    // Open (and memoise) the stored PMTiles file with its header and root directory
+    _openPmtiles: function(entry) {
+        if (this._pmtiles[entry.id]) return this._pmtiles[entry.id];
+        const opened = (async () => {
+            let blob;
+            if (entry.storage === 'opfs') {
+                const dir = await this._opfsDir();
+                blob = await (await dir.getFileHandle(`${entry.id}.pmtiles`)).getFile();
+            } else {
+                blob = await this._tx(['files'], 'readonly', (tx) => this._req(tx.objectStore('files').get(entry.id)));
+            }
+            if (!blob) throw new Error(`Tileset file for "${entry.name}" is missing.`);
+            const header = this._parseHeader(await blob.slice(0, 127).arrayBuffer());
+            const root = this._readDirectory(await this._decompress(
+                await blob.slice(header.rootDirectoryOffset, header.rootDirectoryOffset + header.rootDirectoryLength).arrayBuffer(),
+                header.internalCompression
+            ));
+            return { blob, header, root, leaves: new Map() };
+        })();
+        opened.catch(() => { delete this._pmtiles[entry.id]; });
+        this._pmtiles[entry.id] = opened;
+        return opened;
+    },
+
+    _pmtilesTile: async function(entry, z, x, y) {
+        const pm = await this._openPmtiles(entry);
+        const { blob, header } = pm;
+        const tileId = this.zxyToTileId(z, x, y);
+        let dir = pm.root;
+        for (let depth = 0; depth < 4; depth++) {
+            const e = this._findEntry(dir, tileId);
+            if (!e) return null;
+            if (e.runLength > 0) {
+                const start = header.tileDataOffset + e.offset;
+                const data = await blob.slice(start, start + e.length).arrayBuffer();
+                const bytes = await this._decompress(data, header.tileCompression);
+                return new Blob([bytes], { type: this.MIME[entry.format] });
+            }
+            const leafStart = header.leafDirectoryOffset + e.offset;
+            if (!pm.leaves.has(leafStart)) {
+                pm.leaves.set(leafStart, this._readDirectory(await this._decompress(
+                    await blob.slice(leafStart, leafStart + e.length).arrayBuffer(),
+                    header.internalCompression
+                )));
+            }
+            dir = pm.leaves.get(leafStart);
+        }
+        return null;
+    },
+
+    /** Tile image as a Blob (XYZ addressing), or null where the tileset has none. */
+    getTile: async function(entry, z, x, y) {
+        if (z < entry.minZoom || z > entry.maxZoom) return null;
+        if (entry.kind === 'pmtiles') return this._pmtilesTile(entry, z, x, y);
+        const blob = await this._tx(['tiles'], 'readonly', (tx) => this._req(tx.objectStore('tiles').get(this._tileKey(entry.id, z, x, y))));
+        return blob || null;
+    },
+
+    // --- Map layers ---
+
+    /** OpenLayers base layer for a stored tileset (hidden until selected). */
+    createOlLayer: function(entry, options = {}) {
+        const source = new ol.source.XYZ({
+            minZoom: entry.minZoom,
+            maxZoom: entry.maxZoom,
+            attributions: entry.attribution || undefined,
+            tileUrlFunction: (coord) => `${entry.id}/${coord[0]}/${coord[1]}/${coord[2]}`,
+            tileLoadFunction: (tile, src) => {
+                const [z, x, y] = src.split('/').slice(1).map(Number);
+                const img = tile.getImage();
+                this.getTile(entry, z, x, y).then((blob) => {
+                    if (!blob) {
+                        img.src = this.EMPTY_TILE;
+                        return;
+                    }
+                    const url = URL.createObjectURL(blob);
+                    img.onload = img.onerror = () => URL.revokeObjectURL(url);
+                    img.src = url;
+                }).catch((err) => {
+                    console.warn('[LocalTiles] Tile read failed:', err);
+                    img.src = this.EMPTY_TILE;
+                });
+            }
+        });
+        return new ol.layer.Tile({
+            title: options.title || `${entry.name} (local)`,
+            type: 'base',
+            visible: false,
+            extent: entry.bounds ? ol.proj.transformExtent(entry.bounds, 'EPSG:4326', 'EPSG:3857') : undefined,
+            source,
+            localTilesetId: entry.id
+        });
+    },
+
+    /** Cesium imagery provider for a stored tileset. */
+    createCesiumProvider: function(entry) {
+        const b = entry.bounds;
+        const provider = new Cesium.UrlTemplateImageryProvider({
+            url: `local/${entry.id}/{z}/{x}/{y}`,
+            tilingScheme: new Cesium.WebMercatorTilingScheme(),
+            maximumLevel: entry.maxZoom,
+            rectangle: b ? Cesium.Rectangle.fromDegrees(b[0], b[1], b[2], b[3]) : undefined,
+            credit: entry.attribution ? new Cesium.Credit(entry.attribution) : undefined
+        });
+        let empty = null;
+        provider.requestImage = (x, y, level) => this.getTile(entry, level, x, y)
+            .then((blob) => {
+                if (blob) return createImageBitmap(blob);
+                if (!empty) {
+                    empty = document.createElement('canvas');
+                    empty.width = empty.height = 1;
+                }
+                return empty;
+            });
+        return provider;
+    },
+
+    formatBytes: function(bytes) {
+        if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+        if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = LocalTiles;
+else window.LocalTiles = LocalTiles;
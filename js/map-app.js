@@ -74,7 +74,7 @@ const measureLayer = new ol.layer.Vector({
   })
 });
 
-function createBaseLayers() {
+async function createBaseLayers() {
   const layers = [
     ["OpenStreetMap", new ol.layer.Tile({ source: new ol.source.OSM(), visible: true })],
     ["Esri Satellite", new ol.layer.Tile({
@@ -102,6 +102,16 @@ function createBaseLayers() {
       visible: false
     })]
   ];
+  // Tilesets imported on this device (js/local-tiles.js) work with no connection
+  if (window.LocalTiles) {
+    try {
+      for (const entry of await window.LocalTiles.list()) {
+        layers.push([`${entry.name} (local)`, window.LocalTiles.createOlLayer(entry)]);
+      }
+    } catch (err) {
+      console.warn("Local basemaps unavailable", err);
+    }
+  }
   for (const [name, layer] of layers) {
     baseLayers.set(name, layer);
   }
@@ -120,6 +130,10 @@ function switchBasemap(name) {
   for (const [n, layer] of baseLayers.entries()) {
     layer.setVisible(n === name);
   }
+  const selected = baseLayers.get(name);
+  if (map && selected && selected.get("localTilesetId") && selected.getExtent()) {
+    map.getView().fit(selected.getExtent(), { duration: 600 });
+  }
 }
 
 function setupPopup() {
@@ -459,7 +473,7 @@ async function initUser() {
 }
 
 async function initMap() {
-  createBaseLayers();
+  await createBaseLayers();
   populateBasemapSelect();
 
   const center = ol.proj.fromLonLat(cfg.DEFAULT_CENTER || [32.59, 0.35]);
@@ -1,6 +1,6 @@
 /**
  * GSP.NET Offline Manager
- * Manages the PWA offline features, UI, tile downloading, and sync queue.
+ * Manages the PWA offline features, UI, tile downloading, and the offline edit queue.
  */
 
 window.OfflineManager = {
@@ -10,6 +10,7 @@ window.OfflineManager = {
         this.updateStorageMeter();
         this.updateSyncCount();
         this.loadCachedRegionsList();
+        this.loadLocalBasemaps();
         this.setupNetworkListeners();
         this.checkServiceWorkerUpdate();
         
@@ -17,21 +18,48 @@ window.OfflineManager = {
         setTimeout(() => {
             if (!navigator.onLine) {
                 this.patchActiveBasemapForOffline();
-                this.loadCachedParcels();
+                this.loadPackagedReferenceLayers();
             }
         }, 2000);
     },
 
     bindUI: function() {
-        document.getElementById('offline-download-btn')?.addEventListener('click', () => this.downloadMapRegion());
+        document.getElementById('offline-download-btn')?.addEventListener('click', () => this.downloadPackage());
+        document.getElementById('offline-aoi-draw-btn')?.addEventListener('click', () => this.startAoiDraw());
+        document.getElementById('offline-aoi-view-btn')?.addEventListener('click', () => this.useViewAsAoi());
+        ['offline-pkg-minzoom', 'offline-pkg-maxzoom', 'offline-pkg-tiles'].forEach((id) => {
+            document.getElementById(id)?.addEventListener('change', () => this.updatePackageEstimate());
+        });
+        document.getElementById('offline-localtiles-input')?.addEventListener('change', (e) => {
+            const file = e.target.files && e.target.files[0];
+            e.target.value = '';
+            if (file) this.importLocalBasemap(file);
+        });
         document.getElementById('offline-sync-btn')?.addEventListener('click', () => this.forceSync());
+        document.getElementById('offline-conflicts-btn')?.addEventListener('click', () => window.EditJournal?.openConflicts());
         document.getElementById('offline-clear-btn')?.addEventListener('click', () => this.clearAllCache());
         document.getElementById('offline-update-btn')?.addEventListener('click', () => this.applyUpdate());
     },
 
     setupNetworkListeners: function() {
-        window.addEventListener('online', () => this.updateConnectionStatus());
-        window.addEventListener('offline', () => this.updateConnectionStatus());
+        window.addEventListener('online', () => {
+            this.updateConnectionStatus();
+            // Swap packaged data for live data
+            this.removePackagedReferenceLayers();
+            if (typeof window.refreshPolygonLayers === 'function') window.refreshPolygonLayers();
+        });
+        window.addEventListener('offline', () => {
+            this.updateConnectionStatus();
+            // The live reference layers need range requests; show the packaged copies
+            this.loadPackagedReferenceLayers();
+        });
+        window.addEventListener('gspnet-local-tiles', () => this.loadLocalBasemaps());
+        window.addEventListener('gspnet-edit-journal', (e) => {
+            this.updateSyncCount();
+            if (e.detail.type === 'synced' && e.detail.conflicts > 0 && typeof showToast === 'function') {
+                showToast(`${e.detail.conflicts} offline edit(s) need review in the Offline panel.`, 'warning', 6000);
+            }
+        });
     },
 
     updateConnectionStatus: function() {
@@ -75,7 +103,7 @@ window.OfflineManager = {
         });
     },
 
-    getActiveBasemapSource: function() {
+    getActiveBasemapLayer: function() {
         if (!window.map) return null;
         const layers = window.map.getLayers().getArray();
         for (const group of layers) {
@@ -83,7 +111,7 @@ window.OfflineManager = {
                 const basemaps = group.getLayers().getArray();
                 for (const basemap of basemaps) {
                     if (basemap.getVisible()) {
-                        return basemap.getSource();
+                        return basemap;
                     }
                 }
             }
@@ -91,170 +119,361 @@ window.OfflineManager = {
         return null;
     },
 
-    lon2tile: function(lon, zoom) { 
-        return Math.floor((lon + 180) / 360 * Math.pow(2, zoom)); 
+    getActiveBasemapSource: function() {
+        const layer = this.getActiveBasemapLayer();
+        return layer ? layer.getSource() : null;
+    },
+
+    // ─── OFFLINE PACKAGES ───────────────────────────────────────────────
+
+    /** Visible FlatGeobuf reference layers (they carry _fgbUrl), at any depth. */
+    getVisibleFgbLayers: function() {
+        const out = [];
+        const walk = (collection) => collection.forEach((layer) => {
+            if (layer.getLayers) walk(layer.getLayers());
+            else if (layer._fgbUrl && layer.getVisible()) {
+                out.push({ title: layer.get('title'), url: layer._fgbUrl, fallbackUrl: layer._fgbFallbackUrl || null });
+            }
+        });
+        if (window.map) walk(window.map.getLayers());
+        return out;
     },
-    
-    lat2tile: function(lat, zoom) { 
-        return Math.floor((1 - Math.log(Math.tan(lat * Math.PI / 180) + 1 / Math.cos(lat * Math.PI / 180)) / Math.PI) / 2 * Math.pow(2, zoom)); 
+
+    _ensureAoiLayer: function() {
+        if (this._aoiLayer) return this._aoiLayer;
+        this._aoiLayer = new ol.layer.Vector({
+            source: new ol.source.Vector(),
+            zIndex: 1000,
+            style: new ol.style.Style({
+                stroke: new ol.style.Stroke({ color: '#00f2fe', width: 2, lineDash: [8, 6] }),
+                fill: new ol.style.Fill({ color: 'rgba(0, 242, 254, 0.08)' })
+            })
+        });
+        window.map.addLayer(this._aoiLayer);
+        return this._aoiLayer;
     },
 
-    downloadMapRegion: async function() {
+    startAoiDraw: function() {
         if (!window.map) return;
-        
-        const extent3857 = window.map.getView().calculateExtent(window.map.getSize());
-        const extent4326 = ol.proj.transformExtent(extent3857, 'EPSG:3857', 'EPSG:4326');
-        
-        const areaSqKm = turf.area(turf.bboxPolygon(extent4326)) / 1000000;
-        
-        if (areaSqKm > 1.5) {
-            alert('Please zoom in. The current view is larger than 1 km². Zoom in closer to download a smaller area.');
+        const layer = this._ensureAoiLayer();
+        if (this._aoiDraw) window.map.removeInteraction(this._aoiDraw);
+        this._aoiDraw = new ol.interaction.Draw({ source: layer.getSource(), type: 'Polygon' });
+        this._aoiDraw.on('drawstart', () => layer.getSource().clear());
+        this._aoiDraw.on('drawend', (e) => {
+            window.map.removeInteraction(this._aoiDraw);
+            this._aoiDraw = null;
+            this.setAoi(e.feature.getGeometry());
+        });
+        window.map.addInteraction(this._aoiDraw);
+        if (typeof showToast === 'function') showToast('Click to draw the offline area; double-click to finish.', 'info');
+    },
+
+    useViewAsAoi: function() {
+        if (!window.map) return;
+        const extent = window.map.getView().calculateExtent(window.map.getSize());
+        const source = this._ensureAoiLayer().getSource();
+        source.clear();
+        const geom = ol.geom.Polygon.fromExtent(extent);
+        source.addFeature(new ol.Feature(geom));
+        this.setAoi(geom);
+    },
+
+    /** Take an AOI geometry in map projection and default the zoom range to it. */
+    setAoi: function(geometry) {
+        const view = window.map.getView();
+        this._aoi = new ol.format.GeoJSON().writeFeatureObject(new ol.Feature(geometry), {
+            featureProjection: view.getProjection(),
+            dataProjection: 'EPSG:4326'
+        });
+        const fitZoom = Math.floor(view.getZoomForResolution(view.getResolutionForExtent(geometry.getExtent(), window.map.getSize())));
+        const minEl = document.getElementById('offline-pkg-minzoom');
+        const maxEl = document.getElementById('offline-pkg-maxzoom');
+        if (minEl) minEl.value = Math.max(0, Math.min(fitZoom, 18));
+        if (maxEl && Number(maxEl.value) < Number(minEl.value)) maxEl.value = Math.min(Number(minEl.value) + 4, 20);
+        this.updatePackageEstimate();
+    },
+
+    /** Package spec from the panel, or null when no AOI is set. */
+    getPackageSpec: function() {
+        if (!this._aoi) return null;
+        const checked = (id) => !!document.getElementById(id)?.checked;
+        const layer = this.getActiveBasemapLayer();
+        const source = layer ? layer.getSource() : null;
+        const basemap = source && source.getUrls && source.getUrls()
+            ? { title: layer.get('title') || 'Basemap', urlTemplate: source.getUrls()[0] }
+            : null;
+        const minZoom = parseInt(document.getElementById('offline-pkg-minzoom')?.value, 10) || 12;
+        const maxZoom = Math.max(minZoom, Math.min(parseInt(document.getElementById('offline-pkg-maxzoom')?.value, 10) || 18, 20));
+        return {
+            name: (document.getElementById('offline-pkg-name')?.value || '').trim() || 'Package ' + new Date().toLocaleDateString(),
+            aoi: this._aoi,
+            minZoom,
+            maxZoom,
+            basemap,
+            include: {
+                tiles: checked('offline-pkg-tiles') && !!basemap,
+                fgb: checked('offline-pkg-fgb'),
+                parcels: checked('offline-pkg-parcels'),
+                flags: checked('offline-pkg-flags'),
+                symbols: checked('offline-pkg-symbols')
+            },
+            fgbLayers: this.getVisibleFgbLayers()
+        };
+    },
+
+    updatePackageEstimate: function() {
+        clearTimeout(this._estimateTimer);
+        this._estimateTimer = setTimeout(async () => {
+            const el = document.getElementById('offline-pkg-estimate');
+            const btn = document.getElementById('offline-download-btn');
+            const spec = this.getPackageSpec();
+            if (!el) return;
+            if (!spec) {
+                el.innerText = 'Draw an area or use the current view.';
+                if (btn) btn.disabled = true;
+                return;
+            }
+            el.innerText = 'Estimating...';
+            const est = await OfflinePackages.estimate(spec);
+            const problem = OfflinePackages.checkLimits(spec, est);
+            el.style.color = problem ? '#e74c3c' : '';
+            el.innerText = problem || `${est.areaKm2.toFixed(2)} km² • ${est.tileCount.toLocaleString()} tiles (z${spec.minZoom}–${spec.maxZoom}) • ~${OfflinePackages.formatBytes(est.tileBytes)} of ${OfflinePackages.formatBytes(est.freeBytes)} free`;
+            if (btn) btn.disabled = !!problem;
+            this._estimate = { spec, est, problem };
+        }, 400);
+    },
+
+    /**
+     * Download a new package from the panel, or refresh an existing one
+     * (same AOI, zoom range and contents, tiles re-fetched from the network).
+     */
+    downloadPackage: async function(existing) {
+        if (!window.map) return;
+        if (!navigator.onLine) {
+            alert('Connect to the internet to download an offline package.');
             return;
         }
 
-        const source = this.getActiveBasemapSource();
-        if (!source || !source.getUrls) {
-            alert('Could not determine active basemap. Please ensure a standard basemap is selected.');
+        const spec = existing
+            ? { id: existing.id, name: existing.name, aoi: existing.aoi, minZoom: existing.minZoom, maxZoom: existing.maxZoom,
+                basemap: existing.basemap, include: existing.include, fgbLayers: existing.fgbLayers }
+            : this.getPackageSpec();
+        if (!spec) {
+            alert('Draw an area or use the current view first.');
             return;
         }
 
-        const urlTemplate = source.getUrls()[0];
-        const currentZoom = Math.floor(window.map.getView().getZoom());
-        const maxZoom = Math.min(currentZoom + 4, 20);
-        
-        const [minLon, minLat, maxLon, maxLat] = extent4326;
-        
-        const tilesToDownload = [];
-        
-        for (let z = currentZoom; z <= maxZoom; z++) {
-            const minX = this.lon2tile(minLon, z);
-            const maxX = this.lon2tile(maxLon, z);
-            const minY = this.lat2tile(maxLat, z);
-            const maxY = this.lat2tile(minLat, z);
-            
-            for (let x = minX; x <= maxX; x++) {
-                for (let y = minY; y <= maxY; y++) {
-                    const url = urlTemplate
-                        .replace('{z}', z)
-                        .replace('{x}', x)
-                        .replace('{y}', y)
-                        .replace('{a-c}', 'a'); // Default to 'a' subdomain if present
-                    tilesToDownload.push({ url, z, x, y });
-                }
-            }
+        const est = await OfflinePackages.estimate(spec);
+        // A refresh replaces its own tiles, so don't count them against the free space
+        if (existing) est.freeBytes += existing.sizes && existing.sizes.tiles || 0;
+        const problem = OfflinePackages.checkLimits(spec, est);
+        if (problem) {
+            alert(problem);
+            return;
         }
-        
-        if (!confirm(`This will download ~${tilesToDownload.length} map tiles for offline use. Continue?`)) return;
-        
-        document.getElementById('offline-download-btn').disabled = true;
+        const verb = existing ? 'refresh' : 'download';
+        if (!confirm(`This will ${verb} "${spec.name}": ~${est.tileCount.toLocaleString()} map tiles (~${OfflinePackages.formatBytes(est.tileBytes)}) plus vector data for ${est.areaKm2.toFixed(2)} km². Continue?`)) return;
+
+        const btn = document.getElementById('offline-download-btn');
+        const text = document.getElementById('offline-progress-text');
+        if (btn) btn.disabled = true;
         document.getElementById('offline-progress-container').style.display = 'block';
-        
-        const tilesToCache = [];
-        let downloadedCount = 0;
-        let totalBytes = 0;
-        
-        for (const tile of tilesToDownload) {
-            try {
-                const response = await fetch(tile.url, { mode: 'cors' });
-                if (response.ok) {
-                    const blob = await response.blob();
-                    tilesToCache.push({ url: tile.url, blob });
-                    totalBytes += blob.size;
-                }
-            } catch (err) {
-                console.warn('Failed to download tile:', tile.url);
-            }
-            
-            downloadedCount++;
-            const percent = Math.round((downloadedCount / tilesToDownload.length) * 100);
-            document.getElementById('offline-progress-bar').style.width = `${percent}%`;
-            document.getElementById('offline-progress-percent').innerText = `${percent}%`;
-        }
 
-        if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
-            navigator.serviceWorker.controller.postMessage({
-                type: 'CACHE_TILES',
-                payload: { tiles: tilesToCache }
-            });
+        try {
+            const pkg = await OfflinePackages.build(spec, (fraction, label) => {
+                const percent = Math.round(fraction * 100);
+                document.getElementById('offline-progress-bar').style.width = `${percent}%`;
+                document.getElementById('offline-progress-percent').innerText = `${percent}%`;
+                if (text && label) text.innerText = label;
+            }, { refresh: !!existing });
+
+            const failed = OfflinePackages.VECTOR_KINDS.filter(k => pkg.counts[k + 'Error']);
+            if (failed.length && typeof showToast === 'function') {
+                showToast(`Package saved, but ${failed.join(', ')} could not be downloaded.`, 'warning', 6000);
+            }
+            if (pkg.counts.symbolsTruncated && typeof showToast === 'function') {
+                showToast(`The area has more than ${OfflinePackages.SYMBOL_LIMIT.toLocaleString()} symbols; only the first ${OfflinePackages.SYMBOL_LIMIT.toLocaleString()} were saved. Draw a smaller area to package them all.`, 'warning', 6000);
+            }
+            if (!existing && this._aoiLayer) this._aoiLayer.getSource().clear();
+            if (!existing) this._aoi = null;
+        } catch (err) {
+            console.error('[Offline] Package download failed:', err);
+            alert('Offline package download failed: ' + (err.message || err));
         }
-        
-        // Save region record
-        await this.saveRegionRecord({
-            id: 'region_' + Date.now(),
-            name: 'Region ' + new Date().toLocaleString(),
-            extent: extent4326,
-            zoomRange: `${currentZoom} - ${maxZoom}`,
-            tileCount: tilesToCache.length,
-            sizeBytes: totalBytes,
-            timestamp: Date.now()
-        });
 
-        // Cache Survey Polygons
-        this.cacheSurveyPolygons();
-        
-        document.getElementById('offline-progress-text').innerText = 'Download complete!';
         setTimeout(() => {
             document.getElementById('offline-progress-container').style.display = 'none';
-            document.getElementById('offline-download-btn').disabled = false;
             document.getElementById('offline-progress-bar').style.width = '0%';
-            document.getElementById('offline-progress-text').innerText = 'Downloading tiles...';
+            if (text) text.innerText = 'Downloading tiles...';
             this.updateStorageMeter();
             this.loadCachedRegionsList();
+            this.updatePackageEstimate();
             this.patchActiveBasemapForOffline();
         }, 2000);
     },
 
-    cacheSurveyPolygons: async function() {
-        if (!window.map) return;
-        const featuresToCache = [];
-        window.map.getLayers().forEach(layer => {
-            if (layer.get('name') === 'survey_polygons' || layer.get('title') === 'GSPNET LAYERS') {
-                const source = layer.getSource();
-                if (source && source.getFeatures) {
-                    featuresToCache.push(...source.getFeatures());
-                }
-            }
-        });
-        
-        if (featuresToCache.length === 0) return;
-        
-        const geojson = new ol.format.GeoJSON().writeFeatures(featuresToCache, { featureProjection: 'EPSG:3857' });
-        
-        const db = await this.openDB('gspnet-offline-parcels', 'parcels');
-        const tx = db.transaction('parcels', 'readwrite');
-        tx.objectStore('parcels').put({ id: 'latest', data: geojson, timestamp: Date.now() });
+    refreshPackage: async function(id) {
+        const pkg = await OfflinePackages.get(id);
+        if (pkg) this.downloadPackage(pkg);
     },
 
-    loadCachedParcels: async function() {
+    deletePackage: async function(id) {
+        const pkg = await OfflinePackages.get(id);
+        if (!pkg || !confirm(`Delete offline package "${pkg.name}" and its map tiles?`)) return;
+        await OfflinePackages.remove(id);
+        this.loadCachedRegionsList();
+        setTimeout(() => this.updateStorageMeter(), 1000);
+    },
+
+    zoomToPackage: async function(id) {
+        const pkg = await OfflinePackages.get(id);
+        if (!pkg || !window.map) return;
+        const extent = ol.proj.transformExtent(pkg.bbox, 'EPSG:4326', window.map.getView().getProjection());
+        window.map.getView().fit(extent, { padding: [40, 40, 40, 40], duration: 500 });
+    },
+
+    /**
+     * Offline: show packaged FlatGeobuf features as read-only layers (the
+     * live layers need range requests). Survey polygons, flags and symbols
+     * are served to their own loaders through OfflinePackages.rowsInExtent.
+     */
+    loadPackagedReferenceLayers: async function() {
+        if (!window.map || this._packagedLayers) return;
         try {
-            const db = await this.openDB('gspnet-offline-parcels', 'parcels');
-            const tx = db.transaction('parcels', 'readonly');
-            const req = tx.objectStore('parcels').get('latest');
-            req.onsuccess = () => {
-                if (req.result && window.map) {
-                    const features = new ol.format.GeoJSON().readFeatures(req.result.data, { featureProjection: 'EPSG:3857' });
-                    // Create an offline layer
-                    const offlineSource = new ol.source.Vector({ features });
-                    const offlineLayer = new ol.layer.Vector({
-                        source: offlineSource,
-                        name: 'offline_parcels',
-                        style: new ol.style.Style({
-                            stroke: new ol.style.Stroke({ color: '#f39c12', width: 2, lineDash: [4,4] }),
-                            fill: new ol.style.Fill({ color: 'rgba(243, 156, 18, 0.1)' })
-                        })
-                    });
-                    window.map.addLayer(offlineLayer);
-                    console.log('Loaded offline parcels:', features.length);
-                }
-            };
+            const byTitle = await OfflinePackages.fgbFeatures();
+            const format = new ol.format.GeoJSON();
+            this._packagedLayers = Object.keys(byTitle).map((title) => {
+                const features = format.readFeatures({ type: 'FeatureCollection', features: byTitle[title] }, {
+                    dataProjection: 'EPSG:4326',
+                    featureProjection: window.map.getView().getProjection()
+                });
+                const layer = new ol.layer.Vector({
+                    source: new ol.source.Vector({ features }),
+                    name: 'offline_reference',
+                    title: `${title} (offline)`,
+                    style: [
+                        new ol.style.Style({ stroke: new ol.style.Stroke({ color: '#ffffff', width: 4 }) }),
+                        new ol.style.Style({ stroke: new ol.style.Stroke({ color: '#000000', width: 2 }) })
+                    ]
+                });
+                window.map.addLayer(layer);
+                return layer;
+            });
+            console.log('Loaded offline reference layers:', this._packagedLayers.length);
         } catch (err) {
-            console.warn('No cached parcels found');
+            console.warn('No offline packages found');
         }
     },
 
+    removePackagedReferenceLayers: function() {
+        (this._packagedLayers || []).forEach(layer => window.map && window.map.removeLayer(layer));
+        this._packagedLayers = null;
+    },
+
+    // ─── LOCAL BASEMAPS (imported MBTiles / PMTiles) ────────────────────
+
+    getBaseMapsGroup: function() {
+        if (!window.map) return null;
+        return window.map.getLayers().getArray().find(l => l.getLayers && (l.get('title') || '').toLowerCase() === 'base maps') || null;
+    },
+
+    importLocalBasemap: async function(file) {
+        if (!window.LocalTiles) return;
+        const status = document.getElementById('offline-localtiles-status');
+        const setStatus = (text) => { if (status) status.textContent = text; };
+        setStatus(`Importing ${file.name}…`);
+        try {
+            const entry = await LocalTiles.importFile(file, (done, total) => {
+                setStatus(`Importing ${file.name}: ${done.toLocaleString()} / ${total.toLocaleString()} tiles`);
+            });
+            setStatus('');
+            this.useLocalBasemap(entry.id);
+            if (typeof showToast === 'function') showToast(`Basemap "${entry.name}" imported.`, 'success');
+        } catch (err) {
+            console.error('Local basemap import failed:', err);
+            setStatus('');
+            if (typeof showToast === 'function') showToast(`Import failed: ${err.message}`, 'error', 6000);
+        }
+        this.updateStorageMeter();
+    },
+
+    /** Keep the BASE MAPS group and the panel list in step with the stored tilesets. */
+    loadLocalBasemaps: async function() {
+        if (!window.LocalTiles) return;
+        let tilesets = [];
+        try {
+            tilesets = await LocalTiles.list();
+        } catch (e) {
+            console.warn('Could not read local basemaps');
+        }
+
+        const group = this.getBaseMapsGroup();
+        if (group) {
+            const layers = group.getLayers();
+            const ids = new Set(tilesets.map(t => t.id));
+            layers.getArray().filter(l => l.get('localTilesetId') && !ids.has(l.get('localTilesetId'))).forEach(l => layers.remove(l));
+            const present = new Set(layers.getArray().map(l => l.get('localTilesetId')).filter(Boolean));
+            tilesets.filter(t => !present.has(t.id)).forEach(t => layers.push(LocalTiles.createOlLayer(t)));
+            window.map.getControls().forEach(c => { if (typeof c.renderPanel === 'function') c.renderPanel(); });
+        }
+
+        const container = document.getElementById('offline-localtiles-list');
+        if (!container) return;
+        if (tilesets.length === 0) {
+            container.innerHTML = '<div style="font-size:0.8em; color:rgba(255,255,255,0.4); text-align:center; padding:10px;">No local basemaps imported</div>';
+            return;
+        }
+        const esc = (v) => String(v).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+        container.innerHTML = '';
+        tilesets.forEach(t => {
+            const div = document.createElement('div');
+            div.style.cssText = 'background:rgba(0,0,0,0.2); padding:10px; border-radius:6px; margin-bottom:8px; display:flex; justify-content:space-between; align-items:center; gap:8px;';
+            div.innerHTML = `
+                <div style="min-width:0;">
+                    <div style="font-size:0.85em; font-weight:600;">${esc(t.name)}</div>
+                    <div style="font-size:0.75em; color:rgba(255,255,255,0.5);">${t.kind.toUpperCase()} • ${LocalTiles.formatBytes(t.sizeBytes || 0)} • z${t.minZoom}–${t.maxZoom}</div>
+                </div>
+                <div style="display:flex; gap:6px; flex-shrink:0;">
+                    <button onclick="OfflineManager.useLocalBasemap('${t.id}')" title="Show as basemap" style="background:none; border:none; color:#00f2fe; cursor:pointer;"><i class="fas fa-eye"></i></button>
+                    <button onclick="OfflineManager.deleteLocalBasemap('${t.id}')" title="Delete" style="background:none; border:none; color:#e74c3c; cursor:pointer;"><i class="fas fa-trash"></i></button>
+                </div>
+            `;
+            container.appendChild(div);
+        });
+    },
+
+    useLocalBasemap: async function(id) {
+        await this.loadLocalBasemaps();
+        const group = this.getBaseMapsGroup();
+        if (!group) return;
+        let target = null;
+        group.getLayers().forEach(l => {
+            const match = l.get('localTilesetId') === id;
+            l.setVisible(match);
+            if (match) target = l;
+        });
+        const extent = target && target.getExtent();
+        if (extent) window.map.getView().fit(extent, { duration: 800, padding: [40, 40, 40, 40] });
+    },
+
+    deleteLocalBasemap: async function(id) {
+        const entry = await LocalTiles.get(id);
+        if (!entry || !confirm(`Delete local basemap "${entry.name}"?`)) return;
+        const group = this.getBaseMapsGroup();
+        const layer = group && group.getLayers().getArray().find(l => l.get('localTilesetId') === id);
+        if (layer && layer.getVisible()) {
+            const fallback = group.getLayers().getArray().find(l => !l.get('localTilesetId'));
+            if (fallback) fallback.setVisible(true);
+        }
+        await LocalTiles.remove(id);
+        this.updateStorageMeter();
+    },
+
     patchActiveBasemapForOffline: function() {
         const source = this.getActiveBasemapSource();
         if (!source || !source.setTileLoadFunction) return;
+        // Imported tilesets already read from local storage
+        if (this.getActiveBasemapLayer().get('localTilesetId')) return;
         
         const defaultLoadFn = source.getTileLoadFunction();
         
@@ -307,77 +526,147 @@ window.OfflineManager = {
         }
     },
 
-    openDB: function(dbName, storeName) {
-        return new Promise((resolve, reject) => {
-            const req = indexedDB.open(dbName, 1);
-            req.onupgradeneeded = () => {
-                if (!req.result.objectStoreNames.contains(storeName)) {
-                    req.result.createObjectStore(storeName, { keyPath: 'id' });
-                }
-            };
-            req.onsuccess = () => resolve(req.result);
-            req.onerror = () => reject(req.error);
-        });
-    },
-
-    saveRegionRecord: async function(region) {
-        const db = await this.openDB('gspnet-offline-regions', 'regions');
-        return new Promise((resolve) => {
-            const tx = db.transaction('regions', 'readwrite');
-            tx.objectStore('regions').put(region);
-            tx.oncomplete = resolve;
-        });
-    },
-
     loadCachedRegionsList: async function() {
         const container = document.getElementById('offline-cached-regions-list');
         if (!container) return;
-        
+
         try {
-            const db = await this.openDB('gspnet-offline-regions', 'regions');
-            const tx = db.transaction('regions', 'readonly');
-            const req = tx.objectStore('regions').getAll();
-            
+            const packages = await OfflinePackages.list();
+            const legacy = await this.listLegacyRegions();
+            if (packages.length === 0 && legacy.length === 0) {
+                container.innerHTML = '<div style="font-size:0.8em; color:rgba(255,255,255,0.4); text-align:center; padding:15px;">No offline packages yet</div>';
+                return;
+            }
+
+            const esc = (v) => String(v).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+            container.innerHTML = '';
+            packages.forEach(pkg => {
+                const c = pkg.counts || {};
+                const parts = [];
+                if (pkg.include.tiles) parts.push(`${(c.tiles || 0).toLocaleString()} tiles z${pkg.minZoom}–${pkg.maxZoom}`);
+                if (pkg.include.fgb) parts.push(`${c.fgb || 0} reference`);
+                if (pkg.include.parcels) parts.push(`${c.parcels || 0} parcels`);
+                if (pkg.include.flags) parts.push(`${c.flags || 0} flags`);
+                if (pkg.include.symbols) parts.push(c.symbolsTruncated ? `${c.symbols || 0} symbols (first ${OfflinePackages.SYMBOL_LIMIT.toLocaleString()} in the area only)` : `${c.symbols || 0} symbols`);
+                const div = document.createElement('div');
+                div.style.cssText = 'background:rgba(0,0,0,0.2); padding:10px; border-radius:6px; margin-bottom:8px; display:flex; justify-content:space-between; align-items:center; gap:8px;';
+                div.innerHTML = `
+                    <div style="min-width:0;">
+                        <div style="font-size:0.85em; font-weight:600;">${esc(pkg.name)}</div>
+                        <div style="font-size:0.75em; color:rgba(255,255,255,0.5);">${OfflinePackages.formatBytes(pkg.sizeBytes || 0)} • updated ${new Date(pkg.updatedAt).toLocaleDateString()}</div>
+                        <div style="font-size:0.72em; color:rgba(255,255,255,0.4);">${parts.join(' • ')}</div>
+                    </div>
+                    <div style="display:flex; gap:6px; flex-shrink:0;">
+                        <button onclick="OfflineManager.zoomToPackage('${pkg.id}')" title="Zoom to area" style="background:none; border:none; color:#00f2fe; cursor:pointer;"><i class="fas fa-search-location"></i></button>
+                        <button onclick="OfflineManager.refreshPackage('${pkg.id}')" title="Refresh" style="background:none; border:none; color:#3498db; cursor:pointer;"><i class="fas fa-sync-alt"></i></button>
+                        <button onclick="OfflineManager.deletePackage('${pkg.id}')" title="Delete" style="background:none; border:none; color:#e74c3c; cursor:pointer;"><i class="fas fa-trash"></i></button>
+                    </div>
+                `;
+                container.appendChild(div);
+            });
+            legacy.forEach(region => {
+                const div = document.createElement('div');
+                div.style.cssText = 'background:rgba(0,0,0,0.12); padding:10px; border-radius:6px; margin-bottom:8px; display:flex; justify-content:space-between; align-items:center; gap:8px;';
+                const detail = region.kind === 'parcels'
+                    ? 'Survey polygons saved with an older version'
+                    : `${(region.tileCount || 0).toLocaleString()} tiles z${esc(region.zoomRange || '?')} • tiles stay cached until evicted`;
+                div.innerHTML = `
+                    <div style="min-width:0;">
+                        <div style="font-size:0.85em; font-weight:600;">${esc(region.name)} <span style="font-weight:400; color:rgba(255,255,255,0.4);">(legacy)</span></div>
+                        <div style="font-size:0.75em; color:rgba(255,255,255,0.5);">${OfflinePackages.formatBytes(region.sizeBytes || 0)} • saved ${new Date(region.timestamp).toLocaleDateString()}</div>
+                        <div style="font-size:0.72em; color:rgba(255,255,255,0.4);">${detail}</div>
+                    </div>
+                    <div style="display:flex; gap:6px; flex-shrink:0;">
+                        ${region.extent ? `<button onclick="OfflineManager.zoomToLegacyRegion('${esc(region.id)}')" title="Zoom to area" style="background:none; border:none; color:#00f2fe; cursor:pointer;"><i class="fas fa-search-location"></i></button>` : ''}
+                        <button onclick="OfflineManager.deleteLegacyRegion('${region.kind}', '${esc(region.id)}')" title="Delete" style="background:none; border:none; color:#e74c3c; cursor:pointer;"><i class="fas fa-trash"></i></button>
+                    </div>
+                `;
+                container.appendChild(div);
+            });
+        } catch (e) {
+            console.warn('Could not load offline packages list');
+        }
+    },
+
+    // ─── LEGACY REGIONS ─────────────────────────────────────────────────
+    // Regions downloaded before offline packages (gspnet-offline-regions) and
+    // the survey snapshot saved with them (gspnet-offline-parcels) recorded no
+    // basemap or tile list, so they can't be turned into packages. They stay
+    // listed until deleted; their tiles remain in the tile cache under its
+    // LRU budget.
+
+    LEGACY_STORES: {
+        regions: { db: 'gspnet-offline-regions', store: 'regions' },
+        parcels: { db: 'gspnet-offline-parcels', store: 'parcels' }
+    },
+
+    /** Open a legacy database only if it exists (aborts instead of creating it). */
+    _openLegacyDB: function(kind) {
+        const def = this.LEGACY_STORES[kind];
+        return new Promise((resolve) => {
+            const req = indexedDB.open(def.db);
+            req.onupgradeneeded = (e) => {
+                if (e.oldVersion === 0) req.transaction.abort();
+            };
             req.onsuccess = () => {
-                const regions = req.result;
-                if (regions.length === 0) {
-                    container.innerHTML = '<div style="font-size:0.8em; color:rgba(255,255,255,0.4); text-align:center; padding:15px;">No regions downloaded yet</div>';
-                    return;
-                }
-                
-                container.innerHTML = '';
-                regions.sort((a,b) => b.timestamp - a.timestamp).forEach(region => {
-                    const sizeMB = (region.sizeBytes / (1024*1024)).toFixed(1);
-                    const div = document.createElement('div');
-                    div.style.cssText = 'background:rgba(0,0,0,0.2); padding:10px; border-radius:6px; margin-bottom:8px; display:flex; justify-content:space-between; align-items:center;';
-                    div.innerHTML = `
-                        <div>
-                            <div style="font-size:0.85em; font-weight:600;">${region.name}</div>
-                            <div style="font-size:0.75em; color:rgba(255,255,255,0.5);">${region.tileCount} tiles • ${sizeMB} MB</div>
-                        </div>
-                        <button onclick="OfflineManager.deleteRegion('${region.id}')" style="background:none; border:none; color:#e74c3c; cursor:pointer;"><i class="fas fa-trash"></i></button>
-                    `;
-                    container.appendChild(div);
-                });
+                const db = req.result;
+                if (db.objectStoreNames.contains(def.store)) return resolve(db);
+                db.close();
+                resolve(null);
             };
-        } catch (e) {
-            console.warn('Could not load regions list');
+            req.onerror = () => resolve(null);
+            req.onblocked = () => resolve(null);
+        });
+    },
+
+    /** @returns {Promise<Array>} [{ kind, id, name, extent, zoomRange, tileCount, sizeBytes, timestamp }] */
+    listLegacyRegions: async function() {
+        const out = [];
+        for (const kind of Object.keys(this.LEGACY_STORES)) {
+            const db = await this._openLegacyDB(kind);
+            if (!db) continue;
+            const store = this.LEGACY_STORES[kind].store;
+            const rows = await new Promise((resolve) => {
+                const req = db.transaction(store, 'readonly').objectStore(store).getAll();
+                req.onsuccess = () => resolve(req.result || []);
+                req.onerror = () => resolve([]);
+            });
+            db.close();
+            rows.forEach((row) => out.push(kind === 'parcels'
+                ? { kind, id: row.id, name: 'Survey polygons', sizeBytes: (row.data || '').length, timestamp: row.timestamp }
+                : Object.assign({ kind }, row)));
         }
+        return out.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
     },
 
-    deleteRegion: async function(id) {
-        if (!confirm('Remove this offline region record? Note: Map tiles are managed separately.')) return;
-        const db = await this.openDB('gspnet-offline-regions', 'regions');
-        const tx = db.transaction('regions', 'readwrite');
-        tx.objectStore('regions').delete(id);
-        tx.oncomplete = () => this.loadCachedRegionsList();
+    zoomToLegacyRegion: async function(id) {
+        const region = (await this.listLegacyRegions()).find(r => r.kind === 'regions' && r.id === id);
+        if (!region || !region.extent || !window.map) return;
+        const extent = ol.proj.transformExtent(region.extent, 'EPSG:4326', window.map.getView().getProjection());
+        window.map.getView().fit(extent, { padding: [40, 40, 40, 40], duration: 500 });
+    },
+
+    deleteLegacyRegion: async function(kind, id) {
+        if (!this.LEGACY_STORES[kind]) return;
+        if (!confirm('Remove this legacy offline record? Its map tiles stay in the tile cache until they are evicted or the cache is cleared.')) return;
+        const db = await this._openLegacyDB(kind);
+        if (!db) return;
+        const store = this.LEGACY_STORES[kind].store;
+        await new Promise((resolve) => {
+            const tx = db.transaction(store, 'readwrite');
+            tx.objectStore(store).delete(id);
+            tx.oncomplete = resolve;
+            tx.onerror = resolve;
+        });
+        db.close();
+        this.loadCachedRegionsList();
     },
 
     clearAllCache: async function() {
-        if (!confirm('WARNING: This will delete ALL downloaded map tiles, regions, and offline data. Are you sure?')) return;
+        if (!confirm('WARNING: This will delete ALL downloaded map tiles, offline packages, and offline data. Are you sure?')) return;
         
-        indexedDB.deleteDatabase('gspnet-offline-regions');
-        indexedDB.deleteDatabase('gspnet-offline-parcels');
+        Object.values(this.LEGACY_STORES).forEach(def => indexedDB.deleteDatabase(def.db));
+        await OfflinePackages.clear();
         
         if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
             navigator.serviceWorker.controller.postMessage({ type: 'CLEAR_TILE_CACHE' });
@@ -392,89 +681,47 @@ window.OfflineManager = {
 
     // ─── SYNC QUEUE MANAGEMENT ──────────────────────────────────────────
 
-    addToSyncQueue: async function(url, method, body, headers = null) {
-        const db = await this.openDB('gspnet-sync-queue', 'requests');
-        const tx = db.transaction('requests', 'readwrite');
-        tx.objectStore('requests').put({
-            id: 'req_' + Date.now(),
-            url,
-            method,
-            body,
-            headers,
-            timestamp: Date.now()
-        });
-        
-        tx.oncomplete = () => {
-            this.updateSyncCount();
-            if ('serviceWorker' in navigator && 'sync' in navigator.serviceWorker) {
-                navigator.serviceWorker.ready.then(reg => reg.sync.register('gspnet-sync-queue'));
-            }
-        };
-    },
+    // Offline edits are journaled by EditJournal (js/edit-journal.js)
 
     updateSyncCount: async function() {
+        if (!window.EditJournal) return;
         try {
-            const db = await this.openDB('gspnet-sync-queue', 'requests');
-            const tx = db.transaction('requests', 'readonly');
-            const req = tx.objectStore('requests').count();
-            req.onsuccess = () => {
-                const count = req.result;
-                const el = document.getElementById('offline-sync-count');
-                if (el) el.innerText = count;
-                
-                const btn = document.getElementById('offline-sync-btn');
-                if (btn) btn.disabled = count === 0;
-            };
+            const { pending, conflicts } = await window.EditJournal.counts();
+            const el = document.getElementById('offline-sync-count');
+            if (el) el.innerText = pending;
+
+            const btn = document.getElementById('offline-sync-btn');
+            if (btn) btn.disabled = pending === 0;
+
+            const conflictBtn = document.getElementById('offline-conflicts-btn');
+            if (conflictBtn) conflictBtn.style.display = conflicts > 0 ? 'block' : 'none';
+            const conflictEl = document.getElementById('offline-conflict-count');
+            if (conflictEl) conflictEl.innerText = conflicts;
         } catch (e) {}
     },
 
     forceSync: async function() {
+        if (!window.EditJournal) return;
         const btn = document.getElementById('offline-sync-btn');
         if (btn) {
             btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Syncing...';
             btn.disabled = true;
         }
-        
+
         try {
-            const db = await this.openDB('gspnet-sync-queue', 'requests');
-            const tx = db.transaction('requests', 'readonly');
-            const req = tx.objectStore('requests').getAll();
-            
-            req.onsuccess = async () => {
-                const items = req.result;
-                for (const item of items) {
-                    try {
-                        const response = await fetch(item.url, {
-                            method: item.method || 'POST',
-                            headers: item.headers || { 'Content-Type': 'application/json' },
-                            body: item.body
-                        });
-                        
-                        if (response.ok) {
-                            const deleteTx = db.transaction('requests', 'readwrite');
-                            deleteTx.objectStore('requests').delete(item.id);
-                        }
-                    } catch (err) {
-                        console.warn('Sync failed for item:', item.id);
-                    }
-                }
-                
-                this.updateSyncCount();
-                if (btn) {
-                    btn.innerHTML = 'Sync Now';
-                    btn.disabled = false;
-                }
-            };
+            const { conflicts } = await window.EditJournal.sync();
+            if (conflicts > 0) window.EditJournal.openConflicts();
         } catch (e) {
-            if (btn) {
-                btn.innerHTML = 'Sync Now';
-                btn.disabled = false;
-            }
+            console.warn('Sync failed:', e);
+        } finally {
+            if (btn) btn.innerHTML = 'Sync Now';
+            this.updateSyncCount();
         }
     }
 };
 
 // Initialize on load
 document.addEventListener('DOMContentLoaded', () => {
+    window.EditJournal?.init();
     window.OfflineManager.init();
 });
@@ -0,0 +1,495 @@
+/**
+ * GSP.NET Offline Packages
+ * Named offline packages for a drawn area of interest (block or parish
+ * scale): basemap tiles over a zoom range, the FlatGeobuf reference features
+ * inside the AOI (read with range requests against the file's spatial index),
+ * survey polygons, quality flags and symbols. OfflineManager drives the UI;
+ * the map loaders read packaged rows back through rowsInExtent() when the
+ * device is offline.
+ *
+ * Package records and their vector data live in IndexedDB; tiles go to the
+ * service worker's tile cache, pinned as they are fetched (the request
+ * carries PACKAGE_TILE_HEADER, or the tile is posted to the worker when it
+ * doesn't control the page yet), and each package keeps the list of tile URLs
+ * it owns so deleting it only drops tiles no other package uses.
+ */
+
+const OFFLINE_PACKAGES_DB = 'gspnet-offline-packages';
+
+const OfflinePackages = {
+
+    BUDGET_BYTES: 500 * 1024 * 1024, // same 500 MB budget the storage meter shows
+    MAX_AREA_KM2: 250,
+    MAX_TILES: 60000,
+    DEFAULT_TILE_BYTES: 25 * 1024, // used when no sample tile could be fetched
+    PACKAGE_TILE_HEADER: 'X-Gspnet-Package', // sw.js stores these tiles pinned
+    TILE_CONCURRENCY: 4,
+    PAGE_SIZE: 1000, // PostgREST max-rows: survey rows are read a page at a time
+    SYMBOL_LIMIT: 5000, // get_features_bbox can't page; more than this is recorded as truncated
+    VECTOR_KINDS: ['fgb', 'parcels', 'flags', 'symbols'],
+
+    // ---- Tiles ----
+
+    lon2tile: function(lon, zoom) {
+        return Math.floor((lon + 180) / 360 * Math.pow(2, zoom));
+    },
+
+    lat2tile: function(lat, zoom) {
+        return Math.floor((1 - Math.log(Math.tan(lat * Math.PI / 180) + 1 / Math.cos(lat * Math.PI / 180)) / Math.PI) / 2 * Math.pow(2, zoom));
+    },
+
+    tile2lon: function(x, z) {
+        return x / Math.pow(2, z) * 360 - 180;
+    },
+
+    tile2lat: function(y, z) {
+        const n = Math.PI - 2 * Math.PI * y / Math.pow(2, z);
+        return 180 / Math.PI * Math.atan(0.5 * (Math.exp(n) - Math.exp(-n)));
+    },
+
+    tileUrl: function(template, z, x, y) {
+        return template
+            .replace('{z}', z)
+            .replace('{x}', x)
+            .replace('{y}', y)
+            .replace('{-y}', Math.pow(2, z) - 1 - y)
+            .replace('{a-c}', 'a'); // Default to 'a' subdomain if present
+    },
+
+    /**
+     * Tiles touching the AOI polygon for each zoom in the range. Stops
+     * counting once MAX_TILES is passed so a huge AOI fails fast.
+     * @param {Object} aoi - GeoJSON Polygon/MultiPolygon feature in EPSG:4326
+     * @returns {Object} { tiles: [{ z, x, y }], truncated }
+     */
+    tilesFor: function(aoi, minZoom, maxZoom) {
+        const [minLon, minLat, maxLon, maxLat] = turf.bbox(aoi);
+        const tiles = [];
+        for (let z = minZoom; z <= maxZoom; z++) {
+            const x0 = this.lon2tile(minLon, z);
+            const x1 = this.lon2tile(maxLon, z);
+            const y0 = this.lat2tile(maxLat, z);
+            const y1 = this.lat2tile(minLat, z);
+            for (let x = x0; x <= x1; x++) {
+                for (let y = y0; y <= y1; y++) {
+                    const box = turf.bboxPolygon([this.tile2lon(x, z), this.tile2lat(y + 1, z), this.tile2lon(x + 1, z), this.tile2lat(y, z)]);
+                    if (!this._intersects(aoi, box)) continue;
+                    tiles.push({ z, x, y });
+                    if (tiles.length > this.MAX_TILES) return { tiles, truncated: true };
+                }
+            }
+        }
+        return { tiles, truncated: false };
+    },
+
+    /**
+     * Size estimate before download: tile count times the average size of a
+     * few sample tiles from the middle of the range. Vector data is small next
+     * to imagery and is measured after download.
+     * @returns {Promise<Object>} { tileCount, truncated, areaKm2, tileBytes, freeBytes }
+     */
+    estimate: async function(spec) {
+        const areaKm2 = turf.area(spec.aoi) / 1e6;
+        const { tiles, truncated } = spec.include.tiles ? this.tilesFor(spec.aoi, spec.minZoom, spec.maxZoom) : { tiles: [], truncated: false };
+        let avg = 0;
+        if (tiles.length && spec.basemap) {
+            const samples = [tiles[Math.floor(tiles.length / 2)], tiles[Math.floor(tiles.length * 0.75)], tiles[tiles.length - 1]];
+            const sizes = [];
+            for (const t of samples) {
+                try {
+                    const res = await fetch(this.tileUrl(spec.basemap.urlTemplate, t.z, t.x, t.y), { mode: 'cors' });
+                    if (res.ok) sizes.push((await res.blob()).size);
+                } catch (e) {}
+            }
+            avg = sizes.length ? sizes.reduce((a, b) => a + b, 0) / sizes.length : this.DEFAULT_TILE_BYTES;
+        }
+        return {
+            tileCount: tiles.length,
+            truncated,
+            areaKm2,
+            tileBytes: Math.round(tiles.length * avg),
+            freeBytes: await this.freeBytes()
+        };
+    },
+
+    /** Room left: the lesser of the browser quota and the app's offline budget. */
+    freeBytes: async function() {
+        if (!navigator.storage || !navigator.storage.estimate) return this.BUDGET_BYTES;
+        const { usage = 0, quota = Infinity } = await navigator.storage.estimate();
+        return Math.max(0, Math.min(quota - usage, this.BUDGET_BYTES - usage));
+    },
+
+    /**
+     * Check a spec against the area, tile and storage limits.
+     * @returns {string|null} reason it can't be downloaded
+     */
+    checkLimits: function(spec, est) {
+        if (est.areaKm2 > this.MAX_AREA_KM2) {
+            return `The area is ${est.areaKm2.toFixed(1)} km²; offline packages are limited to ${this.MAX_AREA_KM2} km². Draw a smaller area.`;
+        }
+        if (est.truncated) {
+            return `More than ${this.MAX_TILES.toLocaleString()} tiles. Lower the maximum zoom or draw a smaller area.`;
+        }
+        if (est.tileBytes > est.freeBytes) {
+            return `About ${this.formatBytes(est.tileBytes)} needed but only ${this.formatBytes(est.freeBytes)} of offline storage is free. Delete a package or lower the maximum zoom.`;
+        }
+        return null;
+    },
+
+    // ---- Download ----
+
+    /**
+     * Download (or refresh) a package.
+     * @param {Object} spec - { id?, name, aoi, minZoom, maxZoom, basemap: { title, urlTemplate },
+     *                          include: { tiles, fgb, parcels, flags, symbols }, fgbLayers: [{ title, url, fallbackUrl }] }
+     * @param {Function} onProgress - (fraction, text)
+     * @param {Object} options - { refresh: true to bypass cached tiles }
+     * @returns {Promise<Object>} the saved package record
+     */
+    build: async function(spec, onProgress, options) {
+        const opts = options || {};
+        const progress = onProgress || function() {};
+        const previous = spec.id ? await this.get(spec.id) : null;
+        const pkg = {
+            id: spec.id || 'pkg_' + Date.now(),
+            name: spec.name,
+            aoi: spec.aoi,
+            bbox: turf.bbox(spec.aoi),
+            minZoom: spec.minZoom,
+            maxZoom: spec.maxZoom,
+            basemap: spec.basemap,
+            include: spec.include,
+            fgbLayers: spec.fgbLayers || [],
+            tileUrls: [],
+            sizes: {},
+            counts: {},
+            createdAt: previous ? previous.createdAt : Date.now(),
+            updatedAt: Date.now()
+        };
+
+        if (navigator.storage && navigator.storage.persist) navigator.storage.persist().catch(() => {});
+
+        const steps = ['tiles'].concat(this.VECTOR_KINDS).filter(k => pkg.include[k]);
+        const share = 1 / Math.max(1, steps.length);
+        let done = 0;
+        const data = {};
+
+        if (pkg.include.tiles && pkg.basemap) {
+            const { tiles } = this.tilesFor(pkg.aoi, pkg.minZoom, pkg.maxZoom);
+            const stored = await this._downloadTiles(pkg, tiles, opts.refresh, (f) => progress(f * share, `Downloading tiles (${Math.round(f * 100)}%)...`));
+            pkg.tileUrls = stored.urls;
+            pkg.sizes.tiles = stored.bytes;
+            pkg.counts.tiles = stored.urls.length;
+            done++;
+        }
+
+        const fetchers = {
+            fgb: () => this._fetchFgb(pkg),
+            parcels: () => this._fetchParcels(pkg),
+            flags: () => this._fetchFlags(pkg, data.parcels || []),
+            symbols: () => this._fetchSymbols(pkg)
+        };
+        for (const kind of this.VECTOR_KINDS) {
+            if (!pkg.include[kind]) continue;
+            progress(done * share, `Downloading ${kind}...`);
+            try {
+                data[kind] = await fetchers[kind]();
+            } catch (err) {
+                console.warn(`[OfflinePackages] ${kind} download failed:`, err);
+                data[kind] = kind === 'fgb' ? {} : [];
+                pkg.counts[kind + 'Error'] = err.message || String(err);
+            }
+            pkg.counts[kind] = kind === 'fgb'
+                ? Object.values(data[kind]).reduce((n, list) => n + list.length, 0)
+                : data[kind].length;
+            pkg.sizes[kind] = JSON.stringify(data[kind]).length;
+            done++;
+        }
+
+        pkg.sizeBytes = Object.values(pkg.sizes).reduce((a, b) => a + b, 0);
+        await this._save(pkg, data);
+
+        // Tiles the old version of this package had that nothing uses any more
+        if (previous) await this._releaseTiles(previous.tileUrls.filter(u => pkg.tileUrls.indexOf(u) === -1), pkg.id);
+
+        progress(1, 'Download complete!');
+        return pkg;
+    },
+
+    _downloadTiles: async function(pkg, tiles, refresh, progress) {
+        const urls = [];
+        let bytes = 0;
+        let next = 0;
+        let finished = 0;
+        const sw = await this._tileWorker();
+        if (!sw) throw new Error('Offline storage is not ready yet. Reload the page and try again.');
+        // An uncontrolled page (first visit, hard reload) bypasses the service worker:
+        // the header would only trigger a CORS preflight, so the tiles are posted to it instead
+        const controlled = sw === navigator.serviceWorker.controller;
+        const headers = controlled ? { [this.PACKAGE_TILE_HEADER]: pkg.id } : {};
+
+        const worker = async () => {
+            while (next < tiles.length) {
+                const t = tiles[next++];
+                const url = this.tileUrl(pkg.basemap.urlTemplate, t.z, t.x, t.y);
+                try {
+                    // 'reload' makes the service worker go to the network on refresh
+                    const response = await fetch(url, { mode: 'cors', cache: refresh ? 'reload' : 'default', headers });
+                    if (response.ok) {
+                        const blob = await response.blob();
+                        if (!controlled) sw.postMessage({ type: 'CACHE_TILES', payload: { tiles: [{ url, blob }] } });
+                        urls.push(url);
+                        bytes += blob.size;
+                    }
+                } catch (err) {
+                    console.warn('Failed to download tile:', url);
+                }
+                finished++;
+                progress(finished / tiles.length);
+            }
+        };
+
+        await Promise.all(Array.from({ length: this.TILE_CONCURRENCY }, worker));
+        return { urls, bytes };
+    },
+
+    // The controlling service worker, else the active one when this page load isn't controlled
+    _tileWorker: async function() {
+        if (!('serviceWorker' in navigator)) return null;
+        if (navigator.serviceWorker.controller) return navigator.serviceWorker.controller;
+        const reg = await navigator.serviceWorker.getRegistration();
+        return (reg && reg.active) || null;
+    },
+
+    _rect: function(pkg) {
+        const [minX, minY, maxX, maxY] = pkg.bbox;
+        return { minX, minY, maxX, maxY };
+    },
+
+    /** FlatGeobuf features in the AOI, per reference layer title. */
+    _fetchFgb: async function(pkg) {
+        const out = {};
+        for (const layer of pkg.fgbLayers) {
+            const urls = [layer.url, layer.fallbackUrl].filter(Boolean);
+            for (const url of urls) {
+                try {
+                    const features = [];
+                    for await (const f of flatgeobuf.deserialize(url, this._rect(pkg))) {
+                        if (f.geometry && this._intersects(pkg.aoi, f)) {
+                            features.push({ type: 'Feature', properties: f.properties || {}, geometry: f.geometry });
+                        }
+                    }
+                    out[layer.title] = features;
+                    break;
+                } catch (err) {
+                    console.warn(`[OfflinePackages] FGB read failed for ${layer.title} from ${url}:`, err);
+                }
+            }
+        }
+        return out;
+    },
+
+    /** polygon_features rows for every survey layer, as get_polygons_in_extent returns them. */
+    _fetchParcels: async function(pkg) {
+        const [minLon, minLat, maxLon, maxLat] = pkg.bbox;
+        const rows = [];
+        for (const layerName of (window.surveyPolygonLayerNames || [])) {
+            for (let from = 0; ; from += this.PAGE_SIZE) {
+                const { data, error } = await window.supabaseClient.rpc('get_polygons_in_extent', {
+                    min_lon: minLon, min_lat: minLat, max_lon: maxLon, max_lat: maxLat, target_layer: layerName
+                }).order('unique_id').range(from, from + this.PAGE_SIZE - 1);
+                if (error) throw error;
+                rows.push(...(data || []));
+                if (!data || data.length < this.PAGE_SIZE) break;
+            }
+        }
+        return rows;
+    },
+
+    /** parcel_flags for the packaged parcels. */
+    _fetchFlags: async function(pkg, parcels) {
+        const uids = Array.from(new Set(parcels.map(p => p.unique_id).filter(Boolean)));
+        const rows = [];
+        for (let i = 0; i < uids.length; i += 200) {
+            const { data, error } = await window.supabaseClient.from('parcel_flags')
+                .select('*').in('survey_unique_id', uids.slice(i, i + 200));
+            if (error) throw error;
+            rows.push(...(data || []));
+        }
+        return rows;
+    },
+
+    /** map_features (symbols) in the AOI, as GeoJSON features from get_features_bbox. */
+    _fetchSymbols: async function(pkg) {
+        const [minLon, minLat, maxLon, maxLat] = pkg.bbox;
+        const { data, error } = await window.supabaseClient.rpc('get_features_bbox', {
+            min_lon: minLon, min_lat: minLat, max_lon: maxLon, max_lat: maxLat, lim: this.SYMBOL_LIMIT
+        });
+        if (error) throw error;
+        const features = (data && data.features) || [];
+        if (features.length >= this.SYMBOL_LIMIT) pkg.counts.symbolsTruncated = true;
+        return features.filter(f => f.geometry && this._intersects(pkg.aoi, f));
+    },
+
+    // ---- Offline reads ----
+
+    /**
+     * Packaged rows of one kind from every package overlapping the extent.
+     * Survey rows are filtered by layer and left for the caller's own
+     * in-extent check, like the server's bbox-only filter.
+     * @param {string} kind - 'parcels' | 'flags' | 'symbols'
+     * @param {Array} extent4326 - [minLon, minLat, maxLon, maxLat], or null for all
+     * @param {string} layerName - survey layer, for 'parcels'
+     * @returns {Promise<Object>} { data, error: null }, shaped like the online call's result
+     */
+    rowsInExtent: async function(kind, extent4326, layerName) {
+        const seen = new Set();
+        const rows = [];
+        for (const pkg of await this.list()) {
+            if (extent4326 && !this._bboxOverlap(pkg.bbox, extent4326)) continue;
+            const list = await this._getData(pkg.id, kind) || [];
+            list.forEach((row) => {
+                if (kind === 'parcels' && layerName && row.layer_name !== layerName) return;
+                const id = kind === 'symbols' ? row.id : row.id || row.unique_id;
+                if (id != null && seen.has(id)) return;
+                if (id != null) seen.add(id);
+                rows.push(row);
+            });
+        }
+        return { data: kind === 'symbols' ? { type: 'FeatureCollection', features: rows } : rows, error: null };
+    },
+
+    /** Packaged FlatGeobuf features merged across packages: { layerTitle: [features] }. */
+    fgbFeatures: async function() {
+        const out = {};
+        for (const pkg of await this.list()) {
+            const layers = await this._getData(pkg.id, 'fgb') || {};
+            Object.keys(layers).forEach((title) => {
+                out[title] = (out[title] || []).concat(layers[title]);
+            });
+        }
+        return out;
+    },
+
+    // Keep anything turf can't test (e.g. broken rings) rather than drop it
+    _intersects: function(aoi, feature) {
+        try {
+            return turf.booleanIntersects(aoi, feature);
+        } catch (e) {
+            return true;
+        }
+    },
+
+    _bboxOverlap: function(a, b) {
+        return a[0] <= b[2] && a[2] >= b[0] && a[1] <= b[3] && a[3] >= b[1];
+    },
+
+    // ---- Storage ----
+
+    list: async function() {
+        const db = await this._openDB();
+        return new Promise((resolve, reject) => {
+            const req = db.transaction('packages', 'readonly').objectStore('packages').getAll();
+            req.onsuccess = () => resolve(req.result.sort((a, b) => b.updatedAt - a.updatedAt));
+            req.onerror = () => reject(req.error);
+        });
+    },
+
+    get: async function(id) {
+        const db = await this._openDB();
+        return new Promise((resolve, reject) => {
+            const req = db.transaction('packages', 'readonly').objectStore('packages').get(id);
+            req.onsuccess = () => resolve(req.result || null);
+            req.onerror = () => reject(req.error);
+        });
+    },
+
+    /** Delete a package, its vector data and the tiles no other package uses. */
+    remove: async function(id) {
+        const pkg = await this.get(id);
+        if (!pkg) return;
+        const db = await this._openDB();
+        await new Promise((resolve, reject) => {
+            const tx = db.transaction(['packages', 'data'], 'readwrite');
+            tx.objectStore('packages').delete(id);
+            this.VECTOR_KINDS.forEach(kind => tx.objectStore('data').delete(id + ':' + kind));
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+        await this._releaseTiles(pkg.tileUrls || [], id);
+    },
+
+    _save: async function(pkg, data) {
+        const db = await this._openDB();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(['packages', 'data'], 'readwrite');
+            tx.objectStore('packages').put(pkg);
+            this.VECTOR_KINDS.forEach((kind) => {
+                if (data[kind]) tx.objectStore('data').put({ id: pkg.id + ':' + kind, rows: data[kind] });
+                else tx.objectStore('data').delete(pkg.id + ':' + kind);
+            });
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    },
+
+    _getData: async function(id, kind) {
+        const db = await this._openDB();
+        return new Promise((resolve, reject) => {
+            const req = db.transaction('data', 'readonly').objectStore('data').get(id + ':' + kind);
+            req.onsuccess = () => resolve(req.result ? req.result.rows : null);
+            req.onerror = () => reject(req.error);
+        });
+    },
+
+    _releaseTiles: async function(urls, ownerId) {
+        if (!urls.length) return;
+        const inUse = new Set();
+        (await this.list()).forEach((p) => {
+            if (p.id !== ownerId) (p.tileUrls || []).forEach(u => inUse.add(u));
+        });
+        const orphans = urls.filter(u => !inUse.has(u));
+        const sw = orphans.length ? await this._tileWorker() : null;
+        if (sw) sw.postMessage({ type: 'DELETE_TILES', payload: { urls: orphans } });
+    },
+
+    /** Drop every package record and its vector data (tiles are cleared by the caller). */
+    clear: async function() {
+        if (this._db) {
+            (await this._db).close();
+            this._db = null;
+        }
+        await new Promise((resolve) => {
+            const req = indexedDB.deleteDatabase(OFFLINE_PACKAGES_DB);
+            req.onsuccess = req.onerror = req.onblocked = () => resolve();
+        });
+    },
+
+    _openDB: function() {
+        if (!this._db) {
+            this._db = new Promise((resolve, reject) => {
+                const req = indexedDB.open(OFFLINE_PACKAGES_DB, 1);
+                req.onupgradeneeded = () => {
+                    const db = req.result;
+                    if (!db.objectStoreNames.contains('packages')) db.createObjectStore('packages', { keyPath: 'id' });
+                    if (!db.objectStoreNames.contains('data')) db.createObjectStore('data', { keyPath: 'id' });
+                };
+                req.onsuccess = () => resolve(req.result);
+                req.onerror = () => { this._db = null; reject(req.error); };
+            });
+        }
+        return this._db;
+    },
+
+    formatBytes: function(bytes) {
+        if (bytes >= 1024 * 1024) return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+        return Math.max(1, Math.round(bytes / 1024)) + ' KB';
+    }
+};
+
+// Export for usage in other scripts or UI
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OfflinePackages;
+} else {
+    window.OfflinePackages = OfflinePackages;
+}
@@ -0,0 +1,550 @@
+/**
+ * GSP.NET Print Layout Composer
+ * Lays out survey map sheets (A4/A3/A1, portrait or landscape) as vector PDF
+ * with jsPDF. The map frame carries the basemap as an image and the vector
+ * layers as PDF paths on top; around it go coordinate ticks, a north arrow,
+ * a scale bar, the title block, a legend and an inset locator map.
+ *
+ * Templates are plain settings objects. The six paper/orientation pairs are
+ * built in; user templates (with their title block fields) live in
+ * localStorage. An atlas is simply several pages passed to compose().
+ */
+
+const PRINT_TEMPLATE_STORAGE_KEY = 'gspnet_print_templates';
+
+const PrintLayout = {
+
+    PAPER_MM: { A4: [210, 297], A3: [297, 420], A1: [594, 841] },
+    MARGIN_MM: 10,
+    GAP_MM: 4,
+    SCALES: [100, 200, 250, 500, 1000, 1250, 2000, 2500, 5000, 10000, 20000, 25000, 50000, 100000, 250000],
+    MIN_SEGMENT_MM: 0.15, // vertices closer than this on paper are dropped
+
+    DEFAULT_TEMPLATE: {
+        paper: 'A4',
+        orientation: 'portrait',
+        title: 'Survey Plan',
+        surveyor: '',
+        client: '',
+        reference: '',
+        legend: true,
+        inset: true,
+        northArrow: true,
+        grid: true
+    },
+
+    DEFAULT_STYLE: { fill: [59, 130, 246, 0.25], stroke: [37, 99, 235, 1], width: 2 },
+
+    // ---- Templates ----
+
+    builtInTemplates: function() {
+        const out = [];
+        Object.keys(this.PAPER_MM).forEach(paper => {
+            ['portrait', 'landscape'].forEach(orientation => {
+                out.push(Object.assign({}, this.DEFAULT_TEMPLATE, {
+                    id: paper.toLowerCase() + '-' + orientation,
+                    name: paper + ' ' + orientation,
+                    builtIn: true,
+                    paper,
+                    orientation
+                }));
+            });
+        });
+        return out;
+    },
+
+    _loadSaved: function() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(PRINT_TEMPLATE_STORAGE_KEY) || '[]');
+            return Array.isArray(saved) ? saved : [];
+        } catch (e) {
+            console.error('[PrintLayout] Error reading saved templates', e);
+            return [];
+        }
+    },
+
+    _storeSaved: function(list) {
+        try {
+            localStorage.setItem(PRINT_TEMPLATE_STORAGE_KEY, JSON.stringify(list));
+        } catch (e) {
+            console.error('[PrintLayout] Error saving templates', e);
+        }
+    },
+
+    listTemplates: function() {
+        return this.builtInTemplates().concat(this._loadSaved());
+    },
+
+    getTemplate: function(id) {
+        const list = this.listTemplates();
+        return list.find(t => t.id === id) || list[0];
+    },
+
+    /**
+     * Save the current settings under a name. A template with the same name
+     * is replaced.
+     */
+    saveTemplate: function(name, settings) {
+        const saved = this._loadSaved().filter(t => t.name !== name);
+        const tpl = Object.assign({}, this.DEFAULT_TEMPLATE, settings, {
+            id: 'user-' + Date.now().toString(36),
+            name,
+            builtIn: false
+        });
+        saved.push(tpl);
+        this._storeSaved(saved);
+        return tpl;
+    },
+
+    deleteTemplate: function(id) {
+        this._storeSaved(this._loadSaved().filter(t => t.id !== id));
+    },
+
+    // ---- Page geometry (all in mm, origin top-left) ----
+
+    pageSize: function(tpl) {
+        const [w, h] = this.PAPER_MM[tpl.paper] || this.PAPER_MM.A4;
+        return tpl.orientation === 'landscape' ? [h, w] : [w, h];
+    },
+
+    // Text and symbol size factor; 1 on A4
+    sizeFactor: function(tpl) {
+        const [w, h] = this.pageSize(tpl);
+        return Math.sqrt(Math.min(w, h) / 210);
+    },
+
+    /**
+     * Frame rectangles { x, y, w, h } for the map, title block, legend and
+     * inset. Landscape sheets put the panels in a column on the right,
+     * portrait sheets in a band below the map. Disabled panels are null.
+     */
+    frames: function(tpl) {
+        const [W, H] = this.pageSize(tpl);
+        const m = this.MARGIN_MM;
+        const gap = this.GAP_MM;
+        const out = { page: { w: W, h: H }, map: null, title: null, legend: null, inset: null };
+
+        if (tpl.orientation === 'landscape') {
+            const side = Math.round(Math.min(150, Math.max(62, W * 0.24)));
+            const x = W - m - side;
+            out.map = { x: m, y: m, w: x - gap - m, h: H - 2 * m };
+            const titleH = Math.round(Math.min(150, Math.max(62, H * 0.34)));
+            out.title = { x, y: H - m - titleH, w: side, h: titleH };
+            let y = m;
+            if (tpl.inset) {
+                out.inset = { x, y, w: side, h: Math.round(side * 0.7) };
+                y += out.inset.h + gap;
+            }
+            if (tpl.legend) out.legend = { x, y, w: side, h: out.title.y - gap - y };
+            return out;
+        }
+
+        const band = Math.round(Math.min(170, Math.max(60, H * 0.2)));
+        out.map = { x: m, y: m, w: W - 2 * m, h: H - 2 * m - band - gap };
+        const y = out.map.y + out.map.h + gap;
+        const col = Math.round((out.map.w - 2 * gap) * 0.25);
+        let x = m;
+        if (tpl.inset) {
+            out.inset = { x, y, w: col, h: band };
+            x += col + gap;
+        }
+        if (tpl.legend) {
+            out.legend = { x, y, w: col, h: band };
+            x += col + gap;
+        }
+        out.title = { x, y, w: W - m - x, h: band };
+        return out;
+    },
+
+    /**
+     * Smallest standard scale at which a ground area (metres) fits the frame
+     * with a 5% margin on each side.
+     * @returns {number} - scale denominator
+     */
+    fitScale: function(groundW, groundH, frame) {
+        const need = Math.max((groundW * 1000) / (frame.w * 0.9), (groundH * 1000) / (frame.h * 0.9));
+        const std = this.SCALES.find(s => s >= need);
+        return std || Math.ceil(need / 50000) * 50000;
+    },
+
+    geometryKind: function(type) {
+        if (type === 'Point' || type === 'MultiPoint') return 'point';
+        if (type === 'LineString' || type === 'MultiLineString') return 'line';
+        return 'polygon';
+    },
+
+    // ---- Composition ----
+
+    /**
+     * Build the PDF.
+     * @param {Array} pages - per sheet: {
+     *   extent: [minx, miny, maxx, maxy] in map units, matching the map frame's aspect,
+     *   scale: denominator, subtitle,
+     *   image: JPEG data URL of the basemap for the map frame, or null,
+     *   features: [{ geometry: ol.geom.Geometry, style: { fill, stroke, width }, highlight }],
+     *   legend: [{ title, kind: 'polygon'|'line'|'point', style }],
+     *   grid: { bl: [e, n], tr: [e, n], geographic } corners in the output CRS,
+     *   inset: { extent, image } }
+     * @param {Object} options - { template, crsName, date }
+     * @returns {Blob}
+     */
+    compose: function(pages, options) {
+        if (!window.jspdf || !window.jspdf.jsPDF) throw new Error('jsPDF is not loaded.');
+        const tpl = Object.assign({}, this.DEFAULT_TEMPLATE, options.template);
+        const f = this.frames(tpl);
+        const k = this.sizeFactor(tpl);
+        const format = (this.PAPER_MM[tpl.paper] ? tpl.paper : 'A4').toLowerCase();
+        const doc = new window.jspdf.jsPDF({ orientation: tpl.orientation, unit: 'mm', format });
+        const gStates = new Map();
+
+        pages.forEach((page, i) => {
+            if (i) doc.addPage(format, tpl.orientation);
+            this._drawMap(doc, f.map, page, tpl, k, gStates);
+            if (f.inset) this._drawInset(doc, f.inset, page, k);
+            if (f.legend) this._drawLegend(doc, f.legend, page.legend || [], k, gStates);
+            this._drawTitleBlock(doc, f.title, tpl, page, {
+                sheet: i + 1,
+                sheets: pages.length,
+                crsName: options.crsName || '',
+                date: options.date || new Date().toLocaleDateString(),
+                k
+            });
+        });
+
+        doc.setProperties({
+            title: tpl.title || 'Survey Plan',
+            author: tpl.surveyor || '',
+            subject: tpl.reference || '',
+            creator: 'GEOSPATIALNETWORKUG'
+        });
+        return doc.output('blob');
+    },
+
+    _paperTransform: function(extent, frame) {
+        const sx = frame.w / (extent[2] - extent[0]);
+        const sy = frame.h / (extent[3] - extent[1]);
+        return c => [frame.x + (c[0] - extent[0]) * sx, frame.y + (extent[3] - c[1]) * sy];
+    },
+
+    // Fill and stroke opacity go through shared graphics states
+    _setOpacity: function(doc, gStates, fillAlpha, strokeAlpha) {
+        const key = fillAlpha + '/' + strokeAlpha;
+        if (!gStates.has(key)) gStates.set(key, new doc.GState({ opacity: fillAlpha, 'stroke-opacity': strokeAlpha }));
+        doc.setGState(gStates.get(key));
+    },
+
+    _tracePath: function(doc, pts, closed) {
+        const min = this.MIN_SEGMENT_MM;
+        let last = null;
+        let n = 0;
+        pts.forEach((p, i) => {
+            if (!isFinite(p[0]) || !isFinite(p[1])) return;
+            if (last && i < pts.length - 1 && Math.abs(p[0] - last[0]) < min && Math.abs(p[1] - last[1]) < min) return;
+            if (last) doc.lineTo(p[0], p[1]);
+            else doc.moveTo(p[0], p[1]);
+            last = p;
+            n++;
+        });
+        if (closed && n) doc.close();
+        return n;
+    },
+
+    _drawGeometry: function(doc, geom, style, toPaper, k, highlight, gStates) {
+        const s = style || this.DEFAULT_STYLE;
+        const type = geom.getType();
+        const coords = geom.getCoordinates();
+        const stroke = highlight ? [220, 38, 38, 1] : s.stroke;
+        const fill = s.fill;
+        const hasFill = fill && fill[3] > 0;
+
+        doc.setDrawColor(stroke[0], stroke[1], stroke[2]);
+        if (fill) doc.setFillColor(fill[0], fill[1], fill[2]);
+        // Map styles are in screen pixels (96 DPI)
+        doc.setLineWidth(highlight ? 0.6 * k : Math.max(0.1, (s.width || 1) * 0.2646));
+        this._setOpacity(doc, gStates, hasFill ? fill[3] : 1, stroke[3] === undefined ? 1 : stroke[3]);
+
+        if (type === 'Polygon' || type === 'MultiPolygon') {
+            const polys = type === 'Polygon' ? [coords] : coords;
+            polys.forEach(poly => {
+                let n = 0;
+                poly.forEach(ring => {
+                    n += this._tracePath(doc, ring.map(toPaper), true);
+                });
+                if (!n) return;
+                if (hasFill) doc.fillStrokeEvenOdd();
+                else doc.stroke();
+            });
+        } else if (type === 'LineString' || type === 'MultiLineString') {
+            const lines = type === 'LineString' ? [coords] : coords;
+            lines.forEach(line => {
+                if (this._tracePath(doc, line.map(toPaper), false) > 1) doc.stroke();
+                else doc.discardPath();
+            });
+        } else if (type === 'Point' || type === 'MultiPoint') {
+            const pts = type === 'Point' ? [coords] : coords;
+            pts.forEach(c => {
+                const p = toPaper(c);
+                if (isFinite(p[0]) && isFinite(p[1])) doc.circle(p[0], p[1], 0.9 * k, hasFill ? 'FD' : 'S');
+            });
+        }
+    },
+
+    _drawMap: function(doc, frame, page, tpl, k, gStates) {
+        const toPaper = this._paperTransform(page.extent, frame);
+
+        doc.saveGraphicsState();
+        doc.rect(frame.x, frame.y, frame.w, frame.h, null);
+        doc.clip();
+        doc.discardPath();
+        if (page.image) doc.addImage(page.image, 'JPEG', frame.x, frame.y, frame.w, frame.h, undefined, 'FAST');
+        (page.features || []).forEach(item => {
+            if (!item.highlight) this._drawGeometry(doc, item.geometry, item.style, toPaper, k, false, gStates);
+        });
+        // Selected parcel last so nothing covers its outline
+        (page.features || []).forEach(item => {
+            if (item.highlight) this._drawGeometry(doc, item.geometry, item.style, toPaper, k, true, gStates);
+        });
+        doc.restoreGraphicsState();
+
+        this._setOpacity(doc, gStates, 1, 1);
+        if (tpl.grid && page.grid) this._drawGridTicks(doc, frame, page.grid, k);
+        doc.setLineDashPattern([], 0);
+        doc.setDrawColor(0, 0, 0);
+        doc.setLineWidth(0.35);
+        doc.rect(frame.x, frame.y, frame.w, frame.h, 'S');
+
+        if (tpl.northArrow) this._drawNorthArrow(doc, frame.x + frame.w - 10 * k, frame.y + 12 * k, k);
+        this._drawScaleBar(doc, frame, page.scale, k);
+    },
+
+    _niceInterval: function(range) {
+        const ideal = range / 5;
+        const pow = Math.pow(10, Math.floor(Math.log10(ideal)));
+        const steps = [1, 2, 2.5, 5, 10];
+        return steps.map(s => s * pow).reduce((a, b) => (Math.abs(b - ideal) < Math.abs(a - ideal) ? b : a));
+    },
+
+    /**
+     * Easting/northing ticks on the frame edge with labels in the margin, and
+     * a small cross at each grid intersection inside the map.
+     */
+    _drawGridTicks: function(doc, frame, grid, k) {
+        const minE = Math.min(grid.bl[0], grid.tr[0]);
+        const maxE = Math.max(grid.bl[0], grid.tr[0]);
+        const minN = Math.min(grid.bl[1], grid.tr[1]);
+        const maxN = Math.max(grid.bl[1], grid.tr[1]);
+        if (!(maxE > minE) || !(maxN > minN)) return;
+        const stepE = this._niceInterval(maxE - minE);
+        const stepN = this._niceInterval(maxN - minN);
+        const digits = grid.geographic ? 5 : 0;
+        const tick = 2 * k;
+        const cross = 1.5 * k;
+
+        doc.setDrawColor(30, 41, 59);
+        doc.setLineWidth(0.2);
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(6 * k);
+        doc.setTextColor(30, 41, 59);
+
+        const xs = [];
+        for (let e = Math.ceil(minE / stepE) * stepE; e <= maxE; e += stepE) {
+            const x = frame.x + ((e - minE) / (maxE - minE)) * frame.w;
+            if (x < frame.x + 2 || x > frame.x + frame.w - 2) continue;
+            xs.push(x);
+            doc.line(x, frame.y, x, frame.y + tick);
+            doc.line(x, frame.y + frame.h, x, frame.y + frame.h - tick);
+            doc.text(e.toFixed(digits) + (grid.geographic ? '' : 'E'), x, frame.y - 1, { align: 'center' });
+        }
+        const ys = [];
+        for (let n = Math.ceil(minN / stepN) * stepN; n <= maxN; n += stepN) {
+            const y = frame.y + frame.h - ((n - minN) / (maxN - minN)) * frame.h;
+            if (y < frame.y + 2 || y > frame.y + frame.h - 2) continue;
+            ys.push(y);
+            doc.line(frame.x, y, frame.x + tick, y);
+            doc.line(frame.x + frame.w, y, frame.x + frame.w - tick, y);
+            // Rotated text reads upwards from its anchor
+            const label = n.toFixed(digits) + (grid.geographic ? '' : 'N');
+            doc.text(label, frame.x - 1, y + doc.getTextWidth(label) / 2, { angle: 90 });
+        }
+        xs.forEach(x => ys.forEach(y => {
+            doc.line(x - cross, y, x + cross, y);
+            doc.line(x, y - cross, x, y + cross);
+        }));
+    },
+
+    _drawNorthArrow: function(doc, cx, cy, k) {
+        const r = 6 * k;
+        doc.setFillColor(255, 255, 255);
+        doc.setDrawColor(0, 0, 0);
+        doc.setLineWidth(0.2);
+        doc.circle(cx, cy, r, 'FD');
+        doc.setFillColor(0, 0, 0);
+        doc.triangle(cx, cy - r * 0.8, cx + r * 0.35, cy + r * 0.55, cx, cy + r * 0.25, 'F');
+        doc.triangle(cx, cy - r * 0.8, cx - r * 0.35, cy + r * 0.55, cx, cy + r * 0.25, 'S');
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(7 * k);
+        doc.setTextColor(0, 0, 0);
+        doc.text('N', cx, cy - r - 1, { align: 'center' });
+    },
+
+    _drawScaleBar: function(doc, frame, scale, k) {
+        if (!scale) return;
+        const mPerMm = scale / 1000;
+        const ideal = frame.w * 0.2 * mPerMm;
+        const pow = Math.pow(10, Math.floor(Math.log10(ideal)));
+        const length = [1, 2, 5, 10].map(s => s * pow).filter(v => v <= ideal).pop() || pow;
+        const barMm = length / mPerMm;
+        const segments = 4;
+        const x = frame.x + 5 * k;
+        const y = frame.y + frame.h - 9 * k;
+        const fmt = v => (length >= 1000 ? +(v / 1000).toFixed(2) + ' km' : +v.toFixed(1) + ' m');
+
+        doc.setFillColor(255, 255, 255);
+        doc.setDrawColor(255, 255, 255);
+        doc.rect(x - 2 * k, y - 5 * k, barMm + 14 * k, 11 * k, 'F');
+
+        doc.setDrawColor(0, 0, 0);
+        doc.setLineWidth(0.2);
+        for (let i = 0; i < segments; i++) {
+            doc.setFillColor(i % 2 ? 255 : 0, i % 2 ? 255 : 0, i % 2 ? 255 : 0);
+            doc.rect(x + (i * barMm) / segments, y, barMm / segments, 1.5 * k, 'FD');
+        }
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(6 * k);
+        doc.setTextColor(0, 0, 0);
+        doc.text('0', x, y - 1, { align: 'center' });
+        doc.text(fmt(length / 2), x + barMm / 2, y - 1, { align: 'center' });
+        doc.text(fmt(length), x + barMm, y - 1, { align: 'center' });
+        doc.text('Scale 1:' + scale.toLocaleString('en-US'), x, y + 4.5 * k);
+    },
+
+    _drawInset: function(doc, frame, page, k) {
+        doc.setDrawColor(0, 0, 0);
+        doc.setLineWidth(0.3);
+        if (page.inset && page.inset.image) {
+            doc.addImage(page.inset.image, 'JPEG', frame.x, frame.y, frame.w, frame.h, undefined, 'FAST');
+        } else {
+            doc.setFillColor(241, 245, 249);
+            doc.rect(frame.x, frame.y, frame.w, frame.h, 'F');
+        }
+        if (page.inset) {
+            const toPaper = this._paperTransform(page.inset.extent, frame);
+            const a = toPaper([page.extent[0], page.extent[3]]);
+            const b = toPaper([page.extent[2], page.extent[1]]);
+            const w = Math.max(1.5, b[0] - a[0]);
+            const h = Math.max(1.5, b[1] - a[1]);
+            doc.setDrawColor(220, 38, 38);
+            doc.setLineWidth(0.5 * k);
+            doc.rect(a[0] + (b[0] - a[0] - w) / 2, a[1] + (b[1] - a[1] - h) / 2, w, h, 'S');
+        }
+        doc.setDrawColor(0, 0, 0);
+        doc.setLineWidth(0.3);
+        doc.rect(frame.x, frame.y, frame.w, frame.h, 'S');
+
+        doc.setFillColor(255, 255, 255);
+        doc.rect(frame.x, frame.y, 18 * k, 4.5 * k, 'F');
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(6.5 * k);
+        doc.setTextColor(0, 0, 0);
+        doc.text('LOCATION', frame.x + 1.5 * k, frame.y + 3.2 * k);
+    },
+
+    _drawLegend: function(doc, frame, entries, k, gStates) {
+        const pad = 3 * k;
+        const rowH = 5.5 * k;
+        const sym = 6 * k;
+        doc.setDrawColor(0, 0, 0);
+        doc.setLineWidth(0.3);
+        doc.rect(frame.x, frame.y, frame.w, frame.h, 'S');
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(8 * k);
+        doc.setTextColor(0, 0, 0);
+        doc.text('LEGEND', frame.x + pad, frame.y + pad + 2.5 * k);
+
+        const rows = Math.max(0, Math.floor((frame.h - pad * 2 - 6 * k) / rowH));
+        const shown = entries.length > rows ? entries.slice(0, Math.max(0, rows - 1)) : entries;
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(7 * k);
+        shown.forEach((entry, i) => {
+            const y = frame.y + pad + 6 * k + i * rowH;
+            const s = entry.style || this.DEFAULT_STYLE;
+            const x = frame.x + pad;
+            const cy = y + rowH / 2;
+            doc.setDrawColor(s.stroke[0], s.stroke[1], s.stroke[2]);
+            doc.setFillColor(s.fill[0], s.fill[1], s.fill[2]);
+            doc.setLineWidth(Math.max(0.1, (s.width || 1) * 0.2646));
+            this._setOpacity(doc, gStates, s.fill[3], s.stroke[3] === undefined ? 1 : s.stroke[3]);
+            if (entry.kind === 'line') doc.line(x, cy, x + sym, cy);
+            else if (entry.kind === 'point') doc.circle(x + sym / 2, cy, 1.2 * k, 'FD');
+            else doc.rect(x, cy - sym / 3, sym, (sym * 2) / 3, 'FD');
+            this._setOpacity(doc, gStates, 1, 1);
+
+            const label = doc.splitTextToSize(String(entry.title), frame.w - pad * 2 - sym - 2 * k)[0] || '';
+            doc.setTextColor(0, 0, 0);
+            doc.text(label, x + sym + 2 * k, cy, { baseline: 'middle' });
+        });
+        if (shown.length < entries.length) {
+            doc.setTextColor(100, 116, 139);
+            doc.text('+ ' + (entries.length - shown.length) + ' more layer(s)', frame.x + pad, frame.y + pad + 6 * k + shown.length * rowH + rowH / 2, { baseline: 'middle' });
+        }
+    },
+
+    _drawTitleBlock: function(doc, frame, tpl, page, info) {
+        const k = info.k;
+        const pad = 3 * k;
+        const right = frame.x + frame.w - pad;
+        doc.setDrawColor(0, 0, 0);
+        doc.setLineWidth(0.5);
+        doc.rect(frame.x, frame.y, frame.w, frame.h, 'S');
+
+        doc.setTextColor(0, 0, 0);
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(12 * k);
+        const title = doc.splitTextToSize(tpl.title || 'Survey Plan', frame.w - pad * 2).slice(0, 2);
+        let y = frame.y + pad + 4 * k;
+        doc.text(title, frame.x + pad, y);
+        y += title.length * 5 * k;
+        if (page.subtitle) {
+            doc.setFont('helvetica', 'normal');
+            doc.setFontSize(9 * k);
+            doc.text(String(page.subtitle), frame.x + pad, y);
+            y += 4.5 * k;
+        }
+        doc.setLineWidth(0.2);
+        doc.line(frame.x, y, frame.x + frame.w, y);
+
+        const rows = [
+            ['Client', tpl.client],
+            ['Surveyor', tpl.surveyor],
+            ['Reference', tpl.reference],
+            ['Scale', page.scale ? '1:' + page.scale.toLocaleString('en-US') + ' (' + tpl.paper + ')' : ''],
+            ['Coordinate system', info.crsName],
+            ['Date', info.date],
+            ['Sheet', info.sheet + ' of ' + info.sheets]
+        ];
+        const footerH = 5 * k;
+        const rowH = Math.min(5.5 * k, (frame.y + frame.h - footerH - y) / rows.length);
+        const labelW = Math.min(frame.w * 0.4, 28 * k);
+        doc.setFontSize(Math.min(7.5 * k, rowH * 2.2));
+        rows.forEach(([label, value], i) => {
+            const cy = y + rowH * (i + 0.5);
+            doc.setFont('helvetica', 'bold');
+            doc.text(label, frame.x + pad, cy, { baseline: 'middle' });
+            doc.setFont('helvetica', 'normal');
+            const text = doc.splitTextToSize(String(value || '-'), right - (frame.x + pad + labelW))[0] || '';
+            doc.text(text, frame.x + pad + labelW, cy, { baseline: 'middle' });
+        });
+
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(6.5 * k);
+        doc.setTextColor(100, 116, 139);
+        doc.text('GEOSPATIALNETWORKUG', right, frame.y + frame.h - 2 * k, { align: 'right' });
+    }
+};
+
+// Export for usage in other scripts or UI
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PrintLayout;
+} else {
+    window.PrintLayout = PrintLayout;
+}
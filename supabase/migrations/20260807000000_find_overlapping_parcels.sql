@@ -0,0 +1,31 @@
+-- Overlap lookup for the client-side geometry validator (js/geometry-validator.js).
+-- find_intersecting_subdivisions only returns archived subdivision parents; this
+-- returns live parcels the incoming geometry overlaps by more than a tolerance.
+
+CREATE OR REPLACE FUNCTION public.find_overlapping_parcels(
+    geojson_geometry JSONB,
+    min_overlap_sqm NUMERIC DEFAULT 0.5
+)
+RETURNS TABLE (
+    id UUID,
+    unique_id TEXT,
+    layer_name TEXT,
+    overlap_sqm NUMERIC
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH g AS (
+    SELECT ST_MakeValid(ST_SetSRID(ST_GeomFromGeoJSON(geojson_geometry::text), 4326)) AS geom
+  )
+  SELECT p.id, p.unique_id, p.layer_name,
+         ST_Area(ST_Intersection(p.geometry, g.geom)::geography)::NUMERIC AS overlap_sqm
+  FROM public.polygon_features p, g
+  WHERE COALESCE(p.is_archived, false) = false
+    AND p.geometry && g.geom
+    AND ST_IsValid(p.geometry)
+    AND ST_Intersects(p.geometry, g.geom)
+    AND ST_Area(ST_Intersection(p.geometry, g.geom)::geography) > min_overlap_sqm
+  ORDER BY overlap_sqm DESC
+  LIMIT 20;
+$$;
@@ -0,0 +1,64 @@
+-- Named export presets for the Extractor panel (export-engine.js) and the
+-- server-side whole-layer export jobs run by cloudflare-worker/export-jobs.js.
+
+create table if not exists public.export_presets (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null default auth.uid(),
+  name text not null,
+  settings jsonb not null default '{}'::jsonb, -- format, exportCrs, resolution, layers, decorations, layout
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists export_presets_user_name_uidx
+  on public.export_presets (user_id, name);
+
+alter table public.export_presets enable row level security;
+
+drop policy if exists "Users can view their own export presets" on public.export_presets;
+create policy "Users can view their own export presets"
+  on public.export_presets for select
+  using ( auth.uid() = user_id );
+
+drop policy if exists "Users can insert their own export presets" on public.export_presets;
+create policy "Users can insert their own export presets"
+  on public.export_presets for insert
+  with check ( auth.uid() = user_id );
+
+drop policy if exists "Users can update their own export presets" on public.export_presets;
+create policy "Users can update their own export presets"
+  on public.export_presets for update
+  using ( auth.uid() = user_id )
+  with check ( auth.uid() = user_id );
+
+drop policy if exists "Users can delete their own export presets" on public.export_presets;
+create policy "Users can delete their own export presets"
+  on public.export_presets for delete
+  using ( auth.uid() = user_id );
+
+-- Jobs are created and progressed by the worker with the service role key;
+-- users can only read their own rows (the panel polls them for the link).
+create table if not exists public.export_jobs (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null,
+  layer_name text not null,
+  format text not null check (format in ('geojson', 'shp', 'dxf')),
+  crs text not null default 'EPSG:4326',
+  status text not null default 'queued' check (status in ('queued', 'running', 'done', 'failed')),
+  feature_count integer,
+  r2_key text,
+  download_url text,
+  error text,
+  created_at timestamptz not null default now(),
+  finished_at timestamptz
+);
+
+create index if not exists export_jobs_user_created_idx
+  on public.export_jobs (user_id, created_at desc);
+
+alter table public.export_jobs enable row level security;
+
+drop policy if exists "Users can view their own export jobs" on public.export_jobs;
+create policy "Users can view their own export jobs"
+  on public.export_jobs for select
+  using ( auth.uid() = user_id );
@@ -0,0 +1,31 @@
+-- Row versions for the offline edit journal (js/edit-journal.js).
+-- Edits made offline carry the updated_at they were based on; on sync the
+-- client compares it with the server row and guards its update with
+-- `updated_at = <seen value>`. That only works if every write moves
+-- updated_at, so stamp it in a trigger instead of trusting each caller.
+
+create or replace function public.touch_updated_at()
+returns trigger as $$
+begin
+  new.updated_at := now();
+  return new;
+end;
+$$ language plpgsql;
+
+do $$
+declare
+  t text;
+begin
+  foreach t in array array['polygon_features', 'parcel_flags', 'parcel_cases', 'map_features', 'gsp_field_observations']
+  loop
+    if to_regclass('public.' || t) is not null then
+      execute format('alter table public.%I add column if not exists updated_at timestamptz not null default now()', t);
+      execute format('drop trigger if exists %I on public.%I', t || '_touch_updated_at', t);
+      execute format(
+        'create trigger %I before update on public.%I for each row execute function public.touch_updated_at()',
+        t || '_touch_updated_at', t
+      );
+    end if;
+  end loop;
+end;
+$$;
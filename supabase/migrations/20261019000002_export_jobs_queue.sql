@@ -0,0 +1,55 @@
+-- Export jobs run from the worker's queue consumer: started_at/heartbeat_at
+-- let the cron sweep fail jobs whose consumer died, and export_schedules
+-- holds the repeating exports the sweep re-queues.
+
+alter table public.export_jobs
+  add column if not exists started_at timestamptz,
+  add column if not exists heartbeat_at timestamptz,
+  add column if not exists schedule_id uuid;
+
+create index if not exists export_jobs_status_idx
+  on public.export_jobs (status)
+  where status in ('queued', 'running');
+
+-- Written by the worker with the service role key; users read their own
+-- schedules and stop them (disable or delete) from the Extractor panel.
+create table if not exists public.export_schedules (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null,
+  layer_name text not null,
+  format text not null check (format in ('geojson', 'shp', 'dxf')),
+  crs text not null default 'EPSG:4326',
+  repeat text not null check (repeat in ('daily', 'weekly')),
+  next_run_at timestamptz not null,
+  enabled boolean not null default true,
+  last_job_id uuid,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists export_schedules_due_idx
+  on public.export_schedules (next_run_at)
+  where enabled;
+
+alter table public.export_schedules enable row level security;
+
+drop policy if exists "Users can view their own export schedules" on public.export_schedules;
+create policy "Users can view their own export schedules"
+  on public.export_schedules for select
+  using ( auth.uid() = user_id );
+
+drop policy if exists "Users can update their own export schedules" on public.export_schedules;
+create policy "Users can update their own export schedules"
+  on public.export_schedules for update
+  using ( auth.uid() = user_id )
+  with check ( auth.uid() = user_id );
+
+drop policy if exists "Users can delete their own export schedules" on public.export_schedules;
+create policy "Users can delete their own export schedules"
+  on public.export_schedules for delete
+  using ( auth.uid() = user_id );
+
+alter table public.export_jobs
+  drop constraint if exists export_jobs_schedule_id_fkey;
+alter table public.export_jobs
+  add constraint export_jobs_schedule_id_fkey
+  foreign key (schedule_id) references public.export_schedules (id) on delete set null;
@@ -0,0 +1,62 @@
+-- Offline symbol edits replay through update_map_feature (symbols-library.js),
+-- so the edit journal's updated_at guard has to be checked inside the
+-- function: with expected_updated_at set, the update only lands if the row
+-- still has that updated_at. The function returns the row's new updated_at
+-- (so the client can keep its copy current for the next guarded edit), or
+-- null when the guard no longer matches. Calls without the argument still
+-- always update.
+
+drop function if exists public.update_map_feature(uuid, json, text, text, text, jsonb, jsonb);
+drop function if exists public.update_map_feature(uuid, json, text, text, text, jsonb, jsonb, timestamptz);
+
+create or replace function public.update_map_feature(
+  feature_id uuid,
+  geom_geojson json default null,
+  name text default null,
+  description text default null,
+  status text default null,
+  style jsonb default null,
+  metadata jsonb default null,
+  expected_updated_at timestamptz default null
+)
+returns timestamptz
+language plpgsql
+security definer
+as $$
+declare
+  geom_wkt geometry;
+  current_user_id uuid;
+  new_updated_at timestamptz;
+begin
+  current_user_id := auth.uid();
+
+  -- Check ownership
+  if not exists (
+    select 1 from public.map_features
+    where id = feature_id and user_id = current_user_id
+  ) then
+    raise exception 'Not authorized to update this feature';
+  end if;
+
+  -- Convert GeoJSON if provided
+  if geom_geojson is not null then
+    geom_wkt := st_setsrid(st_geomfromgeojson(geom_geojson::text), 4326);
+  end if;
+
+  -- Update feature (only update provided fields)
+  update public.map_features
+  set
+    geom = coalesce(geom_wkt, geom),
+    name = coalesce(update_map_feature.name, map_features.name),
+    description = coalesce(update_map_feature.description, map_features.description),
+    status = coalesce(update_map_feature.status, map_features.status),
+    style = coalesce(update_map_feature.style, map_features.style),
+    metadata = coalesce(update_map_feature.metadata, map_features.metadata),
+    updated_at = now()
+  where id = feature_id
+    and (expected_updated_at is null or map_features.updated_at = expected_updated_at)
+  returning map_features.updated_at into new_updated_at;
+
+  return new_updated_at;
+end;
+$$;
@@ -2,27 +2,57 @@
  * GSP.NET Service Worker
  * Progressive Web App — Offline-first caching strategy
  * ─────────────────────────────────────────────────────
- * Bump CACHE_VERSION when deploying updates.
+ * Bump CACHE_VERSION when deploying updates. Offline map data (tiles, FGB)
+ * has its own OFFLINE_CACHE_VERSION so a release doesn't wipe downloaded
+ * regions; bump that only when the stored format changes, and activate
+ * copies the entries across instead of deleting them.
  */
 
-const CACHE_VERSION = 'v7';
-
-/* ─── Cache Names ─────────────────────────────────────────────────────── */
-const CACHE_SHELL   = `gspnet-shell-${CACHE_VERSION}`;
-const CACHE_CDN     = `gspnet-cdn-${CACHE_VERSION}`;
-const CACHE_TILES   = `gspnet-tiles-${CACHE_VERSION}`;
-const CACHE_DATA    = `gspnet-data-${CACHE_VERSION}`;
-const CACHE_FGB     = `gspnet-fgb-${CACHE_VERSION}`;
-const CACHE_CESIUM  = `gspnet-cesium-lazy-${CACHE_VERSION}`;
-
-const EXPECTED_CACHES = [
-  CACHE_SHELL,
-  CACHE_CDN,
-  CACHE_TILES,
-  CACHE_DATA,
-  CACHE_FGB,
-  CACHE_CESIUM,
-];
+const CACHE_VERSION = 'v8';
+const OFFLINE_CACHE_VERSION = 'v7';
+
+/* ─── Caches ──────────────────────────────────────────────────────────────
+ * One entry per cache ("bucket"). `budget` is the default size limit in
+ * bytes; least-recently-used entries are evicted past it, except tiles
+ * pinned by an offline package. Budgets can be changed at runtime with the
+ * SET_CACHE_BUDGETS message. `keep` caches are migrated, not wiped, when
+ * their version changes.
+ */
+const MB = 1024 * 1024;
+
+const CACHE_DEFS = {
+  shell:  { prefix: 'gspnet-shell',       version: CACHE_VERSION },
+  cdn:    { prefix: 'gspnet-cdn',         version: CACHE_VERSION },
+  cesium: { prefix: 'gspnet-cesium-lazy', version: CACHE_VERSION,         budget: 150 * MB },
+  data:   { prefix: 'gspnet-data',        version: CACHE_VERSION,         budget: 50 * MB },
+  tiles:  { prefix: 'gspnet-tiles',       version: OFFLINE_CACHE_VERSION, budget: 500 * MB, keep: true }, // = OfflinePackages.BUDGET_BYTES
+  fgb:    { prefix: 'gspnet-fgb',         version: OFFLINE_CACHE_VERSION, budget: 200 * MB, keep: true },
+};
+
+function cacheNameOf(bucket) {
+  return `${CACHE_DEFS[bucket].prefix}-${CACHE_DEFS[bucket].version}`;
+}
+
+/** Bucket a cache name belongs to, whatever its version, or null. */
+function bucketOfCacheName(name) {
+  return Object.keys(CACHE_DEFS).find((bucket) => {
+    const prefix = `${CACHE_DEFS[bucket].prefix}-`;
+    return name.startsWith(prefix) && !name.slice(prefix.length).includes('-');
+  }) || null;
+}
+
+const CACHE_SHELL   = cacheNameOf('shell');
+const CACHE_TILES   = cacheNameOf('tiles');
+
+const EXPECTED_CACHES = Object.keys(CACHE_DEFS).map(cacheNameOf);
+
+// Opaque responses hide their size; count them at a typical tile size
+const OPAQUE_ENTRY_BYTES = 50 * 1024;
+// Evict down to this share of the budget so we don't evict on every write
+const EVICT_TARGET = 0.9;
+
+// Set by js/offline-packages.js on tile downloads; the tile is stored pinned
+const PACKAGE_TILE_HEADER = 'X-Gspnet-Package';
 
 /* ─── Precache Manifest (App Shell) ───────────────────────────────────── */
 const PRECACHE_LOCAL = [
@@ -46,12 +76,27 @@ const PRECACHE_LOCAL = [
   '/js/sentinel-analytics.js?v=1.2',
   '/js/profile-report.js',
   '/js/jrj-generator.js',
+  '/js/deed-plan-atlas.js',
+  '/js/field-observations.js',
+  '/js/jrj-importer.js',
+  '/js/geometry-validator.js',
+  '/js/geopackage.js',
+  '/js/kml-writer.js',
+  '/js/geotiff-writer.js',
+  '/js/print-layout.js',
+  '/js/coordinate-list.js',
+  '/js/edit-journal.js',
+  '/js/offline-packages.js',
+  '/js/local-tiles.js',
+  '/js/vendor/sql.js/sql-wasm.js',
+  '/js/vendor/sql.js/sql-wasm.wasm',
   '/contour-worker.js',
   '/cad-integration.js',
   '/condo-viewer.js',
   '/export-engine.js',
   '/symbols-library.js',
   '/jrj_engine.js',
+  '/js/datum-transform.js',
   '/jrj_pdf.js',
   '/chatbot_assistant_context.md',
   '/manifest.json',
@@ -158,58 +203,473 @@ self.addEventListener('install', (event) => {
   );
 });
 
+/* ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ * CACHE METADATA — size and last use of every cached entry
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ * The Cache API can't report sizes without reading each body, so sizes are
+ * recorded in IndexedDB when entries are written. `usage` keeps running
+ * totals per bucket (bytes, count, pinnedBytes); `entries` is indexed by
+ * (bucket, lastAccess) for LRU and by (bucket, pinned, lastAccess) so
+ * eviction walks unpinned entries only. `pinned` is 0/1: booleans can't be
+ * index keys.
+ */
+const META_DB = 'gspnet-sw-cache-meta';
+const META_DB_VERSION = 2;
+
+let metaDbPromise = null;
+let budgetsPromise = null;
+
+function openMetaDB() {
+  if (metaDbPromise) return metaDbPromise;
+  metaDbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(META_DB, META_DB_VERSION);
+    req.onupgradeneeded = (event) => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains('entries')) {
+        db.createObjectStore('entries', { keyPath: 'id' }).createIndex('lru', ['bucket', 'lastAccess']);
+      }
+      if (!db.objectStoreNames.contains('usage')) db.createObjectStore('usage', { keyPath: 'bucket' });
+      if (!db.objectStoreNames.contains('settings')) db.createObjectStore('settings');
+      if (event.oldVersion < 2) upgradePinned(req.transaction);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => {
+      metaDbPromise = null;
+      reject(req.error);
+    };
+  });
+  return metaDbPromise;
+}
+
+/** v1 → v2: pinned flags become 0/1 for the evict index, pinned bytes are totalled. */
+function upgradePinned(tx) {
+  const entries = tx.objectStore('entries');
+  entries.createIndex('evict', ['bucket', 'pinned', 'lastAccess']);
+  const pinnedBytes = {};
+  entries.openCursor().onsuccess = (e) => {
+    const cursor = e.target.result;
+    if (cursor) {
+      const row = cursor.value;
+      row.pinned = row.pinned ? 1 : 0;
+      if (row.pinned) pinnedBytes[row.bucket] = (pinnedBytes[row.bucket] || 0) + row.size;
+      cursor.update(row);
+      cursor.continue();
+      return;
+    }
+    const usage = tx.objectStore('usage');
+    usage.openCursor().onsuccess = (ev) => {
+      const c = ev.target.result;
+      if (!c) return;
+      c.update({ ...c.value, pinnedBytes: pinnedBytes[c.value.bucket] || 0 });
+      c.continue();
+    };
+  };
+}
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/** Run fn(tx) in a transaction; resolves with fn's result once it commits. */
+async function metaTx(stores, mode, fn) {
+  const db = await openMetaDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(stores, mode);
+    let result;
+    Promise.resolve(fn(tx)).then((r) => { result = r; }, reject);
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+function metaId(bucket, url) {
+  return `${bucket} ${url}`;
+}
+
+function lruRange(bucket) {
+  return IDBKeyRange.bound([bucket, -Infinity], [bucket, Infinity]);
+}
+
+function unpinnedRange(bucket) {
+  return IDBKeyRange.bound([bucket, 0, -Infinity], [bucket, 0, Infinity]);
+}
+
+/** Add to a bucket's running totals inside tx. */
+async function addUsage(tx, bucket, bytes, count, pinnedBytes = 0) {
+  const store = tx.objectStore('usage');
+  const row = (await idbRequest(store.get(bucket))) || { bucket, bytes: 0, count: 0, pinnedBytes: 0 };
+  row.bytes = Math.max(0, row.bytes + bytes);
+  row.count = Math.max(0, row.count + count);
+  row.pinnedBytes = Math.max(0, (row.pinnedBytes || 0) + pinnedBytes);
+  store.put(row);
+}
+
+/**
+ * Record cached entries: [{ url, size, pinned }]. An entry pinned by an
+ * offline package stays pinned when the runtime cache rewrites it.
+ */
+function recordEntries(bucket, items) {
+  if (!items.length) return Promise.resolve();
+  return metaTx(['entries', 'usage'], 'readwrite', async (tx) => {
+    const store = tx.objectStore('entries');
+    const now = Date.now();
+    let bytes = 0;
+    let count = 0;
+    let pinnedBytes = 0;
+    const existing = await Promise.all(items.map((item) => idbRequest(store.get(metaId(bucket, item.url)))));
+    items.forEach((item, i) => {
+      const prev = existing[i];
+      const pinned = item.pinned || (prev && prev.pinned) ? 1 : 0;
+      bytes += item.size - (prev ? prev.size : 0);
+      pinnedBytes += (pinned ? item.size : 0) - (prev && prev.pinned ? prev.size : 0);
+      if (!prev) count++;
+      store.put({
+        id: metaId(bucket, item.url),
+        bucket,
+        url: item.url,
+        size: item.size,
+        lastAccess: now,
+        pinned,
+      });
+    });
+    await addUsage(tx, bucket, bytes, count, pinnedBytes);
+  });
+}
+
+function forgetEntries(bucket, urls) {
+  if (!urls.length) return Promise.resolve();
+  return metaTx(['entries', 'usage'], 'readwrite', async (tx) => {
+    const store = tx.objectStore('entries');
+    const existing = await Promise.all(urls.map((url) => idbRequest(store.get(metaId(bucket, url)))));
+    let bytes = 0;
+    let count = 0;
+    let pinnedBytes = 0;
+    existing.forEach((prev) => {
+      if (!prev) return;
+      bytes += prev.size;
+      count++;
+      if (prev.pinned) pinnedBytes += prev.size;
+      store.delete(prev.id);
+    });
+    await addUsage(tx, bucket, -bytes, -count, -pinnedBytes);
+  });
+}
+
+function forgetBucket(bucket) {
+  return metaTx(['entries', 'usage'], 'readwrite', (tx) => {
+    tx.objectStore('entries').index('lru').openKeyCursor(lruRange(bucket)).onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (!cursor) return;
+      tx.objectStore('entries').delete(cursor.primaryKey);
+      cursor.continue();
+    };
+    tx.objectStore('usage').delete(bucket);
+  });
+}
+
+// Cache hits only bump lastAccess, so batch them into one write
+const pendingTouches = new Map();
+let touchFlush = null;
+
+function touchEntry(bucket, url) {
+  pendingTouches.set(metaId(bucket, url), Date.now());
+  if (!touchFlush) {
+    touchFlush = new Promise((resolve) => setTimeout(resolve, 2000)).then(() => {
+      const touches = new Map(pendingTouches);
+      pendingTouches.clear();
+      touchFlush = null;
+      return metaTx(['entries'], 'readwrite', (tx) => {
+        const store = tx.objectStore('entries');
+        touches.forEach((time, id) => {
+          store.get(id).onsuccess = (e) => {
+            const row = e.target.result;
+            if (!row) return;
+            row.lastAccess = time;
+            store.put(row);
+          };
+        });
+      });
+    }).catch((err) => console.warn('[SW] Cache metadata touch failed:', err));
+  }
+  return touchFlush;
+}
+
+/** Default budgets merged with any set through SET_CACHE_BUDGETS. */
+function getBudgets() {
+  if (!budgetsPromise) {
+    budgetsPromise = metaTx(['settings'], 'readonly', (tx) => idbRequest(tx.objectStore('settings').get('budgets')))
+      .then((saved) => {
+        const budgets = {};
+        Object.keys(CACHE_DEFS).forEach((bucket) => {
+          const value = saved && saved[bucket];
+          budgets[bucket] = value > 0 ? value : (CACHE_DEFS[bucket].budget || null);
+        });
+        return budgets;
+      })
+      .catch((err) => {
+        budgetsPromise = null;
+        throw err;
+      });
+  }
+  return budgetsPromise;
+}
+
+async function setBudgets(overrides) {
+  const current = await metaTx(['settings'], 'readonly', (tx) => idbRequest(tx.objectStore('settings').get('budgets')));
+  const next = { ...(current || {}) };
+  Object.keys(overrides || {}).forEach((bucket) => {
+    if (!CACHE_DEFS[bucket]) return;
+    const value = Number(overrides[bucket]);
+    if (value > 0) next[bucket] = value;
+    else delete next[bucket]; // 0 / null restores the default
+  });
+  await metaTx(['settings'], 'readwrite', (tx) => { tx.objectStore('settings').put(next, 'budgets'); });
+  budgetsPromise = null;
+  await Promise.all(Object.keys(CACHE_DEFS).map(enforceBudget));
+}
+
+async function getUsage() {
+  const rows = await metaTx(['usage'], 'readonly', (tx) => idbRequest(tx.objectStore('usage').getAll()));
+  const usage = {};
+  Object.keys(CACHE_DEFS).forEach((bucket) => { usage[bucket] = { bytes: 0, count: 0, pinnedBytes: 0 }; });
+  rows.forEach((row) => {
+    if (usage[row.bucket]) usage[row.bucket] = { bytes: row.bytes, count: row.count, pinnedBytes: row.pinnedBytes || 0 };
+  });
+  return usage;
+}
+
+// One eviction pass per bucket at a time
+const evictions = {};
+
+function enforceBudget(bucket) {
+  if (!evictions[bucket]) {
+    evictions[bucket] = evictBucket(bucket)
+      .catch((err) => console.warn(`[SW] Eviction failed for ${bucket}:`, err))
+      .then(() => { evictions[bucket] = null; });
+  }
+  return evictions[bucket];
+}
+
+async function evictBucket(bucket) {
+  const budget = (await getBudgets())[bucket];
+  if (!budget) return;
+  const usage = (await getUsage())[bucket];
+  if (usage.bytes <= budget) return;
+
+  // Pinned package tiles can fill the budget alone; then there is nothing to evict
+  let excess = Math.min(usage.bytes - budget * EVICT_TARGET, usage.bytes - usage.pinnedBytes);
+  if (excess <= 0) return;
+  const victims = await metaTx(['entries'], 'readonly', (tx) => new Promise((resolve, reject) => {
+    const found = [];
+    const req = tx.objectStore('entries').index('evict').openCursor(unpinnedRange(bucket));
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor || excess <= 0) return resolve(found);
+      found.push(cursor.value.url);
+      excess -= cursor.value.size;
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  }));
+  if (!victims.length) return;
+
+  const cache = await caches.open(cacheNameOf(bucket));
+  await Promise.all(victims.map((url) => cache.delete(url)));
+  await forgetEntries(bucket, victims);
+  console.log(`[SW] Evicted ${victims.length} entries from ${bucket} (budget ${Math.round(budget / MB)} MB)`);
+}
+
+/** Byte size from headers, or null if the body has to be measured. */
+function headerSize(response) {
+  if (response.type === 'opaque') return OPAQUE_ENTRY_BYTES;
+  const length = Number(response.headers.get('Content-Length'));
+  return length > 0 ? length : null;
+}
+
+/** Put a response in a bucket's cache, record its size and enforce the budget. */
+async function storeResponse(bucket, request, response, pinned = false) {
+  let size = headerSize(response);
+  let body = response;
+  if (size === null) {
+    const blob = await response.blob();
+    size = blob.size;
+    body = new Response(blob, { status: response.status, statusText: response.statusText, headers: response.headers });
+  }
+  const cache = await caches.open(cacheNameOf(bucket));
+  await cache.put(request, body);
+  const url = typeof request === 'string' ? request : request.url;
+  await recordEntries(bucket, [{ url, size, pinned }]);
+  if (CACHE_DEFS[bucket].budget) await enforceBudget(bucket);
+}
+
+/**
+ * Bring a bucket's metadata in line with its cache: add entries written
+ * before metadata existed (or by cache.addAll) and drop ones whose cache
+ * entry is gone. Only run for buckets with no usage row yet or that just
+ * had an old cache copied in.
+ */
+async function reconcileBucket(bucket) {
+  const cache = await caches.open(cacheNameOf(bucket));
+  const cachedUrls = (await cache.keys()).map((req) => req.url);
+  const cached = new Set(cachedUrls);
+  const known = await metaTx(['entries'], 'readonly', (tx) =>
+    idbRequest(tx.objectStore('entries').index('lru').getAll(lruRange(bucket))));
+  const knownUrls = new Set(known.map((row) => row.url));
+
+  await forgetEntries(bucket, known.filter((row) => !cached.has(row.url)).map((row) => row.url));
+
+  const missing = cachedUrls.filter((url) => !knownUrls.has(url));
+  for (let i = 0; i < missing.length; i += 200) {
+    const items = [];
+    for (const url of missing.slice(i, i + 200)) {
+      const response = await cache.match(url);
+      if (!response) continue;
+      let size = headerSize(response);
+      if (size === null) size = (await response.blob()).size;
+      items.push({ url, size });
+    }
+    await recordEntries(bucket, items);
+  }
+}
+
+/** Copy every entry of an old-version cache into the current one. */
+async function migrateCache(oldName, bucket) {
+  const from = await caches.open(oldName);
+  const to = await caches.open(cacheNameOf(bucket));
+  const requests = await from.keys();
+  for (const request of requests) {
+    if (await to.match(request)) continue;
+    const response = await from.match(request);
+    if (response) await to.put(request, response);
+  }
+  console.log(`[SW] Migrated ${requests.length} entries from ${oldName} to ${cacheNameOf(bucket)}`);
+}
+
 /* ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
  * ACTIVATE — Claim clients & purge old caches
- * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ */
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ * Fetches wait while activate is pending, so it only drops old caches that
+ * aren't kept. Copying kept caches and rebuilding missing metadata can read
+ * thousands of entries; that runs as cache upkeep afterwards.
+ */
 self.addEventListener('activate', (event) => {
   event.waitUntil(
-    caches.keys().then((cacheNames) =>
-      Promise.all(
-        cacheNames
-          .filter((name) => name.startsWith('gspnet-') && !EXPECTED_CACHES.includes(name))
-          .map((name) => {
-            console.log(`[SW] Deleting old cache: ${name}`);
-            return caches.delete(name);
-          })
-      )
-    ).then(() => self.clients.claim())
+    (async () => {
+      const cacheNames = await caches.keys();
+      for (const name of cacheNames) {
+        if (!name.startsWith('gspnet-') || EXPECTED_CACHES.includes(name)) continue;
+        const bucket = bucketOfCacheName(name);
+        if (bucket && CACHE_DEFS[bucket].keep) continue; // migrated by cache upkeep
+        if (bucket) await forgetBucket(bucket);
+        console.log(`[SW] Deleting old cache: ${name}`);
+        await caches.delete(name);
+      }
+      await self.clients.claim();
+    })().then(() => { runCacheUpkeep(); })
   );
 });
 
+/* ─── Cache upkeep ────────────────────────────────────────────────────────
+ * Once per worker start, after activation: copy kept caches left by an
+ * older OFFLINE_CACHE_VERSION into the current ones, reconcile buckets that
+ * have no metadata yet and enforce budgets. Started after activate and again
+ * by the first fetch or message (which keeps it alive with waitUntil), so an
+ * upkeep cut short when the worker was stopped resumes next time.
+ */
+let cacheUpkeep = null;
+let cacheUpkeepDone = false;
+
+function runCacheUpkeep(event) {
+  if (cacheUpkeepDone) return;
+  if (!cacheUpkeep) {
+    cacheUpkeep = upkeepCaches()
+      .then(() => { cacheUpkeepDone = true; })
+      .catch((err) => console.warn('[SW] Cache upkeep failed:', err))
+      .then(() => { cacheUpkeep = null; });
+  }
+  if (event) event.waitUntil(cacheUpkeep);
+}
+
+async function upkeepCaches() {
+  const migrated = new Set();
+  for (const name of await caches.keys()) {
+    if (!name.startsWith('gspnet-') || EXPECTED_CACHES.includes(name)) continue;
+    const bucket = bucketOfCacheName(name);
+    if (!bucket || !CACHE_DEFS[bucket].keep) continue;
+    // Offline regions survive the version change
+    try {
+      await migrateCache(name, bucket);
+      migrated.add(bucket);
+      console.log(`[SW] Deleting old cache: ${name}`);
+      await caches.delete(name);
+    } catch (err) {
+      console.warn(`[SW] Could not migrate ${name}:`, err);
+    }
+  }
+
+  const usage = await metaTx(['usage'], 'readonly', (tx) => idbRequest(tx.objectStore('usage').getAllKeys()));
+  for (const bucket of Object.keys(CACHE_DEFS)) {
+    try {
+      if (migrated.has(bucket) || !usage.includes(bucket)) await reconcileBucket(bucket);
+      await enforceBudget(bucket);
+    } catch (err) {
+      console.warn(`[SW] Cache metadata for ${bucket} not updated:`, err);
+    }
+  }
+}
+
+/** Match in a kept bucket's cache from before a version change that upkeep hasn't copied yet. */
+async function matchUnmigrated(bucket, request) {
+  if (cacheUpkeepDone || !CACHE_DEFS[bucket].keep) return undefined;
+  for (const name of await caches.keys()) {
+    if (name === cacheNameOf(bucket) || bucketOfCacheName(name) !== bucket) continue;
+    const cached = await (await caches.open(name)).match(request);
+    if (cached) return cached;
+  }
+  return undefined;
+}
+
 /* ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
  * FETCH — Runtime caching strategies
  * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ */
 self.addEventListener('fetch', (event) => {
   const { request } = event;
   const url = request.url;
+  runCacheUpkeep(event);
 
-  // ── 1. FlatGeobuf files → Cache-First ──────────────────────────────
+  // ── 1. FlatGeobuf files → cached byte-range blocks (whole-file GETs Cache-First)
   if (url.endsWith('.fgb')) {
-    event.respondWith(cacheFirst(request, CACHE_FGB));
+    event.respondWith(request.method === 'GET' && request.headers.has('Range')
+      ? fgbRange(event)
+      : cacheFirst(event, 'fgb'));
     return;
   }
 
-  // ── 2. Map tiles → Cache-First ─────────────────────────────────────
+  // ── 2. Map tiles → Cache-First (offline package downloads stored pinned)
   if (urlContains(url, TILE_HOSTS)) {
-    event.respondWith(cacheFirst(request, CACHE_TILES));
+    event.respondWith(request.headers.get(PACKAGE_TILE_HEADER) ? packageTile(event) : cacheFirst(event, 'tiles'));
     return;
   }
 
   // ── 3. CesiumJS → Network-First (lazy cache) ──────────────────────
   if (url.includes('cesium.com')) {
-    event.respondWith(networkFirst(request, CACHE_CESIUM));
+    event.respondWith(networkFirst(event, 'cesium'));
     return;
   }
 
   // ── 4. API data → Network-First ────────────────────────────────────
   if (urlContains(url, API_HOSTS)) {
-    event.respondWith(networkFirst(request, CACHE_DATA));
+    event.respondWith(networkFirst(event, 'data'));
     return;
   }
 
   // ── 5. CDN resources (not already precached) → Stale-While-Revalidate
   if (urlContains(url, CDN_HOSTS)) {
-    event.respondWith(staleWhileRevalidate(request, CACHE_CDN));
+    event.respondWith(staleWhileRevalidate(event, 'cdn'));
     return;
   }
 
@@ -231,65 +691,318 @@ self.addEventListener('fetch', (event) => {
 
 /* ─── Caching strategy helpers ────────────────────────────────────────── */
 
+/*
+ * Each strategy takes the fetch event and a bucket key from CACHE_DEFS.
+ * Writes go through storeResponse and hits through touchEntry so sizes and
+ * last use stay current; both are kept alive with event.waitUntil.
+ */
+
+function isCacheable(response) {
+  return response.status === 200 || response.type === 'opaque';
+}
+
+function store(event, bucket, response) {
+  event.waitUntil(
+    storeResponse(bucket, event.request, response)
+      .catch((err) => console.warn(`[SW] Could not cache ${event.request.url}:`, err))
+  );
+}
+
 /**
  * Cache-First: serve from cache, fall back to network and cache the response.
+ * A request made with `cache: 'reload'` (offline package refresh) skips the
+ * cached copy and replaces it.
  */
-function cacheFirst(request, cacheName) {
-  return caches.open(cacheName).then((cache) =>
-    cache.match(request).then((cached) => {
-      if (cached) return cached;
+function cacheFirst(event, bucket) {
+  const { request } = event;
+  return caches.open(cacheNameOf(bucket)).then((cache) =>
+    (request.cache === 'reload' ? Promise.resolve(null) : cache.match(request)).then(async (cached) => {
+      if (cached) {
+        event.waitUntil(touchEntry(bucket, request.url));
+        return cached;
+      }
+      if (request.cache !== 'reload') {
+        const unmigrated = await matchUnmigrated(bucket, request);
+        if (unmigrated) return unmigrated;
+      }
       return fetch(request).then((response) => {
-        if (response.ok || response.type === 'opaque') {
-          cache.put(request, response.clone());
-        }
+        if (isCacheable(response)) store(event, bucket, response.clone());
         return response;
       });
     })
   );
 }
 
+/**
+ * A tile downloaded for an offline package: cache-first like other tiles,
+ * but the entry is pinned before the response is returned, so the LRU
+ * budget can't evict it before the package records it. The marker header
+ * is dropped before going to the network.
+ */
+async function packageTile(event) {
+  const { request } = event;
+  const reload = request.cache === 'reload';
+  if (!reload) {
+    const cached = (await (await caches.open(CACHE_TILES)).match(request.url)) || (await matchUnmigrated('tiles', request));
+    if (cached) {
+      const size = headerSize(cached) || (await cached.clone().blob()).size;
+      await recordEntries('tiles', [{ url: request.url, size, pinned: true }]);
+      return cached;
+    }
+  }
+  const response = await fetch(new Request(request.url, { mode: 'cors', credentials: 'omit', cache: reload ? 'reload' : 'default' }));
+  if (isCacheable(response)) await storeResponse('tiles', request.url, response.clone(), true);
+  return response;
+}
+
 /**
  * Network-First: try network, cache on success, fall back to cache on failure.
  */
-function networkFirst(request, cacheName) {
-  return caches.open(cacheName).then((cache) =>
+function networkFirst(event, bucket) {
+  const { request } = event;
+  return caches.open(cacheNameOf(bucket)).then((cache) =>
     fetch(request)
       .then((response) => {
-        if (response.ok || response.type === 'opaque') {
-          cache.put(request, response.clone());
-        }
+        if (isCacheable(response)) store(event, bucket, response.clone());
         return response;
       })
-      .catch(() => cache.match(request))
+      .catch(() => cache.match(request).then((cached) => {
+        if (cached) event.waitUntil(touchEntry(bucket, request.url));
+        return cached;
+      }))
   );
 }
 
 /**
  * Stale-While-Revalidate: serve cached immediately, update cache in background.
  */
-function staleWhileRevalidate(request, cacheName) {
-  return caches.open(cacheName).then((cache) =>
+function staleWhileRevalidate(event, bucket) {
+  const { request } = event;
+  return caches.open(cacheNameOf(bucket)).then((cache) =>
     cache.match(request).then((cached) => {
       const fetchPromise = fetch(request)
         .then((response) => {
-          if (response.ok || response.type === 'opaque') {
-            cache.put(request, response.clone());
-          }
+          if (isCacheable(response)) store(event, bucket, response.clone());
           return response;
         })
         .catch(() => cached);
 
+      if (cached) event.waitUntil(fetchPromise);
       return cached || fetchPromise;
     })
   );
 }
 
+/* ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ * FLATGEOBUF RANGES — .fgb files cached as byte-range blocks
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ * Reference layers load by bbox with Range requests (header, index, then
+ * runs of features), which whole-response caching never matches. Each file
+ * is cached as FGB_BLOCK_SIZE-aligned blocks keyed by URL, file version
+ * (ETag, else Last-Modified) and block index, plus a pinned manifest with
+ * the version and total size. A partial request is assembled from cached
+ * blocks and only the missing runs go to the network. The manifest is
+ * re-checked with a one-byte probe every FGB_REVALIDATE_MS while online; a
+ * changed version drops the file's old blocks.
+ *
+ * Cross-origin hosts must expose Content-Range (and ETag) through
+ * Access-Control-Expose-Headers; without them requests pass straight to
+ * the network as before.
+ */
+const FGB_BLOCK_SIZE = 64 * 1024;
+const FGB_MAX_RUN_BLOCKS = 32; // at most 2 MB per network request
+const FGB_REVALIDATE_MS = 5 * 60 * 1000;
+
+// url → { promise, at }: manifests already checked by this worker
+const fgbManifests = new Map();
+
+function fgbKey(url, suffix) {
+  return `${url}${url.includes('?') ? '&' : '?'}gspnet-fgb=${suffix}`;
+}
+
+function fgbBlockKey(manifest, index) {
+  return fgbKey(manifest.url, `${encodeURIComponent(manifest.version)}:${index}`);
+}
+
+/** Single `bytes=start-[end]` range, or null for anything else. */
+function parseRange(header) {
+  const m = /^bytes=(\d+)-(\d*)$/.exec((header || '').trim());
+  return m ? { start: Number(m[1]), end: m[2] === '' ? null : Number(m[2]) } : null;
+}
+
+function parseContentRange(header) {
+  const m = /^bytes (\d+)-(\d+)\/(\d+|\*)$/.exec((header || '').trim());
+  return m ? { start: Number(m[1]), end: Number(m[2]), total: m[3] === '*' ? null : Number(m[3]) } : null;
+}
+
+function fileVersion(response, total) {
+  return response.headers.get('ETag') || response.headers.get('Last-Modified') || `size-${total}`;
+}
+
+function fgbNetworkRequest(request, range) {
+  return new Request(request.url, {
+    headers: { Range: range },
+    mode: 'cors',
+    credentials: request.credentials,
+  });
+}
+
+/** Remove a file's cached blocks except those of keepVersion (all, with its manifest, if none). */
+async function invalidateFgb(url, keepVersion) {
+  const cache = await caches.open(cacheNameOf('fgb'));
+  const prefix = fgbKey(url, '');
+  const manifestKey = fgbKey(url, 'manifest');
+  const keep = keepVersion ? fgbKey(url, `${encodeURIComponent(keepVersion)}:`) : null;
+  const stale = (await cache.keys()).map((req) => req.url).filter((key) => {
+    if (key === url) return true; // whole-file copy of an older version
+    if (!key.startsWith(prefix)) return false;
+    if (key === manifestKey) return !keepVersion;
+    return !(keep && key.startsWith(keep));
+  });
+  await Promise.all(stale.map((key) => cache.delete(key)));
+  await forgetEntries('fgb', stale);
+}
+
+async function loadFgbManifest(request) {
+  const cache = await caches.open(cacheNameOf('fgb'));
+  const res = await cache.match(fgbKey(request.url, 'manifest'));
+  const cached = res ? await res.json() : null;
+  if (cached && (Date.now() - cached.checkedAt < FGB_REVALIDATE_MS || self.navigator.onLine === false)) return cached;
+
+  let probe;
+  try {
+    probe = await fetch(fgbNetworkRequest(request, 'bytes=0-0'));
+  } catch (err) {
+    return cached; // offline: trust what we have
+  }
+  const range = parseContentRange(probe.headers.get('Content-Range'));
+  if (probe.status !== 206 || !range || range.total === null) return null;
+
+  const manifest = { url: request.url, version: fileVersion(probe, range.total), size: range.total, checkedAt: Date.now() };
+  if (cached && cached.version !== manifest.version) {
+    console.log(`[SW] ${request.url} changed; dropping cached ranges`);
+    await invalidateFgb(request.url, manifest.version);
+  }
+  await storeResponse('fgb', fgbKey(request.url, 'manifest'), new Response(JSON.stringify(manifest), {
+    headers: { 'Content-Type': 'application/json' },
+  }), true);
+  return manifest;
+}
+
+function getFgbManifest(request) {
+  const memo = fgbManifests.get(request.url);
+  if (memo && Date.now() - memo.at < FGB_REVALIDATE_MS) return memo.promise;
+  const promise = loadFgbManifest(request).catch((err) => {
+    console.warn('[SW] FlatGeobuf manifest:', err);
+    return null;
+  });
+  fgbManifests.set(request.url, { promise, at: Date.now() });
+  return promise;
+}
+
+/**
+ * Fetch blocks first..last in one range request and cache them. Resolves to
+ * their Blobs, or null when the server's answer can't be cached (no range
+ * support, or the file changed under us). Rejects on network failure.
+ */
+async function fetchFgbBlocks(event, manifest, first, last) {
+  const from = first * FGB_BLOCK_SIZE;
+  const to = Math.min((last + 1) * FGB_BLOCK_SIZE, manifest.size) - 1;
+  const response = await fetch(fgbNetworkRequest(event.request, `bytes=${from}-${to}`));
+  const range = parseContentRange(response.headers.get('Content-Range'));
+  if (response.status !== 206 || !range || range.start !== from || range.end !== to) return null;
+
+  const total = range.total === null ? manifest.size : range.total;
+  if (total !== manifest.size || fileVersion(response, total) !== manifest.version) {
+    fgbManifests.delete(manifest.url);
+    event.waitUntil(invalidateFgb(manifest.url, null));
+    return null;
+  }
+
+  const buffer = await response.arrayBuffer();
+  const blobs = [];
+  for (let i = first; i <= last; i++) {
+    const blob = new Blob([buffer.slice((i - first) * FGB_BLOCK_SIZE, (i - first + 1) * FGB_BLOCK_SIZE)]);
+    blobs.push(blob);
+    event.waitUntil(
+      storeResponse('fgb', fgbBlockKey(manifest, i), new Response(blob, {
+        headers: { 'Content-Length': String(blob.size) },
+      })).catch((err) => console.warn('[SW] Could not cache FlatGeobuf block:', err))
+    );
+  }
+  return blobs;
+}
+
+function fgbPartialResponse(body, start, end, total) {
+  return new Response(body, {
+    status: 206,
+    statusText: 'Partial Content',
+    headers: {
+      'Content-Type': 'application/octet-stream',
+      'Content-Length': String(end - start + 1),
+      'Content-Range': `bytes ${start}-${end}/${total}`,
+      'Accept-Ranges': 'bytes',
+    },
+  });
+}
+
+async function fgbRange(event) {
+  const { request } = event;
+  const range = parseRange(request.headers.get('Range'));
+  const manifest = range && await getFgbManifest(request);
+  if (!manifest) return fetch(request);
+
+  const start = range.start;
+  const end = Math.min(range.end === null ? manifest.size - 1 : range.end, manifest.size - 1);
+  if (start > end) {
+    return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${manifest.size}` } });
+  }
+
+  const cache = await caches.open(cacheNameOf('fgb'));
+  const first = Math.floor(start / FGB_BLOCK_SIZE);
+  const last = Math.floor(end / FGB_BLOCK_SIZE);
+  const blocks = await Promise.all(Array.from({ length: last - first + 1 }, async (_, k) => {
+    const key = fgbBlockKey(manifest, first + k);
+    const hit = await cache.match(key);
+    if (!hit) return null;
+    event.waitUntil(touchEntry('fgb', key));
+    return hit.blob();
+  }));
+
+  // Group missing blocks into contiguous runs for the network
+  const runs = [];
+  blocks.forEach((blob, k) => {
+    if (blob) return;
+    const run = runs[runs.length - 1];
+    if (run && run[1] === first + k - 1 && run[1] - run[0] + 1 < FGB_MAX_RUN_BLOCKS) run[1] = first + k;
+    else runs.push([first + k, first + k]);
+  });
+
+  try {
+    for (const [a, b] of runs) {
+      const fetched = await fetchFgbBlocks(event, manifest, a, b);
+      if (!fetched) return fetch(request);
+      fetched.forEach((blob, k) => { blocks[a - first + k] = blob; });
+    }
+  } catch (err) {
+    // Offline with gaps: a cached copy of the whole file can still answer
+    const whole = await cache.match(request.url);
+    if (!whole) throw err;
+    const blob = await whole.blob();
+    return fgbPartialResponse(blob.slice(start, end + 1), start, end, manifest.size);
+  }
+
+  const offset = first * FGB_BLOCK_SIZE;
+  return fgbPartialResponse(new Blob(blocks).slice(start - offset, end - offset + 1), start, end, manifest.size);
+}
+
 /* ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
  * MESSAGE HANDLER — Communication with the app
  * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━ */
 self.addEventListener('message', (event) => {
   const { data } = event;
   if (!data || !data.type) return;
+  if (data.type !== 'SKIP_WAITING') runCacheUpkeep(event); // a waiting worker must leave the caches alone
 
   switch (data.type) {
     /* ── Skip waiting (update prompt) ───────────────────────────────── */
@@ -298,6 +1011,9 @@ self.addEventListener('message', (event) => {
       break;
 
     /* ── Store downloaded tiles in the tile cache ───────────────────── */
+    // Package tiles are pinned: the LRU budget never evicts them. Current
+    // pages pin at fetch time (PACKAGE_TILE_HEADER); this serves pages
+    // loaded before that change.
     case 'CACHE_TILES':
       event.waitUntil(
         (async () => {
@@ -314,6 +1030,7 @@ self.addEventListener('message', (event) => {
                 return cache.put(url, response);
               })
             );
+            await recordEntries('tiles', tiles.map(({ url, blob }) => ({ url, size: blob.size, pinned: true })));
           } catch (err) {
             console.error('[SW] CACHE_TILES error:', err);
           }
@@ -321,31 +1038,22 @@ self.addEventListener('message', (event) => {
       );
       break;
 
-    /* ── Calculate total cache size ──────────────────────────────────── */
+    /* ── Report cache sizes from metadata (bodies are not read) ─────── */
     case 'GET_CACHE_SIZE':
       event.waitUntil(
         (async () => {
           try {
+            const [usage, budgets] = await Promise.all([getUsage(), getBudgets()]);
             let totalSize = 0;
-            const cacheNames = await caches.keys();
-
-            for (const name of cacheNames) {
-              if (!name.startsWith('gspnet-')) continue;
-              const cache = await caches.open(name);
-              const keys = await cache.keys();
-
-              for (const request of keys) {
-                const response = await cache.match(request);
-                if (response) {
-                  const blob = await response.blob();
-                  totalSize += blob.size;
-                }
-              }
-            }
+            const buckets = {};
+            Object.keys(usage).forEach((bucket) => {
+              totalSize += usage[bucket].bytes;
+              buckets[bucket] = { ...usage[bucket], budget: budgets[bucket] };
+            });
 
             event.source.postMessage({
               type: 'CACHE_SIZE',
-              payload: { totalSize },
+              payload: { totalSize, buckets },
             });
           } catch (err) {
             console.error('[SW] GET_CACHE_SIZE error:', err);
@@ -358,10 +1066,32 @@ self.addEventListener('message', (event) => {
       );
       break;
 
+    /* ── Drop the tiles of a deleted offline package ─────────────────── */
+    case 'DELETE_TILES':
+      event.waitUntil(
+        (async () => {
+          const urls = data.payload && data.payload.urls;
+          if (!Array.isArray(urls)) return;
+          const cache = await caches.open(CACHE_TILES);
+          await Promise.all(urls.map((url) => cache.delete(url)));
+          await forgetEntries('tiles', urls);
+        })()
+      );
+      break;
+
     /* ── Clear the tile cache and recreate it ───────────────────────── */
     case 'CLEAR_TILE_CACHE':
       event.waitUntil(
-        caches.delete(CACHE_TILES).then(() => caches.open(CACHE_TILES))
+        caches.delete(CACHE_TILES)
+          .then(() => forgetBucket('tiles'))
+          .then(() => caches.open(CACHE_TILES))
+      );
+      break;
+
+    /* ── Change per-cache size budgets ({ tiles: bytes, ... }) ────────── */
+    case 'SET_CACHE_BUDGETS':
+      event.waitUntil(
+        setBudgets(data.payload).catch((err) => console.error('[SW] SET_CACHE_BUDGETS error:', err))
       );
       break;
 
@@ -380,66 +1110,15 @@ self.addEventListener('sync', (event) => {
 });
 
 /**
- * Open the `gspnet-sync-queue` IndexedDB, iterate over all pending items,
- * POST each to its target URL, and remove successfully synced entries.
+ * Offline edits live in the page's edit journal (js/edit-journal.js), which
+ * needs the user's Supabase session and can stop on a conflict for the user
+ * to resolve, so the worker only wakes an open page to run the sync.
+ * Background sync retries the event later if no page is open.
  */
 async function processSyncQueue() {
-  const db = await openSyncDB();
-  const tx = db.transaction('requests', 'readonly');
-  const store = tx.objectStore('requests');
-  const allItems = await idbGetAll(store);
-
-  for (const item of allItems) {
-    try {
-      const response = await fetch(item.url, {
-        method: 'POST',
-        headers: item.headers || { 'Content-Type': 'application/json' },
-        body: item.body,
-      });
-
-      if (response.ok) {
-        const deleteTx = db.transaction('requests', 'readwrite');
-        deleteTx.objectStore('requests').delete(item.id);
-        await idbTxComplete(deleteTx);
-      }
-    } catch (err) {
-      console.warn(`[SW] Sync failed for item ${item.id}:`, err);
-      // Will retry on next sync event
-    }
-  }
-
-  db.close();
-}
-
-/* ─── IndexedDB helpers (no external deps) ────────────────────────────── */
-
-function openSyncDB() {
-  return new Promise((resolve, reject) => {
-    const req = indexedDB.open('gspnet-sync-queue', 1);
-    req.onupgradeneeded = () => {
-      const db = req.result;
-      if (!db.objectStoreNames.contains('requests')) {
-        db.createObjectStore('requests', { keyPath: 'id', autoIncrement: true });
-      }
-    };
-    req.onsuccess = () => resolve(req.result);
-    req.onerror = () => reject(req.error);
-  });
-}
-
-function idbGetAll(store) {
-  return new Promise((resolve, reject) => {
-    const req = store.getAll();
-    req.onsuccess = () => resolve(req.result);
-    req.onerror = () => reject(req.error);
-  });
-}
-
-function idbTxComplete(tx) {
-  return new Promise((resolve, reject) => {
-    tx.oncomplete = () => resolve();
-    tx.onerror = () => reject(tx.error);
-  });
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  if (!windows.length) throw new Error('No open page to sync the edit journal');
+  windows.forEach((client) => client.postMessage({ type: 'EDIT_JOURNAL_SYNC' }));
 }
 
 /* ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -97,6 +97,14 @@ async function initSymbolsLibrary(olMap, supabase) {
         // Load collaborative features immediately (all users in current extent)
         await loadFeatures();
 
+        // Pick up the server's values once an offline symbol edit is settled
+        window.addEventListener('gspnet-edit-journal', (e) => {
+            const { type, entry } = e.detail;
+            if ((type === 'resolved' && entry.table === 'map_features') || (type === 'synced' && e.detail.synced > 0)) {
+                loadFeatures();
+            }
+        });
+
         console.log('Symbols Library: Initialization complete');
     } catch (error) {
         console.error('Symbols Library: Initialization failed:', error);
@@ -1207,24 +1215,26 @@ async function updateFeatureAttributes(feature) {
     const status = document.getElementById('editFeatureStatus').value;
 
     try {
-        const { error } = await supabaseClient
-            .rpc('update_map_feature', {
-                feature_id: feature.getId(),
-                name: name || null,
-                description: description || null,
-                status: status
-            });
-
-        if (error) throw error;
+        const values = { name: name || null, description: description || null, status: status };
+        const result = await EditJournal.write({
+            kind: 'symbol',
+            label: `Symbol "${name}" attributes`,
+            table: 'map_features',
+            op: 'rpc',
+            key: { column: 'id', value: feature.getId() },
+            rpc: { fn: 'update_map_feature', args: Object.assign({ feature_id: feature.getId() }, values) },
+            values,
+            base: EditJournal.baseOf(feature.getProperties(), Object.keys(values))
+        });
 
-        // Update local feature
+        // Update local feature (updated_at stays at the server's value until the edit syncs)
         feature.set('name', name);
         feature.set('description', description);
         feature.set('status', status);
-        feature.set('updated_at', new Date().toISOString());
+        if (!result.queued && result.data) feature.set('updated_at', result.data);
 
         console.log('[SL] Feature attributes updated:', feature.getId());
-        showMessage('Feature updated successfully', 'success');
+        showMessage(result.queued ? 'Offline: edit saved on this device and will sync when back online' : 'Feature updated successfully', 'success');
 
         document.getElementById('editFeatureForm').style.display = 'none';
         updateMyFeaturesTab();
@@ -1251,16 +1261,21 @@ async function updateFeatureGeometryConfirm(feature) {
             featureProjection: map.getView().getProjection()
         });
 
-        const { error } = await supabaseClient
-            .rpc('update_map_feature', {
-                feature_id: feature.getId(),
-                geom_geojson: geojson
-            });
-
-        if (error) throw error;
+        // No field values: any server change since base is a conflict
+        const result = await EditJournal.write({
+            kind: 'symbol',
+            label: `Symbol "${getFeatureDisplayName(feature)}" geometry`,
+            table: 'map_features',
+            op: 'rpc',
+            key: { column: 'id', value: feature.getId() },
+            rpc: { fn: 'update_map_feature', args: { feature_id: feature.getId(), geom_geojson: geojson } },
+            base: EditJournal.baseOf(feature.getProperties(), [])
+        });
+        // Keep the server's stamp so the next offline edit of this feature is based on it
+        if (!result.queued && result.data) feature.set('updated_at', result.data);
 
         console.log('[SL] Feature geometry updated:', feature.getId());
-        showMessage('Geometry updated successfully', 'success');
+        showMessage(result.queued ? 'Offline: geometry saved on this device and will sync when back online' : 'Geometry updated successfully', 'success');
 
     } catch (error) {
         console.error('[SL] Error updating geometry:', error);
@@ -1377,13 +1392,17 @@ async function loadFeatures() {
         const bufferX = (maxX - minX) * 0.2;
         const bufferY = (maxY - minY) * 0.2;
 
-        const { data, error } = await supabaseClient.rpc('get_features_bbox', {
-            min_lon: minX - bufferX,
-            min_lat: minY - bufferY,
-            max_lon: maxX + bufferX,
-            max_lat: maxY + bufferY,
-            lim: 500
-        });
+        const bbox = [minX - bufferX, minY - bufferY, maxX + bufferX, maxY + bufferY];
+        // Offline: symbols downloaded with offline packages
+        const { data, error } = !navigator.onLine && window.OfflinePackages
+            ? await OfflinePackages.rowsInExtent('symbols', bbox)
+            : await supabaseClient.rpc('get_features_bbox', {
+                min_lon: bbox[0],
+                min_lat: bbox[1],
+                max_lon: bbox[2],
+                max_lat: bbox[3],
+                lim: 500
+            });
 
         if (error) throw error;
 
@@ -1814,25 +1833,44 @@ async function saveFeature(geometry, attributes) {
             'EPSG:4326'
         );
 
-        // Convert to GeoJSON
-        const format = new ol.format.GeoJSON();
-        const geojson = format.writeGeometryObject(geom4326);
+        if (!currentUserId) throw new Error('Sign in to save features');
 
-        // Call Supabase RPC
-        const { data, error } = await supabaseClient.rpc('insert_map_feature', {
-            geom_geojson: geojson,
-            geom_type: attributes.geom_type,
+        // Same row insert_map_feature makes, as a plain insert so it can be
+        // journaled while offline (PostGIS reads the EWKT geometry)
+        const values = {
+            user_id: currentUserId,
             symbol_key: attributes.symbol_key,
+            geom: 'SRID=4326;' + new ol.format.WKT().writeGeometry(geom4326),
+            geom_type: attributes.geom_type,
             name: attributes.name,
             description: attributes.description,
             status: attributes.status,
             style: attributes.style,
             metadata: attributes.metadata
+        };
+        const result = await EditJournal.write({
+            kind: 'symbol',
+            label: `New symbol "${attributes.name}"`,
+            table: 'map_features',
+            op: 'insert',
+            values
         });
+        const row = result.entry.values;
+
+        console.log('[SL] Feature saved:', row.id);
+
+        if (result.queued) {
+            // Show it now; it comes back from the server once the insert syncs
+            const feature = new ol.Feature(geometry);
+            feature.setId(row.id);
+            feature.setProperties(Object.assign({}, attributes, { user_id: currentUserId }));
+            featuresSource.addFeature(feature);
+            loadedFeatures.set(row.id, feature);
+            updateLegendSummaryPanel();
+            showMessage(`Offline: ${attributes.name} saved on this device and will sync when back online`, 'success');
+            return;
+        }
 
-        if (error) throw error;
-
-        console.log('[SL] Feature saved:', data);
         showMessage(`${attributes.name} saved successfully!`, 'success');
         
         if (typeof window.logUserContribution === 'function') {
@@ -0,0 +1,86 @@
+const assert = require('assert');
+const CoordinateList = require('./js/coordinate-list.js');
+
+// Two plots sharing the CM2/CM3 boundary, rings not closed
+const plots = [
+    {
+        id: '12',
+        attributes: { client: 'Okello, J.', district: 'Wakiso' },
+        points: [
+            { e: 450100.5, n: 40200.25, lat: 0.363812345, lon: 32.551234567 },
+            { e: 450130, n: 40200.2504, lat: 0.363812, lon: 32.5515 },
+            { e: 450130, n: 40240, lat: 0.36417, lon: 32.5515 }
+        ]
+    },
+    {
+        id: '13',
+        attributes: {},
+        points: [
+            { e: 450130, n: 40200.2504, lat: 0.363812, lon: 32.5515 },
+            { e: 450160, n: 40200, lat: 0.36381, lon: 32.55177 },
+            { e: 450130, n: 40240, lat: 0.36417, lon: 32.5515 }
+        ]
+    }
+];
+const template = (id) => CoordinateList.builtInTemplates().find(t => t.id === id);
+
+console.log("=== default corner CSV ===");
+let files = CoordinateList.build(template('gspnet-csv'), plots);
+assert.deepStrictEqual(files.map(f => f.name), ['parcel-1-corner-coordinates.csv', 'parcel-2-corner-coordinates.csv']);
+let lines = files[0].text.split('\n');
+assert.deepStrictEqual(lines.slice(0, 6), [
+    'POLYGON ATTRIBUTES', 'Attribute,Value', 'client,"Okello, J."', 'district,Wakiso', '', 'POLYGON COORDINATES'
+]);
+assert.strictEqual(lines[6], 'Point ID,Easting,Northing,Latitude,Longitude');
+// Grid values keep up to 3 decimals without padding; lat/lon keep 6
+assert.strictEqual(lines[7], '1,450100.5,40200.25,0.363812,32.551235');
+assert.strictEqual(lines[8], '2,450130,40200.25,0.363812,32.551500');
+// Fixed decimals pad
+files = CoordinateList.build(Object.assign({}, template('gspnet-csv'), { decimals: 2, attributes: false }), plots);
+assert.strictEqual(files[0].text.split('\n')[1], '1,450100.50,40200.25,0.363812,32.551235');
+// Geographic e/n use the lat/lon precision
+files = CoordinateList.build(Object.assign({}, template('gspnet-csv'), { attributes: false, columns: ['stn', 'e', 'n'] }),
+    [{ id: '1', points: [{ e: 32.551234567, n: 0.363812345 }] }], { geographic: true });
+assert.strictEqual(files[0].text, 'Point ID,Easting,Northing\n1,32.551235,0.363812\n');
+console.log("ok");
+
+console.log("\n=== continuous numbering lists shared beacons once ===");
+files = CoordinateList.build(template('stakeout-csv'), plots);
+assert.strictEqual(files.length, 1);
+assert.strictEqual(files[0].text, [
+    'CM1,40200.250,450100.500,BCN',
+    'CM2,40200.250,450130.000,BCN',
+    'CM3,40240.000,450130.000,BCN',
+    'CM4,40200.000,450160.000,BCN',
+    ''
+].join('\n'));
+files = CoordinateList.build(Object.assign({}, template('stakeout-csv'), { closing: true }), plots);
+assert.deepStrictEqual(files[0].text.trim().split('\n').map(l => l.split(',')[0]), ['CM1', 'CM2', 'CM3', 'CM1', 'CM4', 'CM2']);
+console.log("ok");
+
+console.log("\n=== heights ===");
+const withZ = [{ id: '1', points: [{ e: 450100.5, n: 40200.25, z: 1180.4 }, { e: 450130, n: 40200, z: 1181 }] }];
+files = CoordinateList.build(Object.assign({}, template('stakeout-csv'), { columns: ['stn', 'n', 'e', 'z'] }), withZ);
+assert.strictEqual(files[0].text, 'CM1,40200.250,450100.500,1180.400\nCM2,40200.000,450130.000,1181.000\n');
+// Built-in templates don't carry an always-empty z column
+CoordinateList.builtInTemplates().forEach(t => assert.strictEqual(t.columns.indexOf('z'), -1, t.id));
+console.log("ok");
+
+console.log("\n=== fixed-width TXT ===");
+files = CoordinateList.build(template('total-station-txt'), plots.slice(0, 1));
+lines = files[0].text.split('\r\n');
+assert.strictEqual(lines[0], 'CM1         ' + ' ' + '450100.500'.padStart(15) + ' ' + '40200.250'.padStart(15) + ' ' + 'BCN     ');
+assert.strictEqual(lines.length, 4);
+console.log("ok");
+
+console.log("\n=== _gsi ===");
+let gsi = CoordinateList._gsi({ code: 'BCN' }, [{ stn: 'CM1', e: 450100.5, n: 40200.25 }, { stn: 'CM2', e: -12.3456, n: 7, z: 1180.4 }]);
+lines = gsi.split('\r\n');
+assert.strictEqual(lines[0], '*110001+0000000000000CM1 71....+0000000000000BCN 81..00+0000000450100500 82..00+0000000040200250 ');
+// negative values keep the sign outside the padding; heights only when known
+assert.strictEqual(lines[1], '*110002+0000000000000CM2 71....+0000000000000BCN 81..00-0000000000012346 82..00+0000000000007000 83..00+0000000001180400 ');
+assert.strictEqual(lines[2], '');
+gsi = CoordinateList._gsi({ code: '' }, [{ stn: 'A/1', e: 1, n: 2 }]);
+assert.strictEqual(gsi, '*110001+00000000000000A1 81..00+0000000000001000 82..00+0000000000002000 \r\n');
+assert.throws(() => CoordinateList.build(template('leica-gsi16'), plots, { geographic: true }), /grid coordinates/);
+console.log("ok");
@@ -0,0 +1,77 @@
+const assert = require('assert');
+const EditJournal = require('./js/edit-journal.js');
+
+// Base captured when the parcel was loaded
+const loaded = { unique_id: 'P1', updated_at: '2026-10-01T08:00:00.000Z', version: 3, client: 'Okello', district: 'Wakiso' };
+
+console.log("=== _serverChanged ===");
+assert.strictEqual(EditJournal._serverChanged(EditJournal.baseOf(loaded, ['client']), Object.assign({}, loaded)), false);
+assert.strictEqual(EditJournal._serverChanged(EditJournal.baseOf(loaded, ['client']), Object.assign({}, loaded, { version: 4 })), true);
+// version wins over updated_at when both sides have it
+assert.strictEqual(EditJournal._serverChanged({ version: 3, updated_at: loaded.updated_at }, { version: 3, updated_at: '2026-10-02T08:00:00Z' }), false);
+// updated_at compares instants, not strings
+assert.strictEqual(EditJournal._serverChanged({ updated_at: '2026-10-01T08:00:00Z' }, { updated_at: '2026-10-01T11:00:00+03:00' }), false);
+assert.strictEqual(EditJournal._serverChanged({ updated_at: '2026-10-01T08:00:00Z' }, { updated_at: '2026-10-01T08:00:01Z' }), true);
+// no row version: fall back to the field values seen
+assert.strictEqual(EditJournal._serverChanged({ values: { flag_type: 'red' } }, { flag_type: 'red' }), false);
+assert.strictEqual(EditJournal._serverChanged({ values: { flag_type: 'red' } }, { flag_type: 'green' }), true);
+assert.strictEqual(EditJournal._serverChanged({ values: { archive_reason: null } }, { archive_reason: '' }), false);
+assert.strictEqual(EditJournal._serverChanged(null, loaded), false);
+console.log("ok");
+
+console.log("\n=== _overlap ===");
+const edit = { values: { client: 'Nakato' }, base: EditJournal.baseOf(loaded, ['client']) };
+// someone else changed a different field: merges cleanly
+assert.deepStrictEqual(EditJournal._overlap(edit, Object.assign({}, loaded, { district: 'Mukono' })), []);
+// someone else changed the same field to something else
+assert.deepStrictEqual(EditJournal._overlap(edit, Object.assign({}, loaded, { client: 'Mukasa' })), ['client']);
+// ...or to the same value as mine
+assert.deepStrictEqual(EditJournal._overlap(edit, Object.assign({}, loaded, { client: 'Nakato' })), []);
+// deletes and geometry edits have no fields to merge
+assert.deepStrictEqual(EditJournal._overlap({ base: {} }, loaded), ['*']);
+// fields missing from the base count as changed when they differ
+assert.deepStrictEqual(EditJournal._overlap({ values: { status: 'done' }, base: { values: {} } }, { status: 'open' }), ['status']);
+console.log("ok");
+
+console.log("\n=== inserts are idempotent ===");
+const rows = EditJournal._withIds([{ name: 'CP1' }, { id: 'kept', name: 'CP2' }]);
+assert.match(rows[0].id, /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+assert.strictEqual(rows[1].id, 'kept');
+assert.strictEqual(EditJournal._withIds(rows)[0].id, rows[0].id);
+
+const calls = [];
+const sb = {
+    from: (table) => ({
+        upsert: (payload, options) => {
+            calls.push({ table, payload, options });
+            return Promise.resolve({ data: null, error: null });
+        }
+    }),
+    rpc: (fn, args) => {
+        calls.push({ fn, args });
+        // update_map_feature returns the new updated_at, or null when the guard fails
+        return Promise.resolve({ data: args.expected_updated_at !== loaded.updated_at ? null : '2026-10-19T09:00:00+00:00', error: null });
+    }
+};
+(async () => {
+    await EditJournal._apply(sb, { op: 'insert', table: 'gsp_field_observations' }, rows, null);
+    assert.deepStrictEqual(calls[0].options, { onConflict: 'id', ignoreDuplicates: true });
+
+    console.log("ok");
+    console.log("\n=== rpc edits carry the guard ===");
+    const rpcEdit = { op: 'rpc', rpc: { fn: 'update_map_feature', args: { feature_id: 'F1', name: 'Well' } } };
+    let out = await EditJournal._apply(sb, rpcEdit, rpcEdit.rpc.args, loaded.updated_at);
+    assert.strictEqual(calls[1].args.expected_updated_at, loaded.updated_at);
+    assert.strictEqual(out.applied, true);
+    assert.strictEqual(out.data, '2026-10-19T09:00:00+00:00');
+    out = await EditJournal._apply(sb, rpcEdit, rpcEdit.rpc.args, '2026-09-30T00:00:00Z');
+    assert.strictEqual(out.applied, false);
+    // functions that still answer false are read the same way
+    out = await EditJournal._apply({ rpc: () => Promise.resolve({ data: false, error: null }) }, rpcEdit, rpcEdit.rpc.args, loaded.updated_at);
+    assert.strictEqual(out.applied, false);
+    assert.strictEqual(rpcEdit.rpc.args.expected_updated_at, undefined);
+    console.log("ok");
+})().catch((err) => {
+    console.error(err);
+    process.exit(1);
+});
@@ -31,3 +31,7 @@ console.log("\n=== AREA ===");
 console.log(`Area Sq. Meters: ${result.area.sqMeters.toFixed(3)}`);
 console.log(`Area Hectares: ${result.area.hectares.toFixed(4)}`);
 console.log(`Area Acres: ${result.area.acres.toFixed(3)}`);
+
+console.log("\n=== CLOSURE FROM COORDINATES ===");
+const derived = engine.adjustTraverse(engine.deriveObservations(coords[0], coords.slice(1).concat([coords[1]]), coords[0]));
+console.log(`Precision: ${derived.closure.precisionStr}`);